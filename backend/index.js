@@ -5,6 +5,7 @@ const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { isMockMode, config: mockConfig } = require('./services/mocks/mockConfig');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -127,6 +128,12 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Health check available at http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  if (isMockMode()) {
+    console.log('🧪 Mock mode: external services are replaced by recorded fixtures (MOCK_PROVIDERS=true)');
+  }
+  if (mockConfig.cassetteMode !== 'off') {
+    console.log(`📼 Cassette ${mockConfig.cassetteMode}: ${mockConfig.cassetteName} (CASSETTE_MODE=${mockConfig.cassetteMode})`);
+  }
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -4,6 +4,9 @@ const router = express.Router();
 // Chat routes
 router.use('/chat', require('./chat'));
 
+// Conversation history routes
+router.use('/conversations', require('./conversations'));
+
 // API info endpoint
 router.get('/', (req, res) => {
   res.json({
@@ -12,6 +15,7 @@ router.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       chat: '/api/chat',
+      conversations: '/api/conversations',
     },
     documentation: 'https://github.com/your-repo/financial-agent-demo#api',
   });
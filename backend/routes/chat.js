@@ -4,8 +4,21 @@ const router = express.Router();
 // Import the comprehensive Financial Search Service
 const { financialSearchService } = require('../services/search/index');
 
-// Import the Gemini planning service
-const { planFinancialResearch } = require('../services/gemini/planningService');
+// Import the workflow progress event types
+const { WorkflowEvent } = require('../services/search/workflowEvents');
+
+// Import the run registry used to cancel in-flight research
+const { runRegistry } = require('../services/search/runRegistry');
+const { isAbortError } = require('../services/search/cancellation');
+
+// Import the search provider registry for status reporting
+const { providerRegistry } = require('../services/search/providerRegistry');
+const { modelProviderRegistry } = require('../services/llm/modelProviders');
+const { isMockMode, config: mockConfig } = require('../services/mocks/mockConfig');
+const { resultCache } = require('../services/cache/resultCache');
+
+// Import the conversation store for multi-turn memory
+const { conversationStore } = require('../services/conversation/conversationStore');
 
 // Import the Gemini answering service
 const { generateFinalAnswer, streamFinalAnswer } = require('../services/gemini/answeringService');
@@ -35,58 +48,6 @@ function formatSSEMessage(event, data, id = null) {
   return message;
 }
 
-/**
- * Utility function to stream a research plan with progress updates
- * @param {object} res - Express response object
- * @param {string} userQuestion - The user's original question
- * @param {object} researchPlan - The generated research plan
- */
-async function streamResearchPlan(res, userQuestion, researchPlan) {
-  const messageId = `msg_${Date.now()}`;
-  
-  try {
-    // Send planning start event
-    res.write(formatSSEMessage('planning_start', {
-      id: messageId,
-      message: 'Analyzing your question and generating research plan...',
-      timestamp: new Date().toISOString()
-    }, messageId));
-
-    // Simulate some processing time
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // Send the research plan
-    res.write(formatSSEMessage('planning_complete', {
-      id: messageId,
-      researchPlan: researchPlan,
-      timestamp: new Date().toISOString()
-    }, messageId));
-
-    // Create a formatted response message
-    let responseMessage = `I've analyzed your question: "${userQuestion}"\n\n`;
-    responseMessage += `Here's my research plan with ${researchPlan.subQuestions.length} key areas to investigate:\n\n`;
-    
-    researchPlan.subQuestions.forEach((question, index) => {
-      responseMessage += `${index + 1}. ${question}\n\n`;
-    });
-    
-    responseMessage += `Research Focus: ${researchPlan.researchFocus}\n\n`;
-    responseMessage += `Note: This is the planning step. In the next phase, I would research each of these sub-questions and provide a comprehensive answer.`;
-
-    // Stream the formatted response
-    await streamMessageInChunks(res, responseMessage, 25, 60);
-
-  } catch (error) {
-    console.error('[CHAT-STREAM] Error streaming research plan:', error);
-    res.write(formatSSEMessage('error', {
-      error: 'Planning Error',
-      message: 'An error occurred while generating the research plan',
-      timestamp: new Date().toISOString()
-    }, messageId));
-    res.end();
-  }
-}
-
 /**
  * Utility function to simulate streaming response with chunks
  * @param {object} res - Express response object
@@ -150,10 +111,152 @@ function streamMessageInChunks(res, fullMessage, chunkSize = 10, delay = 100) {
   });
 }
 
+/**
+ * Validate the conversationId field of a chat request
+ * @param {*} conversationId - Value from the request body
+ * @returns {boolean} True if absent or a non-empty string
+ */
+function isValidConversationId(conversationId) {
+  return conversationId === undefined || conversationId === null ||
+    (typeof conversationId === 'string' && conversationId.trim().length > 0);
+}
+
+/**
+ * Validate the optional client-supplied runId of a chat request
+ * @param {*} runId - Value from the request body
+ * @returns {object|null} { status, error, message } to send back, or null when valid
+ */
+function validateRunId(runId) {
+  if (runId === undefined || runId === null) {
+    return null;
+  }
+  if (!runRegistry.isValidRunId(runId)) {
+    return { status: 400, error: 'Bad Request', message: 'runId must look like run_<letters, digits, "_" or "-">' };
+  }
+  if (runRegistry.getRun(runId)) {
+    return { status: 409, error: 'Conflict', message: `Run ${runId} is already active` };
+  }
+  return null;
+}
+
+/**
+ * Register a research run and cancel it if the client goes away before the response is sent
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} conversationId - The conversation the run belongs to
+ * @returns {object} The registered run
+ */
+function startRequestRun(req, res, conversationId) {
+  const run = runRegistry.startRun({
+    runId: req.body.runId || undefined,
+    question: req.body.message,
+    conversationId
+  });
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      runRegistry.cancelRun(run.runId, 'Client disconnected');
+    }
+  });
+
+  return run;
+}
+
+/**
+ * Describe how the research plan was made, including why a fallback plan was used
+ * @param {object} searchResults - Results from the search workflow
+ * @returns {object} { status, fallbackReason }
+ */
+function describePlanning(searchResults) {
+  const planning = searchResults.workflow?.steps?.planning;
+  const fallbackReason = planning?.fallbackReason || null;
+
+  return {
+    status: fallbackReason ? 'fallback' : (planning?.originalPlan?.status || 'skipped'),
+    fallbackReason
+  };
+}
+
+/**
+ * Describe the models that planned and answered the question
+ * @param {object} searchResults - Results from the search workflow
+ * @param {object} finalAnswer - The generated answer
+ * @returns {object} { planning, answering } with { provider, model } each (null when no model was used)
+ */
+function describeModels(searchResults, finalAnswer) {
+  const plan = searchResults.workflow?.steps?.planning?.originalPlan;
+
+  return {
+    planning: plan?.model ? { provider: plan.provider, model: plan.model } : null,
+    answering: finalAnswer.model ? { provider: finalAnswer.provider, model: finalAnswer.model } : null
+  };
+}
+
+/**
+ * Describe how the question was routed, for the client
+ * @param {object} searchResults - Results from the search workflow
+ * @returns {object|null} { intent, route, reasons }
+ */
+function describeRouting(searchResults) {
+  const routing = searchResults.workflow?.steps?.routing;
+  if (!routing) {
+    return null;
+  }
+
+  return {
+    intent: routing.intent,
+    route: routing.route,
+    reasons: routing.reasons
+  };
+}
+
+/**
+ * Record a completed turn so later follow-up questions can build on it
+ * @param {object} conversation - The conversation (new ones are saved with their first turn)
+ * @param {string} message - The user's question
+ * @param {object} searchResults - Results from the search workflow
+ * @param {object} finalAnswer - The generated answer
+ */
+async function recordConversationTurn(conversation, message, searchResults, finalAnswer) {
+  // Apologies and cancelled answers would only confuse follow-up planning
+  if (finalAnswer.status !== 'completed') {
+    return;
+  }
+
+  const planning = searchResults.workflow?.steps?.planning;
+  const plan = planning?.originalPlan;
+
+  try {
+    await conversationStore.addTurn(conversation.id, {
+      question: message,
+      standaloneQuestion: planning?.standaloneQuestion,
+      entities: planning?.entities || null,
+      plan: plan ? {
+        planId: plan.planId,
+        subQuestions: plan.subQuestions,
+        researchFocus: plan.researchFocus,
+        status: plan.status
+      } : { subQuestions: planning?.subQuestions || [] },
+      // Keep the processed results without the raw provider payloads
+      results: (searchResults.results?.items || []).map(({ sourceData, ...item }) => item),
+      answer: finalAnswer.answer,
+      citations: finalAnswer.citations,
+      toolCalls: finalAnswer.toolCalls,
+      workflow: {
+        searchId: searchResults.workflow?.searchId,
+        answerId: finalAnswer.answerId,
+        duration: searchResults.workflow?.duration
+      }
+    }, { conversation });
+  } catch (error) {
+    console.error(`[CHAT] Failed to record turn for conversation ${conversation.id}:`, error.message);
+  }
+}
+
 // POST /api/chat - Main chat endpoint (now with AI planning)
 router.post('/', async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, conversationId, runId } = req.body;
     // Keep only: message received, workflow started, workflow completed, and errors
     console.log(`[CHAT] Received message from ${req.ip}`);
 
@@ -166,6 +269,26 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!isValidConversationId(conversationId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'conversationId must be a non-empty string when provided',
+      });
+    }
+
+    const runIdError = validateRunId(runId);
+    if (runIdError) {
+      return res.status(runIdError.status).json({
+        error: runIdError.error,
+        message: runIdError.message,
+      });
+    }
+
+    // Load prior turns so follow-up questions can be resolved
+    const conversation = await conversationStore.getOrCreateConversation(conversationId);
+    const history = await conversationStore.getHistory(conversation.id);
+    const run = startRequestRun(req, res, conversation.id);
+
     try {
       // Execute the full financial search workflow (Plan → Search → Answer)
       console.log(`[CHAT] Starting full financial search workflow for: "${message}"`);
@@ -176,20 +299,32 @@ router.post('/', async (req, res) => {
       }
       
       // Execute the complete search workflow
-      const searchResults = await financialSearchService.executeFinancialSearch(message);
+      const searchResults = await financialSearchService.executeFinancialSearch(message, { history, signal: run.signal });
       
       // Generate the final answer using the search results
       console.log(`[CHAT] Generating final answer based on search results...`);
-      const finalAnswer = await generateFinalAnswer(message, searchResults);
+      const finalAnswer = await generateFinalAnswer(message, searchResults, { history, signal: run.signal });
+      
+      await recordConversationTurn(conversation, message, searchResults, finalAnswer);
       
       const response = {
         id: `msg_${Date.now()}`,
+        runId: run.runId,
+        conversationId: conversation.id,
         originalQuestion: message,
+        standaloneQuestion: searchResults.workflow?.steps?.planning?.standaloneQuestion || message,
+        entities: searchResults.workflow?.steps?.planning?.entities || null,
         answer: finalAnswer.answer,
+        citations: finalAnswer.citations,
+        citationValidation: finalAnswer.citationValidation,
+        toolCalls: finalAnswer.toolCalls || [],
         searchResultsUsed: finalAnswer.searchResultsUsed,
+        planning: describePlanning(searchResults),
+        routing: describeRouting(searchResults),
+        models: describeModels(searchResults, finalAnswer),
         workflow: {
-          planId: searchResults.steps?.planning?.originalPlan?.planId,
-          searchId: searchResults.searchId,
+          planId: searchResults.workflow?.steps?.planning?.originalPlan?.planId,
+          searchId: searchResults.workflow?.searchId,
           answerId: finalAnswer.answerId
         },
         timestamp: new Date().toISOString(),
@@ -198,7 +333,8 @@ router.post('/', async (req, res) => {
 
       console.log(`[CHAT] Successfully completed full workflow from ${req.ip}:`, {
         responseId: response.id,
-        searchId: searchResults.searchId,
+        conversationId: conversation.id,
+        searchId: searchResults.workflow?.searchId,
         answerId: finalAnswer.answerId,
         searchResultsUsed: finalAnswer.searchResultsUsed
       });
@@ -206,11 +342,31 @@ router.post('/', async (req, res) => {
       res.json(response);
       
     } catch (workflowError) {
+      if (isAbortError(workflowError, run.signal)) {
+        console.log(`[CHAT] ⏹️  Run ${run.runId} cancelled for ${req.ip}`);
+        
+        // Nothing to send if the client itself went away
+        if (!res.writableEnded && !res.destroyed) {
+          res.json({
+            id: `msg_${Date.now()}`,
+            runId: run.runId,
+            conversationId: conversation.id,
+            originalQuestion: message,
+            reason: run.cancelReason,
+            timestamp: new Date().toISOString(),
+            status: 'cancelled',
+          });
+        }
+        return;
+      }
+      
       console.error(`[CHAT] Workflow error for ${req.ip}:`, workflowError.message);
       
       // Return a fallback response
       const fallbackResponse = {
         id: `msg_${Date.now()}`,
+        runId: run.runId,
+        conversationId: conversation.id,
         originalQuestion: message,
         answer: `I apologize, but I encountered an issue while researching your question: "${message}". This could be due to API limitations or temporary service issues. Please try again in a moment.`,
         error: workflowError.message,
@@ -219,6 +375,8 @@ router.post('/', async (req, res) => {
       };
       
       res.json(fallbackResponse);
+    } finally {
+      runRegistry.finishRun(run.runId);
     }
 
   } catch (error) {
@@ -230,10 +388,10 @@ router.post('/', async (req, res) => {
   }
 });
 
-// POST /api/chat/stream - Streaming chat endpoint with AI planning
+// POST /api/chat/stream - Streaming chat endpoint running the full Plan → Search → Answer workflow
 router.post('/stream', async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, conversationId, runId } = req.body;
     
     // Log incoming streaming request
     console.log(`[CHAT-STREAM] Received streaming request from ${req.ip}:`, {
@@ -251,6 +409,26 @@ router.post('/stream', async (req, res) => {
       });
     }
 
+    if (!isValidConversationId(conversationId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'conversationId must be a non-empty string when provided',
+      });
+    }
+
+    const runIdError = validateRunId(runId);
+    if (runIdError) {
+      return res.status(runIdError.status).json({
+        error: runIdError.error,
+        message: runIdError.message,
+      });
+    }
+
+    // Load prior turns so follow-up questions can be resolved
+    const conversation = await conversationStore.getOrCreateConversation(conversationId);
+    const history = await conversationStore.getHistory(conversation.id);
+    const run = startRequestRun(req, res, conversation.id);
+
     // Set SSE headers
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -260,39 +438,168 @@ router.post('/stream', async (req, res) => {
     
     // Keep connection alive
     res.status(200);
+    res.flushHeaders();
+
+    // Track client disconnects so we stop writing to a closed stream (the run itself is cancelled by startRequestRun)
+    let clientDisconnected = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientDisconnected = true;
+        console.log(`[CHAT-STREAM] Client ${req.ip} disconnected before the workflow finished`);
+      }
+    });
+
+    const sendEvent = (event, data, id = null) => {
+      if (clientDisconnected || res.writableEnded) {
+        return;
+      }
+      res.write(formatSSEMessage(event, data, id));
+      
+      // Push the event through the compression middleware immediately
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    };
 
     try {
-      console.log(`[CHAT-STREAM] Starting AI planning for message from ${req.ip}`);
+      console.log(`[CHAT-STREAM] Starting full financial search workflow for: "${message}"`);
       
-      // Generate research plan using Gemini
-      const researchPlan = await planFinancialResearch(message);
+      // Initialize the search service if needed
+      if (!financialSearchService.isInitialized) {
+        await financialSearchService.initialize();
+      }
       
-      console.log(`[CHAT-STREAM] Successfully generated plan for ${req.ip}:`, {
-        planId: researchPlan.planId,
-        subQuestionCount: researchPlan.subQuestions.length,
-        status: researchPlan.status
+      // Execute the complete search workflow, forwarding progress events to the client
+      const searchResults = await financialSearchService.executeFinancialSearch(message, {
+        history,
+        signal: run.signal,
+        onProgress: (event, data) => sendEvent(event, { ...data, runId: run.runId, conversationId: conversation.id })
       });
+
+      if (clientDisconnected) {
+        console.log(`[CHAT-STREAM] Skipping answer generation for disconnected client ${req.ip}`);
+        return;
+      }
       
-      // Stream the research plan
-      await streamResearchPlan(res, message, researchPlan);
+      // Stream the final answer
+      const messageId = `msg_${Date.now()}`;
+      sendEvent(WorkflowEvent.ANSWER_START, {
+        id: messageId,
+        timestamp: new Date().toISOString()
+      }, messageId);
+
+      const finalAnswer = await streamFinalAnswer(message, searchResults, (chunk) => {
+        if (chunk.isComplete || !chunk.chunk) {
+          return;
+        }
+        sendEvent(WorkflowEvent.ANSWER_CHUNK, {
+          id: messageId,
+          text: chunk.chunk,
+          timestamp: chunk.timestamp
+        }, messageId);
+      }, {
+        signal: run.signal,
+        history,
+        onToolCall: (toolCall) => sendEvent(WorkflowEvent.TOOL_CALL, { id: messageId, ...toolCall }, messageId)
+      });
+
+      await recordConversationTurn(conversation, message, searchResults, finalAnswer);
+
+      if (clientDisconnected) {
+        console.log(`[CHAT-STREAM] Answer generation cancelled for disconnected client ${req.ip}`);
+        return;
+      }
+
+      // Cancelled while the answer was streaming: keep the partial answer on the client
+      if (finalAnswer.status === 'cancelled') {
+        sendEvent(WorkflowEvent.WORKFLOW_CANCELLED, {
+          id: messageId,
+          runId: run.runId,
+          conversationId: conversation.id,
+          reason: run.cancelReason,
+          partialAnswer: finalAnswer.answer,
+          timestamp: new Date().toISOString()
+        }, messageId);
+        res.end();
+        return;
+      }
+
+      sendEvent(WorkflowEvent.ANSWER_END, {
+        id: messageId,
+        complete: true,
+        answerId: finalAnswer.answerId,
+        finishReason: finalAnswer.finishReason,
+        usage: finalAnswer.usage,
+        timestamp: new Date().toISOString()
+      }, messageId);
+
+      sendEvent(WorkflowEvent.WORKFLOW_COMPLETE, {
+        id: messageId,
+        runId: run.runId,
+        conversationId: conversation.id,
+        originalQuestion: message,
+        standaloneQuestion: searchResults.workflow?.steps?.planning?.standaloneQuestion || message,
+        entities: searchResults.workflow?.steps?.planning?.entities || null,
+        answer: finalAnswer.answer,
+        citations: finalAnswer.citations,
+        citationValidation: finalAnswer.citationValidation,
+        toolCalls: finalAnswer.toolCalls || [],
+        searchResultsUsed: finalAnswer.searchResultsUsed,
+        planning: describePlanning(searchResults),
+        routing: describeRouting(searchResults),
+        models: describeModels(searchResults, finalAnswer),
+        workflow: {
+          planId: searchResults.workflow?.steps?.planning?.originalPlan?.planId,
+          searchId: searchResults.workflow?.searchId,
+          answerId: finalAnswer.answerId,
+          duration: searchResults.workflow?.duration
+        },
+        status: finalAnswer.status === 'completed' ? 'success' : finalAnswer.status,
+        timestamp: new Date().toISOString()
+      }, messageId);
+      
+      console.log(`[CHAT-STREAM] Successfully completed full workflow for ${req.ip}:`, {
+        responseId: messageId,
+        conversationId: conversation.id,
+        searchId: searchResults.workflow?.searchId,
+        answerId: finalAnswer.answerId,
+        searchResultsUsed: finalAnswer.searchResultsUsed
+      });
+
+      res.end();
       
-      console.log(`[CHAT-STREAM] Completed streaming research plan for ${req.ip}`);
+    } catch (workflowError) {
+      if (isAbortError(workflowError, run.signal)) {
+        console.log(`[CHAT-STREAM] ⏹️  Run ${run.runId} cancelled for ${req.ip}`);
+        sendEvent(WorkflowEvent.WORKFLOW_CANCELLED, {
+          runId: run.runId,
+          conversationId: conversation.id,
+          reason: run.cancelReason,
+          timestamp: new Date().toISOString()
+        });
+        if (!res.writableEnded) {
+          res.end();
+        }
+        return;
+      }
       
-    } catch (planningError) {
-      console.error(`[CHAT-STREAM] Planning error for ${req.ip}:`, planningError.message);
+      console.error(`[CHAT-STREAM] Workflow error for ${req.ip}:`, workflowError.message);
       
       // Stream fallback message
-      const fallbackMessage = `I received your question: "${message}"\n\nUnfortunately, I encountered an issue generating a research plan: ${planningError.message}\n\nThis could be due to:\n- Missing or invalid Google API key\n- Network connectivity issues\n- API rate limiting\n\nPlease check your configuration and try again.`;
+      const fallbackMessage = `I apologize, but I encountered an issue while researching your question: "${message}". This could be due to API limitations or temporary service issues. Please try again in a moment.`;
       
       // Send error event
-      res.write(formatSSEMessage('planning_error', {
-        error: planningError.message,
-        message: 'Failed to generate research plan',
+      sendEvent(WorkflowEvent.ERROR, {
+        error: 'Workflow Error',
+        message: workflowError.message,
         timestamp: new Date().toISOString()
-      }));
+      });
       
-      // Stream fallback message
-      await streamMessageInChunks(res, fallbackMessage, 20, 80);
+      if (!clientDisconnected) {
+        await streamMessageInChunks(res, fallbackMessage, 20, 80);
+      }
+    } finally {
+      runRegistry.finishRun(run.runId);
     }
     
   } catch (error) {
@@ -304,7 +611,7 @@ router.post('/stream', async (req, res) => {
         error: 'Internal Server Error',
         message: 'An error occurred while processing your streaming request',
       });
-    } else {
+    } else if (!res.writableEnded) {
       // If we're already streaming, send error as SSE event
       res.write(formatSSEMessage('error', {
         error: 'Internal Server Error',
@@ -316,6 +623,33 @@ router.post('/stream', async (req, res) => {
   }
 });
 
+// GET /api/chat/runs - List in-flight research runs
+router.get('/runs', (req, res) => {
+  const runs = runRegistry.getActiveRuns();
+  res.json({
+    total: runs.length,
+    runs: runs
+  });
+});
+
+// DELETE /api/chat/runs/:id - Cancel an in-flight research run
+router.delete('/runs/:id', (req, res) => {
+  const cancelled = runRegistry.cancelRun(req.params.id, 'Cancelled by client request');
+
+  if (!cancelled) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No active run ${req.params.id}`,
+    });
+  }
+
+  res.json({
+    runId: req.params.id,
+    status: 'cancelled',
+    timestamp: new Date().toISOString()
+  });
+});
+
 // GET /api/chat/status - Chat service status
 router.get('/status', async (req, res) => {
   try {
@@ -330,9 +664,15 @@ router.get('/status', async (req, res) => {
         aiPlanning: searchServiceStatus.config.enablePlanning,
         searchIntegration: searchServiceStatus.config.enableSearch,
         resultsProcessing: searchServiceStatus.config.enableResultsProcessing,
-        perplexitySearch: true,
-        firecrawlExtraction: true
+        resultCaching: searchServiceStatus.config.enableCaching,
+        perplexitySearch: providerRegistry.isEnabled('perplexity'),
+        firecrawlExtraction: providerRegistry.isEnabled('firecrawl'),
+        mockProviders: isMockMode(),
+        cassetteMode: mockConfig.cassetteMode
       },
+      searchProviders: providerRegistry.getMetadata(),
+      models: modelProviderRegistry.getMetadata(),
+      cache: await resultCache.getCacheStats(),
       searchService: {
         initialized: searchServiceStatus.initialized,
         config: searchServiceStatus.config
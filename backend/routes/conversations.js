@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+
+// Import the conversation store
+const { conversationStore } = require('../services/conversation/conversationStore');
+
+// Maximum length of a conversation title
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Validate an optional conversation title
+ * @param {*} title - Value from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTitle(title) {
+  if (typeof title !== 'string' || title.trim().length === 0) {
+    return 'Title must be a non-empty string';
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return `Title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Flatten stored turns into chat messages the frontend can render directly
+ * @param {object} conversation - Stored conversation
+ * @returns {Array} Alternating user and bot messages
+ */
+function toMessages(conversation) {
+  return conversation.turns.flatMap(turn => [
+    {
+      id: `${turn.turnId}_question`,
+      sender: 'user',
+      text: turn.question,
+      timestamp: turn.timestamp
+    },
+    {
+      id: `${turn.turnId}_answer`,
+      sender: 'bot',
+      text: turn.answer,
+      timestamp: turn.timestamp,
+      metadata: {
+        citations: turn.citations,
+        searchResultsUsed: turn.results.length,
+        workflow: turn.workflow
+      }
+    }
+  ]);
+}
+
+// POST /api/conversations - Create a conversation
+router.post('/', async (req, res) => {
+  try {
+    const { title } = req.body || {};
+
+    if (title !== undefined) {
+      const titleError = validateTitle(title);
+      if (titleError) {
+        return res.status(400).json({ error: 'Bad Request', message: titleError });
+      }
+    }
+
+    const conversation = await conversationStore.createConversation({ title });
+    res.status(201).json(conversationStore.summarize(conversation));
+
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error creating conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while creating the conversation',
+    });
+  }
+});
+
+// GET /api/conversations - List conversations
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await conversationStore.listConversations();
+    res.json({
+      total: conversations.length,
+      conversations: conversations
+    });
+
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error listing conversations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while listing conversations',
+    });
+  }
+});
+
+// GET /api/conversations/:id - Get a conversation with its turns and messages
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await conversationStore.getConversation(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Conversation ${req.params.id} not found`,
+      });
+    }
+
+    res.json({
+      ...conversationStore.summarize(conversation),
+      turns: conversation.turns,
+      messages: toMessages(conversation)
+    });
+
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error getting conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while loading the conversation',
+    });
+  }
+});
+
+// PATCH /api/conversations/:id - Rename a conversation
+router.patch('/:id', async (req, res) => {
+  try {
+    const { title } = req.body || {};
+    const titleError = validateTitle(title);
+
+    if (titleError) {
+      return res.status(400).json({ error: 'Bad Request', message: titleError });
+    }
+
+    const conversation = await conversationStore.renameConversation(req.params.id, title);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Conversation ${req.params.id} not found`,
+      });
+    }
+
+    res.json(conversationStore.summarize(conversation));
+
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error renaming conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while renaming the conversation',
+    });
+  }
+});
+
+// DELETE /api/conversations/:id - Delete a conversation
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await conversationStore.deleteConversation(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Conversation ${req.params.id} not found`,
+      });
+    }
+
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error deleting conversation:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting the conversation',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+/**
+ * Base Cache Store
+ *
+ * Shared behaviour for result cache stores. Concrete stores only implement
+ * the persistence primitives (loadEntry, saveEntry, removeEntry,
+ * removeAllEntries, loadAllEntries); expiry and statistics live here so
+ * every backend behaves the same.
+ */
+
+class BaseCacheStore {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // --- Persistence primitives (implemented by subclasses) ---
+
+  async loadEntry(key) {
+    throw new Error(`${this.constructor.name} must implement loadEntry(${key})`);
+  }
+
+  async saveEntry(entry) {
+    throw new Error(`${this.constructor.name} must implement saveEntry(${entry?.key})`);
+  }
+
+  async removeEntry(key) {
+    throw new Error(`${this.constructor.name} must implement removeEntry(${key})`);
+  }
+
+  async removeAllEntries() {
+    throw new Error(`${this.constructor.name} must implement removeAllEntries()`);
+  }
+
+  async loadAllEntries() {
+    throw new Error(`${this.constructor.name} must implement loadAllEntries()`);
+  }
+
+  // --- Public API ---
+
+  /**
+   * Whether an entry has outlived its TTL
+   */
+  isExpired(entry, now = Date.now()) {
+    return entry.expiresAt <= now;
+  }
+
+  /**
+   * Get a live entry; expired entries are removed
+   * @returns {Promise<Object|null>} { key, service, dataType, value, storedAt, expiresAt }
+   */
+  async get(key) {
+    const entry = await this.loadEntry(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      await this.removeEntry(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Store a value for `ttl` seconds
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - { ttl, service, dataType }
+   */
+  async set(key, value, options = {}) {
+    const storedAt = Date.now();
+    const entry = {
+      key,
+      service: options.service || null,
+      dataType: options.dataType || null,
+      value,
+      storedAt,
+      expiresAt: storedAt + options.ttl * 1000
+    };
+
+    await this.saveEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    await this.removeAllEntries();
+  }
+
+  /**
+   * Count entries, in total and per data type
+   * @returns {Promise<Object>} { totalEntries, validEntries, expiredEntries, byDataType, sizeBytes }
+   */
+  async getStats() {
+    const entries = await this.loadAllEntries();
+    const now = Date.now();
+    const live = entries.filter(entry => !this.isExpired(entry, now));
+
+    return {
+      totalEntries: entries.length,
+      validEntries: live.length,
+      expiredEntries: entries.length - live.length,
+      byDataType: live.reduce((counts, entry) => {
+        counts[entry.dataType] = (counts[entry.dataType] || 0) + 1;
+        return counts;
+      }, {}),
+      sizeBytes: entries.reduce((size, entry) => size + Buffer.byteLength(JSON.stringify(entry)), 0)
+    };
+  }
+}
+
+module.exports = {
+  BaseCacheStore
+};
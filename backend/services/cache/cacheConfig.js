@@ -0,0 +1,111 @@
+/**
+ * Result Cache Configuration Module
+ *
+ * Handles environment variable loading for the cache in front of the
+ * planner, Perplexity and Firecrawl (see resultCache.js). Entries expire
+ * after a time-to-live chosen by the kind of data they hold: live prices
+ * go stale within minutes, filings and definitions change rarely.
+ *
+ * Optional Environment Variables:
+ * - CACHE_ENABLED: Cache planner, Perplexity and Firecrawl results, `true` or `false`
+ *   (default: true, false with MOCK_PROVIDERS or a CASSETTE_MODE so every request reaches the stand-ins)
+ * - CACHE_STORE: Storage backend, `memory` or `file` (default: memory)
+ * - CACHE_DIR: Directory used by the file store (default: backend/data/cache)
+ * - CACHE_MAX_ENTRIES: Entries kept before the least recently used are evicted (default: 1000)
+ * - CACHE_TTL_LIVE: Seconds live prices and quotes are kept (default: 60)
+ * - CACHE_TTL_RESEARCH: Seconds general research results are kept (default: 3600)
+ * - CACHE_TTL_FILING: Seconds filing and annual report results are kept (default: 86400)
+ * - CACHE_TTL_DEFINITION: Seconds definitions are kept (default: 604800)
+ * - CACHE_TTL_PLAN: Seconds research plans are kept (default: 86400)
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { config: mockConfig } = require('../mocks/mockConfig');
+
+const SUPPORTED_STORES = ['memory', 'file'];
+
+// Longest TTL accepted for any data type (30 days)
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Read a TTL in seconds, keeping 0 (never cache) as a valid value
+ */
+function readTtl(name, defaultSeconds) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultSeconds : value;
+}
+
+const offline = mockConfig.enabled || mockConfig.cassetteMode !== 'off';
+
+// Configuration object with defaults
+const config = {
+  enabled: process.env.CACHE_ENABLED
+    ? process.env.CACHE_ENABLED.toLowerCase() === 'true'
+    : !offline,
+  store: (process.env.CACHE_STORE || 'memory').toLowerCase(),
+  storeDir: process.env.CACHE_DIR || path.join(__dirname, '..', '..', 'data', 'cache'),
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  ttl: {
+    live: readTtl('CACHE_TTL_LIVE', 60),
+    research: readTtl('CACHE_TTL_RESEARCH', 3600),
+    filing: readTtl('CACHE_TTL_FILING', 86400),
+    definition: readTtl('CACHE_TTL_DEFINITION', 604800),
+    plan: readTtl('CACHE_TTL_PLAN', 86400)
+  },
+};
+
+/**
+ * Validates the result cache configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateCacheConfig() {
+  const errors = [];
+
+  if (!SUPPORTED_STORES.includes(config.store)) {
+    errors.push(`CACHE_STORE must be one of: ${SUPPORTED_STORES.join(', ')}`);
+  }
+
+  if (config.maxEntries < 1) {
+    errors.push('CACHE_MAX_ENTRIES must be at least 1');
+  }
+
+  Object.entries(config.ttl).forEach(([dataType, seconds]) => {
+    if (seconds < 0 || seconds > MAX_TTL_SECONDS) {
+      errors.push(`CACHE_TTL_${dataType.toUpperCase()} must be between 0 and ${MAX_TTL_SECONDS} seconds`);
+    }
+  });
+
+  // A cassette has to see every request to record or replay it
+  if (config.enabled && mockConfig.cassetteMode !== 'off') {
+    errors.push('CACHE_ENABLED=true cannot be used with CASSETTE_MODE');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated result cache configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getCacheConfig() {
+  const validation = validateCacheConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Result cache configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateCacheConfig,
+  getCacheConfig
+};
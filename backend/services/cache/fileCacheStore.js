@@ -0,0 +1,117 @@
+/**
+ * File Cache Store
+ *
+ * Persists each entry as a JSON file in `storeDir`, named by a hash of its
+ * key, so cached results survive server restarts. The oldest files are
+ * removed once `maxEntries` is reached.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { BaseCacheStore } = require('./baseCacheStore');
+
+class FileCacheStore extends BaseCacheStore {
+  constructor(config) {
+    super(config);
+    this.storeDir = path.resolve(config.storeDir);
+  }
+
+  /**
+   * Resolve the file backing a key (hashed, so any key maps to a safe file name)
+   */
+  getFilePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.storeDir, `${hash}.json`);
+  }
+
+  /**
+   * Names of the entry files, or an empty list before the first write
+   */
+  async listFiles() {
+    try {
+      const files = await fs.readdir(this.storeDir);
+      return files.filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async readFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[CACHE] ⚠️  Ignoring unreadable cache file ${path.basename(filePath)}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async loadEntry(key) {
+    const entry = await this.readFile(this.getFilePath(key));
+    // A hash collision or a hand-edited file must not answer for another key
+    return entry && entry.key === key ? entry : null;
+  }
+
+  async saveEntry(entry) {
+    await fs.mkdir(this.storeDir, { recursive: true });
+
+    const filePath = this.getFilePath(entry.key);
+    const tempPath = `${filePath}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+    await fs.rename(tempPath, filePath);
+
+    await this.evictOldest();
+  }
+
+  async removeEntry(key) {
+    try {
+      await fs.unlink(this.getFilePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async removeAllEntries() {
+    const files = await this.listFiles();
+    await Promise.all(files.map(file => fs.unlink(path.join(this.storeDir, file)).catch(() => {})));
+  }
+
+  async loadAllEntries() {
+    const files = await this.listFiles();
+    const entries = await Promise.all(files.map(file => this.readFile(path.join(this.storeDir, file))));
+    return entries.filter(Boolean);
+  }
+
+  /**
+   * Remove the least recently written files beyond the configured limit
+   */
+  async evictOldest() {
+    const files = await this.listFiles();
+    if (files.length <= this.config.maxEntries) {
+      return;
+    }
+
+    const stats = await Promise.all(files.map(async file => {
+      const stat = await fs.stat(path.join(this.storeDir, file)).catch(() => null);
+      return { file, modified: stat ? stat.mtimeMs : 0 };
+    }));
+
+    const excess = stats
+      .sort((a, b) => a.modified - b.modified)
+      .slice(0, files.length - this.config.maxEntries);
+    await Promise.all(excess.map(({ file }) => fs.unlink(path.join(this.storeDir, file)).catch(() => {})));
+  }
+}
+
+module.exports = {
+  FileCacheStore
+};
@@ -0,0 +1,60 @@
+/**
+ * In-Memory Cache Store
+ *
+ * Keeps entries in a Map for the lifetime of the process; the least recently
+ * used entries are evicted once `maxEntries` is reached. Entries are copied
+ * in and out, like the file store's, so callers cannot change cached values.
+ */
+
+const { BaseCacheStore } = require('./baseCacheStore');
+
+class MemoryCacheStore extends BaseCacheStore {
+  constructor(config) {
+    super(config);
+    this.entries = new Map();
+  }
+
+  async loadEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    // Refresh insertion order so eviction removes the least recently used entry
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return JSON.parse(JSON.stringify(entry));
+  }
+
+  async saveEntry(entry) {
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, JSON.parse(JSON.stringify(entry)));
+    this.evictOldest();
+  }
+
+  async removeEntry(key) {
+    return this.entries.delete(key);
+  }
+
+  async removeAllEntries() {
+    this.entries.clear();
+  }
+
+  async loadAllEntries() {
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Drop the least recently used entries beyond the configured limit
+   */
+  evictOldest() {
+    while (this.entries.size > this.config.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+}
+
+module.exports = {
+  MemoryCacheStore
+};
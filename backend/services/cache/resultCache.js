@@ -0,0 +1,273 @@
+/**
+ * Result Cache
+ *
+ * Caches the responses of the planner, Perplexity and Firecrawl (searches
+ * and pages) so asking the same question again does not repeat the API
+ * calls. Keys are the normalized question or query (case, spacing and
+ * trailing punctuation are ignored) or the normalized URL. Each entry gets the TTL of its data type
+ * (see cacheConfig.js): a question about a live price is cached for about a
+ * minute, one about a filing for a day. Only successful responses are cached.
+ *
+ * The backing store is pluggable (see storeImplementations) and selected with
+ * CACHE_STORE. A CacheUsage passed down a workflow counts its hits and misses
+ * for `workflow.steps.caching`.
+ */
+
+const { getCacheConfig } = require('./cacheConfig');
+const { MemoryCacheStore } = require('./memoryCacheStore');
+const { FileCacheStore } = require('./fileCacheStore');
+const { extractDefinitionTerm } = require('../routing/questionClassifier');
+const { entityRecognizer } = require('../entities/entityRecognizer');
+
+/**
+ * Kinds of cached data, each with its own TTL
+ */
+const DataType = {
+  LIVE: 'live',
+  RESEARCH: 'research',
+  FILING: 'filing',
+  DEFINITION: 'definition',
+  PLAN: 'plan'
+};
+
+/**
+ * Services whose responses are cached
+ */
+const CacheService = {
+  PLANNING: 'planning',
+  PERPLEXITY: 'perplexity',
+  DISCOVERY: 'discovery',
+  FIRECRAWL: 'firecrawl'
+};
+
+/**
+ * Available cache store implementations, keyed by CACHE_STORE value
+ */
+const storeImplementations = {
+  memory: MemoryCacheStore,
+  file: FileCacheStore
+};
+
+const FILING_PATTERN = /\b(?:10-?k|10-?q|8-?k|20-?f|s-1|def\s*14a|proxy\s+statements?|annual\s+reports?|quarterly\s+reports?|filings?|filed|edgar)\b/i;
+const TIMELY_PATTERN = /\b(?:current(?:ly)?|latest|today|now|intraday|real[-\s]?time|live)\b/i;
+const PRICE_PATTERN = /\b(?:prices?|quotes?|trading\s+at|market\s+cap(?:italization)?|p\/e|pe\s+ratio|dividend\s+yield)\b/i;
+
+/**
+ * Normalize a question or query for use as a key
+ */
+function normalizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[?.!\s]+$/, '');
+}
+
+/**
+ * Normalize a URL for use as a key (host case, fragment and parameter order are ignored)
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch {
+    return String(url || '').trim();
+  }
+}
+
+/**
+ * Data type of a question or query
+ * @param {string} text - Question or search query
+ * @returns {string} One of the DataType values (never PLAN)
+ */
+function classifyDataType(text) {
+  const query = String(text || '');
+
+  if (FILING_PATTERN.test(query)) {
+    return DataType.FILING;
+  }
+
+  // "What is a P/E ratio?" is a definition, "What is Apple's P/E ratio?" is live data
+  if (extractDefinitionTerm(query) && !TIMELY_PATTERN.test(query) && entityRecognizer.recognize(query).count === 0) {
+    return DataType.DEFINITION;
+  }
+
+  if (TIMELY_PATTERN.test(query) || PRICE_PATTERN.test(query)) {
+    return DataType.LIVE;
+  }
+  return DataType.RESEARCH;
+}
+
+/**
+ * Data type of a scraped page: known page types first, then the query it was scraped for
+ */
+function classifyUrl(url, query) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return classifyDataType(query);
+  }
+
+  if (/(^|\.)sec\.gov$/i.test(parsed.hostname)) {
+    return DataType.FILING;
+  }
+  if (/\/quotes?\//i.test(parsed.pathname)) {
+    return DataType.LIVE;
+  }
+  if (/(^|\.)investopedia\.com$/i.test(parsed.hostname) && parsed.pathname.startsWith('/terms/')) {
+    return DataType.DEFINITION;
+  }
+  return classifyDataType(query);
+}
+
+/**
+ * Cache hits and misses of one workflow run, per service
+ */
+class CacheUsage {
+  /**
+   * @param {boolean} enabled - False makes the run bypass the cache
+   */
+  constructor(enabled = true) {
+    this.enabled = enabled;
+    this.byService = {};
+  }
+
+  record(service, hit) {
+    const counts = this.byService[service] || (this.byService[service] = { hits: 0, misses: 0 });
+    counts[hit ? 'hits' : 'misses']++;
+  }
+
+  /**
+   * Summary for `workflow.steps.caching`
+   */
+  summarize() {
+    const totals = Object.values(this.byService);
+    return {
+      enabled: this.enabled,
+      hits: totals.reduce((sum, counts) => sum + counts.hits, 0),
+      misses: totals.reduce((sum, counts) => sum + counts.misses, 0),
+      byService: this.byService
+    };
+  }
+}
+
+class ResultCache {
+  /**
+   * @param {Object} config - Cache configuration (see cacheConfig.js)
+   */
+  constructor(config = getCacheConfig()) {
+    this.config = config;
+    this.store = new storeImplementations[config.store](config);
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Start counting the cache use of a workflow run
+   * @param {boolean} enabled - False makes the run bypass the cache
+   */
+  createUsage(enabled = true) {
+    return new CacheUsage(this.isEnabled() && enabled);
+  }
+
+  /**
+   * TTL of a data type in seconds
+   */
+  getTtl(dataType) {
+    return this.config.ttl[dataType] ?? this.config.ttl[DataType.RESEARCH];
+  }
+
+  /**
+   * Return the cached value for a key, or fetch and cache it
+   * @param {string} service - One of the CacheService values
+   * @param {string} key - Normalized query or URL (see normalizeQuery / normalizeUrl)
+   * @param {Function} fetch - Makes the real request; resolves to a JSON-serializable value
+   * @param {Object} options - `dataType` picks the TTL, `usage` is the run's CacheUsage,
+   *   `shouldCache(value)` rejects values that must not be cached (e.g. failures)
+   * @returns {Promise<Object>} { value, fromCache, cachedAt, dataType }
+   */
+  async getOrFetch(service, key, fetch, options = {}) {
+    const { dataType = DataType.RESEARCH, usage = null, shouldCache = () => true } = options;
+    const ttl = this.getTtl(dataType);
+
+    if (!this.isEnabled() || usage?.enabled === false || ttl === 0) {
+      return { value: await fetch(), fromCache: false, cachedAt: null, dataType };
+    }
+
+    const cacheKey = `${service}:${key}`;
+    let entry = null;
+    try {
+      entry = await this.store.get(cacheKey);
+    } catch (error) {
+      console.warn(`[CACHE] ⚠️  Lookup failed, fetching instead: ${error.message}`);
+    }
+
+    if (entry) {
+      this.hits++;
+      usage?.record(service, true);
+      console.log(`[CACHE] ✅ ${service} hit (${entry.dataType}): ${key.substring(0, 80)}`);
+      return { value: entry.value, fromCache: true, cachedAt: new Date(entry.storedAt).toISOString(), dataType: entry.dataType };
+    }
+
+    this.misses++;
+    usage?.record(service, false);
+    const value = await fetch();
+
+    if (shouldCache(value)) {
+      try {
+        await this.store.set(cacheKey, value, { ttl, service, dataType });
+      } catch (error) {
+        console.warn(`[CACHE] ⚠️  Could not store ${service} result: ${error.message}`);
+      }
+    }
+    return { value, fromCache: false, cachedAt: null, dataType };
+  }
+
+  /**
+   * Remove every cached result
+   */
+  async clearCache() {
+    await this.store.clear();
+    this.hits = 0;
+    this.misses = 0;
+    console.log('[CACHE] Cache cleared');
+  }
+
+  /**
+   * Describe the cache for status endpoints
+   */
+  async getCacheStats() {
+    return {
+      enabled: this.isEnabled(),
+      store: this.config.store,
+      maxSize: this.config.maxEntries,
+      ttl: this.config.ttl,
+      hits: this.hits,
+      misses: this.misses,
+      ...await this.store.getStats()
+    };
+  }
+}
+
+// Create singleton instance
+const resultCache = new ResultCache();
+
+module.exports = {
+  ResultCache,
+  CacheUsage,
+  DataType,
+  CacheService,
+  storeImplementations,
+  resultCache,
+  normalizeQuery,
+  normalizeUrl,
+  classifyDataType,
+  classifyUrl
+};
@@ -0,0 +1,151 @@
+/**
+ * Test file for the result cache
+ *
+ * Covers key normalization, data type TTLs, both stores and a repeated
+ * question answered from the cache. Uses MOCK_PROVIDERS, so no API keys or
+ * network access are needed.
+ * Run with: node services/cache/test-cache.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.CACHE_ENABLED = 'true';
+process.env.CACHE_STORE = 'memory';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ResultCache, DataType, CacheService, resultCache, normalizeQuery, normalizeUrl, classifyDataType, classifyUrl
+} = require('./resultCache');
+const { MemoryCacheStore } = require('./memoryCacheStore');
+const { FileCacheStore } = require('./fileCacheStore');
+const { config: cacheConfig } = require('./cacheConfig');
+const { financialSearchService } = require('../search/index');
+
+const QUESTION = "What is Apple's P/E ratio?";
+
+async function runCacheTests() {
+  console.log('🗄️  Starting Result Cache Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-'));
+
+  try {
+    // Test 1: Keys
+    check('Queries ignore case, spacing and trailing punctuation',
+      normalizeQuery('  What is  Apple\'s P/E ratio?? ') === normalizeQuery(QUESTION.toLowerCase()));
+    check('URLs ignore host case, fragments and parameter order',
+      normalizeUrl('https://Finance.Yahoo.com/quote/AAPL?b=2&a=1#stats') === normalizeUrl('https://finance.yahoo.com/quote/AAPL?a=1&b=2'));
+
+    // Test 2: Data types
+    const types = {
+      live: classifyDataType("What is Apple's current share price?"),
+      entityRatio: classifyDataType(QUESTION),
+      filing: classifyDataType('Risk factors in Tesla\'s latest 10-K'),
+      definition: classifyDataType('What is a P/E ratio?'),
+      research: classifyDataType('How did Tesla margins change over the past two years?')
+    };
+    check('Questions are classified by the data they need', types.live === DataType.LIVE &&
+      types.entityRatio === DataType.LIVE && types.filing === DataType.FILING &&
+      types.definition === DataType.DEFINITION && types.research === DataType.RESEARCH, types);
+    check('Known pages are classified by URL', classifyUrl('https://www.sec.gov/cgi-bin/browse-edgar?CIK=AAPL', 'apple') === DataType.FILING &&
+      classifyUrl('https://www.investopedia.com/terms/p/price-earningsratio.asp', 'apple') === DataType.DEFINITION &&
+      classifyUrl('https://finance.yahoo.com/search?p=EBITDA%20margins', 'EBITDA margins') === DataType.RESEARCH);
+    check('Live data expires before filings and definitions', cacheConfig.ttl.live < cacheConfig.ttl.filing &&
+      cacheConfig.ttl.filing <= cacheConfig.ttl.definition);
+
+    // Test 3: Stores
+    const memory = new MemoryCacheStore({ maxEntries: 2 });
+    await memory.set('a', { n: 1 }, { ttl: 60 });
+    await memory.set('expired', { n: 2 }, { ttl: -1 });
+    await memory.set('b', { n: 3 }, { ttl: 60 });
+    const copy = await memory.get('b');
+    copy.value.n = 99;
+    check('Memory store evicts the least recently used entry', await memory.get('a') === null && (await memory.get('b')).value.n === 3);
+    await memory.set('expired', { n: 2 }, { ttl: -1 });
+    check('Expired entries are not returned', await memory.get('expired') === null);
+
+    const fileStore = new FileCacheStore({ storeDir: dir, maxEntries: 10 });
+    await fileStore.set('perplexity:../../etc/passwd', { content: 'saved' }, { ttl: 60, dataType: DataType.RESEARCH });
+    const reopened = new FileCacheStore({ storeDir: dir, maxEntries: 10 });
+    const saved = await reopened.get('perplexity:../../etc/passwd');
+    check('File store persists entries under hashed names', saved?.value.content === 'saved' &&
+      fs.readdirSync(dir).every(file => /^[0-9a-f]{64}\.json$/.test(file)), fs.readdirSync(dir));
+    const fileStats = await reopened.getStats();
+    await reopened.clear();
+    check('File store reports and clears its entries', fileStats.validEntries === 1 &&
+      fileStats.byDataType.research === 1 && fs.readdirSync(dir).length === 0, fileStats);
+
+    // Test 4: getOrFetch
+    const cache = new ResultCache({ ...cacheConfig, enabled: true, store: 'memory' });
+    let fetches = 0;
+    const fetch = async () => `answer ${++fetches}`;
+    const usage = cache.createUsage();
+    const first = await cache.getOrFetch(CacheService.PERPLEXITY, 'q', fetch, { usage });
+    const second = await cache.getOrFetch(CacheService.PERPLEXITY, 'q', fetch, { usage });
+    check('Repeated requests are answered from the cache', fetches === 1 && !first.fromCache &&
+      second.fromCache && second.value === 'answer 1' && !!second.cachedAt);
+    check('Usage counts hits and misses per service', JSON.stringify(usage.summarize().byService) ===
+      JSON.stringify({ perplexity: { hits: 1, misses: 1 } }), usage.summarize());
+
+    await cache.getOrFetch(CacheService.FIRECRAWL, 'u', async () => ({ success: false }), { shouldCache: page => page.success });
+    const failure = await cache.getOrFetch(CacheService.PERPLEXITY, 'broken', async () => {
+      throw new Error('Rate limited');
+    }).catch(error => error);
+    const stats = await cache.getCacheStats();
+    check('Failures are not cached', stats.totalEntries === 1 && failure.message === 'Rate limited', stats);
+
+    const bypass = await cache.getOrFetch(CacheService.PERPLEXITY, 'q', fetch, { usage: cache.createUsage(false) });
+    check('Runs can bypass the cache', !bypass.fromCache && bypass.value === 'answer 2');
+
+    const noLiveCache = new ResultCache({ ...cacheConfig, enabled: true, store: 'memory', ttl: { ...cacheConfig.ttl, live: 0 } });
+    await noLiveCache.getOrFetch(CacheService.PERPLEXITY, 'price', fetch, { dataType: DataType.LIVE });
+    check('A TTL of 0 turns caching off for that data type', (await noLiveCache.getCacheStats()).totalEntries === 0);
+
+    // Test 5: Asking the same question twice
+    await resultCache.clearCache();
+    const options = { providers: ['perplexity', 'firecrawl'] };
+    const fresh = await financialSearchService.executeFinancialSearch(QUESTION, options);
+    const repeated = await financialSearchService.executeFinancialSearch(QUESTION, options);
+    const freshCaching = fresh.workflow.steps.caching;
+    const repeatedCaching = repeated.workflow.steps.caching;
+    check('The first run misses the cache', freshCaching?.hits === 0 && freshCaching.misses > 0, freshCaching);
+    check('The repeated run is answered from the cache', repeatedCaching?.misses === 0 &&
+      repeatedCaching.hits === freshCaching.misses, repeatedCaching);
+
+    const plan = repeated.workflow.steps.planning.originalPlan;
+    check('Cached plans keep a reference to the original plan', plan.fromCache === true &&
+      plan.originalPlanId === fresh.workflow.steps.planning.originalPlan.planId && plan.planId !== plan.originalPlanId);
+    check('Cached results match the fresh ones', repeated.results.total === fresh.results.total &&
+      repeated.results.total > 0);
+
+    const uncached = await financialSearchService.executeFinancialSearch(QUESTION, { ...options, enableCaching: false });
+    check('enableCaching: false skips the cache', uncached.workflow.steps.caching.enabled === false &&
+      uncached.workflow.steps.caching.hits === 0);
+
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n🎉 Result cache tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runCacheTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runCacheTests };
@@ -0,0 +1,385 @@
+/**
+ * Context Builder
+ *
+ * Chooses the passages of the search results that go into the answering
+ * prompt. When the results fit CONTEXT_TOKEN_BUDGET they are used whole;
+ * otherwise each document is split into chunks of about CONTEXT_CHUNK_TOKENS
+ * at paragraph, line and sentence boundaries, every chunk is scored against
+ * the question and the plan's search sub-questions, and the best chunks fill
+ * the budget. Chunks are scored by keywords (BM25) and, when an embedding
+ * model is configured, by meaning (cosine similarity); see contextConfig.js.
+ *
+ * Every chunk keeps the number of the search result it came from, so the
+ * citation markers of the answer still resolve to the right source.
+ *
+ * Context: { sources: [{ number, resultId, title, url, provider, computed, relevanceScore,
+ *                        chunks: [{ position, text, tokens, score }] }],
+ *            stats: { budget, totalTokens, usedTokens, trimmed, chunks, selectedChunks, sources,
+ *                     omittedSources, scoring, embeddingError } }
+ * `trimmed` is false when the results fit the budget and are used whole.
+ */
+
+const { getContextConfig } = require('./contextConfig');
+const { createEmbeddings } = require('./embeddings');
+const { getResultItems } = require('../gemini/citations');
+const { isSearchStep } = require('../gemini/planGraph');
+const { isAbortError, raceWithAbort, throwIfAborted } = require('../search/cancellation');
+
+/**
+ * How chunks were scored
+ */
+const ScoringMethod = {
+  NONE: 'none',
+  LEXICAL: 'lexical',
+  HYBRID: 'lexical+embedding'
+};
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of sub-question terms relative to the question's own terms
+const SUB_QUESTION_WEIGHT = 0.5;
+
+// Share of a chunk's score taken from its result's rank, to break ties between equally relevant chunks
+const RANK_WEIGHT = 0.05;
+
+// Estimated tokens of the title, source and provider lines of a result
+const SOURCE_HEADER_TOKENS = 30;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'what',
+  'when', 'which', 'who', 'why', 'will', 'with'
+]);
+
+/**
+ * Estimated number of tokens in a text (about four characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Keywords of a text: lowercase words without stop words, plurals folded
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9./-]*[a-z0-9]|[a-z0-9]/g) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Split text that is too long for one chunk: by lines, then sentences, then characters
+ */
+function splitPiece(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) {
+    return [text];
+  }
+
+  for (const separator of [/\n+/, /(?<=[.!?])\s+/]) {
+    const parts = text.split(separator).map(part => part.trim()).filter(Boolean);
+    if (parts.length > 1) {
+      return parts.flatMap(part => splitPiece(part, maxTokens));
+    }
+  }
+
+  const maxChars = maxTokens * 4;
+  const pieces = [];
+  for (let start = 0; start < text.length; start += maxChars) {
+    pieces.push(text.slice(start, start + maxChars));
+  }
+  return pieces;
+}
+
+/**
+ * Split a document into chunks of at most `maxTokens`, keeping paragraphs together where they fit
+ * @returns {Array<string>} Chunk texts in document order
+ */
+function splitIntoChunks(text, maxTokens) {
+  const pieces = String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => splitPiece(paragraph, maxTokens));
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    const joined = current ? `${current}\n\n${piece}` : piece;
+    if (current && estimateTokens(joined) > maxTokens) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = joined;
+    }
+  });
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * BM25 score of each chunk for weighted query terms
+ * @param {Array<Array<string>>} chunkTerms - Keywords of each chunk
+ * @param {Map<string, number>} queryTerms - Query keyword → weight
+ */
+function scoreLexical(chunkTerms, queryTerms) {
+  const averageLength = chunkTerms.reduce((sum, terms) => sum + terms.length, 0) / (chunkTerms.length || 1);
+  const documentFrequency = new Map();
+  chunkTerms.forEach(terms => {
+    new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return chunkTerms.map(terms => {
+    const frequency = new Map();
+    terms.forEach(term => frequency.set(term, (frequency.get(term) || 0) + 1));
+
+    let score = 0;
+    queryTerms.forEach((weight, term) => {
+      const tf = frequency.get(term) || 0;
+      if (tf === 0) {
+        return;
+      }
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (chunkTerms.length - df + 0.5) / (df + 0.5));
+      score += weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * terms.length / (averageLength || 1)));
+    });
+    return score;
+  });
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * The question (and its standalone form for follow-ups) and the plan's search sub-questions
+ * @returns {Object} { questions, subQuestions }
+ */
+function getQueries(userQuestion, searchResults) {
+  const steps = searchResults?.workflow?.steps || {};
+  const standalone = steps.planning?.originalPlan?.standaloneQuestion;
+  const questions = [...new Set([userQuestion, standalone].filter(Boolean))];
+  const subQuestions = [...new Set((steps.searching?.planSteps || [])
+    .filter(step => step && isSearchStep(step) && step.query)
+    .map(step => step.query))]
+    .filter(query => !questions.includes(query));
+  return { questions, subQuestions };
+}
+
+/**
+ * Describe a result item for the prompt
+ */
+function describeSource(result, index) {
+  return {
+    number: index + 1,
+    resultId: result.id || null,
+    title: result.title || result.data?.title || `${result.source || 'unknown'} result`,
+    url: result.sourceUrl || result.url || result.data?.url || null,
+    provider: result.source || null,
+    computed: !!result.sourceData?.computed,
+    relevanceScore: result.relevanceScore ?? result.data?.relevanceScore ?? null,
+    content: String(result.content || result.data?.content || '')
+  };
+}
+
+class ContextBuilder {
+  /**
+   * @param {Object} options - `config` overrides the context configuration; `embeddings`
+   *   replaces the embedding model (null scores by keywords only)
+   */
+  constructor(options = {}) {
+    this.config = options.config || null;
+    this.embeddings = options.embeddings;
+  }
+
+  getConfig() {
+    return this.config || getContextConfig();
+  }
+
+  /**
+   * The embedding model, created on first use (null if none is configured or it cannot be created)
+   */
+  getEmbeddings() {
+    if (this.embeddings === undefined) {
+      try {
+        this.embeddings = createEmbeddings(this.getConfig());
+      } catch (error) {
+        console.warn(`[CONTEXT] ⚠️  Embeddings unavailable, scoring by keywords only: ${error.message}`);
+        this.embeddings = null;
+      }
+    }
+    return this.embeddings;
+  }
+
+  /**
+   * Semantic score of each chunk: its best similarity to the question or a sub-question
+   */
+  async scoreSemantic(embeddings, chunks, queries, signal) {
+    const [chunkVectors, queryVectors] = await Promise.all([
+      raceWithAbort(embeddings.embedDocuments(chunks.map(chunk => chunk.text)), signal),
+      raceWithAbort(Promise.all(queries.map(query => embeddings.embedQuery(query))), signal)
+    ]);
+    return chunkVectors.map(vector => Math.max(0, ...queryVectors.map(queryVector => cosineSimilarity(vector, queryVector))));
+  }
+
+  /**
+   * Select the passages of the search results for the answering prompt
+   * @param {string} userQuestion - The user's question
+   * @param {Object} searchResults - Processed search results (with the workflow steps)
+   * @param {Object} options - `signal` is an AbortSignal; `tokenBudget` overrides CONTEXT_TOKEN_BUDGET
+   * @returns {Promise<Object>} Context (see the module comment)
+   */
+  async buildContext(userQuestion, searchResults, options = {}) {
+    const { signal } = options;
+    const config = this.getConfig();
+    const budget = options.tokenBudget || config.tokenBudget;
+    const sources = getResultItems(searchResults).map(describeSource);
+
+    const chunks = sources.flatMap(source => splitIntoChunks(source.content, config.chunkTokens).map((text, position) => ({
+      source,
+      position,
+      text,
+      tokens: estimateTokens(text),
+      score: 0
+    })));
+    const totalTokens = sources.reduce((sum, source) => sum + SOURCE_HEADER_TOKENS, 0) +
+      chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+
+    const stats = {
+      budget,
+      totalTokens,
+      usedTokens: 0,
+      trimmed: totalTokens > budget,
+      chunks: chunks.length,
+      selectedChunks: 0,
+      sources: 0,
+      omittedSources: 0,
+      scoring: ScoringMethod.NONE,
+      embeddingError: null
+    };
+
+    let selected = chunks;
+    if (stats.trimmed) {
+      await this.scoreChunks(chunks, getQueries(userQuestion, searchResults), stats, signal);
+      selected = this.selectChunks(chunks, sources.length, budget, config.maxChunksPerSource);
+    }
+
+    // Results in prompt order, each with its chunks in document order
+    const included = sources
+      .map(source => ({
+        number: source.number,
+        resultId: source.resultId,
+        title: source.title,
+        url: source.url,
+        provider: source.provider,
+        computed: source.computed,
+        relevanceScore: source.relevanceScore,
+        chunks: selected
+          .filter(chunk => chunk.source === source)
+          .sort((a, b) => a.position - b.position)
+          .map(({ position, text, tokens, score }) => ({ position, text, tokens, score: Math.round(score * 1000) / 1000 }))
+      }))
+      .filter(source => source.chunks.length > 0 || selected === chunks);
+
+    stats.selectedChunks = selected.length;
+    stats.sources = included.length;
+    stats.omittedSources = sources.length - included.length;
+    stats.usedTokens = included.length * SOURCE_HEADER_TOKENS +
+      selected.reduce((sum, chunk) => sum + chunk.tokens, 0);
+
+    console.log(`[CONTEXT] Using ${stats.selectedChunks}/${stats.chunks} chunks from ${stats.sources} results ` +
+      `(~${stats.usedTokens}/${budget} tokens, ${stats.scoring} scoring)`);
+
+    return { sources: included, stats };
+  }
+
+  /**
+   * Score every chunk against the queries, by keywords and (when available) embeddings
+   */
+  async scoreChunks(chunks, queries, stats, signal) {
+    const config = this.getConfig();
+    const queryTerms = new Map();
+    queries.subQuestions.forEach(query => tokenize(query).forEach(term => queryTerms.set(term, SUB_QUESTION_WEIGHT)));
+    queries.questions.forEach(query => tokenize(query).forEach(term => queryTerms.set(term, 1)));
+
+    const lexical = scoreLexical(chunks.map(chunk => tokenize(chunk.text)), queryTerms);
+    const maxLexical = Math.max(0, ...lexical);
+    let scores = lexical.map(score => (maxLexical > 0 ? score / maxLexical : 0));
+    stats.scoring = ScoringMethod.LEXICAL;
+
+    const embeddings = this.getEmbeddings();
+    if (embeddings) {
+      try {
+        const semantic = await this.scoreSemantic(embeddings, chunks, [...queries.questions, ...queries.subQuestions], signal);
+        scores = scores.map((score, index) => config.lexicalWeight * score + (1 - config.lexicalWeight) * semantic[index]);
+        stats.scoring = ScoringMethod.HYBRID;
+      } catch (error) {
+        if (isAbortError(error, signal)) {
+          throw error;
+        }
+        console.warn(`[CONTEXT] ⚠️  Embedding failed, scoring by keywords only: ${error.message}`);
+        stats.embeddingError = error.message;
+      }
+    }
+    throwIfAborted(signal);
+
+    chunks.forEach((chunk, index) => {
+      // Results come ranked by quality; the rank only separates chunks that are otherwise equal
+      const rank = 1 - (chunk.source.number - 1) / chunks[chunks.length - 1].source.number;
+      chunk.score = scores[index] > 0 ? (1 - RANK_WEIGHT) * scores[index] + RANK_WEIGHT * rank : 0;
+    });
+  }
+
+  /**
+   * Fill the budget with the best chunks; computed figures are kept first, chunks matching nothing are left out
+   */
+  selectChunks(chunks, sourceCount, budget, maxChunksPerSource) {
+    const perSource = new Map();
+    const selected = [];
+    let used = 0;
+
+    const candidates = [...chunks]
+      .filter(chunk => chunk.score > 0 || chunk.source.computed)
+      .sort((a, b) => Number(b.source.computed) - Number(a.source.computed) || b.score - a.score);
+
+    candidates.forEach(chunk => {
+      const taken = perSource.get(chunk.source) || 0;
+      const cost = chunk.tokens + (taken === 0 ? SOURCE_HEADER_TOKENS : 0);
+      if (taken >= maxChunksPerSource || used + cost > budget) {
+        return;
+      }
+      perSource.set(chunk.source, taken + 1);
+      selected.push(chunk);
+      used += cost;
+    });
+    return selected;
+  }
+}
+
+// Create singleton instance
+const contextBuilder = new ContextBuilder();
+
+module.exports = {
+  ContextBuilder,
+  ScoringMethod,
+  contextBuilder,
+  estimateTokens,
+  tokenize,
+  splitIntoChunks,
+  scoreLexical,
+  cosineSimilarity
+};
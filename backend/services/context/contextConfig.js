@@ -0,0 +1,99 @@
+/**
+ * Answer Context Configuration Module
+ *
+ * Handles environment variable loading for the context builder, which picks
+ * the passages of the search results that go into the answering prompt
+ * (see contextBuilder.js).
+ *
+ * Optional Environment Variables:
+ * - CONTEXT_TOKEN_BUDGET: Estimated tokens of search results in the answering prompt (default: 8000)
+ * - CONTEXT_CHUNK_TOKENS: Estimated tokens per chunk documents are split into (default: 300)
+ * - CONTEXT_MAX_CHUNKS_PER_SOURCE: Most chunks taken from one search result (default: 4)
+ * - CONTEXT_EMBEDDINGS: Embedding provider for semantic scoring: gemini, openai, local or none
+ *   (default: gemini; the offline mock embeddings with MOCK_PROVIDERS=true)
+ * - CONTEXT_EMBEDDING_MODEL: Embedding model (default: text-embedding-004 for gemini,
+ *   text-embedding-3-small for openai, nomic-embed-text for local)
+ * - CONTEXT_LEXICAL_WEIGHT: Share of the keyword score in a chunk's score when embeddings are used,
+ *   between 0 and 1 (default: 0.5)
+ */
+
+require('dotenv').config();
+
+// Embedding providers accepted for CONTEXT_EMBEDDINGS
+const EMBEDDING_PROVIDERS = ['gemini', 'openai', 'local', 'none'];
+
+const DEFAULT_EMBEDDING_MODELS = {
+  gemini: 'text-embedding-004',
+  openai: 'text-embedding-3-small',
+  local: 'nomic-embed-text'
+};
+
+const embeddings = (process.env.CONTEXT_EMBEDDINGS || 'gemini').toLowerCase();
+const lexicalWeight = parseFloat(process.env.CONTEXT_LEXICAL_WEIGHT);
+
+// Configuration object with defaults
+const config = {
+  tokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 8000,
+  chunkTokens: parseInt(process.env.CONTEXT_CHUNK_TOKENS) || 300,
+  maxChunksPerSource: parseInt(process.env.CONTEXT_MAX_CHUNKS_PER_SOURCE) || 4,
+  embeddings,
+  embeddingModel: process.env.CONTEXT_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[embeddings] || null,
+  lexicalWeight: Number.isNaN(lexicalWeight) ? 0.5 : lexicalWeight,
+};
+
+/**
+ * Validates the context builder configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateContextConfig() {
+  const errors = [];
+
+  if (config.tokenBudget < 500 || config.tokenBudget > 200000) {
+    errors.push('CONTEXT_TOKEN_BUDGET must be between 500 and 200000');
+  }
+
+  if (config.chunkTokens < 50 || config.chunkTokens > config.tokenBudget) {
+    errors.push('CONTEXT_CHUNK_TOKENS must be between 50 and CONTEXT_TOKEN_BUDGET');
+  }
+
+  if (config.maxChunksPerSource < 1 || config.maxChunksPerSource > 50) {
+    errors.push('CONTEXT_MAX_CHUNKS_PER_SOURCE must be between 1 and 50');
+  }
+
+  if (!EMBEDDING_PROVIDERS.includes(config.embeddings)) {
+    errors.push(`CONTEXT_EMBEDDINGS must be one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+
+  if (config.lexicalWeight < 0 || config.lexicalWeight > 1) {
+    errors.push('CONTEXT_LEXICAL_WEIGHT must be between 0 and 1');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated context builder configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getContextConfig() {
+  const validation = validateContextConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Answer context configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  config,
+  validateContextConfig,
+  getContextConfig
+};
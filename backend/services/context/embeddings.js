@@ -0,0 +1,73 @@
+/**
+ * Embedding Models
+ *
+ * Creates the embedding model the context builder scores chunks with,
+ * selected by CONTEXT_EMBEDDINGS:
+ *   gemini → Google's embedding models (@langchain/google-genai)
+ *   openai → OpenAI, or any OpenAI-compatible API with OPENAI_BASE_URL
+ *   local  → a local OpenAI-compatible server (LOCAL_LLM_BASE_URL)
+ *   none   → no embeddings; chunks are scored by keywords only
+ * With MOCK_PROVIDERS=true the offline mock embeddings are used, and with
+ * CASSETTE_MODE set the requests are recorded or replayed.
+ */
+
+const { GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
+const { OpenAIEmbeddings } = require('@langchain/openai');
+const { getContextConfig } = require('./contextConfig');
+const { config: geminiConfig } = require('../gemini/config');
+const { config: llmConfig } = require('../llm/llmConfig');
+const { MockEmbeddings } = require('../mocks/mockEmbeddings');
+const { isMockMode } = require('../mocks/mockConfig');
+const { cassette, REPLAY_API_KEY } = require('../mocks/cassette');
+
+/**
+ * Embeddings from an OpenAI-compatible API
+ * @param {Object} settings - The `openai` or `local` section of llmConfig.js
+ * @param {string} model - Embedding model
+ */
+function createOpenAIEmbeddings(settings, model) {
+  if (!settings.apiKey && !settings.baseUrl && !cassette.isReplaying()) {
+    throw new Error('OPENAI_API_KEY is required for openai embeddings');
+  }
+  return new OpenAIEmbeddings({
+    // Servers that ignore the key still need one to be sent
+    apiKey: settings.apiKey || REPLAY_API_KEY,
+    model,
+    ...(settings.baseUrl && { configuration: { baseURL: settings.baseUrl } })
+  });
+}
+
+// Embedding models selectable with CONTEXT_EMBEDDINGS
+const embeddingImplementations = {
+  gemini: model => {
+    if (!geminiConfig.googleApiKey && !cassette.isReplaying()) {
+      throw new Error('GOOGLE_API_KEY is required for gemini embeddings');
+    }
+    return new GoogleGenerativeAIEmbeddings({ apiKey: geminiConfig.googleApiKey || REPLAY_API_KEY, model });
+  },
+  openai: model => createOpenAIEmbeddings(llmConfig.openai, model),
+  local: model => createOpenAIEmbeddings(llmConfig.local, model)
+};
+
+/**
+ * Create the configured embedding model
+ * @param {Object} config - Context configuration (see contextConfig.js)
+ * @returns {Object|null} Model with embedDocuments(texts) and embedQuery(text), or null for `none`
+ * @throws {Error} If the provider is not configured
+ */
+function createEmbeddings(config = getContextConfig()) {
+  if (isMockMode()) {
+    return new MockEmbeddings();
+  }
+
+  const create = embeddingImplementations[config.embeddings];
+  if (!create) {
+    return null;
+  }
+  return cassette.wrapClient('embeddings', create(config.embeddingModel), ['embedDocuments', 'embedQuery']);
+}
+
+module.exports = {
+  embeddingImplementations,
+  createEmbeddings
+};
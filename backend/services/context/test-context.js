@@ -0,0 +1,169 @@
+/**
+ * Test file for the answer context builder
+ *
+ * Checks chunking, the token budget, attribution of chunks to their search
+ * results, keyword and embedding scoring (with the mock embeddings, so no API
+ * key is needed) and the context and extracted figures in the answering prompt.
+ * Run with: node services/context/test-context.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.CONTEXT_TOKEN_BUDGET = '1000';
+process.env.CONTEXT_CHUNK_TOKENS = '100';
+
+const { ContextBuilder, ScoringMethod, estimateTokens, splitIntoChunks } = require('./contextBuilder');
+const { MockEmbeddings } = require('../mocks/mockEmbeddings');
+const { createAnsweringPrompt, generateFinalAnswer } = require('../gemini/answeringService');
+
+const QUESTION = "What was Apple's diluted EPS in fiscal 2024?";
+const EPS_SENTENCE = 'Apple reported diluted EPS of $6.08 for fiscal 2024, on net income of $93.7 billion.';
+const DIVIDEND_SENTENCE = 'The board declared a quarterly dividend of $0.25 per share, payable in November.';
+
+/**
+ * Paragraphs about nothing in particular, about 30 tokens each
+ */
+function filler(topic, count) {
+  return Array.from({ length: count }, (_, i) =>
+    `Paragraph ${i + 1} on ${topic}: management discussed supply chain logistics, store openings and marketing plans in region ${i + 1}.`);
+}
+
+/**
+ * Processed search results whose second result holds the answer in its middle
+ */
+function createSearchResults(options = {}) {
+  const pages = [
+    { title: 'Company overview', content: filler('operations', 20).join('\n\n') },
+    { title: 'Fiscal 2024 results', content: [...filler('results', 10), EPS_SENTENCE, ...filler('results', 10)].join('\n\n') },
+    { title: 'Shareholder letter', content: [...filler('capital', 10), DIVIDEND_SENTENCE, ...filler('capital', 10)].join('\n\n') }
+  ];
+  const items = pages.map((page, index) => ({
+    id: `result_${index + 1}`,
+    title: page.title,
+    content: page.content,
+    sourceUrl: `https://example.com/${index + 1}`,
+    source: 'firecrawl'
+  }));
+  if (options.computed) {
+    items.push({
+      id: 'result_4', title: 'AAPL valuation', content: 'P/E ratio: 41.2 at $250.42.',
+      sourceUrl: null, source: 'market_data', sourceData: { computed: true }
+    });
+  }
+
+  return {
+    results: { items },
+    workflow: { steps: { searching: { planSteps: options.planSteps || [] } } }
+  };
+}
+
+const CONFIG = { tokenBudget: 1000, chunkTokens: 100, maxChunksPerSource: 4, lexicalWeight: 0.5 };
+
+async function runContextTests() {
+  console.log('🧩 Starting Context Builder Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Test 1: Chunking
+  const text = [...filler('chunking', 6), 'x'.repeat(1000)].join('\n\n');
+  const chunks = splitIntoChunks(text, 100);
+  check('Chunks stay within the chunk size', chunks.length > 1 && chunks.every(chunk => estimateTokens(chunk) <= 100),
+    chunks.map(estimateTokens));
+  check('Chunks keep paragraphs whole and lose no text', chunks.join('').replace(/\s/g, '') === text.replace(/\s/g, '') &&
+    /^Paragraph 1 .*region 3\.$/s.test(chunks[0]), chunks[0]);
+
+  // Test 2: Results that fit the budget
+  const small = { results: { items: [{ title: 'Apple quote', content: 'AAPL closed at $250.42.', sourceUrl: 'https://example.com', source: 'test' }] } };
+  const untrimmed = await new ContextBuilder({ config: CONFIG, embeddings: null }).buildContext(QUESTION, small);
+  check('Results within the budget are used whole', untrimmed.stats.trimmed === false &&
+    untrimmed.stats.scoring === ScoringMethod.NONE && untrimmed.sources[0]?.chunks[0]?.text === 'AAPL closed at $250.42.', untrimmed.stats);
+
+  // Test 3: Keyword scoring within the budget
+  const lexical = await new ContextBuilder({ config: CONFIG, embeddings: null }).buildContext(QUESTION, createSearchResults());
+  const epsSource = lexical.sources.find(source => source.chunks.some(chunk => chunk.text.includes('$6.08')));
+  check('Long results are trimmed to the budget', lexical.stats.trimmed && lexical.stats.totalTokens > CONFIG.tokenBudget &&
+    lexical.stats.usedTokens <= CONFIG.tokenBudget, lexical.stats);
+  check('The chunk answering the question is kept with its result number', lexical.stats.scoring === ScoringMethod.LEXICAL &&
+    epsSource?.number === 2 && epsSource.resultId === 'result_2' && epsSource.url === 'https://example.com/2', lexical.sources);
+  check('Results without relevant chunks are left out', lexical.stats.omittedSources > 0 &&
+    lexical.sources.every(source => source.chunks.length > 0), lexical.stats);
+
+  // Test 4: Sub-questions
+  const planSteps = [{ id: 's1', type: 'lookup', query: 'Apple quarterly dividend per share' }];
+  const withSubQuestions = await new ContextBuilder({ config: CONFIG, embeddings: null })
+    .buildContext(QUESTION, createSearchResults({ planSteps }));
+  check('Chunks matching a sub-question are kept', withSubQuestions.sources
+    .some(source => source.number === 3 && source.chunks.some(chunk => chunk.text.includes(DIVIDEND_SENTENCE))), withSubQuestions.sources);
+
+  // Test 5: Per-result limit and computed figures
+  const capped = await new ContextBuilder({ config: { ...CONFIG, maxChunksPerSource: 1 }, embeddings: null })
+    .buildContext('Paragraph supply chain region', createSearchResults({ computed: true }));
+  check('No result gives more than the chunk limit', capped.sources.length === 4 &&
+    capped.sources.every(source => source.chunks.length === 1), capped.sources.map(source => source.chunks.length));
+  check('Computed figures are always kept', capped.sources.some(source => source.number === 4 && source.computed), capped.sources);
+
+  // Test 6: Embedding scoring
+  const hybrid = await new ContextBuilder({ config: CONFIG, embeddings: new MockEmbeddings() }).buildContext(QUESTION, createSearchResults());
+  check('Embeddings are combined with keyword scores', hybrid.stats.scoring === ScoringMethod.HYBRID &&
+    hybrid.sources.some(source => source.number === 2 && source.chunks.some(chunk => chunk.text.includes('$6.08'))), hybrid.stats);
+
+  const failing = { embedDocuments: async () => { throw new Error('quota exceeded'); }, embedQuery: async () => [] };
+  const fallback = await new ContextBuilder({ config: CONFIG, embeddings: failing }).buildContext(QUESTION, createSearchResults());
+  check('Embedding errors fall back to keyword scoring', fallback.stats.scoring === ScoringMethod.LEXICAL &&
+    fallback.stats.embeddingError === 'quota exceeded' && fallback.sources.some(source => source.number === 2), fallback.stats);
+
+  const controller = new AbortController();
+  controller.abort();
+  const cancelled = await new ContextBuilder({ config: CONFIG, embeddings: new MockEmbeddings() })
+    .buildContext(QUESTION, createSearchResults(), { signal: controller.signal }).then(() => null, error => error);
+  check('Cancellation is not mistaken for an embedding error', cancelled?.name === 'AbortError', cancelled);
+
+  // Test 7: Answering prompt
+  const prompt = createAnsweringPrompt(QUESTION, createSearchResults(), [], lexical);
+  check('The prompt holds the selected chunks under their result numbers', prompt.includes('### Search Result [2]:') &&
+    prompt.includes(EPS_SENTENCE) && !prompt.includes('Paragraph 20 on operations') &&
+    prompt.includes('further search results had no passages relevant'), prompt.length);
+
+  const omittedId = ['result_1', 'result_3'].find(id => !lexical.sources.some(source => source.resultId === id));
+  const omittedNumber = Number(omittedId.split('_')[1]);
+  const withFigures = createSearchResults();
+  withFigures.results.figures = [
+    { label: 'Diluted EPS', entity: 'Apple', period: 'FY2024', value: 6.08, unit: 'USD', resultIds: ['result_2', omittedId], conflict: false },
+    { label: 'Store count', entity: 'Apple', value: 535, resultIds: [omittedId], conflict: false },
+    { label: 'Net income', entity: 'Apple', period: 'FY2024', value: 94.1, unit: 'USD bn', resultIds: [omittedId], conflict: true,
+      values: [{ value: 94.1, unit: 'USD bn', resultIds: [omittedId] }, { value: 93.7, unit: 'USD bn', resultIds: ['result_2'] }] }
+  ];
+  const figuresPrompt = createAnsweringPrompt(QUESTION, withFigures, [], lexical);
+  const figuresSection = figuresPrompt.slice(figuresPrompt.indexOf('## Extracted Figures:'), figuresPrompt.indexOf('## Instructions:'));
+  check('Extracted figures cite only results in the context', figuresSection.includes('Apple Diluted EPS: 6.08 USD (FY2024) [2]\n') &&
+    !figuresSection.includes('Store count') && figuresSection.includes('Apple Net income: 93.7 USD bn (FY2024) [2]\n') &&
+    !figuresSection.includes('CONFLICTING') && !figuresSection.includes(`[${omittedNumber}]`), figuresSection);
+  check('Untrimmed results keep every figure citation', createAnsweringPrompt(QUESTION, withFigures)
+    .includes(`Apple Diluted EPS: 6.08 USD (FY2024) [2][${omittedNumber}]`));
+
+  const answer = await generateFinalAnswer(QUESTION, createSearchResults());
+  check('Answers report the context they were given and cite its results', answer.status === 'completed' &&
+    answer.context?.trimmed === true && answer.context.usedTokens <= 1000 &&
+    answer.citations.some(citation => citation.id === 2),
+  { status: answer.status, context: answer.context, citations: answer.citations });
+
+  console.log(`\n🎉 Context builder tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runContextTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runContextTests };
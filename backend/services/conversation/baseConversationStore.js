@@ -0,0 +1,240 @@
+/**
+ * Base Conversation Store
+ *
+ * Shared behaviour for conversation stores. Concrete stores only implement
+ * the persistence primitives (loadConversation, saveConversation,
+ * removeConversation, loadAllConversations); everything else — ids, titles,
+ * turns and the history window — lives here so every backend behaves the same.
+ */
+
+// Characters of the first question used as a default conversation title
+const DEFAULT_TITLE_LENGTH = 60;
+
+class BaseConversationStore {
+  constructor(config) {
+    this.config = config;
+    this.updateQueues = new Map();
+    // Conversations started by getOrCreateConversation, saved with their first turn
+    this.unsavedConversations = new WeakSet();
+  }
+
+  /**
+   * Generate a new conversation id
+   */
+  generateId() {
+    return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // --- Persistence primitives (implemented by subclasses) ---
+
+  async loadConversation(conversationId) {
+    throw new Error(`${this.constructor.name} must implement loadConversation(${conversationId})`);
+  }
+
+  async saveConversation(conversation) {
+    throw new Error(`${this.constructor.name} must implement saveConversation(${conversation?.id})`);
+  }
+
+  async removeConversation(conversationId) {
+    throw new Error(`${this.constructor.name} must implement removeConversation(${conversationId})`);
+  }
+
+  async loadAllConversations() {
+    throw new Error(`${this.constructor.name} must implement loadAllConversations()`);
+  }
+
+  /**
+   * Run a read-modify-write of one conversation after the updates already queued for it,
+   * so concurrent turns cannot overwrite each other
+   * @param {string} conversationId - The conversation id
+   * @param {Function} update - Async function doing the update
+   */
+  async withConversationLock(conversationId, update) {
+    const previous = this.updateQueues.get(conversationId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(update);
+
+    this.updateQueues.set(conversationId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.updateQueues.get(conversationId) === current) {
+        this.updateQueues.delete(conversationId);
+      }
+    }
+  }
+
+  // --- Public API ---
+
+  /**
+   * Build a new, empty conversation without saving it
+   * @param {Object} options - { title }
+   */
+  buildConversation(options = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: this.generateId(),
+      title: typeof options.title === 'string' && options.title.trim() ? options.title.trim() : null,
+      createdAt: now,
+      updatedAt: now,
+      turns: []
+    };
+  }
+
+  /**
+   * Create a new, empty conversation
+   * @param {Object} options - { title }
+   */
+  async createConversation(options = {}) {
+    const conversation = this.buildConversation(options);
+
+    await this.saveConversation(conversation);
+
+    console.log(`[CONVERSATION] Created conversation ${conversation.id}`);
+    return conversation;
+  }
+
+  /**
+   * Get a conversation by id
+   * @returns {Promise<Object|null>}
+   */
+  async getConversation(conversationId) {
+    if (!conversationId || typeof conversationId !== 'string') {
+      return null;
+    }
+    return this.loadConversation(conversationId);
+  }
+
+  /**
+   * Get an existing conversation, or start a new one when the id is missing or unknown.
+   * A new conversation is only kept in memory until addTurn records its first turn
+   * (pass it as `options.conversation`), so failed or cancelled runs leave nothing behind.
+   */
+  async getOrCreateConversation(conversationId) {
+    const existing = await this.getConversation(conversationId);
+    if (existing) {
+      return existing;
+    }
+
+    if (conversationId) {
+      console.log(`[CONVERSATION] Unknown conversation ${conversationId}, starting a new one`);
+    }
+    const conversation = this.buildConversation();
+    this.unsavedConversations.add(conversation);
+    return conversation;
+  }
+
+  /**
+   * List conversation summaries, most recently updated first
+   */
+  async listConversations() {
+    const conversations = await this.loadAllConversations();
+
+    return conversations
+      .map(conversation => this.summarize(conversation))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Rename a conversation
+   * @returns {Promise<Object|null>} The updated conversation, or null if not found
+   */
+  async renameConversation(conversationId, title) {
+    return this.withConversationLock(conversationId, async () => {
+      const conversation = await this.getConversation(conversationId);
+      if (!conversation) {
+        return null;
+      }
+
+      conversation.title = title.trim();
+      conversation.updatedAt = new Date().toISOString();
+      await this.saveConversation(conversation);
+
+      return conversation;
+    });
+  }
+
+  /**
+   * Append a completed turn to a conversation
+   * @param {string} conversationId - The conversation id
+   * @param {Object} turn - { question, standaloneQuestion, entities, plan, results, answer, citations, toolCalls, workflow }
+   * @param {Object} options - `conversation` is the new conversation from getOrCreateConversation, saved with this turn
+   */
+  async addTurn(conversationId, turn, options = {}) {
+    return this.withConversationLock(conversationId, async () => {
+      const unsaved = options.conversation?.id === conversationId && this.unsavedConversations.has(options.conversation)
+        ? options.conversation
+        : null;
+      const conversation = await this.getConversation(conversationId) || unsaved;
+      if (!conversation) {
+        throw new Error(`Conversation ${conversationId} not found`);
+      }
+
+      const storedTurn = {
+        turnId: `turn_${Date.now()}_${conversation.turns.length + 1}`,
+        question: turn.question,
+        standaloneQuestion: turn.standaloneQuestion || turn.question,
+        entities: turn.entities || null,
+        plan: turn.plan || null,
+        results: turn.results || [],
+        answer: turn.answer,
+        citations: turn.citations || [],
+        toolCalls: turn.toolCalls || [],
+        workflow: turn.workflow || null,
+        timestamp: new Date().toISOString()
+      };
+
+      conversation.turns.push(storedTurn);
+      conversation.updatedAt = storedTurn.timestamp;
+      await this.saveConversation(conversation);
+      this.unsavedConversations.delete(conversation);
+
+      return storedTurn;
+    });
+  }
+
+  /**
+   * Get the most recent turns of a conversation, limited to the history window
+   */
+  async getHistory(conversationId, historyWindow = this.config.historyWindow) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      return [];
+    }
+    return conversation.turns.slice(-historyWindow);
+  }
+
+  /**
+   * Delete a conversation
+   * @returns {Promise<boolean>} True if the conversation existed
+   */
+  async deleteConversation(conversationId) {
+    if (!conversationId || typeof conversationId !== 'string') {
+      return false;
+    }
+    // After the updates already queued, so none of them writes the conversation back
+    return this.withConversationLock(conversationId, () => this.removeConversation(conversationId));
+  }
+
+  /**
+   * Build the list view of a conversation
+   */
+  summarize(conversation) {
+    const firstQuestion = conversation.turns[0]?.question || '';
+    const lastTurn = conversation.turns[conversation.turns.length - 1];
+
+    return {
+      id: conversation.id,
+      title: conversation.title || (firstQuestion
+        ? firstQuestion.substring(0, DEFAULT_TITLE_LENGTH)
+        : 'New conversation'),
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      turnCount: conversation.turns.length,
+      lastQuestion: lastTurn?.question || null
+    };
+  }
+}
+
+module.exports = {
+  BaseConversationStore
+};
@@ -0,0 +1,78 @@
+/**
+ * Conversation Configuration Module
+ *
+ * Handles environment variable loading for conversation memory.
+ *
+ * Optional Environment Variables:
+ * - CONVERSATION_STORE: Storage backend, `file` or `memory` (default: file)
+ * - CONVERSATION_STORE_DIR: Directory used by the file store (default: backend/data/conversations)
+ * - CONVERSATION_HISTORY_WINDOW: Number of prior turns sent to the planner and answerer (default: 5)
+ * - CONVERSATION_MAX_ANSWER_CHARS: Characters of each prior answer included in prompts (default: 1500)
+ * - CONVERSATION_MAX_CONVERSATIONS: Conversations the memory store keeps before the oldest is evicted (default: 500)
+ */
+
+require('dotenv').config();
+const path = require('path');
+
+const SUPPORTED_STORES = ['file', 'memory'];
+
+// Configuration object with defaults
+const config = {
+  store: (process.env.CONVERSATION_STORE || 'file').toLowerCase(),
+  storeDir: process.env.CONVERSATION_STORE_DIR || path.join(__dirname, '..', '..', 'data', 'conversations'),
+  historyWindow: parseInt(process.env.CONVERSATION_HISTORY_WINDOW) || 5,
+  maxAnswerChars: parseInt(process.env.CONVERSATION_MAX_ANSWER_CHARS) || 1500,
+  maxConversations: parseInt(process.env.CONVERSATION_MAX_CONVERSATIONS) || 500,
+};
+
+/**
+ * Validates the conversation configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateConversationConfig() {
+  const errors = [];
+
+  if (!SUPPORTED_STORES.includes(config.store)) {
+    errors.push(`CONVERSATION_STORE must be one of: ${SUPPORTED_STORES.join(', ')}`);
+  }
+
+  if (config.historyWindow < 1 || config.historyWindow > 50) {
+    errors.push('CONVERSATION_HISTORY_WINDOW must be between 1 and 50');
+  }
+
+  if (config.maxAnswerChars < 100) {
+    errors.push('CONVERSATION_MAX_ANSWER_CHARS must be at least 100');
+  }
+
+  if (config.maxConversations < 1) {
+    errors.push('CONVERSATION_MAX_CONVERSATIONS must be at least 1');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated conversation configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getConversationConfig() {
+  const validation = validateConversationConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Conversation configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateConversationConfig,
+  getConversationConfig
+};
@@ -0,0 +1,67 @@
+/**
+ * Conversation Store
+ *
+ * Keeps the turns of each conversation on the server so follow-up questions
+ * ("what about Microsoft?") can be resolved against earlier questions and answers,
+ * and so analysts can revisit past research. The backing store is pluggable
+ * (see storeImplementations) and selected with CONVERSATION_STORE.
+ */
+
+const { getConversationConfig } = require('./conversationConfig');
+const { MemoryConversationStore } = require('./memoryConversationStore');
+const { FileConversationStore } = require('./fileConversationStore');
+
+/**
+ * Available conversation store implementations, keyed by CONVERSATION_STORE value
+ */
+const storeImplementations = {
+  memory: MemoryConversationStore,
+  file: FileConversationStore
+};
+
+/**
+ * Create the conversation store selected by configuration
+ * @param {Object} config - Conversation configuration
+ * @returns {BaseConversationStore} Store instance
+ */
+function createConversationStore(config = getConversationConfig()) {
+  const StoreClass = storeImplementations[config.store];
+  console.log(`[CONVERSATION] Using ${config.store} conversation store`);
+  return new StoreClass(config);
+}
+
+/**
+ * Format prior turns for inclusion in a prompt
+ * @param {Array} history - Turns from ConversationStore.getHistory
+ * @param {number} maxAnswerChars - Characters of each answer to include
+ * @returns {string} Formatted history, or an empty string when there is none
+ */
+function formatConversationHistory(history, maxAnswerChars = getConversationConfig().maxAnswerChars) {
+  if (!Array.isArray(history) || history.length === 0) {
+    return '';
+  }
+
+  return history.map((turn, index) => {
+    const answer = turn.answer || '';
+    const trimmedAnswer = answer.length > maxAnswerChars
+      ? `${answer.substring(0, maxAnswerChars)}...`
+      : answer;
+
+    let formatted = `Turn ${index + 1}:\nUser: ${turn.question}\n`;
+    if (turn.standaloneQuestion && turn.standaloneQuestion !== turn.question) {
+      formatted += `(Interpreted as: ${turn.standaloneQuestion})\n`;
+    }
+    formatted += `Assistant: ${trimmedAnswer}`;
+    return formatted;
+  }).join('\n\n');
+}
+
+// Create singleton instance
+const conversationStore = createConversationStore();
+
+module.exports = {
+  storeImplementations,
+  createConversationStore,
+  conversationStore,
+  formatConversationHistory
+};
@@ -0,0 +1,106 @@
+/**
+ * File Conversation Store
+ *
+ * Persists each conversation as a JSON file in `storeDir`, so research
+ * sessions survive server restarts and can be revisited later.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { BaseConversationStore } = require('./baseConversationStore');
+
+// Only ids produced by generateId() map to files; this also blocks path traversal
+const CONVERSATION_ID_PATTERN = /^conv_[a-z0-9_]+$/i;
+
+class FileConversationStore extends BaseConversationStore {
+  constructor(config) {
+    super(config);
+    this.storeDir = path.resolve(config.storeDir);
+  }
+
+  /**
+   * Resolve the file backing a conversation, or null for ids that cannot be stored
+   */
+  getFilePath(conversationId) {
+    if (!CONVERSATION_ID_PATTERN.test(conversationId)) {
+      return null;
+    }
+    return path.join(this.storeDir, `${conversationId}.json`);
+  }
+
+  async ensureStoreDir() {
+    await fs.mkdir(this.storeDir, { recursive: true });
+  }
+
+  async loadConversation(conversationId) {
+    const filePath = this.getFilePath(conversationId);
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      const raw = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      console.error(`[CONVERSATION] ❌ Failed to read conversation ${conversationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  async saveConversation(conversation) {
+    const filePath = this.getFilePath(conversation.id);
+    if (!filePath) {
+      throw new Error(`Invalid conversation id: ${conversation.id}`);
+    }
+
+    // Updates of one conversation are serialized by withConversationLock
+    await this.ensureStoreDir();
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(conversation, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  async removeConversation(conversationId) {
+    const filePath = this.getFilePath(conversationId);
+    if (!filePath) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async loadAllConversations() {
+    let files;
+    try {
+      files = await fs.readdir(this.storeDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const conversations = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.loadConversation(path.basename(file, '.json')).catch(() => null))
+    );
+
+    return conversations.filter(Boolean);
+  }
+}
+
+module.exports = {
+  FileConversationStore
+};
@@ -0,0 +1,50 @@
+/**
+ * In-Memory Conversation Store
+ *
+ * Keeps conversations in a Map for the lifetime of the process. Useful for
+ * development and tests; the least recently used conversations are evicted
+ * once `maxConversations` is reached.
+ */
+
+const { BaseConversationStore } = require('./baseConversationStore');
+
+class MemoryConversationStore extends BaseConversationStore {
+  constructor(config) {
+    super(config);
+    this.conversations = new Map();
+  }
+
+  async loadConversation(conversationId) {
+    return this.conversations.get(conversationId) || null;
+  }
+
+  async saveConversation(conversation) {
+    // Refresh insertion order so eviction removes the least recently used conversation
+    this.conversations.delete(conversation.id);
+    this.conversations.set(conversation.id, conversation);
+    this.evictOldest();
+  }
+
+  async removeConversation(conversationId) {
+    return this.conversations.delete(conversationId);
+  }
+
+  async loadAllConversations() {
+    return Array.from(this.conversations.values());
+  }
+
+  /**
+   * Drop the least recently used conversations beyond the configured limit
+   */
+  evictOldest() {
+    while (this.conversations.size > this.config.maxConversations) {
+      const oldestId = this.conversations.keys().next().value;
+      this.conversations.delete(oldestId);
+      console.log(`[CONVERSATION] Evicted conversation ${oldestId}`);
+    }
+  }
+}
+
+module.exports = {
+  MemoryConversationStore
+};
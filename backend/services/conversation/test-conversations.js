@@ -0,0 +1,201 @@
+/**
+ * Test file for the conversation stores and the conversations API
+ *
+ * Runs the memory and file stores through the same checks (the file store in
+ * a temporary directory), including turns posted to one conversation at once,
+ * deletes while a turn is written and new conversations that are only saved
+ * with their first turn, and calls the /api/conversations routes on a local
+ * server.
+ * Run with: node services/conversation/test-conversations.js
+ */
+
+// Must be set before the services read their configuration
+process.env.CONVERSATION_STORE = 'memory';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { MemoryConversationStore } = require('./memoryConversationStore');
+const { FileConversationStore } = require('./fileConversationStore');
+const { conversationStore } = require('./conversationStore');
+const { config: conversationConfig } = require('./conversationConfig');
+
+/**
+ * A completed turn for the given question
+ */
+function createTurn(question) {
+  return { question, answer: `Answer to: ${question}`, results: [{ id: 'result_1' }], citations: [] };
+}
+
+/**
+ * Start the conversations API on a free local port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/conversations', require('../../routes/conversations'));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}/api/conversations`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+async function runConversationTests() {
+  console.log('🗂️  Starting Conversation Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+  const stores = {
+    memory: new MemoryConversationStore({ ...conversationConfig, maxConversations: 3 }),
+    file: new FileConversationStore({ ...conversationConfig, storeDir })
+  };
+
+  try {
+    // Test 1: Both stores behave the same
+    for (const [name, store] of Object.entries(stores)) {
+      const conversation = await store.createConversation({ title: '  Apple research  ' });
+      check(`[${name}] Conversations are created with a trimmed title`, conversation.id.startsWith('conv_') &&
+        conversation.title === 'Apple research' && conversation.turns.length === 0, conversation);
+
+      await store.addTurn(conversation.id, createTurn("What is Apple's P/E?"));
+      await store.addTurn(conversation.id, { ...createTurn('What about Microsoft?'), standaloneQuestion: "What is Microsoft's P/E?" });
+      const stored = await store.getConversation(conversation.id);
+      check(`[${name}] Turns are appended in order`, stored.turns.length === 2 &&
+        stored.turns[1].standaloneQuestion === "What is Microsoft's P/E?" && stored.turns[0].standaloneQuestion === "What is Apple's P/E?",
+      stored.turns);
+
+      const history = await store.getHistory(conversation.id, 1);
+      check(`[${name}] History is limited to the window`, history.length === 1 && history[0].question === 'What about Microsoft?');
+
+      const untitled = await store.createConversation();
+      // Timestamps have millisecond resolution
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await store.addTurn(untitled.id, createTurn('How did Tesla margins change?'));
+      const list = await store.listConversations();
+      check(`[${name}] Conversations are listed most recent first`, list.length === 2 && list[0].id === untitled.id &&
+        list[0].title === 'How did Tesla margins change?' && list[1].turnCount === 2, list);
+
+      // Concurrent turns are applied one after another, so none is lost
+      await Promise.all(['Q1', 'Q2', 'Q3', 'Q4', 'Q5'].map(question => store.addTurn(conversation.id, createTurn(question))));
+      const concurrent = await store.getConversation(conversation.id);
+      const turnIds = new Set(concurrent.turns.map(turn => turn.turnId));
+      check(`[${name}] Turns posted at once are all kept`, concurrent.turns.length === 7 && turnIds.size === 7 &&
+        ['Q1', 'Q2', 'Q3', 'Q4', 'Q5'].every(question => concurrent.turns.some(turn => turn.question === question)),
+      concurrent.turns.map(turn => turn.question));
+
+      const renamed = await store.renameConversation(conversation.id, 'Valuation');
+      check(`[${name}] Conversations can be renamed`, renamed?.title === 'Valuation' &&
+        (await store.renameConversation('conv_missing', 'x')) === null);
+
+      const missingTurn = await store.addTurn('conv_missing', createTurn('x')).then(() => null, error => error);
+      check(`[${name}] Turns for unknown conversations are rejected`, /not found/.test(missingTurn?.message), missingTurn);
+
+      check(`[${name}] Conversations can be deleted once`, await store.deleteConversation(conversation.id) &&
+        !(await store.deleteConversation(conversation.id)) && (await store.getConversation(conversation.id)) === null);
+
+      // New conversations are saved with their first turn, not before
+      const started = await store.getOrCreateConversation();
+      check(`[${name}] New conversations are not saved before a turn`, started.turns.length === 0 &&
+        (await store.getConversation(started.id)) === null && !(await store.listConversations()).some(entry => entry.id === started.id));
+      await store.addTurn(started.id, createTurn('Is Nvidia overvalued?'), { conversation: started });
+      const saved = await store.getConversation(started.id);
+      check(`[${name}] New conversations are saved with their first turn`, saved?.turns.length === 1 &&
+        (await store.listConversations()).some(entry => entry.id === started.id), saved);
+
+      // A delete waits for a turn being written, so the turn cannot bring the conversation back
+      const loadConversation = store.loadConversation;
+      const loaded = new Promise(resolve => {
+        store.loadConversation = async conversationId => {
+          const loadedConversation = await loadConversation.call(store, conversationId);
+          resolve();
+          return loadedConversation;
+        };
+      });
+      const writing = store.addTurn(started.id, createTurn('And AMD?')).catch(error => error);
+      await loaded;
+      delete store.loadConversation;
+      const deletedWhileWriting = await store.deleteConversation(started.id);
+      await writing;
+      check(`[${name}] Conversations deleted during a write stay deleted`, deletedWhileWriting &&
+        (await store.getConversation(started.id)) === null && !(await store.listConversations()).some(entry => entry.id === started.id));
+    }
+
+    // Test 2: Store specifics
+    const evicting = stores.memory;
+    for (let i = 0; i < 4; i++) {
+      await evicting.createConversation();
+    }
+    check('[memory] The least recently used conversations are evicted', evicting.conversations.size === 3);
+
+    const reopened = new FileConversationStore({ ...conversationConfig, storeDir });
+    const [persisted] = await reopened.listConversations();
+    check('[file] Conversations survive a restart', persisted?.turnCount === 1, persisted);
+    check('[file] Ids that are not conversation ids are never read or written', (await reopened.getConversation('../secrets')) === null &&
+      !(await reopened.deleteConversation('../secrets')));
+
+    // Test 3: API routes
+    const server = await startServer();
+    try {
+      const request = async (method, url, body) => {
+        const response = await fetch(`${server.baseUrl}${url}`, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: response.status === 204 ? null : await response.json() };
+      };
+
+      const created = await request('POST', '', { title: 'Rates' });
+      check('POST creates a conversation', created.status === 201 && created.body.title === 'Rates', created);
+      check('POST rejects an empty title', (await request('POST', '', { title: ' ' })).status === 400);
+
+      await conversationStore.addTurn(created.body.id, createTurn('Will the Fed cut rates?'));
+      const listed = await request('GET', '');
+      check('GET lists conversations', listed.status === 200 &&
+        listed.body.conversations.some(conversation => conversation.id === created.body.id && conversation.turnCount === 1), listed.body);
+
+      const fetched = await request('GET', `/${created.body.id}`);
+      check('GET by id returns the turns and chat messages', fetched.status === 200 && fetched.body.turns.length === 1 &&
+        fetched.body.messages.map(message => message.sender).join(',') === 'user,bot' &&
+        fetched.body.messages[1].metadata.searchResultsUsed === 1, fetched.body);
+
+      const patched = await request('PATCH', `/${created.body.id}`, { title: 'Fed policy' });
+      check('PATCH renames a conversation', patched.status === 200 && patched.body.title === 'Fed policy', patched);
+
+      check('DELETE removes a conversation', (await request('DELETE', `/${created.body.id}`)).status === 204 &&
+        (await request('GET', `/${created.body.id}`)).status === 404);
+      check('Unknown conversations are not found', (await request('DELETE', '/conv_missing')).status === 404 &&
+        (await request('PATCH', '/conv_missing', { title: 'x' })).status === 404);
+    } finally {
+      await server.close();
+    }
+  } finally {
+    await fs.rm(storeDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n🎉 Conversation tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runConversationTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runConversationTests };
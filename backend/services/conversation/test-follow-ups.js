@@ -0,0 +1,127 @@
+/**
+ * Test file for follow-up questions across conversation turns
+ *
+ * Posts a question and a follow-up to /api/chat on a local server with the
+ * mock providers (MOCK_PROVIDERS, so no API keys are needed) and checks that
+ * the planner and the answerer received the earlier turn and that the
+ * follow-up was rewritten as a standalone question.
+ * Run with: node services/conversation/test-follow-ups.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.CONVERSATION_STORE = 'memory';
+
+const express = require('express');
+const { MockChatModel, PromptKind, classifyPrompt } = require('../mocks/mockChatModel');
+const { conversationStore } = require('./conversationStore');
+
+const QUESTION = "What is Apple's P/E ratio?";
+const FOLLOW_UP = 'What about Microsoft?';
+const STANDALONE = "What is Microsoft's P/E ratio?";
+
+/**
+ * Record the prompt text of every mock model call
+ * @returns {Array} { kind, question, text } per call
+ */
+function recordPrompts() {
+  const prompts = [];
+  const createMessage = MockChatModel.prototype.createMessage;
+  MockChatModel.prototype.createMessage = function (messages, options) {
+    const text = messages.map(message => (typeof message.content === 'string' ? message.content : JSON.stringify(message.content))).join('\n\n');
+    prompts.push({ ...classifyPrompt(text), text });
+    return createMessage.call(this, messages, options);
+  };
+  return prompts;
+}
+
+/**
+ * Start the chat API on a free local port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', require('../../routes/chat'));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}/api/chat`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+async function runFollowUpTests() {
+  console.log('🔁 Starting Follow-Up Question Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const prompts = recordPrompts();
+  const server = await startServer();
+  const ask = async body => {
+    const response = await fetch(server.baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  try {
+    // Turn 1: a new conversation
+    const first = await ask({ message: QUESTION });
+    const firstPlanning = prompts.find(prompt => prompt.kind === PromptKind.PLANNING);
+    check('The first turn starts a conversation', first.status === 'success' && !!first.conversationId, first);
+    check('The first question is planned without history', firstPlanning?.text.includes('No previous conversation.'),
+      firstPlanning?.text.slice(0, 200));
+
+    // Turn 2: the follow-up in the same conversation
+    const turn2Start = prompts.length;
+    const second = await ask({ message: FOLLOW_UP, conversationId: first.conversationId });
+    const planning = prompts.slice(turn2Start).find(prompt => prompt.kind === PromptKind.PLANNING);
+    const answering = prompts.slice(turn2Start).find(prompt => prompt.kind === PromptKind.ANSWERING);
+    const firstAnswerStart = first.answer.slice(0, 40);
+
+    check('The follow-up continues the conversation', second.status === 'success' && second.conversationId === first.conversationId, second);
+    check('The planner receives the earlier turn', planning?.question === FOLLOW_UP &&
+      planning.text.includes(`User: ${QUESTION}`) && planning.text.includes(firstAnswerStart), planning?.text);
+    check('The follow-up is rewritten as a standalone question', second.standaloneQuestion === STANDALONE, second.standaloneQuestion);
+    check('The answerer receives the history and the rewrite', answering?.text.includes('## Conversation History:') &&
+      answering.text.includes(`User: ${QUESTION}`) && answering.text.includes(firstAnswerStart) &&
+      answering.text.includes(`(Follow-up question, interpreted as: ${STANDALONE})`), answering?.text.slice(0, 600));
+
+    const conversation = await conversationStore.getConversation(first.conversationId);
+    check('Both turns are stored with their standalone questions', conversation?.turns.length === 2 &&
+      conversation.turns[0].standaloneQuestion === QUESTION && conversation.turns[1].standaloneQuestion === STANDALONE,
+    conversation?.turns.map(turn => turn.standaloneQuestion));
+
+    // A new conversation does not see the earlier turns
+    const fresh = await ask({ message: FOLLOW_UP });
+    const freshPlanning = prompts.filter(prompt => prompt.kind === PromptKind.PLANNING).pop();
+    check('A new conversation starts without history', fresh.conversationId !== first.conversationId &&
+      freshPlanning?.text.includes('No previous conversation.'), fresh.conversationId);
+  } finally {
+    await server.close();
+  }
+
+  console.log(`\n🎉 Follow-up tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runFollowUpTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runFollowUpTests };
@@ -0,0 +1,65 @@
+/**
+ * Entity Recognition Configuration Module
+ *
+ * Handles environment variable loading for the entity-resolution stage.
+ *
+ * Optional Environment Variables:
+ * - ENTITY_DIRECTORY_FILE: Extra symbol directory (same JSON shape as symbolDirectory.json) merged over the built-in one
+ * - ENTITY_FUZZY_THRESHOLD: Minimum similarity (0-1) for a misspelled name to match (default: 0.8)
+ * - ENTITY_MAX_PER_TYPE: Maximum entities kept per type (default: 5)
+ */
+
+require('dotenv').config();
+const path = require('path');
+
+// Configuration object with defaults
+const config = {
+  builtInDirectoryFile: path.join(__dirname, 'symbolDirectory.json'),
+  directoryFile: process.env.ENTITY_DIRECTORY_FILE || null,
+  fuzzyThreshold: parseFloat(process.env.ENTITY_FUZZY_THRESHOLD) || 0.8,
+  maxPerType: parseInt(process.env.ENTITY_MAX_PER_TYPE) || 5,
+};
+
+/**
+ * Validates the entity recognition configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateEntityConfig() {
+  const errors = [];
+
+  if (config.fuzzyThreshold < 0.5 || config.fuzzyThreshold > 1) {
+    errors.push('ENTITY_FUZZY_THRESHOLD must be between 0.5 and 1');
+  }
+
+  if (config.maxPerType < 1 || config.maxPerType > 20) {
+    errors.push('ENTITY_MAX_PER_TYPE must be between 1 and 20');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated entity recognition configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getEntityConfig() {
+  const validation = validateEntityConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Entity configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateEntityConfig,
+  getEntityConfig
+};
@@ -0,0 +1,419 @@
+/**
+ * Entity Recognizer
+ *
+ * Resolves the companies, tickers, ETFs, indices, exchanges, currencies and
+ * macro indicators a question refers to, using the local symbol directory
+ * (symbolDirectory.json). Matches come from cashtags, upper-case symbols,
+ * exact names and aliases, and - for misspellings - fuzzy name matching.
+ */
+
+const fs = require('fs');
+const { getEntityConfig } = require('./entityConfig');
+
+/**
+ * Entity types
+ */
+const EntityType = {
+  COMPANY: 'company',
+  ETF: 'etf',
+  INDEX: 'index',
+  EXCHANGE: 'exchange',
+  CURRENCY: 'currency',
+  MACRO_INDICATOR: 'macro_indicator'
+};
+
+/**
+ * How an entity was matched
+ */
+const MatchType = {
+  CASHTAG: 'cashtag',
+  SYMBOL: 'symbol',
+  NAME: 'name',
+  ALIAS: 'alias',
+  FUZZY: 'fuzzy'
+};
+
+// Directory section and result list for each entity type
+const TYPE_SECTIONS = {
+  [EntityType.COMPANY]: 'companies',
+  [EntityType.ETF]: 'etfs',
+  [EntityType.INDEX]: 'indices',
+  [EntityType.EXCHANGE]: 'exchanges',
+  [EntityType.CURRENCY]: 'currencies',
+  [EntityType.MACRO_INDICATOR]: 'macroIndicators'
+};
+
+const MATCH_CONFIDENCE = {
+  [MatchType.CASHTAG]: 1,
+  [MatchType.NAME]: 1,
+  [MatchType.SYMBOL]: 0.95,
+  [MatchType.ALIAS]: 0.9
+};
+
+// Upper-case words that are symbols in the directory but usually plain English or jargon
+const SYMBOL_STOPWORDS = new Set([
+  'A', 'I', 'AI', 'ALL', 'AM', 'AN', 'ANY', 'ARE', 'BE', 'CAN', 'CEO', 'CFO', 'EPS', 'ETF', 'EV',
+  'FOR', 'FY', 'GO', 'IPO', 'IT', 'LOW', 'NEW', 'NOW', 'ON', 'ONE', 'OR', 'PE', 'Q', 'SEC', 'SO',
+  'US', 'USA', 'YOY'
+]);
+
+// Suffixes dropped from official names so "Apple Inc." also matches "Apple"
+const NAME_SUFFIXES = new Set([
+  'inc', 'corp', 'corporation', 'co', 'company', 'incorporated', 'ltd', 'limited', 'plc', 'n.v', 'group'
+]);
+
+const MIN_FUZZY_WORD_LENGTH = 5;
+const MIN_FUZZY_PHRASE_LENGTH = 6;
+
+/**
+ * Split text into lower-case words; possessives and punctuation are dropped
+ */
+function normalizeWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9&+.]+/g, ' ')
+    .split(' ')
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two strings, from 0 (different) to 1 (identical)
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * An empty recognition result
+ */
+function createEmptyEntities() {
+  const entities = {};
+  Object.values(TYPE_SECTIONS).forEach(section => {
+    entities[section] = [];
+  });
+  entities.tickers = [];
+  entities.count = 0;
+  return entities;
+}
+
+/**
+ * All recognized entities as one list, in type order
+ * @param {Object} entities - Recognition result
+ * @returns {Array} Entities
+ */
+function flattenEntities(entities) {
+  if (!entities) {
+    return [];
+  }
+  return Object.values(TYPE_SECTIONS).flatMap(section => entities[section] || []);
+}
+
+/**
+ * Group a flat entity list into a recognition result
+ */
+function groupEntities(list, maxPerType) {
+  const entities = createEmptyEntities();
+
+  list.forEach(entity => {
+    const section = entities[TYPE_SECTIONS[entity.type]];
+    if (section && section.length < maxPerType) {
+      section.push(entity);
+    }
+  });
+
+  entities.tickers = [...entities.companies, ...entities.etfs].map(entity => entity.symbol);
+  entities.count = flattenEntities(entities).length;
+  return entities;
+}
+
+/**
+ * Merge recognition results, keeping the most confident match of each entity
+ * @param {...Object} results - Recognition results
+ * @returns {Object} Merged recognition result
+ */
+function mergeEntities(...results) {
+  const merged = new Map();
+
+  results.forEach(result => {
+    flattenEntities(result).forEach(entity => {
+      const key = `${entity.type}:${entity.symbol}`;
+      const existing = merged.get(key);
+      if (!existing || entity.confidence > existing.confidence) {
+        merged.set(key, entity);
+      }
+    });
+  });
+
+  return groupEntities(Array.from(merged.values()), getEntityConfig().maxPerType);
+}
+
+/**
+ * Describe recognized entities for the planning prompt
+ * @param {Object} entities - Recognition result
+ * @returns {string} One line per entity type, or a note that none were found
+ */
+function formatEntitiesForPrompt(entities) {
+  const labels = {
+    companies: 'Companies',
+    etfs: 'ETFs',
+    indices: 'Indices',
+    exchanges: 'Exchanges',
+    currencies: 'Currencies',
+    macroIndicators: 'Macro indicators'
+  };
+
+  const lines = Object.entries(labels)
+    .filter(([section]) => entities && entities[section] && entities[section].length > 0)
+    .map(([section, label]) => {
+      const described = entities[section].map(entity => {
+        const details = [entity.symbol, entity.exchange].filter(Boolean).join(', ');
+        return `${entity.name} (${details})`;
+      });
+      return `- ${label}: ${described.join('; ')}`;
+    });
+
+  return lines.length > 0 ? lines.join('\n') : 'No specific companies, tickers or indicators were recognized.';
+}
+
+/**
+ * Entity recognizer backed by a symbol directory
+ */
+class EntityRecognizer {
+  /**
+   * @param {Object} options - `directory` replaces the directory files (used by tests)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || null;
+    this.index = null;
+  }
+
+  /**
+   * Read the built-in directory and merge the optional override file over it
+   */
+  loadDirectory() {
+    const config = getEntityConfig();
+    const directory = JSON.parse(fs.readFileSync(config.builtInDirectoryFile, 'utf8'));
+
+    if (config.directoryFile) {
+      try {
+        const extra = JSON.parse(fs.readFileSync(config.directoryFile, 'utf8'));
+        Object.values(TYPE_SECTIONS).forEach(section => {
+          directory[section] = [...(extra[section] || []), ...(directory[section] || [])];
+        });
+      } catch (error) {
+        console.error(`[ENTITIES] ⚠️ Could not read ENTITY_DIRECTORY_FILE ${config.directoryFile}:`, error.message);
+      }
+    }
+
+    return directory;
+  }
+
+  /**
+   * Build (once) the symbol, phrase and fuzzy-candidate lookups
+   */
+  getIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    const directory = this.directory || this.loadDirectory();
+    const index = { bySymbol: new Map(), byPhrase: new Map(), fuzzyCandidates: [], maxPhraseWords: 1 };
+    const seen = new Set();
+
+    const addPhrase = (phrase, entry, matchType) => {
+      const words = normalizeWords(phrase);
+      const key = words.join(' ');
+      if (!key || index.byPhrase.has(key)) {
+        return;
+      }
+      index.byPhrase.set(key, { entry, matchType });
+      index.maxPhraseWords = Math.max(index.maxPhraseWords, words.length);
+      if (key.length >= MIN_FUZZY_PHRASE_LENGTH) {
+        index.fuzzyCandidates.push({ key, wordCount: words.length, entry });
+      }
+    };
+
+    Object.entries(TYPE_SECTIONS).forEach(([type, section]) => {
+      (directory[section] || []).forEach(item => {
+        const symbol = String(item.ticker || item.symbol || item.code || '').toUpperCase();
+        if (!symbol || !item.name) {
+          return;
+        }
+
+        const entry = {
+          type,
+          symbol,
+          name: item.name,
+          ...(item.exchange && { exchange: item.exchange }),
+          ...(item.cik && { cik: item.cik })
+        };
+
+        // Earlier entries win, so the override file can redefine a symbol
+        if (seen.has(`${type}:${symbol}`)) {
+          return;
+        }
+        seen.add(`${type}:${symbol}`);
+        if (!index.bySymbol.has(symbol)) {
+          index.bySymbol.set(symbol, entry);
+        }
+
+        addPhrase(item.name, entry, MatchType.NAME);
+        const trimmedName = normalizeWords(item.name).filter(word => !NAME_SUFFIXES.has(word));
+        if (trimmedName.length > 0) {
+          addPhrase(trimmedName.join(' '), entry, MatchType.NAME);
+        }
+        (item.aliases || []).forEach(alias => addPhrase(alias, entry, MatchType.ALIAS));
+      });
+    });
+
+    this.index = index;
+    console.log(`[ENTITIES] Loaded symbol directory with ${index.byPhrase.size} names and aliases`);
+    return index;
+  }
+
+  /**
+   * Recognize the entities in a piece of text
+   * @param {string} text - Question or document text
+   * @param {Object} options - `fuzzy: false` skips fuzzy matching (for long documents)
+   * @returns {Object} { companies, etfs, indices, exchanges, currencies, macroIndicators, tickers, count }
+   */
+  recognize(text, options = {}) {
+    const config = getEntityConfig();
+    const index = this.getIndex();
+    const found = new Map();
+
+    if (!text || typeof text !== 'string') {
+      return createEmptyEntities();
+    }
+
+    const add = (entry, matchType, matchedText, confidence = MATCH_CONFIDENCE[matchType]) => {
+      const key = `${entry.type}:${entry.symbol}`;
+      const existing = found.get(key);
+      if (!existing || confidence > existing.confidence) {
+        found.set(key, { ...entry, matchedText, matchType, confidence: Math.round(confidence * 100) / 100 });
+      }
+    };
+
+    // 1. Cashtags ($AAPL) and upper-case symbols (AAPL, BRK.B, CPI)
+    (text.match(/\$[A-Za-z][A-Za-z.]{0,5}\b/g) || []).forEach(tag => {
+      const entry = index.bySymbol.get(tag.slice(1).toUpperCase());
+      if (entry) {
+        add(entry, MatchType.CASHTAG, tag);
+      }
+    });
+    (text.match(/\b[A-Z][A-Z0-9.]{1,7}\b/g) || [])
+      .map(token => token.replace(/\.+$/, ''))
+      .filter(token => !SYMBOL_STOPWORDS.has(token))
+      .forEach(token => {
+        const entry = index.bySymbol.get(token);
+        if (entry) {
+          add(entry, MatchType.SYMBOL, token);
+        }
+      });
+
+    // 2. Exact names and aliases, longest phrase first
+    const words = normalizeWords(text);
+    const matched = new Array(words.length).fill(false);
+
+    for (let i = 0; i < words.length; i++) {
+      for (let length = Math.min(index.maxPhraseWords, words.length - i); length >= 1; length--) {
+        const phrase = words.slice(i, i + length).join(' ');
+        const match = index.byPhrase.get(phrase);
+        if (match) {
+          add(match.entry, match.matchType, phrase);
+          matched.fill(true, i, i + length);
+          i += length - 1;
+          break;
+        }
+      }
+    }
+
+    // 3. Fuzzy matching for misspelled names ("Nvdia", "Microsft")
+    if (options.fuzzy !== false) {
+      for (let i = 0; i < words.length; i++) {
+        if (matched[i] || words[i].length < MIN_FUZZY_WORD_LENGTH || /\d/.test(words[i])) {
+          continue;
+        }
+
+        let best = null;
+        index.fuzzyCandidates.forEach(candidate => {
+          if (i + candidate.wordCount > words.length || matched.slice(i, i + candidate.wordCount).some(Boolean)) {
+            return;
+          }
+          const phrase = words.slice(i, i + candidate.wordCount).join(' ');
+          const score = similarity(phrase, candidate.key);
+          if (score >= config.fuzzyThreshold && (!best || score > best.score)) {
+            best = { candidate, phrase, score };
+          }
+        });
+
+        if (best) {
+          add(best.candidate.entry, MatchType.FUZZY, best.phrase, best.score * 0.9);
+          matched.fill(true, i, i + best.candidate.wordCount);
+        }
+      }
+    }
+
+    return groupEntities(Array.from(found.values()), config.maxPerType);
+  }
+
+  /**
+   * Tickers a provider should look up for a sub-question: those named in the
+   * sub-question itself, else those recognized in the user's question
+   * @param {string} query - The research sub-question
+   * @param {Object} fallbackEntities - Entities recognized in the user's question (optional)
+   * @param {Object} options - `types` limits the entity types (default: companies and ETFs)
+   * @returns {Array<string>} Ticker symbols (possibly empty)
+   */
+  selectTickers(query, fallbackEntities = null, options = {}) {
+    const types = options.types || [EntityType.COMPANY, EntityType.ETF];
+    const tickersOf = entities => flattenEntities(entities)
+      .filter(entity => types.includes(entity.type))
+      .map(entity => entity.symbol);
+
+    const fromQuery = tickersOf(this.recognize(query));
+    return fromQuery.length > 0 ? fromQuery : tickersOf(fallbackEntities);
+  }
+
+  /**
+   * Drop the cached directory index (used by tests)
+   */
+  reset() {
+    this.index = null;
+  }
+}
+
+// Create singleton instance
+const entityRecognizer = new EntityRecognizer();
+
+module.exports = {
+  EntityRecognizer,
+  entityRecognizer,
+  EntityType,
+  MatchType,
+  createEmptyEntities,
+  flattenEntities,
+  mergeEntities,
+  formatEntitiesForPrompt
+};
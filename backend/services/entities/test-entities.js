@@ -0,0 +1,90 @@
+/**
+ * Test file for the entity recognizer
+ *
+ * Runs offline against the built-in symbol directory.
+ * Run with: node services/entities/test-entities.js
+ */
+
+const { entityRecognizer, mergeEntities, formatEntitiesForPrompt, MatchType } = require('./entityRecognizer');
+const { validateFinancialQuestion } = require('../gemini/promptTemplate');
+const { resultsProcessor } = require('../search/resultsProcessor');
+
+function runEntityTests() {
+  console.log('🎯 Starting Entity Recognizer Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const symbolsOf = (entities, section) => entities[section].map(entity => entity.symbol).join(',');
+
+  // Test 1: Companies and tickers
+  const named = entityRecognizer.recognize("Compare Microsoft and Apple's revenue");
+  check('Company names resolve to tickers', named.tickers.join(',') === 'MSFT,AAPL', named.tickers);
+
+  const tagged = entityRecognizer.recognize('Is $nvda overvalued compared to QQQ?');
+  check('Cashtags and ETF symbols are recognized', symbolsOf(tagged, 'companies') === 'NVDA' && symbolsOf(tagged, 'etfs') === 'QQQ');
+  check('Company entities carry exchange and CIK', tagged.companies[0].exchange === 'NASDAQ' && tagged.companies[0].cik === 1045810);
+
+  const misspelled = entityRecognizer.recognize('Tell me about Microsft cloud growth');
+  check('Misspelled names are fuzzy matched', symbolsOf(misspelled, 'companies') === 'MSFT' &&
+    misspelled.companies[0].matchType === MatchType.FUZZY && misspelled.companies[0].confidence < 1);
+
+  const jargon = entityRecognizer.recognize('Is IT spending ON the rise for CEO pay?');
+  check('Upper-case jargon is not mistaken for tickers', jargon.count === 0, jargon.tickers);
+
+  // Test 2: Other entity types
+  const macro = entityRecognizer.recognize('How are CPI and the fed funds rate moving USD/JPY?');
+  check('Macro indicators are recognized', symbolsOf(macro, 'macroIndicators') === 'CPI,FEDFUNDS', symbolsOf(macro, 'macroIndicators'));
+  check('Currencies are recognized', symbolsOf(macro, 'currencies') === 'USD,JPY', symbolsOf(macro, 'currencies'));
+
+  const markets = entityRecognizer.recognize('Did the Nasdaq Composite beat the S&P 500 on the NYSE?');
+  check('Longest name wins (index over exchange)', symbolsOf(markets, 'indices') === 'IXIC,SPX', symbolsOf(markets, 'indices'));
+  check('Exchanges are recognized', symbolsOf(markets, 'exchanges') === 'NYSE', symbolsOf(markets, 'exchanges'));
+
+  check('Non-financial text has no entities', entityRecognizer.recognize('What is the capital of France?').count === 0);
+
+  // Test 3: Merging and prompt formatting
+  const merged = mergeEntities(named, entityRecognizer.recognize('What is MSFT P/E?'));
+  check('Merged results keep each entity once', merged.tickers.join(',') === 'MSFT,AAPL' && merged.count === 2);
+  check('Prompt lists entities by type', formatEntitiesForPrompt(named).startsWith('- Companies: Microsoft Corporation (MSFT, NASDAQ)'));
+
+  // Test 4: Consumers
+  check('Recognized entities count as financial context',
+    !validateFinancialQuestion('Thoughts on Nvidia?', entityRecognizer.recognize('Thoughts on Nvidia?')).warning);
+
+  const processed = resultsProcessor.processSearchResults({
+    searchId: 'test_entities',
+    query: "Apple's revenue",
+    entities: entityRecognizer.recognize("Apple's revenue"),
+    results: {
+      allResults: [{
+        source: 'perplexity',
+        title: 'Microsoft and Apple results',
+        content: 'Microsoft (MSFT) and Apple both beat estimates as the S&P 500 rallied.',
+        relevanceScore: 80
+      }]
+    }
+  });
+  const tags = processed.results.items[0].tags;
+  check('Tagger adds entity tags, question entities first',
+    tags.indexOf('ticker:AAPL') === 1 && tags.includes('ticker:MSFT') && tags.includes('index:SPX'), tags);
+
+  console.log(`\n🎉 Entity tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  process.exit(runEntityTests() ? 0 : 1);
+}
+
+module.exports = { runEntityTests };
@@ -2,31 +2,66 @@
  * Gemini Answering Service
  * 
  * This service handles the final answering step of the financial agent.
- * It uses Google Gemini to synthesize search results into comprehensive answers with citations.
+ * It uses Google Gemini to synthesize search results into comprehensive answers with citations;
+ * another provider can be chosen with ANSWERING_PROVIDER (see ../llm/modelProviders.js).
  */
 
-const { getGeminiModel } = require('./planningService');
+const { HumanMessage, ToolMessage } = require('@langchain/core/messages');
+const { getModelForRole, ModelRole } = require('../llm/modelProviders');
+const { config: geminiConfig } = require('./config');
+const { getToolDefinitions, executeToolCall } = require('./calculationTools');
+const { isSearchStep } = require('./planGraph');
+const { getResultItems, buildCitationSources, extractCitations } = require('./citations');
+const { formatConversationHistory } = require('../conversation/conversationStore');
+const { createAbortError, isAbortError } = require('../search/cancellation');
+const { Route } = require('../routing/questionClassifier');
+const { formatFigure } = require('../search/extractionSchemas');
+const { contextBuilder } = require('../context/contextBuilder');
 
 /**
  * Create a comprehensive prompt for synthesizing search results
+ * @param {string} userQuestion - The user's question
+ * @param {Object} searchResults - Processed search results
+ * @param {Array} history - Prior conversation turns (optional)
+ * @param {Object} context - Passages chosen by the context builder (optional; results are used in full unless it trimmed them)
  */
-function createAnsweringPrompt(userQuestion, searchResults) {
+function createAnsweringPrompt(userQuestion, searchResults, history = [], context = null) {
+  const formattedHistory = formatConversationHistory(history);
+  const standaloneQuestion = searchResults?.workflow?.steps?.planning?.originalPlan?.standaloneQuestion;
+  
+  let conversationSection = '';
+  if (formattedHistory) {
+    conversationSection = `## Conversation History:
+${formattedHistory}
+
+`;
+  }
+  
+  let questionSection = userQuestion;
+  if (standaloneQuestion && standaloneQuestion !== userQuestion) {
+    questionSection += `\n(Follow-up question, interpreted as: ${standaloneQuestion})`;
+  }
+  
   const prompt = `You are a financial research assistant. Your task is to provide a comprehensive, accurate answer to the user's question based on the search results provided.
 
-## User Question:
-${userQuestion}
+${conversationSection}## User Question:
+${questionSection}
 
 ## Search Results:
-${formatSearchResults(searchResults)}
+${context?.stats.trimmed ? formatContext(context) : formatSearchResults(searchResults)}
 
-## Instructions:
+${formatExtractedFigures(searchResults, context)}${formatAnalysisSteps(searchResults)}## Instructions:
 1. Provide a comprehensive answer that directly addresses the user's question
 2. Use ONLY the information from the search results provided
-3. Include specific citations using [Source: X] format for each key fact
+3. Cite every key fact with the number of the search result it came from, using markers like [1] or [2][3]; only cite numbers listed in the search results above
 4. If the search results don't contain enough information, clearly state what is missing
 5. Organize your response with clear sections if appropriate
 6. Include relevant numbers, dates, and specific details when available
 7. If there are conflicting information in the sources, acknowledge and explain the discrepancy
+8. If the question follows up on the conversation history, you may refer back to earlier answers for context, but cite only the numbered search results
+9. Search results marked as computed figures contain prices, ratios and returns calculated from market data; quote those figures exactly and never estimate or recompute prices, P/E, EV/EBITDA, yields or returns yourself
+10. When you need a number that is not stated in the search results (growth rates, percentage changes, ratios, interest, loan payments, NPV/IRR, currency conversions), call the calculation tools with inputs taken from the search results instead of doing the arithmetic yourself, and cite the results the inputs came from
+11. Extracted figures were read from the pages into typed fields; prefer them for exact numbers, state their unit, period and as-of date, cite the search results listed next to them, and give every reported value when a figure is marked as conflicting
 
 ## Answer Format:
 - Start with a direct answer to the question
@@ -39,6 +74,115 @@ Please provide your answer now:`;
   return prompt;
 }
 
+/**
+ * Create a short prompt for a definition question the glossary does not cover
+ * (routed past planning and search, see routing/questionClassifier.js)
+ * @param {string} userQuestion - The user's question
+ * @param {string} term - The term to define
+ */
+function createDefinitionPrompt(userQuestion, term) {
+  return `You are a financial research assistant. Answer the user's definition question concisely.
+
+## User Question:
+${userQuestion}
+
+## Instructions:
+1. Define "${term}" in 2-4 sentences of plain language
+2. If it is a ratio or metric, give its formula and a one-line numeric example
+3. Do not quote current prices, rates or company figures; this answer uses no search results
+4. Do not include citation markers
+
+Please provide your answer now:`;
+}
+
+/**
+ * Quote a glossary entry as the answer, citing the glossary result [1]
+ * @param {Object} entry - Glossary entry
+ */
+function formatGlossaryAnswer(entry) {
+  const sections = [`**${entry.term}**: ${entry.definition} [1]`];
+  if (entry.formula) {
+    sections.push(`**Formula:** ${entry.formula} [1]`);
+  }
+  if (entry.example) {
+    sections.push(`**Example:** ${entry.example} [1]`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Format the compute and summarize steps of the research plan, which are
+ * carried out while answering rather than searched
+ * @returns {string} Prompt section, or an empty string if the plan has none
+ */
+function formatAnalysisSteps(searchResults) {
+  const planSteps = searchResults?.workflow?.steps?.searching?.planSteps || [];
+  const analysisSteps = planSteps.filter(step => step && !isSearchStep(step));
+  if (analysisSteps.length === 0) {
+    return '';
+  }
+
+  const lines = analysisSteps.map(step => {
+    const expected = step.expectedOutput ? ` (expected output: ${step.expectedOutput})` : '';
+    return `- [${step.type}] ${step.query}${expected}`;
+  });
+
+  return `## Analysis Steps:
+The research plan leaves these steps to you; carry them out from the search results above (use the calculation tools for compute steps) and include their outcome in the answer:
+${lines.join('\n')}
+
+`;
+}
+
+/**
+ * Format the figures extracted from the results (merged by resultsProcessor)
+ * with the numbers of the results that reported them. When the context left
+ * results out of the prompt, only figures (and conflicting values) reported
+ * by the included results are listed, so every marker is citable.
+ * @param {Object} searchResults - Processed search results
+ * @param {Object} context - Passages chosen by the context builder (optional)
+ * @returns {string} Prompt section, or an empty string if nothing was extracted
+ */
+function formatExtractedFigures(searchResults, context = null) {
+  const figures = searchResults?.results?.figures || [];
+  if (figures.length === 0) {
+    return '';
+  }
+
+  // Numbering must match buildCitationSources so markers resolve to the right source
+  const included = context?.stats.trimmed ? new Set(context.sources.map(source => source.resultId)) : null;
+  const numbers = new Map(getResultItems(searchResults)
+    .map((result, index) => [result.id, index + 1])
+    .filter(([id]) => !included || included.has(id)));
+  const cite = resultIds => resultIds.map(id => numbers.get(id)).filter(Boolean).map(number => `[${number}]`).join('');
+
+  const lines = figures.flatMap(figure => {
+    if (!figure.conflict) {
+      const citations = cite(figure.resultIds);
+      return citations ? [`- ${formatFigure(figure)} ${citations}`] : [];
+    }
+    const values = figure.values.filter(value => cite(value.resultIds));
+    if (values.length === 0) {
+      return [];
+    }
+    // The value kept by the merge may come from a result the context left out
+    const shown = values.some(value => value.value === figure.value) ? figure : { ...figure, value: values[0].value, unit: values[0].unit };
+    if (values.length === 1) {
+      return [`- ${formatFigure(shown)} ${cite(values[0].resultIds)}`];
+    }
+    const reported = values.map(value => `${value.value}${value.unit ? ` ${value.unit}` : ''} ${cite(value.resultIds)}`);
+    return [`- ${formatFigure(shown)} — CONFLICTING, reported as ${reported.join('; ')}`];
+  });
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return `## Extracted Figures:
+${lines.join('\n')}
+
+`;
+}
+
 /**
  * Format search results for inclusion in the prompt
  */
@@ -67,29 +211,24 @@ function formatSearchResults(searchResults) {
   }
 
   let formattedResults = "";
-  let resultItems = [];
   
-  // Handle different result structures
-  if (searchResults.results.items && Array.isArray(searchResults.results.items)) {
-    // Processed results from resultsProcessor
-    resultItems = searchResults.results.items;
-    console.log('[ANSWERING] Using processed results:', resultItems.length);
-  } else if (searchResults.results.allResults && Array.isArray(searchResults.results.allResults)) {
-    // Fallback results
-    resultItems = searchResults.results.allResults;
-    console.log('[ANSWERING] Using fallback results:', resultItems.length);
-  } else {
+  // Handle different result structures (processed items or fallback allResults)
+  if (!Array.isArray(searchResults.results.items) && !Array.isArray(searchResults.results.allResults)) {
     console.log('[ANSWERING] No valid result items found');
     return "No valid search results available.";
   }
   
+  // Numbering must match buildCitationSources so markers resolve to the right source
+  const resultItems = getResultItems(searchResults);
+  console.log('[ANSWERING] Using result items:', resultItems.length);
+  
   if (resultItems.length === 0) {
     console.log('[ANSWERING] Empty result items array');
     return "No search results found.";
   }
   
   resultItems.forEach((result, index) => {
-    formattedResults += `\n### Search Result ${index + 1}:\n`;
+    formattedResults += `\n### Search Result [${index + 1}]:\n`;
     
     // Handle processed results (from resultsProcessor)
     if (result.title && result.content) {
@@ -101,6 +240,9 @@ function formatSearchResults(searchResults) {
       if (result.source) {
         formattedResults += `**Provider:** ${result.source}\n`;
       }
+      if (result.sourceData?.computed) {
+        formattedResults += `**Data Type:** Computed figures from market data (quote exactly)\n`;
+      }
       if (result.relevanceScore) {
         formattedResults += `**Relevance Score:** ${result.relevanceScore}\n`;
       }
@@ -141,52 +283,290 @@ function formatSearchResults(searchResults) {
 }
 
 /**
- * Generate final answer using Gemini
+ * Format the passages chosen by the context builder, numbered like the full search results
+ * @param {Object} context - Context from contextBuilder.buildContext
+ */
+function formatContext(context) {
+  if (context.sources.length === 0) {
+    return "No search results found.";
+  }
+  
+  let formattedResults = "";
+  context.sources.forEach(source => {
+    formattedResults += `\n### Search Result [${source.number}]:\n`;
+    formattedResults += `**Title:** ${source.title}\n`;
+    formattedResults += `**Content:** ${source.chunks.map(chunk => chunk.text).join('\n[…]\n')}\n`;
+    if (source.url) {
+      formattedResults += `**Source:** ${source.url}\n`;
+    }
+    if (source.provider) {
+      formattedResults += `**Provider:** ${source.provider}\n`;
+    }
+    if (source.computed) {
+      formattedResults += `**Data Type:** Computed figures from market data (quote exactly)\n`;
+    }
+    if (source.relevanceScore) {
+      formattedResults += `**Relevance Score:** ${source.relevanceScore}\n`;
+    }
+    formattedResults += "\n";
+  });
+  
+  if (context.stats.omittedSources > 0) {
+    formattedResults += `(${context.stats.omittedSources} further search results had no passages relevant to the question and were left out; their numbers are not cited.)\n`;
+  }
+  
+  console.log(`[ANSWERING] ✅ Formatted ${context.stats.selectedChunks} passages from ${context.sources.length} results:`, formattedResults.length, 'characters');
+  return formattedResults;
+}
+
+/**
+ * Count how many search results were available to the answering step
+ */
+function countSearchResultsUsed(searchResults) {
+  return searchResults?.results ? 
+    (searchResults.results.items?.length || searchResults.results.allResults?.length || searchResults.results.total || 0) : 0;
+}
+
+/**
+ * Mutable record of an answer in progress, so a cancelled run can still
+ * return what was generated
+ */
+function createAnswerState() {
+  return {
+    answer: '',
+    toolCalls: [],
+    usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+    finishReason: null,
+    model: null,
+    provider: null,
+    context: null
+  };
+}
+
+/**
+ * Stop reason of a model response (providers name the field differently, and
+ * streamed Claude responses carry it in additional_kwargs)
  */
-async function generateFinalAnswer(userQuestion, searchResults) {
+function getFinishReason(message) {
+  const metadata = { ...message?.additional_kwargs, ...message?.response_metadata };
+  return metadata.finishReason || metadata.finish_reason || metadata.stop_reason || null;
+}
+
+/**
+ * Add a message's token usage to the running totals
+ */
+function addUsage(usage, metadata) {
+  if (metadata) {
+    usage.inputTokens += metadata.input_tokens || 0;
+    usage.outputTokens += metadata.output_tokens || 0;
+    usage.totalTokens += metadata.total_tokens || 0;
+  }
+}
+
+/**
+ * Fold a chunk's usage into the usage of a streamed response. The final
+ * usage reported holds the output token count (Claude reports a first output
+ * token on message_start and the cumulative count on message_delta), so it
+ * replaces earlier counts instead of adding to them; input tokens may only be
+ * reported on the first chunk, so the largest count is kept.
+ */
+function mergeStreamedUsage(streamed, metadata) {
+  if (!metadata) {
+    return streamed;
+  }
+
+  const inputTokens = Math.max(streamed?.input_tokens || 0, metadata.input_tokens || 0);
+  const outputTokens = metadata.output_tokens || streamed?.output_tokens || 0;
+  return { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+}
+
+/**
+ * Run the answering model with the calculation tools bound. Each round the
+ * model either answers or requests tool calls, which run locally and are fed
+ * back; after ANSWER_MAX_TOOL_ROUNDS the model must answer without tools.
+ * @param {Object} model - Chat model
+ * @param {string} prompt - Answering prompt
+ * @param {Object} state - Answer state from createAnswerState, updated in place
+ * @param {Object} options - `signal` cancels generation, `onDelta` streams text deltas, `onToolCall` receives tool call records,
+ *   `tools: false` answers without the calculation tools
+ */
+async function runAnsweringModel(model, prompt, state, options = {}) {
+  const { signal, onDelta, onToolCall } = options;
+  const useTools = options.tools !== false && geminiConfig.answerTools && typeof model.bindTools === 'function';
+  const toolModel = useTools ? model.bindTools(getToolDefinitions()) : model;
+  const finalModel = useTools ? model.bindTools(getToolDefinitions(), { tool_choice: 'none' }) : model;
+  const messages = [new HumanMessage(prompt)];
+
+  for (let round = 1; ; round++) {
+    const canCallTools = useTools && round <= geminiConfig.maxToolRounds;
+    const activeModel = canCallTools ? toolModel : finalModel;
+    let message = null;
+
+    if (onDelta) {
+      const usageBefore = { ...state.usage };
+      let streamedUsage = null;
+      const stream = await activeModel.stream(messages, { signal });
+      for await (const chunk of stream) {
+        if (chunk.usage_metadata) {
+          streamedUsage = mergeStreamedUsage(streamedUsage, chunk.usage_metadata);
+          state.usage = { ...usageBefore };
+          addUsage(state.usage, streamedUsage);
+        }
+        state.finishReason = getFinishReason(chunk) || state.finishReason;
+        
+        message = message ? message.concat(chunk) : chunk;
+        
+        const delta = getChunkText(chunk);
+        if (delta.length > 0) {
+          state.answer += delta;
+          await onDelta(delta);
+        }
+      }
+    } else {
+      message = await activeModel.invoke(messages, { signal });
+      addUsage(state.usage, message.usage_metadata);
+      state.finishReason = getFinishReason(message) || state.finishReason;
+      state.answer += getChunkText(message);
+    }
+
+    const requested = message?.tool_calls || [];
+    if (!canCallTools || requested.length === 0) {
+      return state;
+    }
+
+    messages.push(message);
+    requested.forEach(toolCall => {
+      const record = { ...executeToolCall(toolCall), round };
+      state.toolCalls.push(record);
+      console.log(`[ANSWERING] 🧮 Tool ${record.name} ${record.error ? `failed: ${record.error}` : `= ${record.result.value}${record.result.unit === '%' ? '%' : ''}`}`);
+      
+      if (typeof onToolCall === 'function') {
+        try {
+          onToolCall(record);
+        } catch (error) {
+          console.error('[ANSWERING] ❌ Tool call listener failed:', error.message);
+        }
+      }
+      
+      messages.push(new ToolMessage({
+        tool_call_id: record.id,
+        name: record.name,
+        content: JSON.stringify(record.error ? { error: record.error, result: record.result } : record.result)
+      }));
+    });
+  }
+}
+
+/**
+ * Answer along the route the question was classified to: a glossary entry is
+ * quoted without a model call, other definitions get one short model call
+ * without tools, and everything else the full answering prompt
+ * @param {string} userQuestion - The user's question
+ * @param {Object} searchResults - Processed search results (with the workflow steps)
+ * @param {Array} history - Prior conversation turns
+ * @param {Object} state - Answer state from createAnswerState, updated in place
+ * @param {Object} options - Passed to runAnsweringModel
+ */
+async function produceAnswer(userQuestion, searchResults, history, state, options = {}) {
+  const routing = searchResults?.workflow?.steps?.routing;
+  
+  if (routing?.route === Route.GLOSSARY && routing.glossaryTerm) {
+    console.log(`[ANSWERING] Answering from the glossary entry for "${routing.glossaryTerm.term}"`);
+    state.answer = formatGlossaryAnswer(routing.glossaryTerm);
+    state.finishReason = 'STOP';
+    state.model = 'glossary';
+    state.provider = 'glossary';
+    if (options.onDelta) {
+      await options.onDelta(state.answer);
+    }
+    return state;
+  }
+  
+  const { model, provider, modelName } = getModelForRole(ModelRole.ANSWERING);
+  state.model = modelName;
+  state.provider = provider;
+  
+  if (routing?.route === Route.QUICK_ANSWER) {
+    console.log(`[ANSWERING] Sending definition request for "${routing.term}" to ${provider} (${modelName})...`);
+    return runAnsweringModel(model, createDefinitionPrompt(userQuestion, routing.term), state, { ...options, tools: false });
+  }
+  
+  // Keep the passages relevant to the question within the context budget
+  let context = null;
+  try {
+    context = await contextBuilder.buildContext(userQuestion, searchResults, { signal: options.signal });
+    state.context = context.stats;
+  } catch (error) {
+    if (isAbortError(error, options.signal)) {
+      throw error;
+    }
+    console.warn('[ANSWERING] ⚠️  Context selection failed, using the full search results:', error.message);
+  }
+  
+  // Generate the response, running any calculation tools the model asks for
+  console.log(`[ANSWERING] Sending request to ${provider} (${modelName})...`);
+  return runAnsweringModel(model, createAnsweringPrompt(userQuestion, searchResults, history, context), state, options);
+}
+
+/**
+ * Generate final answer with the answering model
+ * @param {string} userQuestion - The user's question
+ * @param {Object} searchResults - Processed search results
+ * @param {Object} options - Answer options; `signal` is an AbortSignal that cancels generation, `history` holds prior conversation turns,
+ *   `onToolCall` receives the audit record of each calculation tool call
+ */
+async function generateFinalAnswer(userQuestion, searchResults, options = {}) {
   try {
     console.log('[ANSWERING] Generating final answer for:', userQuestion);
     
-    // Get the Gemini model
-    const model = await getGeminiModel();
-    
-    // Create the prompt
-    const prompt = createAnsweringPrompt(userQuestion, searchResults);
-    
-    // Generate response from Gemini
-    console.log('[ANSWERING] Sending request to Gemini...');
-    const response = await model.invoke(prompt);
+    const state = createAnswerState();
+    await produceAnswer(userQuestion, searchResults, options.history, state, {
+      signal: options.signal,
+      onToolCall: options.onToolCall
+    });
     
     // Structure the final answer
-    const searchResultsUsed = searchResults.results ? 
-      (searchResults.results.items?.length || searchResults.results.allResults?.length || searchResults.results.total || 0) : 0;
+    const searchResultsUsed = countSearchResultsUsed(searchResults);
+    const { citations, validation } = extractCitations(state.answer, buildCitationSources(searchResults));
     
     const finalAnswer = {
       answerId: `answer_${Date.now()}`,
       originalQuestion: userQuestion,
-      answer: response.content,
+      answer: state.answer,
+      citations: citations,
+      citationValidation: validation,
+      toolCalls: state.toolCalls,
       searchResultsUsed: searchResultsUsed,
       timestamp: new Date().toISOString(),
       status: 'completed',
-      model: 'gemini-2.0-flash'
+      model: state.model,
+      provider: state.provider,
+      context: state.context
     };
     
     return finalAnswer;
     
   } catch (error) {
+    if (isAbortError(error, options.signal)) {
+      console.log('[ANSWERING] ⏹️  Answer generation cancelled');
+      throw createAbortError(options.signal?.reason);
+    }
+    
     console.error('[ANSWERING] ❌ Error generating final answer:', error.message);
     
     // Return a fallback answer
-    const fallbackSearchResultsUsed = searchResults.results ? 
-      (searchResults.results.items?.length || searchResults.results.allResults?.length || searchResults.results.total || 0) : 0;
+    const fallbackSearchResultsUsed = countSearchResultsUsed(searchResults);
     
     const fallbackAnswer = {
       answerId: `fallback_answer_${Date.now()}`,
       originalQuestion: userQuestion,
       answer: `I apologize, but I encountered an error while generating a comprehensive answer to your question: "${userQuestion}". This could be due to technical issues with the AI model. Please try again, or contact support if the issue persists.`,
+      citations: [],
       searchResultsUsed: fallbackSearchResultsUsed,
       timestamp: new Date().toISOString(),
       status: 'fallback',
+      model: null,
+      provider: null,
       error: error.message
     };
     
@@ -196,59 +576,128 @@ async function generateFinalAnswer(userQuestion, searchResults) {
 }
 
 /**
- * Stream the final answer in chunks (for SSE streaming)
+ * Extract the text delta from a streamed model chunk
+ */
+function getChunkText(chunk) {
+  if (!chunk || !chunk.content) {
+    return '';
+  }
+  
+  if (typeof chunk.content === 'string') {
+    return chunk.content;
+  }
+  
+  // Multi-part content: concatenate the text blocks
+  if (Array.isArray(chunk.content)) {
+    return chunk.content
+      .filter(part => part && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('');
+  }
+  
+  return '';
+}
+
+/**
+ * Stream the final answer token by token using Gemini's native streaming (for SSE streaming)
+ * @param {string} userQuestion - The user's question
+ * @param {Object} searchResults - Processed search results
+ * @param {Function} onChunk - Callback receiving each text delta and a final usage record
+ * @param {Object} options - Streaming options; `signal` is an AbortSignal that cancels generation, `history` holds prior conversation turns,
+ *   `onToolCall` receives the audit record of each calculation tool call
+ * @returns {Promise<Object>} The complete final answer
  */
-async function streamFinalAnswer(userQuestion, searchResults, onChunk) {
+async function streamFinalAnswer(userQuestion, searchResults, onChunk, options = {}) {
+  const { signal, history, onToolCall } = options;
+  
+  if (!onChunk || typeof onChunk !== 'function') {
+    console.log('[ANSWERING] No streaming callback provided, returning full answer');
+    return generateFinalAnswer(userQuestion, searchResults, { signal, history, onToolCall });
+  }
+  
+  const answerId = `answer_${Date.now()}`;
+  const state = createAnswerState();
+  
   try {
     console.log('[ANSWERING] Starting streaming answer generation...');
     
-    const finalAnswer = await generateFinalAnswer(userQuestion, searchResults);
+    // Stream the response, running any calculation tools the model asks for
+    await produceAnswer(userQuestion, searchResults, history, state, {
+      signal,
+      onToolCall,
+      onDelta: delta => onChunk({
+        chunk: delta,
+        isComplete: false,
+        answerId: answerId,
+        timestamp: new Date().toISOString()
+      })
+    });
     
-    if (!onChunk || typeof onChunk !== 'function') {
-      console.log('[ANSWERING] No streaming callback provided, returning full answer');
-      return finalAnswer;
-    }
+    console.log('[ANSWERING] ✅ Streaming completed');
     
-    // Stream the answer in chunks
-    const answer = finalAnswer.answer;
-    const chunkSize = 25; // characters per chunk
-    const delay = 50; // milliseconds between chunks
+    const { citations, validation } = extractCitations(state.answer, buildCitationSources(searchResults));
     
-    console.log('[ANSWERING] Streaming answer in chunks...');
+    await onChunk({
+      chunk: '',
+      isComplete: true,
+      answerId: answerId,
+      usage: state.usage,
+      finishReason: state.finishReason,
+      timestamp: new Date().toISOString()
+    });
     
-    for (let i = 0; i < answer.length; i += chunkSize) {
-      const chunk = answer.substring(i, i + chunkSize);
-      const progress = Math.round(((i + chunkSize) / answer.length) * 100);
-      
-      await onChunk({
-        chunk: chunk,
-        progress: Math.min(progress, 100),
-        isComplete: i + chunkSize >= answer.length,
-        answerId: finalAnswer.answerId,
-        timestamp: new Date().toISOString()
-      });
+    return {
+      answerId: answerId,
+      originalQuestion: userQuestion,
+      answer: state.answer,
+      citations: citations,
+      citationValidation: validation,
+      toolCalls: state.toolCalls,
+      searchResultsUsed: countSearchResultsUsed(searchResults),
+      timestamp: new Date().toISOString(),
+      status: 'completed',
+      model: state.model,
+      provider: state.provider,
+      usage: state.usage,
+      finishReason: state.finishReason,
+      context: state.context
+    };
+    
+  } catch (error) {
+    // Client went away: keep what was generated and stop quietly
+    if (signal?.aborted) {
+      console.log(`[ANSWERING] ⏹️  Streaming cancelled after ${state.answer.length} characters`);
+      const { citations, validation } = extractCitations(state.answer, buildCitationSources(searchResults));
       
-      // Add delay between chunks
-      if (i + chunkSize < answer.length) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+      return {
+        answerId: answerId,
+        originalQuestion: userQuestion,
+        answer: state.answer,
+        citations: citations,
+        citationValidation: validation,
+        toolCalls: state.toolCalls,
+        searchResultsUsed: countSearchResultsUsed(searchResults),
+        timestamp: new Date().toISOString(),
+        status: 'cancelled',
+        model: state.model,
+        provider: state.provider,
+        usage: state.usage,
+        finishReason: 'CANCELLED',
+        context: state.context
+      };
     }
     
-    console.log('[ANSWERING] ✅ Streaming completed');
-    return finalAnswer;
-    
-  } catch (error) {
     console.error('[ANSWERING] ❌ Error streaming answer:', error.message);
     
-    if (onChunk) {
-      await onChunk({
-        chunk: `Error generating answer: ${error.message}`,
-        progress: 100,
-        isComplete: true,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
-    }
+    await onChunk({
+      chunk: `Error generating answer: ${error.message}`,
+      isComplete: true,
+      answerId: answerId,
+      error: error.message,
+      usage: state.usage,
+      finishReason: state.finishReason,
+      timestamp: new Date().toISOString()
+    });
     
     throw error;
   }
@@ -256,7 +705,12 @@ async function streamFinalAnswer(userQuestion, searchResults, onChunk) {
 
 module.exports = {
   createAnsweringPrompt,
+  createDefinitionPrompt,
+  formatGlossaryAnswer,
   formatSearchResults,
+  formatContext,
+  createAnswerState,
+  runAnsweringModel,
   generateFinalAnswer,
   streamFinalAnswer
 }; 
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * Calculation Tools
+ *
+ * Exposes the deterministic financial calculator to the answering model as
+ * callable tools, so derived numbers (growth rates, payments, NPV/IRR,
+ * conversions) are computed locally instead of by the model. Every call is
+ * recorded with its arguments and output for auditing.
+ */
+
+const {
+  calculateCagr,
+  calculatePercentageChange,
+  calculateCompoundInterest,
+  calculateLoanAmortization,
+  calculateNpv,
+  calculateIrr,
+  calculateRatio,
+  convertCurrency
+} = require('../search/financialCalculator');
+
+const number = description => ({ type: 'number', description });
+const cashFlows = {
+  type: 'array',
+  items: { type: 'number' },
+  description: 'Cash flows per period, starting with period 0 (investments are negative)'
+};
+
+/**
+ * Tool definitions: JSON Schema parameters plus the local implementation
+ */
+const CALCULATION_TOOLS = [
+  {
+    name: 'cagr',
+    description: 'Compound annual growth rate between two values over a number of years, in percent.',
+    parameters: {
+      type: 'object',
+      properties: {
+        startValue: number('Value at the start of the period'),
+        endValue: number('Value at the end of the period'),
+        years: number('Length of the period in years')
+      },
+      required: ['startValue', 'endValue', 'years']
+    },
+    run: args => calculateCagr(args.startValue, args.endValue, args.years)
+  },
+  {
+    name: 'percentage_change',
+    description: 'Percentage change from an old value to a new value.',
+    parameters: {
+      type: 'object',
+      properties: {
+        oldValue: number('Earlier value'),
+        newValue: number('Later value')
+      },
+      required: ['oldValue', 'newValue']
+    },
+    run: args => calculatePercentageChange(args.oldValue, args.newValue)
+  },
+  {
+    name: 'compound_interest',
+    description: 'Future value of a principal with compound interest and optional regular contributions.',
+    parameters: {
+      type: 'object',
+      properties: {
+        principal: number('Starting amount'),
+        annualRatePercent: number('Annual interest rate in percent, e.g. 5 for 5%'),
+        years: number('Number of years'),
+        compoundsPerYear: number('Compounding periods per year (default 12)'),
+        contributionPerPeriod: number('Amount added every compounding period (default 0)')
+      },
+      required: ['principal', 'annualRatePercent', 'years']
+    },
+    run: args => calculateCompoundInterest(args)
+  },
+  {
+    name: 'loan_amortization',
+    description: 'Level payment, total interest and yearly amortization schedule of a fixed-rate loan.',
+    parameters: {
+      type: 'object',
+      properties: {
+        principal: number('Loan amount'),
+        annualRatePercent: number('Annual interest rate in percent'),
+        years: number('Loan term in years'),
+        paymentsPerYear: number('Payments per year (default 12)')
+      },
+      required: ['principal', 'annualRatePercent', 'years']
+    },
+    run: args => calculateLoanAmortization(args)
+  },
+  {
+    name: 'npv',
+    description: 'Net present value of a series of cash flows at a discount rate per period.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ratePercent: number('Discount rate per period in percent'),
+        cashFlows
+      },
+      required: ['ratePercent', 'cashFlows']
+    },
+    run: args => calculateNpv(args.ratePercent, args.cashFlows)
+  },
+  {
+    name: 'irr',
+    description: 'Internal rate of return of a series of cash flows, in percent per period.',
+    parameters: {
+      type: 'object',
+      properties: { cashFlows },
+      required: ['cashFlows']
+    },
+    run: args => calculateIrr(args.cashFlows)
+  },
+  {
+    name: 'ratio',
+    description: 'Ratio of two figures taken from the search results, e.g. P/E (price / EPS) or a margin (profit / revenue, as percent).',
+    parameters: {
+      type: 'object',
+      properties: {
+        numerator: number('Numerator value'),
+        denominator: number('Denominator value'),
+        label: { type: 'string', description: 'Name of the ratio, e.g. "P/E ratio"' },
+        numeratorLabel: { type: 'string', description: 'What the numerator is, e.g. "Price"' },
+        denominatorLabel: { type: 'string', description: 'What the denominator is, e.g. "EPS (TTM)"' },
+        asPercent: { type: 'boolean', description: 'Return the ratio as a percentage' }
+      },
+      required: ['numerator', 'denominator']
+    },
+    run: args => calculateRatio(args.numerator, args.denominator, args)
+  },
+  {
+    name: 'currency_conversion',
+    description: 'Convert an amount between currencies using an exchange rate supplied in the search results.',
+    parameters: {
+      type: 'object',
+      properties: {
+        amount: number('Amount in the source currency'),
+        rate: number('Units of the target currency per one unit of the source currency'),
+        fromCurrency: { type: 'string', description: 'Source currency code, e.g. USD' },
+        toCurrency: { type: 'string', description: 'Target currency code, e.g. EUR' }
+      },
+      required: ['amount', 'rate', 'fromCurrency', 'toCurrency']
+    },
+    run: args => convertCurrency(args.amount, args.rate, args.fromCurrency, args.toCurrency)
+  }
+];
+
+const toolsByName = new Map(CALCULATION_TOOLS.map(tool => [tool.name, tool]));
+
+/**
+ * Tool definitions in the OpenAI function format accepted by bindTools
+ */
+function getToolDefinitions() {
+  return CALCULATION_TOOLS.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * Check tool arguments against the tool's parameter schema
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateToolArgs(tool, args) {
+  const problems = [];
+
+  tool.parameters.required.forEach(name => {
+    if (args[name] === undefined || args[name] === null) {
+      problems.push(`${name} is required`);
+    }
+  });
+
+  Object.entries(args).forEach(([name, value]) => {
+    const schema = tool.parameters.properties[name];
+    if (!schema) {
+      problems.push(`${name} is not a parameter of ${tool.name}`);
+    } else if (schema.type === 'number' && typeof value !== 'number') {
+      problems.push(`${name} must be a number`);
+    } else if (schema.type === 'array' && (!Array.isArray(value) || !value.every(item => typeof item === 'number'))) {
+      problems.push(`${name} must be an array of numbers`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Run one tool call requested by the model
+ * @param {Object} toolCall - { id, name, args } as found on AIMessage.tool_calls
+ * @returns {Object} Audit record { id, name, args, result, error, durationMs }
+ */
+function executeToolCall(toolCall) {
+  const startTime = Date.now();
+  const record = {
+    id: toolCall.id || `tool_${startTime}`,
+    name: toolCall.name,
+    args: toolCall.args || {},
+    result: null,
+    error: null,
+    durationMs: 0
+  };
+
+  try {
+    const tool = toolsByName.get(toolCall.name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${toolCall.name}`);
+    }
+
+    const problems = validateToolArgs(tool, record.args);
+    if (problems.length > 0) {
+      throw new Error(`Invalid arguments: ${problems.join('; ')}`);
+    }
+
+    record.result = tool.run(record.args);
+    if (record.result.value === null) {
+      record.error = record.result.note || 'Not computable from the given inputs';
+    }
+  } catch (error) {
+    record.error = error.message;
+  }
+
+  record.durationMs = Date.now() - startTime;
+  return record;
+}
+
+module.exports = {
+  CALCULATION_TOOLS,
+  getToolDefinitions,
+  executeToolCall
+};
@@ -0,0 +1,137 @@
+/**
+ * Citation Service
+ *
+ * This module maps the numbered source markers ("[1]", "[2][3]", "[1, 4]")
+ * written by the answering model back to the processed search results,
+ * producing a structured citations array and flagging markers that reference
+ * sources which do not exist.
+ */
+
+// Matches a bracketed marker made of numbers, commas and ranges, e.g. [1], [1, 3], [2-4]
+const CITATION_MARKER_REGEX = /\[(\d+(?:\s*[-–]\s*\d+)?(?:\s*,\s*\d+(?:\s*[-–]\s*\d+)?)*)\]/g;
+
+// Upper bound on ids expanded from a single range marker
+const MAX_RANGE_SIZE = 20;
+
+/**
+ * Select the list of result items the answering prompt is built from
+ * @param {Object} searchResults - Processed or fallback search results
+ * @returns {Array} Result items in prompt order
+ */
+function getResultItems(searchResults) {
+  if (!searchResults || !searchResults.results) {
+    return [];
+  }
+
+  if (Array.isArray(searchResults.results.items)) {
+    return searchResults.results.items;
+  }
+
+  if (Array.isArray(searchResults.results.allResults)) {
+    return searchResults.results.allResults;
+  }
+
+  return [];
+}
+
+/**
+ * Build the numbered source list the answering model cites from
+ * @param {Object} searchResults - Processed or fallback search results
+ * @returns {Array} Sources with a 1-based id matching the prompt numbering
+ */
+function buildCitationSources(searchResults) {
+  return getResultItems(searchResults).map((result, index) => {
+    const content = result.content || result.data?.content || '';
+    const provider = result.source || 'unknown';
+
+    return {
+      id: index + 1,
+      title: result.title || result.data?.title || `${provider} result`,
+      url: result.sourceUrl || result.url || result.data?.url || null,
+      provider: provider,
+      snippet: (result.summary || content.substring(0, 200)).trim(),
+      resultId: result.id || null,
+      qualityScore: result.qualityScore ?? null,
+      confidence: result.confidence || null
+    };
+  });
+}
+
+/**
+ * Expand a marker body such as "1, 3-4" into its numeric ids
+ */
+function parseMarkerIds(markerBody) {
+  const ids = [];
+
+  markerBody.split(',').forEach(part => {
+    const [start, end] = part.split(/[-–]/).map(n => parseInt(n.trim(), 10));
+
+    if (Number.isNaN(start)) {
+      return;
+    }
+
+    if (end === undefined || Number.isNaN(end) || end < start) {
+      ids.push(start);
+      return;
+    }
+
+    const last = Math.min(end, start + MAX_RANGE_SIZE - 1);
+    for (let id = start; id <= last; id++) {
+      ids.push(id);
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Extract and validate the citation markers in an answer
+ * @param {string} answerText - The generated answer
+ * @param {Array} sources - Sources from buildCitationSources
+ * @returns {Object} { citations, validation }
+ */
+function extractCitations(answerText, sources) {
+  const sourcesById = new Map(sources.map(source => [source.id, source]));
+  const citedIds = new Set();
+  const invalidMarkers = new Set();
+  let markerCount = 0;
+
+  if (typeof answerText === 'string') {
+    for (const match of answerText.matchAll(CITATION_MARKER_REGEX)) {
+      markerCount++;
+      parseMarkerIds(match[1]).forEach(id => {
+        if (sourcesById.has(id)) {
+          citedIds.add(id);
+        } else {
+          invalidMarkers.add(id);
+        }
+      });
+    }
+  }
+
+  const citations = [...citedIds]
+    .sort((a, b) => a - b)
+    .map(id => sourcesById.get(id));
+
+  if (invalidMarkers.size > 0) {
+    console.warn(`[CITATIONS] ⚠️  Answer references non-existent sources: ${[...invalidMarkers].join(', ')}`);
+  }
+
+  return {
+    citations,
+    validation: {
+      valid: invalidMarkers.size === 0,
+      markerCount: markerCount,
+      citedSources: citations.length,
+      availableSources: sources.length,
+      invalidMarkers: [...invalidMarkers].sort((a, b) => a - b)
+    }
+  };
+}
+
+module.exports = {
+  CITATION_MARKER_REGEX,
+  getResultItems,
+  buildCitationSources,
+  extractCitations
+};
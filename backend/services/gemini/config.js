@@ -4,13 +4,17 @@
  * Handles environment variable loading and Gemini model configuration.
  * 
  * Required Environment Variables:
- * - GOOGLE_API_KEY: Your Google API key (get from https://aistudio.google.com/app/apikey)
+ * - GOOGLE_API_KEY: Your Google API key (get from https://aistudio.google.com/app/apikey); not needed with MOCK_PROVIDERS=true or CASSETTE_MODE=replay
  * - GEMINI_MODEL: Model name (default: gemini-2.0-flash)
  * - GEMINI_TEMPERATURE: Temperature for responses (default: 0.7)
  * - GEMINI_MAX_TOKENS: Maximum tokens (default: 2048)
+ * - ANSWER_TOOLS: Let the answering model call the calculation tools, `true` or `false` (default: true)
+ * - ANSWER_MAX_TOOL_ROUNDS: Model turns that may request tool calls before the answer is forced (default: 4)
+ * - PLANNING_MAX_ATTEMPTS: Planning requests per question, including repairs of invalid plans (default: 2)
  */
 
 require('dotenv').config();
+const { isOffline } = require('../mocks/mockConfig');
 
 // Configuration object with defaults
 const config = {
@@ -18,6 +22,9 @@ const config = {
   model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
   temperature: parseFloat(process.env.GEMINI_TEMPERATURE) || 0.7,
   maxTokens: parseInt(process.env.GEMINI_MAX_TOKENS) || 2048,
+  answerTools: (process.env.ANSWER_TOOLS || 'true').toLowerCase() !== 'false',
+  maxToolRounds: parseInt(process.env.ANSWER_MAX_TOOL_ROUNDS) || 4,
+  planningMaxAttempts: parseInt(process.env.PLANNING_MAX_ATTEMPTS) || 2,
 };
 
 /**
@@ -27,12 +34,15 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  if (!config.googleApiKey) {
-    errors.push('GOOGLE_API_KEY is required');
-  }
+  // The mock model (MOCK_PROVIDERS=true) and cassette replay need no key
+  if (!isOffline()) {
+    if (!config.googleApiKey) {
+      errors.push('GOOGLE_API_KEY is required');
+    }
 
-  if (config.googleApiKey === 'your_google_api_key_here') {
-    errors.push('Please set a valid GOOGLE_API_KEY (not the placeholder value)');
+    if (config.googleApiKey === 'your_google_api_key_here') {
+      errors.push('Please set a valid GOOGLE_API_KEY (not the placeholder value)');
+    }
   }
 
   if (config.temperature < 0 || config.temperature > 2) {
@@ -43,6 +53,14 @@ function validateConfig() {
     errors.push('GEMINI_MAX_TOKENS must be between 1 and 8192');
   }
 
+  if (config.maxToolRounds < 1 || config.maxToolRounds > 10) {
+    errors.push('ANSWER_MAX_TOOL_ROUNDS must be between 1 and 10');
+  }
+
+  if (config.planningMaxAttempts < 1 || config.planningMaxAttempts > 5) {
+    errors.push('PLANNING_MAX_ATTEMPTS must be between 1 and 5');
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -76,6 +94,8 @@ function logConfigStatus() {
   console.log(`  Model: ${config.model}`);
   console.log(`  Temperature: ${config.temperature}`);
   console.log(`  Max Tokens: ${config.maxTokens}`);
+  console.log(`  Answer Tools: ${config.answerTools ? `enabled (max ${config.maxToolRounds} rounds)` : 'disabled'}`);
+  console.log(`  Planning Attempts: ${config.planningMaxAttempts}`);
   console.log(`  API Key: ${hasApiKey ? '✅ Configured' : '❌ Missing or placeholder'}`);
   
   if (!hasApiKey) {
@@ -0,0 +1,164 @@
+/**
+ * Gemini Evaluation Service
+ *
+ * This service handles the evaluate step of the research loop.
+ * It asks the planning model (PLANNING_PROVIDER) whether the evidence gathered so far covers each research
+ * sub-question and which follow-up queries would fill the gaps.
+ */
+
+const { getModelForRole, ModelRole } = require('../llm/modelProviders');
+const { createAbortError, isAbortError } = require('../search/cancellation');
+
+// Evidence items shown per query, and characters of each item
+const MAX_ITEMS_PER_QUERY = 5;
+const MAX_ITEM_CHARS = 400;
+
+/**
+ * Summarize the evidence found for each query searched so far
+ * @param {Array} evidence - [{ query, items }] with the provider items found for each query
+ */
+function formatEvidence(evidence) {
+  return evidence.map((entry, index) => {
+    const items = entry.items || [];
+    const header = `### Query ${index + 1}: ${entry.query}\n(${items.length} results)`;
+    if (items.length === 0) {
+      return `${header}\nNo results were found for this query.`;
+    }
+
+    const lines = items.slice(0, MAX_ITEMS_PER_QUERY).map(item => {
+      const title = item.title || item.data?.title || 'Untitled';
+      const content = String(item.content || item.data?.content || '').replace(/\s+/g, ' ').slice(0, MAX_ITEM_CHARS);
+      return `- [${item.source || 'unknown'}] ${title}: ${content}`;
+    });
+    return `${header}\n${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Create the coverage evaluation prompt
+ * @param {string} question - The (standalone) user question
+ * @param {Array<string>} subQuestions - Research sub-questions from the plan
+ * @param {Array} evidence - [{ query, items }] for every query searched so far
+ * @param {number} maxFollowUpQueries - Most follow-up queries the model may propose
+ */
+function createEvaluationPrompt(question, subQuestions, evidence, maxFollowUpQueries) {
+  return `You are reviewing the evidence gathered by a financial research assistant before it writes an answer.
+
+## User Question:
+${question}
+
+## Research Sub-Questions:
+${subQuestions.map((subQuestion, index) => `${index + 1}. ${subQuestion}`).join('\n')}
+
+## Evidence Gathered:
+${formatEvidence(evidence)}
+
+## Instructions:
+1. For each sub-question, decide whether the evidence contains the specific facts and figures needed to answer it
+2. A sub-question is not covered if its results are empty, off-topic, outdated, or only mention the topic without the data asked for
+3. For the gaps, propose at most ${maxFollowUpQueries} follow-up search queries that are more specific than the queries already searched (name the company, ticker, metric and period)
+4. Do not repeat a query that was already searched
+5. If the evidence is sufficient to answer the user question, return no follow-up queries
+
+## Output Format:
+Respond with a JSON object only:
+{
+  "sufficient": true or false,
+  "coverage": [
+    { "subQuestion": "...", "covered": true or false, "missing": "what is missing, empty if covered" }
+  ],
+  "followUpQueries": ["..."],
+  "reasoning": "one sentence"
+}`;
+}
+
+/**
+ * Parse and validate the evaluation returned by the model
+ * @param {string} response - Raw response text
+ * @param {Array<string>} subQuestions - Sub-questions the coverage must refer to
+ */
+function parseCoverageEvaluation(response, subQuestions) {
+  const cleanResponse = String(response).trim().replace(/```json\n?/g, '').replace(/```\n?/g, '');
+  const parsed = JSON.parse(cleanResponse);
+
+  if (typeof parsed.sufficient !== 'boolean') {
+    throw new Error('sufficient must be a boolean');
+  }
+  if (!Array.isArray(parsed.coverage)) {
+    throw new Error('coverage must be an array');
+  }
+
+  const coverage = subQuestions.map((subQuestion, index) => {
+    const entry = parsed.coverage.find(item => item?.subQuestion === subQuestion) || parsed.coverage[index] || {};
+    return {
+      subQuestion,
+      covered: entry.covered === true,
+      missing: typeof entry.missing === 'string' ? entry.missing : ''
+    };
+  });
+
+  const followUpQueries = (Array.isArray(parsed.followUpQueries) ? parsed.followUpQueries : [])
+    .filter(query => typeof query === 'string' && query.trim().length > 0)
+    .map(query => query.trim());
+
+  return {
+    sufficient: parsed.sufficient,
+    coverage,
+    followUpQueries: parsed.sufficient ? [] : followUpQueries,
+    reasoning: typeof parsed.reasoning === 'string' ? parsed.reasoning : ''
+  };
+}
+
+/**
+ * Ask the planning model whether the evidence covers each sub-question
+ * @param {string} question - The (standalone) user question
+ * @param {Array<string>} subQuestions - Research sub-questions from the plan
+ * @param {Array} evidence - [{ query, items }] for every query searched so far
+ * @param {Object} options - `signal` cancels the request, `maxFollowUpQueries` caps the proposed queries
+ * @returns {Promise<Object>} { sufficient, coverage, followUpQueries, reasoning, status, error? }
+ */
+async function evaluateResearchCoverage(question, subQuestions, evidence, options = {}) {
+  const { signal, maxFollowUpQueries = 3 } = options;
+
+  try {
+    console.log(`[EVALUATION] Evaluating coverage of ${subQuestions.length} sub-questions...`);
+
+    const { model } = getModelForRole(ModelRole.PLANNING);
+    const prompt = createEvaluationPrompt(question, subQuestions, evidence, maxFollowUpQueries);
+    const response = await model.invoke(prompt, { signal });
+    const evaluation = parseCoverageEvaluation(response.content, subQuestions);
+
+    const uncovered = evaluation.coverage.filter(entry => !entry.covered).length;
+    console.log(`[EVALUATION] ✅ ${evaluation.sufficient ? 'Evidence is sufficient' : `${uncovered} sub-questions not covered`}` +
+      `, ${evaluation.followUpQueries.length} follow-up queries proposed`);
+
+    return { ...evaluation, status: 'completed' };
+
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log('[EVALUATION] ⏹️  Coverage evaluation cancelled');
+      throw createAbortError(signal?.reason);
+    }
+
+    // Without an evaluation there is nothing to refine: answer with what was found
+    console.error('[EVALUATION] ❌ Error evaluating coverage:', error.message);
+    return {
+      sufficient: true,
+      coverage: subQuestions.map(subQuestion => ({
+        subQuestion,
+        covered: evidence.some(entry => entry.query === subQuestion && (entry.items || []).length > 0),
+        missing: ''
+      })),
+      followUpQueries: [],
+      reasoning: '',
+      status: 'fallback',
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  createEvaluationPrompt,
+  parseCoverageEvaluation,
+  evaluateResearchCoverage
+};
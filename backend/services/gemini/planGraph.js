@@ -0,0 +1,162 @@
+/**
+ * Research Plan Graph
+ *
+ * A research plan is a list of typed steps that may depend on each other:
+ *   { id, type, query, dependsOn, providers, expectedOutput }
+ * Lookup and compare steps are searched; compute and summarize steps are
+ * carried out by the answering model from the outputs of the steps they
+ * depend on. Steps run in topological order so that a step's query can be
+ * completed with what its dependencies found.
+ */
+
+/**
+ * Plan step type enumeration
+ */
+const StepType = {
+  LOOKUP: 'lookup',
+  COMPARE: 'compare',
+  COMPUTE: 'compute',
+  SUMMARIZE: 'summarize'
+};
+
+// Step types that are executed as searches
+const SEARCH_STEP_TYPES = [StepType.LOOKUP, StepType.COMPARE];
+
+const MIN_PLAN_STEPS = 2;
+const MAX_PLAN_STEPS = 6;
+
+/**
+ * Whether a step is executed as a search
+ */
+function isSearchStep(step) {
+  return SEARCH_STEP_TYPES.includes(step.type);
+}
+
+/**
+ * Turn a flat list of sub-questions into independent lookup steps
+ * @param {Array<string>} subQuestions - Research sub-questions
+ * @returns {Array} Plan steps
+ */
+function stepsFromSubQuestions(subQuestions) {
+  return subQuestions.map((query, index) => ({
+    id: `s${index + 1}`,
+    type: StepType.LOOKUP,
+    query,
+    dependsOn: [],
+    providers: [],
+    expectedOutput: ''
+  }));
+}
+
+/**
+ * Group steps into levels: every step only depends on steps of earlier levels
+ * @param {Array} steps - Normalized plan steps
+ * @returns {Array<Array>} Levels of steps, in execution order
+ * @throws {Error} If the dependencies contain a cycle
+ */
+function orderPlanSteps(steps) {
+  const levels = [];
+  const done = new Set();
+  let remaining = [...steps];
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(step => step.dependsOn.every(id => done.has(id)));
+    if (ready.length === 0) {
+      throw new Error(`Plan steps contain a dependency cycle: ${remaining.map(step => step.id).join(', ')}`);
+    }
+
+    levels.push(ready);
+    ready.forEach(step => done.add(step.id));
+    remaining = remaining.filter(step => !done.has(step.id));
+  }
+
+  return levels;
+}
+
+/**
+ * Validate and normalize the steps of a research plan
+ * @param {Array} steps - Steps as returned by the model
+ * @returns {Array} Normalized steps
+ * @throws {Error} If the steps are not a valid plan
+ */
+function validatePlanSteps(steps) {
+  if (!Array.isArray(steps)) {
+    throw new Error('steps must be an array');
+  }
+
+  if (steps.length < MIN_PLAN_STEPS || steps.length > MAX_PLAN_STEPS) {
+    throw new Error(`Must have ${MIN_PLAN_STEPS}-${MAX_PLAN_STEPS} steps`);
+  }
+
+  const normalized = steps.map((step, index) => {
+    if (!step || typeof step.query !== 'string' || step.query.trim().length === 0) {
+      throw new Error(`Step ${index + 1} must have a non-empty query`);
+    }
+
+    const type = step.type || StepType.LOOKUP;
+    if (!Object.values(StepType).includes(type)) {
+      throw new Error(`Step ${index + 1} has an unknown type: ${type}`);
+    }
+
+    return {
+      id: typeof step.id === 'string' && step.id.trim().length > 0 ? step.id.trim() : `s${index + 1}`,
+      type,
+      query: step.query.trim(),
+      dependsOn: Array.isArray(step.dependsOn) ? step.dependsOn.map(String) : [],
+      providers: Array.isArray(step.providers)
+        ? step.providers.filter(name => typeof name === 'string').map(name => name.toLowerCase())
+        : [],
+      expectedOutput: typeof step.expectedOutput === 'string' ? step.expectedOutput : ''
+    };
+  });
+
+  const ids = new Set(normalized.map(step => step.id));
+  if (ids.size !== normalized.length) {
+    throw new Error('Step ids must be unique');
+  }
+
+  normalized.forEach(step => {
+    const unknown = step.dependsOn.filter(id => !ids.has(id) || id === step.id);
+    if (unknown.length > 0) {
+      throw new Error(`Step ${step.id} depends on unknown steps: ${unknown.join(', ')}`);
+    }
+  });
+
+  if (!normalized.some(isSearchStep)) {
+    throw new Error('At least one step must be a lookup or compare step');
+  }
+
+  // Throws on cycles
+  orderPlanSteps(normalized);
+
+  return normalized;
+}
+
+/**
+ * Describe what a step's dependencies found, to complete its query
+ * @param {Object} step - The step about to run
+ * @param {Map} outputs - Step id → output summary of the steps run so far
+ * @param {Map} stepsById - Step id → step
+ * @returns {string} Context lines (empty when the step has no dependencies with output)
+ */
+function formatDependencyContext(step, outputs, stepsById) {
+  return step.dependsOn
+    .filter(id => outputs.get(id))
+    .map(id => {
+      const dependency = stepsById.get(id);
+      const label = dependency.expectedOutput || dependency.query;
+      return `- ${label}: ${outputs.get(id)}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  StepType,
+  MIN_PLAN_STEPS,
+  MAX_PLAN_STEPS,
+  isSearchStep,
+  stepsFromSubQuestions,
+  orderPlanSteps,
+  validatePlanSteps,
+  formatDependencyContext
+};
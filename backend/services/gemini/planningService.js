@@ -2,16 +2,28 @@
  * Gemini Planning Service
  * 
  * This service handles the planning step of the financial agent.
- * It uses Google Gemini to generate research sub-questions based on user input.
+ * It uses Google Gemini to generate research sub-questions based on user input;
+ * another provider can be chosen with PLANNING_PROVIDER (see ../llm/modelProviders.js).
  */
 
 const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { getGeminiConfig, logConfigStatus } = require('./config');
+const { HumanMessage, AIMessage } = require('@langchain/core/messages');
+const { config: geminiConfig, getGeminiConfig, logConfigStatus } = require('./config');
 const { 
   createFinancialPlanningPrompt, 
-  parseResearchPlan, 
-  validateFinancialQuestion 
+  validateResearchPlan, 
+  createPlanRepairPrompt,
+  validateFinancialQuestion,
+  RESEARCH_PLAN_SCHEMA
 } = require('./promptTemplate');
+const { createAbortError, isAbortError } = require('../search/cancellation');
+const { entityRecognizer } = require('../entities/entityRecognizer');
+const { stepsFromSubQuestions } = require('./planGraph');
+const { getModelForRole, ModelRole, modelProviderRegistry } = require('../llm/modelProviders');
+const { isMockMode } = require('../mocks/mockConfig');
+const { MockChatModel } = require('../mocks/mockChatModel');
+const { cassette, REPLAY_API_KEY } = require('../mocks/cassette');
+const { resultCache, CacheService, DataType, normalizeQuery } = require('../cache/resultCache');
 
 let geminiModel = null;
 
@@ -26,13 +38,19 @@ async function initializeGeminiModel() {
     // Get validated configuration
     const config = getGeminiConfig();
     
+    if (isMockMode()) {
+      geminiModel = new MockChatModel();
+      console.log('[PLANNING] ✅ Using the offline mock model (MOCK_PROVIDERS=true)');
+      return geminiModel;
+    }
+    
     // Initialize the Gemini model
-    geminiModel = new ChatGoogleGenerativeAI({
-      apiKey: config.googleApiKey,
+    geminiModel = cassette.wrapChatModel('gemini', new ChatGoogleGenerativeAI({
+      apiKey: config.googleApiKey || REPLAY_API_KEY,
       model: config.model,
       temperature: config.temperature,
       maxTokens: config.maxTokens,
-    });
+    }));
     
     console.log('[PLANNING] ✅ Gemini model initialized successfully');
     console.log(`[PLANNING] Using model: ${config.model}`);
@@ -82,27 +100,103 @@ async function getGeminiModel() {
   return geminiModel;
 }
 
-// Generate the research plan using Gemini and the prompt template
-async function generateResearchPlan(userQuestion) {
+// Why a fallback plan was used instead of a plan from Gemini
+const PlanningFallbackCode = {
+  MODEL_UNAVAILABLE: 'model_unavailable',
+  REQUEST_FAILED: 'request_failed',
+  INVALID_OUTPUT: 'invalid_output',
+  PLANNING_FAILED: 'planning_failed'
+};
+
+// Create a planning error that carries its fallback code and the attempts made
+function createPlanningError(code, message, attempts = []) {
+  const error = new Error(message);
+  error.fallbackCode = code;
+  error.attempts = attempts;
+  return error;
+}
+
+// The plan as the model returned it, for the repair request; with tool calling (Anthropic, OpenAI)
+// the content is empty and the plan is in the tool call arguments
+function getRawPlanText(output) {
+  const content = typeof output.raw?.content === 'string' ? output.raw.content.trim() : '';
+  if (content) {
+    return content;
+  }
+  const args = output.raw?.tool_calls?.[0]?.args ?? output.parsed;
+  return args ? JSON.stringify(args) : '(empty response)';
+}
+
+// Ask the planning model for a plan in structured output mode (the plan schema is declared to the model);
+// an invalid plan is sent back with the validation error so the model can repair it,
+// up to `maxAttempts` requests in total
+async function requestStructuredPlan(model, prompt, signal, maxAttempts) {
+  const structuredModel = model.withStructuredOutput(RESEARCH_PLAN_SCHEMA, { name: 'research_plan', includeRaw: true });
+  const messages = [new HumanMessage(prompt)];
+  const attempts = [];
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let output;
+    try {
+      output = await structuredModel.invoke(messages, { signal });
+    } catch (error) {
+      if (isAbortError(error, signal)) {
+        throw error;
+      }
+      attempts.push({ attempt, error: error.message });
+      throw createPlanningError(PlanningFallbackCode.REQUEST_FAILED, `Planning model request failed: ${error.message}`, attempts);
+    }
+    
+    try {
+      if (!output.parsed) {
+        throw new Error('The response is not valid JSON');
+      }
+      const plan = validateResearchPlan(output.parsed);
+      attempts.push({ attempt, error: null });
+      return { plan, attempts };
+      
+    } catch (validationError) {
+      attempts.push({ attempt, error: validationError.message });
+      console.warn(`[PLANNING] ⚠️  Attempt ${attempt}/${maxAttempts} returned an invalid plan: ${validationError.message}`);
+      
+      messages.push(new AIMessage(getRawPlanText(output)), new HumanMessage(createPlanRepairPrompt(validationError.message)));
+    }
+  }
+  
+  throw createPlanningError(
+    PlanningFallbackCode.INVALID_OUTPUT,
+    `No valid plan after ${maxAttempts} attempts: ${attempts[attempts.length - 1].error}`,
+    attempts
+  );
+}
+
+// Generate the research plan using the planning model (PLANNING_PROVIDER) and the prompt template
+// `history` holds prior conversation turns used to resolve follow-up questions,
+// `signal` is an optional AbortSignal that cancels the request,
+// `entities` are the entities recognized in the question (attached to the plan)
+async function generateResearchPlan(userQuestion, history = [], signal, entities = null) {
   try {
     console.log('[PLANNING] Generating research plan for:', userQuestion);
     
     // Ensure model is initialized
-    const model = await getGeminiModel();
+    let planningModel;
+    try {
+      planningModel = getModelForRole(ModelRole.PLANNING);
+    } catch (initError) {
+      throw createPlanningError(PlanningFallbackCode.MODEL_UNAVAILABLE, initError.message);
+    }
     
     // Create the financial planning prompt
-    const prompt = await createFinancialPlanningPrompt(userQuestion);
+    const prompt = await createFinancialPlanningPrompt(userQuestion, history, entities);
     console.log('[PLANNING] ✅ Prompt created successfully');
     
-    // Generate response from Gemini
-    console.log('[PLANNING] Sending request to Gemini...');
-    const response = await model.invoke(prompt);
+    // Generate a schema-validated plan
+    console.log(`[PLANNING] Sending request to ${planningModel.provider} (${planningModel.modelName})...`);
+    const { plan: parsedPlan, attempts } = await requestStructuredPlan(
+      planningModel.model, prompt, signal, geminiConfig.planningMaxAttempts
+    );
     
-    console.log('[PLANNING] ✅ Received response from Gemini');
-    console.log('[PLANNING] Raw response length:', response.content.length);
-    
-    // Parse and validate the response
-    const parsedPlan = parseResearchPlan(response.content);
+    console.log(`[PLANNING] ✅ Received a valid plan (attempt ${attempts.length})`);
     
     // Add metadata
     const enrichedPlan = {
@@ -110,33 +204,57 @@ async function generateResearchPlan(userQuestion) {
       planId: `plan_${Date.now()}`,
       timestamp: new Date().toISOString(),
       status: 'completed',
-      model: 'gemini-2.0-flash',
-      subQuestionCount: parsedPlan.subQuestions.length
+      model: planningModel.modelName,
+      provider: planningModel.provider,
+      subQuestionCount: parsedPlan.subQuestions.length,
+      attempts: attempts.length,
+      fallbackReason: null,
+      entities
     };
     
     console.log('[PLANNING] ✅ Research plan generated successfully');
     console.log('[PLANNING] Plan ID:', enrichedPlan.planId);
     console.log('[PLANNING] Sub-questions generated:', enrichedPlan.subQuestionCount);
+    if (enrichedPlan.standaloneQuestion !== userQuestion) {
+      console.log('[PLANNING] Follow-up rewritten as:', enrichedPlan.standaloneQuestion);
+    }
     
     return enrichedPlan;
     
   } catch (error) {
+    // A cancelled run should stop here rather than continue with a fallback plan
+    if (isAbortError(error, signal)) {
+      console.log('[PLANNING] ⏹️  Research plan generation cancelled');
+      throw createAbortError(signal?.reason);
+    }
+    
     console.error('[PLANNING] ❌ Error generating research plan:', error.message);
     
     // Return a fallback plan in case of errors
+    const fallbackSubQuestions = [
+      `Research the basic information about: ${userQuestion}`,
+      `Find recent data and metrics related to: ${userQuestion}`,
+      `Analyze the context and implications of: ${userQuestion}`
+    ];
     const fallbackPlan = {
       originalQuestion: userQuestion,
-      subQuestions: [
-        `Research the basic information about: ${userQuestion}`,
-        `Find recent data and metrics related to: ${userQuestion}`,
-        `Analyze the context and implications of: ${userQuestion}`
-      ],
+      standaloneQuestion: userQuestion,
+      subQuestions: fallbackSubQuestions,
+      steps: stepsFromSubQuestions(fallbackSubQuestions),
       researchFocus: 'General research approach due to planning system error',
       planId: `fallback_plan_${Date.now()}`,
       timestamp: new Date().toISOString(),
       status: 'fallback',
       error: error.message,
-      subQuestionCount: 3
+      fallbackReason: {
+        code: error.fallbackCode || PlanningFallbackCode.PLANNING_FAILED,
+        message: error.message,
+        attempts: error.attempts || []
+      },
+      subQuestionCount: 3,
+      model: null,
+      provider: null,
+      entities
     };
     
     console.log('[PLANNING] ⚠️  Using fallback plan due to error');
@@ -144,13 +262,52 @@ async function generateResearchPlan(userQuestion) {
   }
 }
 
+// Generate the research plan, or reuse the plan cached for the same question and planning model.
+// Follow-ups are always planned afresh since their plan depends on the conversation; fallback plans are not cached.
+async function getResearchPlan(userQuestion, options, entities) {
+  const history = options.history || [];
+  if (history.length > 0) {
+    return generateResearchPlan(userQuestion, history, options.signal, entities);
+  }
+  
+  const { provider, model } = modelProviderRegistry.describeRole(ModelRole.PLANNING);
+  const { value: plan, fromCache, cachedAt } = await resultCache.getOrFetch(
+    CacheService.PLANNING,
+    `${provider}:${model}:${normalizeQuery(userQuestion)}`,
+    () => generateResearchPlan(userQuestion, history, options.signal, entities),
+    { dataType: DataType.PLAN, usage: options.cacheUsage, shouldCache: result => result.status === 'completed' }
+  );
+  
+  if (!fromCache) {
+    return { ...plan, fromCache: false };
+  }
+  
+  console.log('[PLANNING] ✅ Reusing cached plan', plan.planId);
+  return {
+    ...plan,
+    planId: `plan_${Date.now()}`,
+    originalPlanId: plan.planId,
+    originalQuestion: userQuestion,
+    timestamp: new Date().toISOString(),
+    fromCache: true,
+    cachedAt,
+    entities
+  };
+}
+
 // Main planning function that will be called from the chat endpoint
-async function planFinancialResearch(userQuestion) {
+// options.history: prior conversation turns (most recent last)
+// options.signal: AbortSignal that cancels planning
+// options.entities: entities already recognized in the question (recognized here if omitted)
+// options.cacheUsage: counts the run's cache hits (see cache/resultCache.js)
+async function planFinancialResearch(userQuestion, options = {}) {
   try {
     console.log('[PLANNING] Starting planning process for:', userQuestion);
     
+    const entities = options.entities || entityRecognizer.recognize(userQuestion);
+    
     // Validate input using the prompt template validation
-    const validation = validateFinancialQuestion(userQuestion);
+    const validation = validateFinancialQuestion(userQuestion, entities);
     if (!validation.isValid) {
       throw new Error(`Invalid question: ${validation.error}`);
     }
@@ -161,7 +318,7 @@ async function planFinancialResearch(userQuestion) {
     }
     
     // Generate research plan
-    const plan = await generateResearchPlan(userQuestion);
+    const plan = await getResearchPlan(userQuestion, options, entities);
     
     console.log('[PLANNING] ✅ Planning process completed successfully');
     console.log('[PLANNING] Plan status:', plan.status);
@@ -180,5 +337,7 @@ module.exports = {
   getGeminiModel,
   generateResearchPlan,
   validateFinancialQuestion,
-  planFinancialResearch
+  planFinancialResearch,
+  requestStructuredPlan,
+  PlanningFallbackCode
 }; 
\ No newline at end of file
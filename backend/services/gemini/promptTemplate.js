@@ -6,11 +6,20 @@
  */
 
 const { PromptTemplate } = require('@langchain/core/prompts');
+const { formatConversationHistory } = require('../conversation/conversationStore');
+const { formatEntitiesForPrompt } = require('../entities/entityRecognizer');
+const {
+  StepType,
+  MIN_PLAN_STEPS,
+  MAX_PLAN_STEPS,
+  validatePlanSteps,
+  stepsFromSubQuestions
+} = require('./planGraph');
 
 // Main prompt template for financial research planning
 const FINANCIAL_PLANNING_PROMPT = `You are a financial research assistant helping to break down complex financial questions into targeted sub-questions for comprehensive research.
 
-Your task is to analyze the user's financial question and generate approximately 3 focused sub-questions that will help gather all necessary information to provide a complete answer.
+Your task is to analyze the user's financial question and turn it into a short research plan: a list of typed steps whose sub-questions gather all necessary information to provide a complete answer, where later steps can build on what earlier steps found.
 
 **Context:**
 - Focus on factual, data-driven questions that can be researched
@@ -18,17 +27,28 @@ Your task is to analyze the user's financial question and generate approximately
 - Consider multiple perspectives (company fundamentals, market context, industry comparisons)
 - Ensure questions are specific enough to yield actionable research results
 
+**Step Types:**
+- lookup: search for facts or figures about the subject of the question
+- compare: search for the same facts about peers, a sector or a benchmark
+- compute: derive a figure (ratio, growth rate, average, difference) from the outputs of earlier steps; not searched, the answer writer calculates it
+- summarize: combine the outputs of earlier steps into a conclusion; not searched
+
 **Guidelines:**
-1. Generate 2-4 sub-questions (aim for 3 when possible)
-2. Each sub-question should address a different aspect of the original question
+1. Generate 2-6 steps (aim for 3 when possible), with at least one lookup or compare step
+2. Each step should address a different aspect of the original question
 3. Questions should be specific, measurable, and researchable
 4. Include relevant timeframes when appropriate (e.g., "current", "2024", "recent quarter")
 5. Consider both quantitative metrics and qualitative factors when relevant
+6. List in dependsOn the ids of the steps whose outputs a step needs; their outputs are added to its query, so write the query as if they were known. Steps without dependencies run in parallel, so only add dependencies that are really needed
+7. Optionally name the preferred providers of a search step: perplexity (broad web research), firecrawl (specific web pages), edgar (SEC filings and reported fundamentals), market (quotes, price history and valuation ratios); use an empty list to search all of them
+8. If the question is a follow-up that depends on the conversation history (e.g. "what about Microsoft?"), rewrite it as a standalone question that can be understood without the history and base the steps on it
+9. Use the recognized entities below to name companies, funds and indicators precisely (official name and ticker); ignore any that are clearly unrelated to the question
 
 **Output Format:**
 Respond with a JSON object containing:
 - originalQuestion: The user's original question
-- subQuestions: Array of 2-4 focused sub-questions
+- standaloneQuestion: The question rewritten to be understandable without the conversation history (identical to originalQuestion if it already is)
+- steps: Array of 2-6 steps, each with id ("s1", "s2", ...), type, query (the sub-question), dependsOn (array of step ids), providers (array of provider names) and expectedOutput (what the step should produce)
 - researchFocus: Brief description of the research strategy
 
 **Examples:**
@@ -36,25 +56,46 @@ Respond with a JSON object containing:
 User Question: "What is Apple's P/E ratio?"
 {{
   "originalQuestion": "What is Apple's P/E ratio?",
-  "subQuestions": [
-    "What is Apple's current stock price and market capitalization?",
-    "What are Apple's earnings per share (EPS) for the most recent quarter and trailing twelve months?",
-    "How does Apple's P/E ratio compare to other major technology companies?"
+  "standaloneQuestion": "What is Apple's P/E ratio?",
+  "steps": [
+    {{ "id": "s1", "type": "lookup", "query": "What is Apple's current stock price and market capitalization?", "dependsOn": [], "providers": ["market"], "expectedOutput": "Apple share price and market cap" }},
+    {{ "id": "s2", "type": "lookup", "query": "What are Apple's earnings per share (EPS) for the most recent quarter and trailing twelve months?", "dependsOn": [], "providers": ["edgar", "market"], "expectedOutput": "Apple diluted EPS (TTM)" }},
+    {{ "id": "s3", "type": "compare", "query": "How does Apple's P/E ratio compare to other major technology companies?", "dependsOn": [], "providers": [], "expectedOutput": "P/E ratios of large technology peers" }}
   ],
   "researchFocus": "Focus on current valuation metrics and peer comparison"
 }}
 
-User Question: "Should I invest in Tesla stock?"
+User Question: "Is Apple's P/E above the sector average?"
+{{
+  "originalQuestion": "Is Apple's P/E above the sector average?",
+  "standaloneQuestion": "Is Apple's P/E above the sector average?",
+  "steps": [
+    {{ "id": "s1", "type": "lookup", "query": "What are Apple's current share price and diluted EPS (TTM)?", "dependsOn": [], "providers": ["market", "edgar"], "expectedOutput": "Apple share price and EPS" }},
+    {{ "id": "s2", "type": "lookup", "query": "Which companies make up Apple's peer group in the technology hardware sector?", "dependsOn": [], "providers": ["perplexity"], "expectedOutput": "List of peer companies" }},
+    {{ "id": "s3", "type": "compare", "query": "What are the current P/E ratios of these peer companies?", "dependsOn": ["s2"], "providers": [], "expectedOutput": "P/E ratio of each peer" }},
+    {{ "id": "s4", "type": "compute", "query": "Compute Apple's P/E and the average P/E of the peer group", "dependsOn": ["s1", "s3"], "providers": [], "expectedOutput": "Apple P/E versus peer average" }}
+  ],
+  "researchFocus": "Establish Apple's P/E and the peer set first, then compare against the peer average"
+}}
+
+Follow-up question after the first Apple example above: "What about Microsoft?"
 {{
-  "originalQuestion": "Should I invest in Tesla stock?",
-  "subQuestions": [
-    "What are Tesla's current financial performance metrics and recent quarterly results?",
-    "What are the major risks and growth opportunities facing Tesla in 2024?",
-    "How do analysts rate Tesla stock and what are the price targets?"
+  "originalQuestion": "What about Microsoft?",
+  "standaloneQuestion": "What is Microsoft's P/E ratio?",
+  "steps": [
+    {{ "id": "s1", "type": "lookup", "query": "What is Microsoft's current stock price and market capitalization?", "dependsOn": [], "providers": ["market"], "expectedOutput": "Microsoft share price and market cap" }},
+    {{ "id": "s2", "type": "lookup", "query": "What are Microsoft's earnings per share (EPS) for the trailing twelve months?", "dependsOn": [], "providers": ["edgar", "market"], "expectedOutput": "Microsoft diluted EPS (TTM)" }},
+    {{ "id": "s3", "type": "compare", "query": "How does Microsoft's P/E ratio compare to Apple and other major technology companies?", "dependsOn": [], "providers": [], "expectedOutput": "P/E ratios of Apple and other peers" }}
   ],
-  "researchFocus": "Focus on comprehensive investment analysis including financials, risks, and market sentiment"
+  "researchFocus": "Apply the same valuation analysis to Microsoft and compare with Apple"
 }}
 
+**Recognized Entities:**
+{recognized_entities}
+
+**Conversation History:**
+{conversation_history}
+
 **User Question:** {user_question}
 
 Please analyze this question and generate a structured research plan following the format above.`;
@@ -62,15 +103,16 @@ Please analyze this question and generate a structured research plan following t
 // Create the LangChain PromptTemplate
 const financialPlanningTemplate = new PromptTemplate({
   template: FINANCIAL_PLANNING_PROMPT,
-  inputVariables: ['user_question']
+  inputVariables: ['user_question', 'conversation_history', 'recognized_entities']
 });
 
 /**
  * Validates that a user question is suitable for financial research
  * @param {string} question - The user's question
+ * @param {Object} entities - Recognized entities (optional); any entity marks the question as financial
  * @returns {Object} Validation result
  */
-function validateFinancialQuestion(question) {
+function validateFinancialQuestion(question, entities = null) {
   if (!question || typeof question !== 'string') {
     return {
       isValid: false,
@@ -106,7 +148,9 @@ function validateFinancialQuestion(question) {
     cleanQuestion.toLowerCase().includes(keyword.toLowerCase())
   );
 
-  if (!hasFinancialKeywords) {
+  const hasEntities = Boolean(entities && entities.count > 0);
+
+  if (!hasFinancialKeywords && !hasEntities) {
     return {
       isValid: true,
       warning: 'Question may not be financial-related. Consider rephrasing for better results.'
@@ -122,19 +166,23 @@ function validateFinancialQuestion(question) {
 /**
  * Formats the prompt with the user's question
  * @param {string} userQuestion - The user's financial question
+ * @param {Array} history - Prior conversation turns (optional)
+ * @param {Object} entities - Entities recognized in the question (optional)
  * @returns {Promise<string>} Formatted prompt string
  */
-async function createFinancialPlanningPrompt(userQuestion) {
+async function createFinancialPlanningPrompt(userQuestion, history = [], entities = null) {
   try {
     // Validate the question
-    const validation = validateFinancialQuestion(userQuestion);
+    const validation = validateFinancialQuestion(userQuestion, entities);
     if (!validation.isValid) {
       throw new Error(`Invalid question: ${validation.error}`);
     }
 
     // Format the prompt
     const formattedPrompt = await financialPlanningTemplate.format({
-      user_question: userQuestion.trim()
+      user_question: userQuestion.trim(),
+      conversation_history: formatConversationHistory(history) || 'No previous conversation.',
+      recognized_entities: formatEntitiesForPrompt(entities)
     });
 
     return formattedPrompt;
@@ -146,58 +194,107 @@ async function createFinancialPlanningPrompt(userQuestion) {
 }
 
 /**
- * Parses the JSON response from Gemini and validates the structure
- * @param {string} response - Raw response from Gemini
- * @returns {Object} Parsed and validated research plan
+ * JSON schema of a research plan, declared to Gemini's structured output mode
  */
-function parseResearchPlan(response) {
-  try {
-    // Clean the response (remove code blocks if present)
-    let cleanResponse = response.trim();
-    
-    // Remove markdown code blocks
-    cleanResponse = cleanResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    
-    // Parse JSON
-    const parsedPlan = JSON.parse(cleanResponse);
-    
-    // Validate structure
-    const requiredFields = ['originalQuestion', 'subQuestions', 'researchFocus'];
-    const missingFields = requiredFields.filter(field => !parsedPlan[field]);
-    
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-    }
-    
-    // Validate sub-questions
-    if (!Array.isArray(parsedPlan.subQuestions)) {
+const RESEARCH_PLAN_SCHEMA = {
+  type: 'object',
+  description: 'Research plan for a financial question',
+  properties: {
+    originalQuestion: { type: 'string', description: "The user's original question" },
+    standaloneQuestion: { type: 'string', description: 'The question rewritten to be understandable without the conversation history' },
+    steps: {
+      type: 'array',
+      minItems: MIN_PLAN_STEPS,
+      maxItems: MAX_PLAN_STEPS,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Step id: s1, s2, ...' },
+          type: { type: 'string', enum: Object.values(StepType) },
+          query: { type: 'string', description: 'The sub-question' },
+          dependsOn: { type: 'array', items: { type: 'string' }, description: 'Ids of the steps whose outputs this step needs' },
+          providers: { type: 'array', items: { type: 'string' }, description: 'Preferred search providers, empty for all' },
+          expectedOutput: { type: 'string', description: 'What the step should produce' }
+        },
+        required: ['id', 'type', 'query', 'dependsOn']
+      }
+    },
+    researchFocus: { type: 'string', description: 'Brief description of the research strategy' }
+  },
+  required: ['originalQuestion', 'standaloneQuestion', 'steps', 'researchFocus']
+};
+
+/**
+ * Validates a research plan object and normalizes its steps
+ * @param {Object} plan - Plan as returned by Gemini (structured output or parsed JSON)
+ * @returns {Object} Validated research plan
+ * @throws {Error} Describing the first problem found
+ */
+function validateResearchPlan(plan) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    throw new Error('The plan must be a JSON object');
+  }
+  
+  const validatedPlan = { ...plan };
+  
+  // Validate structure
+  const requiredFields = ['originalQuestion', 'researchFocus'];
+  const missingFields = requiredFields.filter(field => !validatedPlan[field]);
+  if (!validatedPlan.steps && !validatedPlan.subQuestions) {
+    missingFields.push('steps');
+  }
+  
+  if (missingFields.length > 0) {
+    throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+  
+  if (validatedPlan.steps) {
+    // Typed steps with dependencies; the sub-questions are their queries
+    validatedPlan.steps = validatePlanSteps(validatedPlan.steps);
+    validatedPlan.subQuestions = validatedPlan.steps.map(step => step.query);
+  } else {
+    // Flat plans are a list of independent lookups
+    if (!Array.isArray(validatedPlan.subQuestions)) {
       throw new Error('subQuestions must be an array');
     }
     
-    if (parsedPlan.subQuestions.length < 2 || parsedPlan.subQuestions.length > 4) {
+    if (validatedPlan.subQuestions.length < 2 || validatedPlan.subQuestions.length > 4) {
       throw new Error('Must have 2-4 sub-questions');
     }
     
     // Ensure all sub-questions are strings
-    const invalidSubQuestions = parsedPlan.subQuestions.filter(q => typeof q !== 'string' || q.trim().length === 0);
+    const invalidSubQuestions = validatedPlan.subQuestions.filter(q => typeof q !== 'string' || q.trim().length === 0);
     if (invalidSubQuestions.length > 0) {
       throw new Error('All sub-questions must be non-empty strings');
     }
     
-    console.log('[PROMPT] ✅ Research plan parsed and validated successfully');
-    return parsedPlan;
-    
-  } catch (error) {
-    console.error('[PROMPT] ❌ Error parsing research plan:', error.message);
-    console.error('[PROMPT] Raw response:', response);
-    throw new Error(`Failed to parse research plan: ${error.message}`);
+    validatedPlan.steps = stepsFromSubQuestions(validatedPlan.subQuestions);
   }
+  
+  // Older responses may omit the standalone rewrite
+  if (typeof validatedPlan.standaloneQuestion !== 'string' || validatedPlan.standaloneQuestion.trim().length === 0) {
+    validatedPlan.standaloneQuestion = validatedPlan.originalQuestion;
+  }
+  
+  return validatedPlan;
+}
+
+/**
+ * Follow-up message asking the model to correct an invalid plan
+ * @param {string} problem - Why the previous plan was rejected
+ */
+function createPlanRepairPrompt(problem) {
+  return `The research plan above is invalid: ${problem}
+
+Return the corrected research plan as a JSON object with originalQuestion, standaloneQuestion, steps and researchFocus. Use 2-6 steps with unique ids, only the step types lookup, compare, compute and summarize, at least one lookup or compare step, and dependsOn lists that only name ids of other steps without cycles.`;
 }
 
 module.exports = {
   financialPlanningTemplate,
   createFinancialPlanningPrompt,
   validateFinancialQuestion,
-  parseResearchPlan,
+  validateResearchPlan,
+  createPlanRepairPrompt,
+  RESEARCH_PLAN_SCHEMA,
   FINANCIAL_PLANNING_PROMPT
 }; 
\ No newline at end of file
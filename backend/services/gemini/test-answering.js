@@ -0,0 +1,83 @@
+/**
+ * Test file for answer generation and token streaming
+ *
+ * Streams answers from the mock answering model (MOCK_PROVIDERS, so no API
+ * key is needed) and checks that cancellation stops generation on every path.
+ * Run with: node services/gemini/test-answering.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.MOCK_LATENCY = '200';
+
+const { generateFinalAnswer, streamFinalAnswer } = require('./answeringService');
+
+const QUESTION = "What is Apple's current share price?";
+
+const SEARCH_RESULTS = {
+  results: {
+    total: 1,
+    items: [{ id: 'result_1', title: 'Apple quote', content: 'AAPL closed at $250.42 on Friday.', sourceUrl: 'https://example.com/aapl', source: 'test' }]
+  }
+};
+
+async function runAnsweringTests() {
+  console.log('💬 Starting Answering Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Test 1: Token streaming
+  const chunks = [];
+  const streamed = await streamFinalAnswer(QUESTION, SEARCH_RESULTS, chunk => chunks.push(chunk));
+  const deltas = chunks.filter(chunk => !chunk.isComplete);
+  const final = chunks[chunks.length - 1];
+  check('The answer is streamed in several chunks', deltas.length > 1 &&
+    deltas.map(chunk => chunk.chunk).join('') === streamed.answer, deltas.length);
+  check('The last chunk completes the stream with usage', final?.isComplete === true && final.chunk === '' &&
+    final.usage.totalTokens > 0 && chunks.filter(chunk => chunk.isComplete).length === 1, final);
+  check('The streamed answer quotes and cites the results', streamed.status === 'completed' &&
+    streamed.answer.includes('$250.42') && streamed.citations.length === 1 && streamed.answerId === final.answerId, streamed);
+
+  // Test 2: Cancelling a stream keeps what was generated
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  const cancelled = await streamFinalAnswer(QUESTION, SEARCH_RESULTS, () => {}, { signal: controller.signal });
+  check('A cancelled stream returns its partial answer', cancelled.status === 'cancelled' &&
+    cancelled.finishReason === 'CANCELLED', cancelled);
+
+  // Test 3: Without a callback the full answer is generated, and the signal still cancels it
+  const full = await streamFinalAnswer(QUESTION, SEARCH_RESULTS, null);
+  check('Without a callback the full answer is returned', full.status === 'completed' && full.answer === streamed.answer, full.status);
+
+  const noCallback = new AbortController();
+  const startedAt = Date.now();
+  setTimeout(() => noCallback.abort(), 50);
+  const error = await streamFinalAnswer(QUESTION, SEARCH_RESULTS, null, { signal: noCallback.signal }).then(() => null, caught => caught);
+  check('Without a callback the signal cancels generation', error?.name === 'AbortError' && Date.now() - startedAt < 200,
+    error || 'answer was generated');
+
+  const aborted = new AbortController();
+  aborted.abort();
+  const notStarted = await generateFinalAnswer(QUESTION, SEARCH_RESULTS, { signal: aborted.signal }).then(() => null, caught => caught);
+  check('An already cancelled run calls no model', notStarted?.name === 'AbortError', notStarted);
+
+  console.log(`\n🎉 Answering tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAnsweringTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runAnsweringTests };
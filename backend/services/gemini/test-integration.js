@@ -9,7 +9,7 @@
  */
 
 const planningService = require('./planningService');
-const cache = require('./cache');
+const { resultCache: cache } = require('../cache/resultCache');
 const config = require('./config');
 
 // Test questions to verify functionality
@@ -41,10 +41,10 @@ async function runIntegrationTests() {
     console.log('\n🗄️  Test 2: Cache System');
     
     // Clear cache to start fresh
-    cache.clearCache();
+    await cache.clearCache();
     console.log('✅ Cache cleared for testing');
     
-    const initialStats = cache.getCacheStats();
+    const initialStats = await cache.getCacheStats();
     console.log('✅ Cache stats:', {
       enabled: initialStats.enabled,
       entries: initialStats.totalEntries,
@@ -127,13 +127,13 @@ async function runIntegrationTests() {
     // Test 7: Cache Statistics
     console.log('\n📊 Test 7: Final Cache Statistics');
     
-    const finalStats = cache.getCacheStats();
+    const finalStats = await cache.getCacheStats();
     console.log('✅ Final cache stats:', {
       enabled: finalStats.enabled,
       totalEntries: finalStats.totalEntries,
       validEntries: finalStats.validEntries,
       maxSize: finalStats.maxSize,
-      memoryUsage: `${Math.round(finalStats.memoryUsage / 1024 / 1024)}MB`
+      size: `${Math.round(finalStats.sizeBytes / 1024)}KB`
     });
 
     // Test 8: Error Handling
@@ -160,7 +160,7 @@ async function runIntegrationTests() {
     
     try {
       // Clear cache to ensure fresh request
-      cache.clearCache();
+      await cache.clearCache();
       
       const fallbackPlan = await planningService.planFinancialResearch('Test fallback question');
       console.log('✅ Fallback plan generated:', {
@@ -198,7 +198,7 @@ async function runIntegrationTests() {
       success: true,
       testsRun: 9,
       cacheEntries: finalStats.totalEntries,
-      memoryUsage: finalStats.memoryUsage
+      cacheSizeBytes: finalStats.sizeBytes
     };
 
   } catch (error) {
@@ -0,0 +1,121 @@
+/**
+ * Test file for structured-output planning with repair and fallback reasons
+ *
+ * Uses a scripted stand-in for structured output (Gemini's JSON mode and tool
+ * calling), so no API key is needed.
+ * Run with: node services/gemini/test-planning.js
+ */
+
+const { AIMessage } = require('@langchain/core/messages');
+const { requestStructuredPlan, PlanningFallbackCode } = require('./planningService');
+const { RESEARCH_PLAN_SCHEMA } = require('./promptTemplate');
+
+const VALID_PLAN = {
+  originalQuestion: "What is Apple's P/E ratio?",
+  standaloneQuestion: "What is Apple's P/E ratio?",
+  steps: [
+    { id: 's1', type: 'lookup', query: "What is Apple's share price?", dependsOn: [] },
+    { id: 's2', type: 'lookup', query: "What is Apple's EPS (TTM)?", dependsOn: [] }
+  ],
+  researchFocus: 'Valuation'
+};
+
+/**
+ * Model stand-in whose structured output replays scripted { parsed, raw } outputs
+ * @param {Object} options - `toolCalls` returns the plans as tool call arguments with empty content,
+ *   as the tool-calling structured output of the Anthropic and OpenAI models does
+ */
+function createStructuredModel(outputs, options = {}) {
+  const requests = [];
+  return {
+    requests,
+    withStructuredOutput: (schema, config) => ({
+      invoke: async messages => {
+        requests.push({ schema, config, messages: [...messages] });
+        const output = outputs[Math.min(requests.length - 1, outputs.length - 1)];
+        if (output instanceof Error) {
+          throw output;
+        }
+        if (options.toolCalls) {
+          return { parsed: output, raw: new AIMessage({ content: '', tool_calls: [{ id: 'call_1', name: 'research_plan', args: output || {} }] }) };
+        }
+        return { parsed: output, raw: new AIMessage(output ? JSON.stringify(output) : 'not json') };
+      }
+    })
+  };
+}
+
+async function runPlanningTests() {
+  console.log('🎯 Starting Structured Planning Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const failure = async promise => {
+    try {
+      await promise;
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  // Test 1: Valid structured output
+  const model = createStructuredModel([VALID_PLAN]);
+  const { plan, attempts } = await requestStructuredPlan(model, 'prompt', undefined, 2);
+  check('The plan schema is declared to the model', model.requests[0].schema === RESEARCH_PLAN_SCHEMA &&
+    model.requests[0].config.includeRaw === true);
+  check('A valid plan is accepted on the first attempt', attempts.length === 1 && plan.subQuestions.length === 2 &&
+    plan.steps[1].providers.length === 0, attempts);
+
+  // Test 2: Repair
+  const cyclic = { ...VALID_PLAN, steps: [{ ...VALID_PLAN.steps[0], dependsOn: ['s2'] }, { ...VALID_PLAN.steps[1], dependsOn: ['s1'] }] };
+  const repairing = createStructuredModel([cyclic, VALID_PLAN]);
+  const repaired = await requestStructuredPlan(repairing, 'prompt', undefined, 2);
+  const repairMessages = repairing.requests[1].messages;
+  check('An invalid plan is repaired on the next attempt', repaired.attempts.length === 2 &&
+    /cycle/.test(repaired.attempts[0].error) && repaired.attempts[1].error === null, repaired.attempts);
+  check('The repair request shows the invalid plan and the problem',
+    repairMessages.length === 3 && repairMessages[1].content.includes('"s2"') && /dependency cycle/.test(repairMessages[2].content));
+
+  const toolCalling = createStructuredModel([cyclic, VALID_PLAN], { toolCalls: true });
+  const toolRepaired = await requestStructuredPlan(toolCalling, 'prompt', undefined, 2);
+  const toolRepairPlan = toolCalling.requests[1].messages[1].content;
+  check('Invalid plans returned as tool calls are shown in the repair request', toolRepaired.attempts.length === 2 &&
+    toolRepairPlan !== '(empty response)' && JSON.parse(toolRepairPlan).steps[0].dependsOn[0] === 's2', toolRepairPlan);
+
+  // Test 3: Fallback reasons
+  const invalid = await failure(requestStructuredPlan(createStructuredModel([null, cyclic]), 'prompt', undefined, 2));
+  check('Invalid output after every attempt is reported as invalid_output',
+    invalid?.fallbackCode === PlanningFallbackCode.INVALID_OUTPUT && invalid.attempts.length === 2 &&
+    invalid.attempts[0].error === 'The response is not valid JSON', invalid);
+
+  const outage = await failure(requestStructuredPlan(createStructuredModel([new Error('503 Service Unavailable')]), 'prompt', undefined, 3));
+  check('API errors are reported as request_failed without retrying',
+    outage?.fallbackCode === PlanningFallbackCode.REQUEST_FAILED && outage.attempts.length === 1 && outage.message.includes('503'), outage);
+
+  const controller = new AbortController();
+  controller.abort();
+  const abortError = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  const cancelled = await failure(requestStructuredPlan(createStructuredModel([abortError]), 'prompt', controller.signal, 2));
+  check('Cancellation is not turned into a fallback', cancelled?.name === 'AbortError' && !cancelled.fallbackCode);
+
+  console.log(`\n🎉 Planning tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runPlanningTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runPlanningTests };
@@ -20,39 +20,49 @@ const testQuestions = [
   'a'.repeat(600),  // Too long
 ];
 
-// Sample Gemini responses to test parsing
-const sampleResponses = [
-  // Valid JSON response
-  `{
-    "originalQuestion": "What is Apple's P/E ratio?",
-    "subQuestions": [
-      "What is Apple's current stock price and market capitalization?",
-      "What are Apple's earnings per share (EPS) for the most recent quarter?",
-      "How does Apple's P/E ratio compare to other tech companies?"
+// Sample research plans (as returned by structured output) to test validation
+const samplePlans = [
+  // Flat plan with sub-questions
+  {
+    originalQuestion: 'What is Apple\'s P/E ratio?',
+    subQuestions: [
+      'What is Apple\'s current stock price and market capitalization?',
+      'What are Apple\'s earnings per share (EPS) for the most recent quarter?',
+      'How does Apple\'s P/E ratio compare to other tech companies?'
     ],
-    "researchFocus": "Focus on current valuation metrics and peer comparison"
-  }`,
+    researchFocus: 'Focus on current valuation metrics and peer comparison'
+  },
   
-  // Response with markdown code blocks
-  `\`\`\`json
+  // Plan with typed steps and dependencies
   {
-    "originalQuestion": "Should I invest in Tesla?",
-    "subQuestions": [
-      "What are Tesla's recent financial results?",
-      "What are the major risks facing Tesla?"
+    originalQuestion: 'Is Apple\'s P/E above the sector average?',
+    steps: [
+      { id: 's1', type: 'lookup', query: 'What are Apple\'s share price and EPS?', dependsOn: [], providers: ['market'] },
+      { id: 's2', type: 'lookup', query: 'Which companies are Apple\'s peers?', dependsOn: [] },
+      { id: 's3', type: 'compare', query: 'What are the P/E ratios of these peers?', dependsOn: ['s2'] },
+      { id: 's4', type: 'compute', query: 'Compare Apple\'s P/E to the peer average', dependsOn: ['s1', 's3'] }
     ],
-    "researchFocus": "Investment analysis"
-  }
-  \`\`\``,
+    researchFocus: 'Peer set first, then the comparison'
+  },
+  
+  // Steps with a dependency cycle
+  {
+    originalQuestion: 'Test question',
+    steps: [
+      { id: 's1', type: 'lookup', query: 'First question', dependsOn: ['s2'] },
+      { id: 's2', type: 'lookup', query: 'Second question', dependsOn: ['s1'] }
+    ],
+    researchFocus: 'Invalid plan'
+  },
   
-  // Invalid JSON
-  `{
-    "originalQuestion": "Test question",
-    "subQuestions": ["One question only"]
-  }`,
+  // Missing fields and too few sub-questions
+  {
+    originalQuestion: 'Test question',
+    subQuestions: ['One question only']
+  },
   
-  // Malformed JSON
-  `{ "originalQuestion": "Test", invalid json }`,
+  // Not an object
+  ['Test']
 ];
 
 async function runPromptTests() {
@@ -98,7 +108,8 @@ async function runPromptTests() {
         'sub-questions',
         'JSON object',
         'originalQuestion',
-        'subQuestions',
+        'steps',
+        'dependsOn',
         'researchFocus'
       ];
       
@@ -113,21 +124,21 @@ async function runPromptTests() {
       console.log('❌ Prompt creation failed:', error.message);
     }
 
-    // Test 3: Response Parsing
-    console.log('\n📄 Test 3: Response Parsing');
+    // Test 3: Plan Validation
+    console.log('\n📄 Test 3: Plan Validation');
     
-    for (let i = 0; i < sampleResponses.length; i++) {
-      const response = sampleResponses[i];
-      console.log(`\n🧪 Testing response ${i + 1}:`);
+    for (let i = 0; i < samplePlans.length; i++) {
+      console.log(`\n🧪 Testing plan ${i + 1}:`);
       
       try {
-        const parsedPlan = promptTemplate.parseResearchPlan(response);
-        console.log('✅ Response parsed successfully');
+        const parsedPlan = promptTemplate.validateResearchPlan(samplePlans[i]);
+        console.log('✅ Plan validated successfully');
         console.log(`   Original Question: "${parsedPlan.originalQuestion}"`);
         console.log(`   Sub-questions: ${parsedPlan.subQuestions.length}`);
+        console.log(`   Steps: ${parsedPlan.steps.map(step => `${step.id} (${step.type}${step.dependsOn.length > 0 ? ` after ${step.dependsOn.join(', ')}` : ''})`).join(', ')}`);
         console.log(`   Research Focus: "${parsedPlan.researchFocus}"`);
       } catch (error) {
-        console.log('❌ Response parsing failed:', error.message);
+        console.log('❌ Plan validation failed:', error.message);
       }
     }
 
@@ -143,21 +154,21 @@ async function runPromptTests() {
       
       // Since we can't actually call Gemini without a real API key,
       // we'll simulate a response that would come from Gemini
-      const simulatedResponse = `{
-        "originalQuestion": "${testQuestion}",
-        "subQuestions": [
-          "What was Amazon's stock price at the beginning of 2024?",
-          "What is Amazon's current stock price and year-to-date performance?",
-          "What major factors have influenced Amazon's stock price in 2024?"
+      const simulatedResponse = {
+        originalQuestion: testQuestion,
+        subQuestions: [
+          'What was Amazon\'s stock price at the beginning of 2024?',
+          'What is Amazon\'s current stock price and year-to-date performance?',
+          'What major factors have influenced Amazon\'s stock price in 2024?'
         ],
-        "researchFocus": "Focus on year-to-date stock performance analysis and key market drivers"
-      }`;
+        researchFocus: 'Focus on year-to-date stock performance analysis and key market drivers'
+      };
       
       console.log('✅ Step 2: Simulated Gemini response');
       
-      // Parse the response
-      const parsedPlan = promptTemplate.parseResearchPlan(simulatedResponse);
-      console.log('✅ Step 3: Response parsed successfully');
+      // Validate the response
+      const parsedPlan = promptTemplate.validateResearchPlan(simulatedResponse);
+      console.log('✅ Step 3: Response validated successfully');
       
       console.log('\n📋 Complete Research Plan:');
       console.log(`   Original: "${parsedPlan.originalQuestion}"`);
@@ -0,0 +1,110 @@
+/**
+ * Model Provider Configuration Module
+ *
+ * Handles environment variable loading for the model providers used by the
+ * planning step (planning and coverage evaluation) and the answering step.
+ * Gemini keeps its own settings in ../gemini/config.js.
+ *
+ * Optional Environment Variables:
+ * - PLANNING_PROVIDER: Provider for planning and evaluation: gemini, anthropic, openai or local (default: gemini)
+ * - PLANNING_MODEL: Model for planning (default: the provider's default model)
+ * - ANSWERING_PROVIDER: Provider for the final answer: gemini, anthropic, openai or local (default: gemini)
+ * - ANSWERING_MODEL: Model for answering (default: the provider's default model)
+ * - ANTHROPIC_API_KEY: Anthropic API key (required for the anthropic provider)
+ * - ANTHROPIC_MODEL: Default Anthropic model (default: claude-3-5-sonnet-latest)
+ * - OPENAI_API_KEY: OpenAI API key (required for the openai provider unless OPENAI_BASE_URL is set)
+ * - OPENAI_MODEL: Default OpenAI model (default: gpt-4o-mini)
+ * - OPENAI_BASE_URL: Base URL of another OpenAI-compatible API (default: the OpenAI API)
+ * - LOCAL_LLM_BASE_URL: Base URL of a local OpenAI-compatible server (default: http://localhost:11434/v1)
+ * - LOCAL_LLM_MODEL: Model served by the local server (default: llama3.1)
+ * - LOCAL_LLM_API_KEY: API key for the local server, if it needs one
+ * - LLM_TEMPERATURE: Temperature for the anthropic, openai and local providers (default: 0.7)
+ * - LLM_MAX_TOKENS: Maximum output tokens for the anthropic, openai and local providers (default: 2048)
+ */
+
+require('dotenv').config();
+
+// Provider names accepted for PLANNING_PROVIDER and ANSWERING_PROVIDER
+const PROVIDER_NAMES = ['gemini', 'anthropic', 'openai', 'local'];
+
+// Configuration object with defaults
+const config = {
+  planning: {
+    provider: (process.env.PLANNING_PROVIDER || 'gemini').toLowerCase(),
+    model: process.env.PLANNING_MODEL || null
+  },
+  answering: {
+    provider: (process.env.ANSWERING_PROVIDER || 'gemini').toLowerCase(),
+    model: process.env.ANSWERING_MODEL || null
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest'
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.OPENAI_BASE_URL || null
+  },
+  local: {
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+  },
+  temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2048,
+};
+
+/**
+ * Validates the model provider configuration
+ * (API keys are checked when a provider's model is created)
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateLlmConfig() {
+  const errors = [];
+
+  if (!PROVIDER_NAMES.includes(config.planning.provider)) {
+    errors.push(`PLANNING_PROVIDER must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  if (!PROVIDER_NAMES.includes(config.answering.provider)) {
+    errors.push(`ANSWERING_PROVIDER must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  if (config.temperature < 0 || config.temperature > 2) {
+    errors.push('LLM_TEMPERATURE must be between 0 and 2');
+  }
+
+  if (config.maxTokens < 1 || config.maxTokens > 32768) {
+    errors.push('LLM_MAX_TOKENS must be between 1 and 32768');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated model provider configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getLlmConfig() {
+  const validation = validateLlmConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Model provider configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  config,
+  validateLlmConfig,
+  getLlmConfig
+};
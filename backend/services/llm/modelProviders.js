@@ -0,0 +1,323 @@
+/**
+ * Model Providers
+ *
+ * Creates the chat models used by the workflow. Each provider turns a model
+ * name into a LangChain chat model (invoke, stream, bindTools,
+ * withStructuredOutput), so planning, evaluation and answering do not depend
+ * on a vendor:
+ *   gemini    → Google Gemini (@langchain/google-genai)
+ *   anthropic → Claude (@langchain/anthropic)
+ *   openai    → OpenAI, or any OpenAI-compatible API with OPENAI_BASE_URL
+ *   local     → a local OpenAI-compatible server (Ollama, vLLM, LM Studio, ...)
+ *   mock      → the offline mock model (../mocks/mockChatModel.js)
+ * The provider and model are chosen separately for each role (see llmConfig.js);
+ * with MOCK_PROVIDERS=true every role uses the mock provider. With CASSETTE_MODE
+ * set, the models' requests are recorded or replayed (../mocks/cassette.js).
+ */
+
+const { ChatAnthropic } = require('@langchain/anthropic');
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const { ChatOpenAI } = require('@langchain/openai');
+const { getLlmConfig } = require('./llmConfig');
+const { config: geminiConfig, getGeminiConfig } = require('../gemini/config');
+const { MockChatModel } = require('../mocks/mockChatModel');
+const { isMockMode } = require('../mocks/mockConfig');
+const { cassette, REPLAY_API_KEY } = require('../mocks/cassette');
+
+/**
+ * What a model is used for
+ */
+const ModelRole = {
+  PLANNING: 'planning',
+  ANSWERING: 'answering'
+};
+
+/**
+ * Base model provider
+ *
+ * Subclasses set `name` and `label`, and implement `getDefaultModel`,
+ * `checkConfig` and `createModel`.
+ */
+class ModelProvider {
+  /**
+   * @param {Object} options - { name, label }
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+  }
+
+  /**
+   * Model used when the role does not name one
+   */
+  getDefaultModel() {
+    throw new Error(`Model provider ${this.name} does not implement getDefaultModel`);
+  }
+
+  /**
+   * Check whether the provider is configured
+   * @returns {Object} { isValid, errors }
+   */
+  checkConfig() {
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Create a chat model
+   * @param {string} modelName - Model to use
+   */
+  createModel() {
+    throw new Error(`Model provider ${this.name} does not implement createModel`);
+  }
+}
+
+class GeminiModelProvider extends ModelProvider {
+  constructor() {
+    super({ name: 'gemini', label: 'Google Gemini' });
+  }
+
+  getDefaultModel() {
+    return geminiConfig.model;
+  }
+
+  checkConfig() {
+    try {
+      getGeminiConfig();
+      return { isValid: true, errors: [] };
+    } catch (error) {
+      return { isValid: false, errors: [error.message] };
+    }
+  }
+
+  createModel(modelName) {
+    const config = getGeminiConfig();
+    return new ChatGoogleGenerativeAI({
+      apiKey: config.googleApiKey || REPLAY_API_KEY,
+      model: modelName,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens
+    });
+  }
+}
+
+class AnthropicModelProvider extends ModelProvider {
+  constructor() {
+    super({ name: 'anthropic', label: 'Anthropic Claude' });
+  }
+
+  getDefaultModel() {
+    return getLlmConfig().anthropic.model;
+  }
+
+  checkConfig() {
+    const errors = getLlmConfig().anthropic.apiKey ? [] : ['ANTHROPIC_API_KEY is required for the anthropic provider'];
+    return { isValid: errors.length === 0, errors };
+  }
+
+  createModel(modelName) {
+    const config = getLlmConfig();
+    return new ChatAnthropic({
+      apiKey: config.anthropic.apiKey || REPLAY_API_KEY,
+      model: modelName,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens
+    });
+  }
+}
+
+/**
+ * OpenAI and OpenAI-compatible APIs; `settings` names the llmConfig section
+ * (`openai` or `local`)
+ */
+class OpenAICompatibleModelProvider extends ModelProvider {
+  constructor(options = {}) {
+    super(options);
+    this.settings = options.settings || options.name;
+  }
+
+  getDefaultModel() {
+    return getLlmConfig()[this.settings].model;
+  }
+
+  checkConfig() {
+    const settings = getLlmConfig()[this.settings];
+    const errors = settings.apiKey || settings.baseUrl ? [] : ['OPENAI_API_KEY is required for the openai provider'];
+    return { isValid: errors.length === 0, errors };
+  }
+
+  createModel(modelName) {
+    const config = getLlmConfig();
+    const settings = config[this.settings];
+    return new ChatOpenAI({
+      // Servers that ignore the key still need one to be sent
+      apiKey: settings.apiKey || 'not-needed',
+      model: modelName,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens,
+      ...(settings.baseUrl && { configuration: { baseURL: settings.baseUrl } })
+    });
+  }
+}
+
+/**
+ * Offline stand-in for every provider, used in mock mode
+ */
+class MockModelProvider extends ModelProvider {
+  constructor() {
+    super({ name: 'mock', label: 'Offline mock model' });
+  }
+
+  getDefaultModel() {
+    return 'mock-model';
+  }
+
+  createModel(modelName) {
+    return new MockChatModel({ model: modelName });
+  }
+}
+
+/**
+ * Registry of model providers, with the chat model of each role created once
+ */
+class ModelProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.models = new Map();
+  }
+
+  /**
+   * Register a provider (replaces one of the same name)
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.createModel !== 'function') {
+      throw new Error('Model providers need a name and a createModel(modelName) method');
+    }
+    this.providers.set(provider.name, provider);
+    this.models.clear();
+    return this;
+  }
+
+  /**
+   * Get a registered provider
+   */
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Names of all registered providers
+   */
+  getProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Provider and model configured for a role
+   * @param {string} role - One of the ModelRole values
+   * @returns {Object} { role, provider, model }
+   */
+  describeRole(role) {
+    const roleConfig = getLlmConfig()[role];
+    if (!roleConfig) {
+      throw new Error(`Unknown model role: ${role}`);
+    }
+
+    if (isMockMode()) {
+      return { role, provider: 'mock', model: this.getProvider('mock')?.getDefaultModel() || null };
+    }
+
+    const provider = this.getProvider(roleConfig.provider);
+    return {
+      role,
+      provider: roleConfig.provider,
+      model: roleConfig.model || provider?.getDefaultModel() || null
+    };
+  }
+
+  /**
+   * Get (creating once) the chat model for a role
+   * @param {string} role - One of the ModelRole values
+   * @returns {Object} { model, provider, modelName } where `model` is the chat model
+   * @throws {Error} If the provider is unknown or not configured
+   */
+  getModelForRole(role) {
+    const { provider: providerName, model: modelName } = this.describeRole(role);
+    const key = `${providerName}:${modelName}`;
+    if (this.models.has(key)) {
+      return this.models.get(key);
+    }
+
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      throw new Error(`Unknown model provider: ${providerName}`);
+    }
+
+    // A replayed cassette answers without the provider's API key
+    const configCheck = provider.checkConfig();
+    if (!configCheck.isValid && !cassette.isReplaying()) {
+      throw new Error(`${provider.label} is not configured:\n${configCheck.errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+
+    const model = cassette.wrapChatModel(providerName, provider.createModel(modelName));
+    const entry = { model, provider: providerName, modelName };
+    this.models.set(key, entry);
+    console.log(`[MODELS] ✅ Using ${provider.label} model ${modelName} for ${role}`);
+    return entry;
+  }
+
+  /**
+   * Describe the configured roles for status endpoints
+   */
+  getMetadata() {
+    return Object.values(ModelRole).map(role => {
+      const description = this.describeRole(role);
+      const provider = this.getProvider(description.provider);
+      const configCheck = provider ? provider.checkConfig() : { isValid: false, errors: ['Unknown provider'] };
+      return { ...description, configured: configCheck.isValid };
+    });
+  }
+
+  /**
+   * Drop the created models (used by tests)
+   */
+  reset() {
+    this.models.clear();
+  }
+}
+
+/**
+ * Create a registry with the built-in providers
+ */
+function createModelProviderRegistry() {
+  return new ModelProviderRegistry()
+    .register(new GeminiModelProvider())
+    .register(new AnthropicModelProvider())
+    .register(new OpenAICompatibleModelProvider({ name: 'openai', label: 'OpenAI' }))
+    .register(new OpenAICompatibleModelProvider({ name: 'local', label: 'Local OpenAI-compatible server' }))
+    .register(new MockModelProvider());
+}
+
+// Create singleton instance
+const modelProviderRegistry = createModelProviderRegistry();
+
+/**
+ * Get the chat model for a role from the default registry
+ * @param {string} role - One of the ModelRole values
+ * @returns {Object} { model, provider, modelName }
+ */
+function getModelForRole(role) {
+  return modelProviderRegistry.getModelForRole(role);
+}
+
+module.exports = {
+  ModelRole,
+  ModelProvider,
+  GeminiModelProvider,
+  AnthropicModelProvider,
+  OpenAICompatibleModelProvider,
+  MockModelProvider,
+  ModelProviderRegistry,
+  createModelProviderRegistry,
+  modelProviderRegistry,
+  getModelForRole
+};
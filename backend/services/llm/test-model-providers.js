@@ -0,0 +1,244 @@
+/**
+ * Test file for the model provider layer
+ *
+ * Gives the Claude models a scripted Anthropic client and uses scripted providers, so no API keys are needed.
+ * Run with: node services/llm/test-model-providers.js
+ */
+
+// Mock mode would replace the scripted providers; must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'false';
+
+const { HumanMessage, AIMessage, ToolMessage, SystemMessage } = require('@langchain/core/messages');
+const { AnthropicModelProvider, ModelProvider, ModelRole, modelProviderRegistry, OpenAICompatibleModelProvider } = require('./modelProviders');
+const { config: llmConfig } = require('./llmConfig');
+const { generateFinalAnswer, streamFinalAnswer } = require('../gemini/answeringService');
+const { getToolDefinitions } = require('../gemini/calculationTools');
+const { planFinancialResearch, PlanningFallbackCode } = require('../gemini/planningService');
+
+const PLAN = {
+  originalQuestion: "What is Apple's P/E ratio?",
+  standaloneQuestion: "What is Apple's P/E ratio?",
+  steps: [
+    { id: 's1', type: 'lookup', query: "What is Apple's current share price?", dependsOn: [] },
+    { id: 's2', type: 'lookup', query: "What is Apple's trailing EPS?", dependsOn: [] }
+  ],
+  researchFocus: 'Valuation'
+};
+
+/**
+ * Anthropic client that answers from a script and records the requests
+ * @param {Array} responses - Messages API responses, or arrays of stream events
+ */
+function createScriptedClient(responses) {
+  const requests = [];
+  return {
+    requests,
+    messages: {
+      create: async request => {
+        requests.push(request);
+        const response = responses.shift();
+        if (!request.stream) {
+          return response;
+        }
+        return (async function* () {
+          yield* response;
+        })();
+      }
+    }
+  };
+}
+
+/**
+ * Claude model from the anthropic provider that talks to `client`
+ */
+function createClaudeModel(client, modelName = 'claude-test') {
+  const model = new AnthropicModelProvider().createModel(modelName);
+  model.createClient = () => client;
+  return model;
+}
+
+/**
+ * A provider whose models are created by `factory`
+ */
+class ScriptedModelProvider extends ModelProvider {
+  constructor(name, factory) {
+    super({ name, label: `Scripted ${name}` });
+    this.factory = factory;
+  }
+
+  getDefaultModel() {
+    return 'scripted-model';
+  }
+
+  createModel(modelName) {
+    return this.factory(modelName);
+  }
+}
+
+async function runModelProviderTests() {
+  console.log('🤖 Starting Model Provider Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const originalConfig = JSON.parse(JSON.stringify(llmConfig));
+
+  try {
+    // Test 1: Role configuration
+    llmConfig.planning = { provider: 'gemini', model: null };
+    llmConfig.answering = { provider: 'anthropic', model: 'claude-test' };
+    const planningRole = modelProviderRegistry.describeRole(ModelRole.PLANNING);
+    check('Roles default to the provider\'s default model', planningRole.provider === 'gemini' && !!planningRole.model, planningRole);
+    check('Roles may name a model', modelProviderRegistry.describeRole(ModelRole.ANSWERING).model === 'claude-test');
+
+    llmConfig.anthropic.apiKey = undefined;
+    let missingKeyError = null;
+    try {
+      modelProviderRegistry.getModelForRole(ModelRole.ANSWERING);
+    } catch (error) {
+      missingKeyError = error;
+    }
+    check('Unconfigured providers are rejected', missingKeyError?.message.includes('ANTHROPIC_API_KEY'), missingKeyError?.message);
+
+    const local = new OpenAICompatibleModelProvider({ name: 'local', label: 'Local' }).createModel('llama3.1');
+    check('Local provider creates an OpenAI-compatible model', local.model === 'llama3.1' &&
+      local.clientConfig?.baseURL === llmConfig.local.baseUrl, local.clientConfig);
+
+    // Test 2: Anthropic chat model
+    const client = createScriptedClient([
+      { id: 'msg_1', role: 'assistant', content: [{ type: 'text', text: 'Hello' }], usage: { input_tokens: 10, output_tokens: 2 },
+        stop_reason: 'end_turn', model: 'claude-test' },
+      { id: 'msg_2', role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'percent_change', input: { from: 1, to: 2 } }],
+        usage: { input_tokens: 20, output_tokens: 5 }, stop_reason: 'tool_use' },
+      { id: 'msg_3', role: 'assistant', content: [{ type: 'text', text: 'Doubled' }], usage: { input_tokens: 30, output_tokens: 1 },
+        stop_reason: 'end_turn' },
+      [
+        { type: 'message_start', message: { id: 'msg_4', model: 'claude-test', usage: { input_tokens: 5, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Up ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '100%' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 't9', name: 'cagr', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"start":1,' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"end":2}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } },
+        { type: 'message_stop' }
+      ]
+    ]);
+    const claude = createClaudeModel(client);
+
+    const reply = await claude.invoke('Hi');
+    check('Invoke returns text, usage and stop reason', reply.content === 'Hello' &&
+      reply.usage_metadata.total_tokens === 12 && reply.response_metadata.stop_reason === 'end_turn', reply.response_metadata);
+    check('The configured model and limits are requested', client.requests[0].model === 'claude-test' &&
+      client.requests[0].max_tokens === llmConfig.maxTokens, client.requests[0]);
+
+    const toolReply = await claude.bindTools(getToolDefinitions(), { tool_choice: 'none' }).invoke('Growth?');
+    const toolRequest = client.requests[1];
+    check('Bound tools are sent in Anthropic format', toolRequest.tools[0].input_schema?.type === 'object' &&
+      toolRequest.tool_choice.type === 'none', toolRequest.tool_choice);
+    check('Tool use is returned as tool_calls', toolReply.tool_calls[0]?.name === 'percent_change' &&
+      toolReply.tool_calls[0].args.to === 2);
+
+    await claude.invoke([
+      new SystemMessage('Be brief.'),
+      new HumanMessage('Growth?'),
+      new AIMessage({ content: '', tool_calls: [
+        { id: 't1', name: 'percent_change', args: { from: 1, to: 2 } },
+        { id: 't2', name: 'cagr', args: { start: 1, end: 2, years: 1 } }
+      ] }),
+      new ToolMessage({ tool_call_id: 't1', content: '{"value":100}' }),
+      new ToolMessage({ tool_call_id: 't2', content: '{"value":100}' })
+    ]);
+    const historyRequest = client.requests[2];
+    check('System messages become the system prompt', historyRequest.system === 'Be brief.', historyRequest.system);
+    check('Tool calls become tool_use blocks', historyRequest.messages[1].role === 'assistant' &&
+      historyRequest.messages[1].content.filter(block => block.type === 'tool_use').length === 2, historyRequest.messages[1]);
+    check('Tool results are merged into one user turn', historyRequest.messages.length === 3 &&
+      historyRequest.messages[2].content.every(block => block.type === 'tool_result'), historyRequest.messages);
+
+    let streamed = null;
+    for await (const chunk of await claude.stream('Growth?')) {
+      streamed = streamed ? streamed.concat(chunk) : chunk;
+    }
+    check('Streaming yields text deltas', streamed.content === 'Up 100%', streamed.content);
+    check('Streamed tool input is assembled', streamed.tool_calls[0]?.name === 'cagr' && streamed.tool_calls[0].args.end === 2,
+      streamed.tool_calls);
+
+    // Test 3: Planning through another provider (structured output is a forced tool call)
+    const planningClient = createScriptedClient([
+      { id: 'msg_5', role: 'assistant', content: [{ type: 'tool_use', id: 'p1', name: 'research_plan', input: PLAN }],
+        usage: { input_tokens: 50, output_tokens: 40 }, stop_reason: 'tool_use' }
+    ]);
+    modelProviderRegistry.register(new ScriptedModelProvider('local', modelName =>
+      createClaudeModel(planningClient, modelName)));
+    llmConfig.planning = { provider: 'local', model: 'scripted-planner' };
+
+    const plan = await planFinancialResearch("What is Apple's P/E ratio?");
+    check('Plan comes from the configured planning provider', plan.status === 'completed' &&
+      plan.model === 'scripted-planner' && plan.provider === 'local', { status: plan.status, error: plan.error });
+    check('Structured output forces the plan tool', planningClient.requests[0]?.tool_choice?.name === 'research_plan',
+      planningClient.requests[0]?.tool_choice);
+
+    llmConfig.planning = { provider: 'anthropic', model: null };
+    const fallbackPlan = await planFinancialResearch("What is Apple's P/E ratio?");
+    check('Unconfigured planning provider falls back', fallbackPlan.status === 'fallback' &&
+      fallbackPlan.fallbackReason.code === PlanningFallbackCode.MODEL_UNAVAILABLE);
+
+    // Test 4: Answering reports the model that answered
+    modelProviderRegistry.register(new ScriptedModelProvider('local', () => ({
+      invoke: async () => new AIMessage({ content: 'Apple trades at 30x earnings [1].', response_metadata: { finish_reason: 'stop' } })
+    })));
+    llmConfig.answering = { provider: 'local', model: 'scripted-answerer' };
+
+    const answer = await generateFinalAnswer("What is Apple's P/E ratio?", {
+      results: { items: [{ title: 'Apple valuation', content: 'P/E of 30', sourceUrl: 'https://example.com', source: 'test' }] }
+    });
+    check('Answer reports the answering model', answer.status === 'completed' && answer.model === 'scripted-answerer' &&
+      answer.provider === 'local', { status: answer.status, model: answer.model });
+
+    const answerClient = createScriptedClient([[
+      { type: 'message_start', message: { id: 'msg_6', model: 'claude-test', usage: { input_tokens: 40, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Apple trades ' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'at 30x earnings [1].' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } },
+      { type: 'message_stop' }
+    ]]);
+    modelProviderRegistry.register(new ScriptedModelProvider('local', modelName => createClaudeModel(answerClient, modelName)));
+    const deltas = [];
+    const streamedAnswer = await streamFinalAnswer("What is Apple's P/E ratio?", {
+      results: { items: [{ title: 'Apple valuation', content: 'P/E of 30', sourceUrl: 'https://example.com', source: 'test' }] }
+    }, chunk => deltas.push(chunk));
+    check('Streamed Claude answers report the stop reason and usage', deltas.filter(chunk => !chunk.isComplete).length === 2 &&
+      streamedAnswer.answer === 'Apple trades at 30x earnings [1].' &&
+      streamedAnswer.finishReason === 'end_turn' && streamedAnswer.usage.outputTokens === 9 && streamedAnswer.usage.inputTokens === 40 &&
+      streamedAnswer.usage.totalTokens === 49,
+    { finishReason: streamedAnswer.finishReason, usage: streamedAnswer.usage });
+
+  } finally {
+    Object.assign(llmConfig, originalConfig);
+    modelProviderRegistry.register(new OpenAICompatibleModelProvider({ name: 'local', label: 'Local OpenAI-compatible server' }));
+  }
+
+  console.log(`\n🎉 Model provider tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runModelProviderTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runModelProviderTests };
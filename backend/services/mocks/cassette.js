@@ -0,0 +1,393 @@
+/**
+ * Record-and-Replay Cassettes
+ *
+ * In `record` mode every request the chat models (Gemini and the other model
+ * providers), the embedding models, Perplexity and Firecrawl make is sent as
+ * usual and the request/response pair is appended to a cassette file, with
+ * API keys redacted. In `replay` mode the recorded responses are returned in order
+ * for matching requests, without API keys or network access, so a session
+ * (e.g. one behind a bug report) can be rerun offline as a regression test.
+ *
+ * Chat models are hooked at `_generate` / `_streamResponseChunks`, so invoke,
+ * stream, bound tools and structured output are all recorded; other clients
+ * are hooked per method (Firecrawl's `scrapeUrl` and `search`, the embedding
+ * models' `embedDocuments` and `embedQuery`). Failed requests are
+ * recorded too and fail again on replay. See mockConfig.js for the settings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { isAbortError } = require('../search/cancellation');
+const { getMockConfig } = require('./mockConfig');
+
+/**
+ * Cassette modes
+ */
+const CassetteMode = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+// API key given to clients that are only constructed to replay a cassette
+const REPLAY_API_KEY = 'cassette-replay';
+
+// Environment variables whose values are removed from cassettes
+const SECRET_ENV_VARS = [
+  'GOOGLE_API_KEY', 'PERPLEXITY_API_KEY', 'FIRECRAWL_API_KEY', 'ANTHROPIC_API_KEY',
+  'OPENAI_API_KEY', 'LOCAL_LLM_API_KEY', 'ALPHA_VANTAGE_API_KEY'
+];
+
+// Key formats of the providers, and key parameters in URLs
+const SECRET_PATTERNS = [
+  [/\b(?:sk-ant-[\w-]{8,}|sk-[\w-]{16,}|pplx-[\w-]{16,}|fc-[\w-]{16,}|AIza[\w-]{30,})/g, '[REDACTED]'],
+  [/([?&](?:api_?key|apikey|key|token)=)[^&"\s]+/gi, '$1[REDACTED]']
+];
+
+// Call options that change the response (the rest are callbacks, signals and tracing)
+const RECORDED_OPTIONS = ['tools', 'tool_choice', 'allowedFunctionNames', 'responseSchema', 'stop'];
+
+// Marks a model or client that is already hooked
+const HOOKED = Symbol('cassette');
+
+/**
+ * Remove API keys from a JSON-serializable value
+ */
+function redact(value) {
+  let text = JSON.stringify(value);
+  if (text === undefined) {
+    return value;
+  }
+
+  SECRET_ENV_VARS.forEach(name => {
+    const secret = process.env[name];
+    if (secret && secret.length >= 8) {
+      text = text.split(secret).join('[REDACTED]');
+    }
+  });
+  SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+
+  return JSON.parse(text);
+}
+
+/**
+ * Messages as plain objects
+ */
+function serializeMessages(messages) {
+  return messages.map(message => ({
+    type: message._getType(),
+    content: message.content,
+    tool_calls: message.tool_calls?.length ? message.tool_calls : undefined,
+    tool_call_id: message.tool_call_id
+  }));
+}
+
+/**
+ * The recorded fields of an AI message or chunk
+ */
+function serializeAIMessage(message) {
+  return {
+    id: message.id,
+    content: message.content,
+    additional_kwargs: message.additional_kwargs,
+    response_metadata: message.response_metadata,
+    tool_calls: message.tool_calls,
+    tool_call_chunks: message.tool_call_chunks,
+    usage_metadata: message.usage_metadata
+  };
+}
+
+function serializeResult(result) {
+  return {
+    generations: result.generations.map(generation => ({
+      text: generation.text,
+      message: serializeAIMessage(generation.message),
+      generationInfo: generation.generationInfo
+    })),
+    llmOutput: result.llmOutput
+  };
+}
+
+function deserializeResult(result) {
+  return {
+    generations: result.generations.map(generation => ({
+      text: generation.text,
+      message: new AIMessage({ ...generation.message, tool_call_chunks: undefined }),
+      generationInfo: generation.generationInfo
+    })),
+    llmOutput: result.llmOutput
+  };
+}
+
+function serializeChunk(chunk) {
+  return { text: chunk.text, message: serializeAIMessage(chunk.message), generationInfo: chunk.generationInfo };
+}
+
+function deserializeChunk(chunk) {
+  return new ChatGenerationChunk({
+    text: chunk.text,
+    message: new AIMessageChunk({ ...chunk.message, tool_calls: undefined }),
+    generationInfo: chunk.generationInfo
+  });
+}
+
+/**
+ * Error in a recordable form, and back
+ */
+function serializeError(error) {
+  return { name: error.name, message: error.message, status: error.status };
+}
+
+function deserializeError(recorded) {
+  const error = new Error(recorded.message);
+  error.name = recorded.name || 'Error';
+  if (recorded.status !== undefined) {
+    error.status = recorded.status;
+  }
+  return error;
+}
+
+/**
+ * A copy that only keeps JSON data (drops undefined fields and functions)
+ */
+function toJSONValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class Cassette {
+  /**
+   * @param {Object} options - `mode`, `name`, `dir` (default: CASSETTE_MODE, CASSETTE_NAME, CASSETTE_DIR)
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Change the mode or file (used by tests); drops the loaded interactions
+   */
+  configure(options = {}) {
+    const config = getMockConfig();
+    this.mode = options.mode || config.cassetteMode;
+    this.name = options.name || config.cassetteName;
+    this.dir = options.dir || config.cassetteDir;
+    this.interactions = null;
+    this.replayed = new Map();
+    return this;
+  }
+
+  /**
+   * Path of the cassette file
+   */
+  getFile() {
+    return path.join(this.dir, `${this.name}.json`);
+  }
+
+  isRecording() {
+    return this.mode === CassetteMode.RECORD;
+  }
+
+  isReplaying() {
+    return this.mode === CassetteMode.REPLAY;
+  }
+
+  /**
+   * Key of a request: a hash of the redacted request
+   */
+  getKey(service, request) {
+    return crypto.createHash('sha256').update(JSON.stringify([service, redact(request)])).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Recorded interactions (read from the file once when replaying)
+   */
+  getInteractions() {
+    if (this.interactions) {
+      return this.interactions;
+    }
+
+    if (this.isReplaying()) {
+      const file = this.getFile();
+      if (!fs.existsSync(file)) {
+        throw new Error(`Cassette not found: ${file}`);
+      }
+      this.interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions || [];
+      console.log(`[CASSETTE] ▶️  Replaying ${this.interactions.length} interactions from ${file}`);
+    } else {
+      // A recording session starts a new cassette
+      this.interactions = [];
+    }
+    return this.interactions;
+  }
+
+  /**
+   * Append an interaction and write the cassette
+   */
+  record(service, request, outcome) {
+    const interactions = this.getInteractions();
+    interactions.push(redact({
+      id: interactions.length + 1,
+      service,
+      key: this.getKey(service, request),
+      recordedAt: new Date().toISOString(),
+      request,
+      ...outcome
+    }));
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getFile(), JSON.stringify({ name: this.name, version: 1, interactions }, null, 2));
+  }
+
+  /**
+   * Next recorded interaction for a request; identical requests are answered
+   * in recorded order and the last answer repeats once they run out
+   * @throws {Error} If nothing was recorded for the request
+   */
+  replay(service, request) {
+    const key = this.getKey(service, request);
+    const matches = this.getInteractions().filter(entry => entry.service === service && entry.key === key);
+    if (matches.length === 0) {
+      throw new Error(`No recorded ${service} interaction matches this request in cassette ${this.name}`);
+    }
+
+    const count = this.replayed.get(key) || 0;
+    this.replayed.set(key, count + 1);
+    return matches[Math.min(count, matches.length - 1)];
+  }
+
+  /**
+   * Send a request, recording or replaying it depending on the mode
+   * @param {string} service - Service name, e.g. `gemini` or `firecrawl`
+   * @param {Object} request - JSON description of the request
+   * @param {Function} send - Makes the real request; resolves to a JSON response
+   */
+  async exchange(service, request, send) {
+    if (this.isReplaying()) {
+      const entry = this.replay(service, request);
+      if (entry.error) {
+        throw deserializeError(entry.error);
+      }
+      return toJSONValue(entry.response);
+    }
+
+    if (!this.isRecording()) {
+      return send();
+    }
+
+    try {
+      const response = toJSONValue(await send());
+      this.record(service, request, { response });
+      return toJSONValue(redact(response));
+    } catch (error) {
+      // A cancelled request has no outcome to replay
+      if (!isAbortError(error)) {
+        this.record(service, request, { error: serializeError(error) });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Hook a LangChain chat model so its requests are recorded or replayed
+   * @param {string} service - Service name recorded with each request
+   * @param {Object} model - Chat model (returned unchanged when cassettes are off)
+   */
+  wrapChatModel(service, model) {
+    if (this.mode === CassetteMode.OFF || !model || model[HOOKED]) {
+      return model;
+    }
+
+    const cassette = this;
+    const modelName = model.model || model.modelName || null;
+    const createRequest = (method, messages, options = {}) => ({
+      model: modelName,
+      method,
+      messages: serializeMessages(messages),
+      options: toJSONValue(Object.fromEntries(RECORDED_OPTIONS
+        .filter(name => options[name] !== undefined)
+        .map(name => [name, options[name]])))
+    });
+
+    const generate = model._generate.bind(model);
+    model._generate = async (messages, options, runManager) => {
+      const result = await cassette.exchange(service, createRequest('generate', messages, options),
+        async () => serializeResult(await generate(messages, options, runManager)));
+      return deserializeResult(result);
+    };
+
+    // Models without their own streaming fall back to _generate
+    if (model._streamResponseChunks !== BaseChatModel.prototype._streamResponseChunks) {
+      const streamChunks = model._streamResponseChunks.bind(model);
+      model._streamResponseChunks = async function* (messages, options, runManager) {
+        const request = createRequest('stream', messages, options);
+
+        // Chunks are passed on as they arrive and the stream is recorded once complete
+        if (cassette.isRecording()) {
+          const received = [];
+          try {
+            for await (const chunk of streamChunks(messages, options, runManager)) {
+              received.push(serializeChunk(chunk));
+              yield chunk;
+            }
+          } catch (error) {
+            if (!isAbortError(error)) {
+              cassette.record(service, request, { error: serializeError(error) });
+            }
+            throw error;
+          }
+          cassette.record(service, request, { response: received });
+          return;
+        }
+
+        const chunks = await cassette.exchange(service, request, () => []);
+        for (const chunk of chunks) {
+          yield deserializeChunk(chunk);
+          if (chunk.text) {
+            await runManager?.handleLLMNewToken(chunk.text);
+          }
+        }
+      };
+    }
+
+    model[HOOKED] = true;
+    console.log(`[CASSETTE] ${this.isRecording() ? '⏺️  Recording' : '▶️  Replaying'} ${service} requests (${this.name})`);
+    return model;
+  }
+
+  /**
+   * Hook methods of a client that take and return JSON data
+   * @param {string} service - Service name recorded with each request
+   * @param {Object} client - The client (returned unchanged when cassettes are off)
+   * @param {Array<string>} methods - Names of the methods to hook
+   */
+  wrapClient(service, client, methods) {
+    if (this.mode === CassetteMode.OFF || !client || client[HOOKED]) {
+      return client;
+    }
+
+    methods.forEach(method => {
+      const original = client[method].bind(client);
+      client[method] = (...args) => this.exchange(service, { method, args: toJSONValue(args) }, () => original(...args));
+    });
+
+    client[HOOKED] = true;
+    console.log(`[CASSETTE] ${this.isRecording() ? '⏺️  Recording' : '▶️  Replaying'} ${service} requests (${this.name})`);
+    return client;
+  }
+}
+
+// Create singleton instance
+const cassette = new Cassette();
+
+module.exports = {
+  Cassette,
+  CassetteMode,
+  REPLAY_API_KEY,
+  cassette,
+  redact
+};
@@ -0,0 +1,104 @@
+/**
+ * Mock Fixture Store
+ *
+ * Recorded responses replayed by the mocks, one file per service in the
+ * fixture directory (`llm.json`, `perplexity.json`, `firecrawl.json`):
+ *
+ *   { "entries": [ { "kind": "answering", "key": "What is Apple's P/E ratio?", "response": ... } ] }
+ *
+ * An entry matches when its `key` equals the lookup key after normalization
+ * (case, whitespace and trailing punctuation are ignored) or, failing that,
+ * when the lookup key contains its `match` text. `kind` is optional and
+ * restricts the entry to one kind of request; Firecrawl fixtures are either
+ * `search` results (keyed by query) or scraped `page`s (keyed by URL).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config: mockConfig } = require('./mockConfig');
+
+/**
+ * Normalize a key for matching
+ */
+function normalizeKey(key) {
+  return String(key || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[?.!\s]+$/, '');
+}
+
+class FixtureStore {
+  /**
+   * @param {Object} options - `fixtureDir` overrides MOCK_FIXTURE_DIR; `fixtures` maps
+   *   service names to fixture objects and skips the files (used by tests)
+   */
+  constructor(options = {}) {
+    this.fixtureDir = options.fixtureDir || null;
+    this.injected = options.fixtures || null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Entries recorded for a service (an empty list without a fixture file)
+   * @param {string} service - Fixture file name without `.json`
+   */
+  getEntries(service) {
+    if (this.cache.has(service)) {
+      return this.cache.get(service);
+    }
+
+    let fixture = this.injected ? this.injected[service] : null;
+    if (!this.injected) {
+      const file = path.join(this.fixtureDir || mockConfig.fixtureDir, `${service}.json`);
+      if (fs.existsSync(file)) {
+        fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    }
+
+    const entries = (fixture?.entries || []).map(entry => ({
+      ...entry,
+      normalizedKey: entry.key !== undefined ? normalizeKey(entry.key) : null,
+      normalizedMatch: entry.match !== undefined ? normalizeKey(entry.match) : null
+    }));
+    this.cache.set(service, entries);
+    console.log(`[MOCKS] Loaded ${entries.length} ${service} fixtures`);
+    return entries;
+  }
+
+  /**
+   * Find the recorded response for a request
+   * @param {string} service - Fixture file name without `.json`
+   * @param {string} key - Prompt, question, query or URL of the request
+   * @param {string} kind - Kind of request (optional)
+   * @returns {*} The recorded response, or null when nothing matches
+   */
+  lookup(service, key, kind = null) {
+    const normalized = normalizeKey(key);
+    const candidates = this.getEntries(service).filter(entry => !entry.kind || !kind || entry.kind === kind);
+
+    const exact = candidates.find(entry => entry.normalizedKey !== null && entry.normalizedKey === normalized);
+    if (exact) {
+      return exact.response;
+    }
+
+    const partial = candidates.find(entry => entry.normalizedMatch && normalized.includes(entry.normalizedMatch));
+    return partial ? partial.response : null;
+  }
+
+  /**
+   * Drop the loaded fixtures (they are read again on the next lookup)
+   */
+  reset() {
+    this.cache.clear();
+  }
+}
+
+// Create singleton instance
+const fixtureStore = new FixtureStore();
+
+module.exports = {
+  FixtureStore,
+  fixtureStore,
+  normalizeKey
+};
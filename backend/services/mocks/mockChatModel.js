@@ -0,0 +1,302 @@
+/**
+ * Mock Chat Model
+ *
+ * A deterministic LangChain chat model used in mock mode instead of the
+ * configured model providers. It recognizes the workflow's prompts (research
+ * plan, coverage evaluation, definition, answer) and replays the response
+ * recorded in `llm.json` for the question, or builds one from the prompt:
+ * a two-step lookup plan, an evaluation that accepts the evidence and an
+ * answer that quotes each numbered search result with its citation marker.
+ * `withStructuredOutput` is a forced tool call, as with the other providers;
+ * the calculation tools are never called.
+ */
+
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+const { abortableDelay } = require('../search/cancellation');
+const { config: mockConfig } = require('./mockConfig');
+const { fixtureStore } = require('./fixtureStore');
+
+/**
+ * Kinds of prompts the mock recognizes
+ */
+const PromptKind = {
+  PLANNING: 'planning',
+  EVALUATION: 'evaluation',
+  DEFINITION: 'definition',
+  ANSWERING: 'answering',
+  CHAT: 'chat'
+};
+
+// Longest quote taken from one search result
+const MAX_QUOTE_CHARS = 240;
+
+/**
+ * Text of a message's content (string or content blocks)
+ */
+function getMessageText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || [])
+    .filter(part => part && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('');
+}
+
+/**
+ * First line following a heading, e.g. the question after "## User Question:"
+ */
+function getLineAfter(text, heading) {
+  const index = text.indexOf(heading);
+  if (index === -1) {
+    return null;
+  }
+  const line = text.slice(index + heading.length).trim().split('\n')[0];
+  return line.trim() || null;
+}
+
+/**
+ * Recognize the kind of prompt and the question it is about
+ * @param {string} text - Text of all the messages sent to the model
+ * @returns {Object} { kind, question }
+ */
+function classifyPrompt(text) {
+  if (text.includes('generate a structured research plan')) {
+    return { kind: PromptKind.PLANNING, question: getLineAfter(text, '**User Question:**') };
+  }
+  if (text.includes('You are reviewing the evidence')) {
+    return { kind: PromptKind.EVALUATION, question: getLineAfter(text, '## User Question:') };
+  }
+  if (text.includes("Answer the user's definition question")) {
+    return { kind: PromptKind.DEFINITION, question: getLineAfter(text, '## User Question:') };
+  }
+  if (text.includes('## Search Results:')) {
+    return { kind: PromptKind.ANSWERING, question: getLineAfter(text, '## User Question:') };
+  }
+  return { kind: PromptKind.CHAT, question: text.trim() };
+}
+
+/**
+ * Research plan with two lookups of the question
+ */
+function createMockPlan(question) {
+  return {
+    originalQuestion: question,
+    standaloneQuestion: question,
+    steps: [
+      { id: 's1', type: 'lookup', query: question, dependsOn: [], providers: [] },
+      { id: 's2', type: 'lookup', query: `Recent developments relevant to: ${question}`, dependsOn: [], providers: [] }
+    ],
+    researchFocus: 'Offline mock research plan'
+  };
+}
+
+/**
+ * Coverage evaluation that accepts the evidence for every sub-question
+ */
+function createMockEvaluation(text) {
+  const section = text.split('## Research Sub-Questions:')[1]?.split('## Evidence Gathered:')[0] || '';
+  const subQuestions = section.split('\n')
+    .map(line => line.match(/^\d+\.\s+(.+)$/))
+    .filter(Boolean)
+    .map(match => match[1].trim());
+
+  return {
+    sufficient: true,
+    coverage: subQuestions.map(subQuestion => ({ subQuestion, covered: true, missing: '' })),
+    followUpQueries: [],
+    reasoning: 'Mock evaluation: the evidence is accepted as sufficient.'
+  };
+}
+
+/**
+ * Answer quoting each numbered search result with its citation marker
+ */
+function createMockAnswer(text, question) {
+  const section = text.split('## Search Results:')[1]?.split('## Instructions:')[0] || '';
+  const quotes = section.split(/### Search Result \[(\d+)\]:/).slice(1)
+    .reduce((pairs, part, index, parts) => (index % 2 === 0 ? [...pairs, [part, parts[index + 1]]] : pairs), [])
+    .map(([number, body]) => {
+      const title = getLineAfter(body, '**Title:**');
+      // Content runs until the next "**Field:**" line; headings and line breaks are dropped
+      const content = (body.split('**Content:**')[1] || '').trimStart().split(/\n\*\*\w[\w ]*:\*\*/)[0]
+        .replace(/^#+\s.*$/gm, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_QUOTE_CHARS);
+      return content ? `- ${title ? `**${title}:** ` : ''}${content} [${number}]` : null;
+    })
+    .filter(Boolean);
+
+  if (quotes.length === 0) {
+    return `The search results do not contain enough information to answer "${question}".`;
+  }
+  return `Here is what the search results say about "${question}":\n\n${quotes.join('\n')}\n\n` +
+    '_This answer was produced by the offline mock model._';
+}
+
+/**
+ * Definition of a term the glossary does not cover
+ */
+function createMockDefinition(text, question) {
+  const term = text.match(/Define "([^"]+)"/)?.[1] || question;
+  return `**${term}** is a financial term. This is an offline mock definition; ` +
+    'run without MOCK_PROVIDERS for a real explanation.';
+}
+
+/**
+ * Rough token count of a text (four characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+class MockChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields - `model` names the mock model, `store` replaces the fixture store,
+   *   `toolChoice` is the default tool choice
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.model = fields.model || 'mock-model';
+    this.store = fields.store || fixtureStore;
+    this.toolChoice = fields.toolChoice;
+  }
+
+  _llmType() {
+    return 'mock';
+  }
+
+  /**
+   * Bind tools to the model (kept for the structured output tool call, never called otherwise)
+   */
+  bindTools(tools, kwargs = {}) {
+    return this.withConfig({
+      tools,
+      ...kwargs,
+      tool_choice: kwargs.tool_choice ?? this.toolChoice
+    });
+  }
+
+  /**
+   * Structured output through a tool call the model is required to make
+   */
+  withStructuredOutput(schema, config = {}) {
+    const forced = Object.create(this, { toolChoice: { value: config.name || 'extract' } });
+    return BaseChatModel.prototype.withStructuredOutput.call(forced, schema, config);
+  }
+
+  /**
+   * Recorded or generated response to the messages
+   * @returns {Object} { kind, question, response } where `response` is text or a JSON object
+   */
+  createResponse(messages) {
+    const text = messages.map(message => getMessageText(message.content)).join('\n\n');
+    const { kind, question } = classifyPrompt(text);
+
+    const recorded = this.store.lookup('llm', question, kind);
+    if (recorded !== null) {
+      return { kind, question, response: recorded };
+    }
+
+    switch (kind) {
+    case PromptKind.PLANNING:
+      return { kind, question, response: createMockPlan(question) };
+    case PromptKind.EVALUATION:
+      return { kind, question, response: createMockEvaluation(text) };
+    case PromptKind.DEFINITION:
+      return { kind, question, response: createMockDefinition(text, question) };
+    case PromptKind.ANSWERING:
+      return { kind, question, response: createMockAnswer(text, question) };
+    default:
+      return { kind, question, response: 'Mock response: the offline mock model is active.' };
+    }
+  }
+
+  /**
+   * Build the reply message (a tool call when a tool is forced)
+   */
+  createMessage(messages, options) {
+    const { kind, response } = this.createResponse(messages);
+    const forcedTool = typeof options.tool_choice === 'string' && !['auto', 'none', 'any', 'required'].includes(options.tool_choice)
+      ? options.tool_choice
+      : null;
+    const text = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+    const inputText = messages.map(message => getMessageText(message.content)).join('\n\n');
+    const usage = { input_tokens: estimateTokens(inputText), output_tokens: estimateTokens(text) };
+    usage.total_tokens = usage.input_tokens + usage.output_tokens;
+
+    console.log(`[MOCKS] Mock ${kind} response${forcedTool ? ` (${forcedTool} tool call)` : ''}`);
+
+    if (forcedTool) {
+      let args = response;
+      if (typeof response === 'string') {
+        try {
+          args = JSON.parse(response);
+        } catch {
+          args = {};
+        }
+      }
+      return new AIMessage({
+        content: '',
+        tool_calls: [{ id: `mock_${forcedTool}`, name: forcedTool, args, type: 'tool_call' }],
+        usage_metadata: usage,
+        response_metadata: { finishReason: 'tool_use', model: this.model }
+      });
+    }
+
+    return new AIMessage({
+      content: text,
+      usage_metadata: usage,
+      response_metadata: { finishReason: 'stop', model: this.model }
+    });
+  }
+
+  async _generate(messages, options) {
+    await abortableDelay(mockConfig.latency, options.signal);
+    const message = this.createMessage(messages, options);
+    return { generations: [{ text: message.content, message }] };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    await abortableDelay(mockConfig.latency, options.signal);
+    const message = this.createMessage(messages, options);
+
+    if (message.tool_calls.length > 0) {
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          tool_call_chunks: message.tool_calls.map((toolCall, index) => ({
+            id: toolCall.id, name: toolCall.name, args: JSON.stringify(toolCall.args), index, type: 'tool_call_chunk'
+          })),
+          usage_metadata: message.usage_metadata,
+          response_metadata: message.response_metadata
+        })
+      });
+      return;
+    }
+
+    // Stream word by word so token events look like a real model's
+    const words = message.content.match(/\S+\s*/g) || [];
+    for (const [index, word] of words.entries()) {
+      const last = index === words.length - 1;
+      yield new ChatGenerationChunk({
+        text: word,
+        message: new AIMessageChunk({
+          content: word,
+          ...(last && { usage_metadata: message.usage_metadata, response_metadata: message.response_metadata })
+        })
+      });
+      await runManager?.handleLLMNewToken(word);
+    }
+  }
+}
+
+module.exports = {
+  MockChatModel,
+  PromptKind,
+  classifyPrompt
+};
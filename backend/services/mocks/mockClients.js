@@ -0,0 +1,136 @@
+/**
+ * Mock Search Clients
+ *
+ * Local stand-ins for the Perplexity and Firecrawl clients, with the methods
+ * the search services call. Perplexity responses are replayed from
+ * `perplexity.json` by question, Firecrawl searches from `firecrawl.json` by
+ * query and Firecrawl pages by URL; requests without a recording get a
+ * generated response that names the question or page, so results stay
+ * deterministic.
+ */
+
+const { AIMessage } = require('@langchain/core/messages');
+const { abortableDelay } = require('../search/cancellation');
+const { config: mockConfig } = require('./mockConfig');
+const { fixtureStore, normalizeKey } = require('./fixtureStore');
+
+// Article paths on real news sites, for generated search results
+const MOCK_ARTICLE_SITES = [
+  'https://www.reuters.com/markets/',
+  'https://www.cnbc.com/2024/',
+  'https://finance.yahoo.com/news/',
+  'https://www.marketwatch.com/story/',
+  'https://www.investopedia.com/articles/',
+  'https://www.fool.com/investing/',
+  'https://www.bloomberg.com/news/articles/',
+  'https://seekingalpha.com/article/'
+];
+
+/**
+ * Question line of a Perplexity search prompt (the whole prompt otherwise)
+ */
+function getPromptQuestion(prompt) {
+  const match = String(prompt).match(/^Question: (.+)$/m);
+  return match ? match[1].trim() : String(prompt).trim();
+}
+
+/**
+ * Stands in for ChatPerplexity
+ */
+class MockPerplexityClient {
+  /**
+   * @param {Object} options - `store` replaces the fixture store
+   */
+  constructor(options = {}) {
+    this.store = options.store || fixtureStore;
+    this.model = 'mock-perplexity';
+  }
+
+  async invoke(prompt, options = {}) {
+    await abortableDelay(mockConfig.latency, options.signal);
+    const question = getPromptQuestion(typeof prompt === 'string' ? prompt : prompt?.content);
+    const recorded = this.store.lookup('perplexity', question);
+
+    const content = recorded !== null
+      ? (typeof recorded === 'string' ? recorded : recorded.content)
+      : `Offline mock research notes for "${question}". No recorded response matches this question, ` +
+        'so this placeholder stands in for the web research Perplexity would return.';
+
+    return new AIMessage({
+      content,
+      response_metadata: { finishReason: 'stop', model: this.model }
+    });
+  }
+}
+
+/**
+ * Stands in for FirecrawlApp
+ */
+class MockFirecrawlClient {
+  /**
+   * @param {Object} options - `store` replaces the fixture store
+   */
+  constructor(options = {}) {
+    this.store = options.store || fixtureStore;
+  }
+
+  async search(query, params = {}) {
+    await abortableDelay(mockConfig.latency);
+    const limit = params.limit ?? 5;
+    const recorded = this.store.lookup('firecrawl', query, 'search');
+    if (recorded !== null) {
+      return { success: true, data: (Array.isArray(recorded) ? recorded : recorded.results || []).slice(0, limit) };
+    }
+
+    const slug = normalizeKey(query).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60);
+    return {
+      success: true,
+      data: MOCK_ARTICLE_SITES.slice(0, limit).map(site => ({
+        url: `${site}${slug}`,
+        title: `${query} (mock result)`,
+        description: 'Offline mock search result'
+      }))
+    };
+  }
+
+  async scrapeUrl(url, params = {}) {
+    await abortableDelay(mockConfig.latency);
+    const recorded = this.store.lookup('firecrawl', url, 'page');
+    if (recorded !== null) {
+      return {
+        success: recorded.success !== false,
+        error: recorded.error,
+        data: {
+          markdown: recorded.markdown || '',
+          // Recorded extractions are returned when the scrape asks for one
+          json: params.formats?.includes('json') ? recorded.json : undefined,
+          metadata: {
+            title: recorded.title,
+            description: recorded.description,
+            publishDate: recorded.publishDate,
+            sourceURL: url
+          }
+        }
+      };
+    }
+
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^www\./, '');
+    // Name what the page is about: the search terms of a search page, the slug of an article
+    const slug = parsed.pathname.split('/').filter(Boolean).pop() || '';
+    const searched = Array.from(parsed.searchParams.values()).join(' ') || decodeURIComponent(slug).replace(/-/g, ' ');
+    return {
+      success: true,
+      data: {
+        markdown: `# ${host}\n\nOffline mock page${searched ? ` for "${searched}"` : ''} (no recorded page matches this URL).`,
+        metadata: { title: `${host} (mock page)`, description: 'Offline mock page', sourceURL: url }
+      }
+    };
+  }
+}
+
+module.exports = {
+  MockPerplexityClient,
+  MockFirecrawlClient,
+  getPromptQuestion
+};
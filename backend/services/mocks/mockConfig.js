@@ -0,0 +1,105 @@
+/**
+ * Mock Provider Configuration Module
+ *
+ * Handles environment variable loading for the offline mock mode, in which
+ * the model providers (Gemini, Anthropic, OpenAI, local), Perplexity and
+ * Firecrawl are replaced by deterministic local stand-ins that replay
+ * recorded fixtures, and EDGAR and market data default to their fixture files.
+ * No API keys or network access are needed.
+ *
+ * Cassettes (cassette.js) instead capture the real model, Perplexity and
+ * Firecrawl requests of a live session and replay the responses later.
+ *
+ * Optional Environment Variables:
+ * - MOCK_PROVIDERS: Replace the external services with local stand-ins, `true` or `false` (default: false)
+ * - MOCK_FIXTURE_DIR: Directory of the recorded fixtures (default: services/mocks/fixtures)
+ * - MOCK_LATENCY: Simulated latency of each mocked request in milliseconds (default: 0)
+ * - CASSETTE_MODE: `off`, `record` (call the APIs and save every exchange) or `replay` (answer from the cassette, offline) (default: off)
+ * - CASSETTE_NAME: Cassette file name without `.json` (default: session)
+ * - CASSETTE_DIR: Directory of the cassette files (default: services/mocks/cassettes)
+ */
+
+require('dotenv').config();
+const path = require('path');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Configuration object with defaults
+const config = {
+  enabled: (process.env.MOCK_PROVIDERS || 'false').toLowerCase() === 'true',
+  fixtureDir: process.env.MOCK_FIXTURE_DIR || path.join(__dirname, 'fixtures'),
+  latency: parseInt(process.env.MOCK_LATENCY) || 0,
+  cassetteMode: (process.env.CASSETTE_MODE || 'off').toLowerCase(),
+  cassetteName: process.env.CASSETTE_NAME || 'session',
+  cassetteDir: process.env.CASSETTE_DIR || path.join(__dirname, 'cassettes'),
+};
+
+/**
+ * Validates the mock provider configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateMockConfig() {
+  const errors = [];
+
+  if (config.latency < 0 || config.latency > 10000) {
+    errors.push('MOCK_LATENCY must be between 0ms and 10000ms');
+  }
+
+  if (!CASSETTE_MODES.includes(config.cassetteMode)) {
+    errors.push(`CASSETTE_MODE must be one of: ${CASSETTE_MODES.join(', ')}`);
+  }
+
+  if (config.enabled && config.cassetteMode !== 'off') {
+    errors.push('CASSETTE_MODE cannot be used with MOCK_PROVIDERS=true');
+  }
+
+  if (!/^[\w.-]+$/.test(config.cassetteName)) {
+    errors.push('CASSETTE_NAME may only contain letters, digits, "_", "." and "-"');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated mock provider configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getMockConfig() {
+  const validation = validateMockConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Mock provider configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+/**
+ * Whether the external services are replaced by the mocks
+ */
+function isMockMode() {
+  return config.enabled;
+}
+
+/**
+ * Whether the external services are not called (mock mode or cassette replay),
+ * so their API keys are not needed
+ */
+function isOffline() {
+  return config.enabled || config.cassetteMode === 'replay';
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  config,
+  validateMockConfig,
+  getMockConfig,
+  isMockMode,
+  isOffline
+};
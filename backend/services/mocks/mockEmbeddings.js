@@ -0,0 +1,58 @@
+/**
+ * Mock Embeddings
+ *
+ * Deterministic stand-in for the embedding models, used in mock mode. Each
+ * text becomes a hashed bag of its words, so texts sharing words are similar
+ * and results stay reproducible without network access.
+ */
+
+const { abortableDelay } = require('../search/cancellation');
+const { config: mockConfig } = require('./mockConfig');
+
+// Length of the generated vectors
+const DIMENSIONS = 256;
+
+/**
+ * Bucket of a word in the vector (FNV-1a hash)
+ */
+function hashWord(word) {
+  let hash = 2166136261;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) % DIMENSIONS;
+}
+
+class MockEmbeddings {
+  constructor() {
+    this.model = 'mock-embeddings';
+  }
+
+  /**
+   * Unit-length vector of a text's words
+   */
+  embedText(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+      vector[hashWord(word)] += 1;
+    });
+
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length > 0 ? vector.map(value => value / length) : vector;
+  }
+
+  async embedDocuments(texts) {
+    await abortableDelay(mockConfig.latency);
+    return texts.map(text => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    await abortableDelay(mockConfig.latency);
+    return this.embedText(text);
+  }
+}
+
+module.exports = {
+  MockEmbeddings
+};
@@ -0,0 +1,196 @@
+/**
+ * Test file for record-and-replay cassettes
+ *
+ * Records the mock model and scripted clients into a temporary cassette and
+ * replays it with clients that fail if called, so no API keys are needed.
+ * Run with: node services/mocks/test-cassettes.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette, cassette } = require('./cassette');
+const { MockChatModel } = require('./mockChatModel');
+const { createFinancialPlanningPrompt, RESEARCH_PLAN_SCHEMA } = require('../gemini/promptTemplate');
+const { createAnsweringPrompt } = require('../gemini/answeringService');
+const { planFinancialResearch } = require('../gemini/planningService');
+const { ModelProvider, modelProviderRegistry, OpenAICompatibleModelProvider } = require('../llm/modelProviders');
+const { config: llmConfig } = require('../llm/llmConfig');
+
+const QUESTION = "What is Apple's P/E ratio?";
+const SECRET = 'pplx-cassettesecret0123456789';
+
+/**
+ * A model that fails if a request reaches it (replay must not call the API)
+ */
+class UnreachableModel extends MockChatModel {
+  async _generate() {
+    throw new Error('The live model was called during replay');
+  }
+
+  async *_streamResponseChunks() {
+    throw new Error('The live model was called during replay');
+  }
+}
+
+/**
+ * A provider whose models are created by `factory`
+ */
+class ScriptedModelProvider extends ModelProvider {
+  constructor(name, factory) {
+    super({ name, label: `Scripted ${name}` });
+    this.factory = factory;
+  }
+
+  getDefaultModel() {
+    return 'scripted-model';
+  }
+
+  createModel(modelName) {
+    return this.factory(modelName);
+  }
+}
+
+/**
+ * A Firecrawl-like client; `live: false` makes every call fail
+ */
+function createScriptedClient(live = true) {
+  let calls = 0;
+  const unreachable = async () => {
+    throw new Error('The live client was called during replay');
+  };
+  return {
+    scrapeUrl: live ? async url => ({
+      success: true,
+      data: { markdown: `Leaked ${SECRET}`, metadata: { sourceURL: `${url}?apikey=abc123` } }
+    }) : unreachable,
+    crawlUrl: live ? async () => {
+      const error = new Error('Rate limited');
+      error.status = 429;
+      throw error;
+    } : unreachable,
+    nextPage: live ? async () => ++calls : unreachable
+  };
+}
+
+async function collectStream(model, input) {
+  let streamed = null;
+  let chunks = 0;
+  for await (const chunk of await model.stream(input)) {
+    streamed = streamed ? streamed.concat(chunk) : chunk;
+    chunks++;
+  }
+  return { content: streamed.content, chunks };
+}
+
+async function runCassetteTests() {
+  console.log('📼 Starting Cassette Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+  const originalSecret = process.env.PERPLEXITY_API_KEY;
+  const originalConfig = JSON.parse(JSON.stringify(llmConfig));
+  process.env.PERPLEXITY_API_KEY = SECRET;
+
+  try {
+    const planningPrompt = await createFinancialPlanningPrompt(QUESTION);
+    const answeringPrompt = createAnsweringPrompt(QUESTION, {
+      results: { items: [{ title: 'Apple quote', content: 'AAPL closed at $250.42.', sourceUrl: 'https://example.com', source: 'test' }] }
+    });
+
+    // Test 1: Recording
+    const recorder = new Cassette({ mode: 'record', dir, name: 'unit' });
+    const liveModel = recorder.wrapChatModel('gemini', new MockChatModel());
+    const liveClient = recorder.wrapClient('firecrawl', createScriptedClient(), ['scrapeUrl', 'crawlUrl', 'nextPage']);
+
+    const reply = await liveModel.invoke(answeringPrompt);
+    const plan = await liveModel.withStructuredOutput(RESEARCH_PLAN_SCHEMA, { name: 'research_plan', includeRaw: true })
+      .invoke(planningPrompt);
+    const stream = await collectStream(liveModel, answeringPrompt);
+    const page = await liveClient.scrapeUrl('https://example.com/a', { formats: ['markdown'] });
+    const failure = await liveClient.crawlUrl('https://example.com').catch(error => error);
+    await liveClient.nextPage();
+    await liveClient.nextPage();
+
+    const file = path.join(dir, 'unit.json');
+    const recorded = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    check('Every exchange is written to the cassette', JSON.parse(recorded || '{}').interactions?.length === 7);
+    check('API keys are redacted', !recorded.includes(SECRET) && !recorded.includes('abc123') && recorded.includes('[REDACTED]'));
+    check('Recording returns the redacted response', page.data.markdown === 'Leaked [REDACTED]', page.data);
+    check('Failures are passed on while recording', failure.message === 'Rate limited');
+
+    // Test 2: Replay
+    const player = new Cassette({ mode: 'replay', dir, name: 'unit' });
+    const replayModel = player.wrapChatModel('gemini', new UnreachableModel());
+    const replayClient = player.wrapClient('firecrawl', createScriptedClient(false), ['scrapeUrl', 'crawlUrl', 'nextPage']);
+
+    const replayedReply = await replayModel.invoke(answeringPrompt);
+    check('Replayed replies match the recording', replayedReply.content === reply.content &&
+      JSON.stringify(replayedReply.usage_metadata) === JSON.stringify(reply.usage_metadata));
+
+    const replayedPlan = await replayModel.withStructuredOutput(RESEARCH_PLAN_SCHEMA, { name: 'research_plan', includeRaw: true })
+      .invoke(planningPrompt);
+    check('Structured output is replayed', JSON.stringify(replayedPlan.parsed) === JSON.stringify(plan.parsed));
+
+    const replayedStream = await collectStream(replayModel, answeringPrompt);
+    check('Streams are replayed chunk by chunk', replayedStream.content === stream.content &&
+      replayedStream.chunks === stream.chunks, { chunks: replayedStream.chunks });
+
+    const replayedPage = await replayClient.scrapeUrl('https://example.com/a', { formats: ['markdown'] });
+    check('Client responses are replayed', JSON.stringify(replayedPage) === JSON.stringify(page));
+
+    const replayedFailure = await replayClient.crawlUrl('https://example.com').catch(error => error);
+    check('Recorded failures fail again', replayedFailure.message === 'Rate limited' && replayedFailure.status === 429);
+
+    const pages = [await replayClient.nextPage(), await replayClient.nextPage(), await replayClient.nextPage()];
+    check('Identical requests replay in order, then repeat', pages.join(',') === '1,2,2', pages);
+
+    const missing = await replayModel.invoke('Something never recorded').catch(error => error);
+    check('Unrecorded requests fail', missing.message?.includes('No recorded gemini interaction'), missing.message);
+
+    // Test 3: Models created by the registry are recorded and replayed
+    cassette.configure({ mode: 'record', dir, name: 'flow' });
+    modelProviderRegistry.register(new ScriptedModelProvider('local', modelName => new MockChatModel({ model: modelName })));
+    llmConfig.planning = { provider: 'local', model: 'recorded-planner' };
+    const livePlan = await planFinancialResearch(QUESTION);
+
+    cassette.configure({ mode: 'replay', dir, name: 'flow' });
+    modelProviderRegistry.register(new ScriptedModelProvider('local', modelName => new UnreachableModel({ model: modelName })));
+    const replayedFlowPlan = await planFinancialResearch(QUESTION);
+    check('Planning replays offline', replayedFlowPlan.status === 'completed' &&
+      JSON.stringify(replayedFlowPlan.subQuestions) === JSON.stringify(livePlan.subQuestions),
+      { status: replayedFlowPlan.status, error: replayedFlowPlan.error });
+
+  } finally {
+    cassette.configure({ mode: 'off' });
+    Object.assign(llmConfig, originalConfig);
+    modelProviderRegistry.register(new OpenAICompatibleModelProvider({ name: 'local', label: 'Local OpenAI-compatible server' }));
+    if (originalSecret === undefined) {
+      delete process.env.PERPLEXITY_API_KEY;
+    } else {
+      process.env.PERPLEXITY_API_KEY = originalSecret;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n🎉 Cassette tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runCassetteTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runCassetteTests };
@@ -0,0 +1,136 @@
+/**
+ * Test file for the offline mock mode
+ *
+ * Turns MOCK_PROVIDERS on, so no API keys or network access are needed:
+ * the Plan → Search → Answer flow runs against the recorded fixtures.
+ * Run with: node services/mocks/test-mocks.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+
+const { HumanMessage } = require('@langchain/core/messages');
+const { FixtureStore } = require('./fixtureStore');
+const { MockChatModel, PromptKind, classifyPrompt } = require('./mockChatModel');
+const { config: perplexityConfig } = require('../search/perplexityConfig');
+const { config: firecrawlConfig } = require('../search/firecrawlConfig');
+const { config: edgarConfig } = require('../search/edgarConfig');
+const { createFinancialPlanningPrompt, RESEARCH_PLAN_SCHEMA } = require('../gemini/promptTemplate');
+const { createAnsweringPrompt, generateFinalAnswer, streamFinalAnswer } = require('../gemini/answeringService');
+const { searchWithPerplexity } = require('../search/perplexityService');
+const { extractDataForQuery } = require('../search/firecrawlService');
+const { modelProviderRegistry } = require('../llm/modelProviders');
+const { financialSearchService } = require('../search/index');
+
+const QUESTION = "What is Apple's P/E ratio?";
+
+async function runMockTests() {
+  console.log('🧪 Starting Mock Mode Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Keys are not needed in mock mode
+  perplexityConfig.apiKey = undefined;
+  firecrawlConfig.apiKey = undefined;
+
+  // Test 1: Fixture lookup
+  const store = new FixtureStore({ fixtures: { llm: { entries: [
+    { kind: 'answering', key: 'What is EBITDA?', response: 'exact' },
+    { match: 'tesla', response: 'partial' }
+  ] } } });
+  check('Keys match ignoring case, spacing and punctuation', store.lookup('llm', '  what is  ebitda ', 'answering') === 'exact');
+  check('Kinds restrict an entry', store.lookup('llm', 'What is EBITDA?', 'planning') === null);
+  check('Match text is found inside the key', store.lookup('llm', 'How did Tesla do?') === 'partial');
+  check('Unrecorded requests find nothing', store.lookup('llm', 'Something else') === null && store.lookup('perplexity', 'x') === null);
+
+  // Test 2: Prompt recognition
+  const planningPrompt = await createFinancialPlanningPrompt(QUESTION);
+  const planningClass = classifyPrompt(planningPrompt);
+  check('Planning prompts are recognized', planningClass.kind === PromptKind.PLANNING && planningClass.question === QUESTION, planningClass);
+
+  const answeringPrompt = createAnsweringPrompt(QUESTION, {
+    results: { items: [{ title: 'Apple quote', content: 'AAPL closed at $250.42.', sourceUrl: 'https://example.com', source: 'test' }] }
+  });
+  const answeringClass = classifyPrompt(answeringPrompt);
+  check('Answering prompts are recognized', answeringClass.kind === PromptKind.ANSWERING && answeringClass.question === QUESTION, answeringClass);
+
+  // Test 3: Mock chat model
+  const model = new MockChatModel();
+  const recordedPlan = await model.withStructuredOutput(RESEARCH_PLAN_SCHEMA, { name: 'research_plan', includeRaw: true })
+    .invoke([new HumanMessage(planningPrompt)]);
+  check('Recorded plans are replayed as structured output', recordedPlan.parsed?.steps?.length === 3 &&
+    recordedPlan.raw.tool_calls[0]?.name === 'research_plan', recordedPlan.parsed);
+
+  const generatedPlan = await model.withStructuredOutput(RESEARCH_PLAN_SCHEMA, { name: 'research_plan' })
+    .invoke(await createFinancialPlanningPrompt('How did Tesla margins change last quarter?'));
+  check('Unrecorded questions get a generated plan', generatedPlan.steps?.length === 2 &&
+    generatedPlan.originalQuestion === 'How did Tesla margins change last quarter?', generatedPlan);
+
+  const reply = await model.invoke(answeringPrompt);
+  check('Generated answers quote and cite the search results', reply.content.includes('$250.42') &&
+    reply.content.includes('[1]') && reply.usage_metadata.total_tokens > 0, reply.content);
+
+  let streamed = null;
+  let chunks = 0;
+  for await (const chunk of await model.stream(answeringPrompt)) {
+    streamed = streamed ? streamed.concat(chunk) : chunk;
+    chunks++;
+  }
+  check('Streaming yields the same answer in several chunks', chunks > 1 && streamed.content === reply.content);
+
+  // Test 4: Search clients
+  const perplexity = await searchWithPerplexity("What is Apple's current share price?");
+  check('Perplexity replays the recorded response', !perplexity.error && perplexity.content.includes('$250.42'), perplexity);
+
+  const startedAt = Date.now();
+  const firecrawl = await extractDataForQuery("What is Apple's current share price?");
+  const yahoo = firecrawl.successful.find(page => page.url.includes('finance.yahoo.com'));
+  check('Firecrawl replays recorded pages and generates the others', firecrawl.failed.length === 0 &&
+    firecrawl.successful.length === firecrawlConfig.maxPages && yahoo?.data.content.includes('PE Ratio'), firecrawl.failed);
+  check('Mock scraping skips the rate limit delay', Date.now() - startedAt < 1000);
+
+  // Test 5: Configuration
+  check('Every model role uses the mock provider', modelProviderRegistry.getMetadata()
+    .every(role => role.provider === 'mock' && role.configured), modelProviderRegistry.getMetadata());
+  check('EDGAR defaults to its fixtures', edgarConfig.mode === 'fixture' || !!process.env.EDGAR_MODE);
+
+  // Test 6: Plan → Search → Answer offline
+  const results = await financialSearchService.executeFinancialSearch(QUESTION, { providers: ['perplexity', 'firecrawl'] });
+  const plan = results.workflow.steps.planning?.originalPlan;
+  check('Plan comes from the mock model', plan?.status === 'completed' && plan.provider === 'mock' && plan.subQuestions.length === 3, plan?.status);
+  check('Both search providers return results', ['perplexity', 'firecrawl']
+    .every(source => results.results.items.some(item => item.source === source)), results.results.total);
+
+  const answer = await generateFinalAnswer(QUESTION, results);
+  check('Answer is completed with citations', answer.status === 'completed' && answer.provider === 'mock' &&
+    answer.citations.length > 0, { status: answer.status, error: answer.error });
+
+  const tokens = [];
+  const streamedAnswer = await streamFinalAnswer(QUESTION, results, chunk => {
+    if (chunk.chunk) {
+      tokens.push(chunk.chunk);
+    }
+  });
+  check('Streamed answer matches the generated one', streamedAnswer.answer === answer.answer && tokens.length > 1,
+    { tokens: tokens.length });
+
+  console.log(`\n🎉 Mock mode tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runMockTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runMockTests };
@@ -0,0 +1,289 @@
+/**
+ * Question Classifier
+ *
+ * Labels the intent of a question and picks the pipeline that answers it,
+ * before any model is called:
+ *   definition  → the local glossary (glossary.json), or a single model call when the term is not in it
+ *   live data   → the market data provider only, without planning or follow-up rounds
+ *   comparative, macro, personal finance, research → the full Plan → Search → Answer pipeline
+ * Classification is rule-based (question patterns and the recognized entities)
+ * so that routing itself adds no latency or API spend.
+ */
+
+const fs = require('fs');
+const { getRoutingConfig } = require('./routingConfig');
+
+/**
+ * Question intent enumeration
+ */
+const QuestionIntent = {
+  DEFINITION: 'definition',
+  LIVE_DATA: 'live_data',
+  COMPARATIVE: 'comparative',
+  MACRO: 'macro',
+  PERSONAL_FINANCE: 'personal_finance',
+  RESEARCH: 'research'
+};
+
+/**
+ * Pipeline a question is routed to
+ */
+const Route = {
+  GLOSSARY: 'glossary',
+  QUICK_ANSWER: 'quick_answer',
+  MARKET_DATA: 'market_data',
+  FULL_RESEARCH: 'full_research'
+};
+
+// "What is a P/E ratio?", "Define EBITDA", "What does basis point mean?"
+const DEFINITION_PATTERN = /^(?:what\s+(?:is|are)\s+meant\s+by|what\s+(?:is|are|does)|what's|whats|define|definition\s+of|meaning\s+of|explain(?:\s+what)?|how\s+do\s+you\s+define)\s+(?:(an?|the)\s+)?(.+?)(?:\s+mean)?\s*\??$/i;
+
+// Terms that ask for data rather than a definition ("the current inflation rate")
+const DATA_REQUEST_PATTERN = /\b(?:current(?:ly)?|latest|today|now|recent|this\s+(?:year|quarter|month|week)|last\s+(?:year|quarter|month|week)|(?:19|20)\d{2}|forecast|outlook)\b/i;
+
+// Terms that refer back to the conversation instead of naming something
+const REFERENCE_TERMS = new Set(['it', 'that', 'this', 'they', 'them', 'those', 'these', 'he', 'she']);
+
+const LIVE_DATA_PATTERN = /\b(?:price|prices|quote|quotes|trading\s+at|market\s+cap|now|today|right\s+now|current(?:ly)?|latest|pe\s+ratio|p\/e|dividend\s+yield)\b/i;
+const ANALYSIS_PATTERN = /\b(?:why|should|how\s+(?:has|have|did|does|do|will|would)|compare|comparison|vs\.?|versus|outlook|forecast|predict|history|historical|over\s+the\s+(?:past|last)|trend|analy[sz](?:e|is)|news|risks?|strategy|guidance|earnings\s+call|explain)\b/i;
+const COMPARATIVE_PATTERN = /\b(?:compare|comparison|compared|vs\.?|versus|relative\s+to|better\s+than|worse\s+than|outperform(?:ed|s)?|against)\b/i;
+const MACRO_PATTERN = /\b(?:inflation|interest\s+rates?|fed|federal\s+reserve|central\s+bank|gdp|unemployment|jobs\s+report|recession|cpi|yield\s+curve|monetary\s+policy|fiscal\s+policy|treasury\s+yields?)\b/i;
+const PERSONAL_FINANCE_PATTERN = /\b(?:should\s+i|can\s+i|do\s+i|my|i'm|i\s+am|i\s+have|retire|retirement|401\s*\(?k\)?|ira|roth|mortgage|budget|emergency\s+fund|pay\s+off|credit\s+card|savings\s+account|student\s+loans?)\b/i;
+
+// Most tickers a live-data question may name (the market provider's per-query limit)
+const MAX_LIVE_DATA_TICKERS = 3;
+
+/**
+ * Normalize a term for glossary lookups ("the P/E ratio?" → "p/e ratio")
+ */
+function normalizeTerm(term) {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9/()&\s-]/g, ' ')
+    .replace(/-/g, ' ')
+    .replace(/^\s*(?:an?|the)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract the term a definition question asks about
+ * @param {string} question - User question
+ * @returns {Object|null} { term, article }, or null when the question is not phrased as a definition request
+ */
+function extractDefinitionTerm(question) {
+  const match = String(question || '').trim().match(DEFINITION_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    term: match[2].trim().replace(/[?.!]+$/, ''),
+    article: match[1] ? match[1].toLowerCase() : null
+  };
+}
+
+/**
+ * Turn a glossary entry into a search result item, so it is cited like any other source
+ * @param {Object} entry - Glossary entry
+ * @returns {Object} Result item for the results processor
+ */
+function createGlossaryResult(entry) {
+  const content = [
+    entry.definition,
+    entry.formula && `Formula: ${entry.formula}`,
+    entry.example && `Example: ${entry.example}`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    source: 'glossary',
+    title: `${entry.term} (glossary)`,
+    content,
+    summary: entry.definition,
+    url: null,
+    relevanceScore: 95,
+    confidence: 'high',
+    category: 'definitions',
+    glossaryId: entry.id
+  };
+}
+
+/**
+ * Build a routing decision
+ */
+function createRouting(intent, route, confidence, reasons, extra = {}) {
+  return {
+    intent,
+    route,
+    confidence,
+    reasons,
+    glossaryTerm: null,
+    term: null,
+    ...extra
+  };
+}
+
+/**
+ * Rule-based question classifier backed by the local glossary
+ */
+class QuestionClassifier {
+  /**
+   * @param {Object} options - `glossary` replaces the glossary files (used by tests)
+   */
+  constructor(options = {}) {
+    this.glossary = options.glossary || null;
+    this.index = null;
+  }
+
+  /**
+   * Read the built-in glossary and merge the optional override file over it
+   */
+  loadGlossary() {
+    const config = getRoutingConfig();
+    const glossary = JSON.parse(fs.readFileSync(config.builtInGlossaryFile, 'utf8'));
+
+    if (config.glossaryFile) {
+      try {
+        const extra = JSON.parse(fs.readFileSync(config.glossaryFile, 'utf8'));
+        glossary.terms = [...(extra.terms || []), ...(glossary.terms || [])];
+      } catch (error) {
+        console.error(`[ROUTING] ⚠️ Could not read GLOSSARY_FILE ${config.glossaryFile}:`, error.message);
+      }
+    }
+
+    return glossary;
+  }
+
+  /**
+   * Build (once) the term and alias lookup
+   */
+  getIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    const glossary = this.glossary || this.loadGlossary();
+    const index = new Map();
+
+    (glossary.terms || []).forEach(entry => {
+      if (!entry.term || !entry.definition) {
+        return;
+      }
+      // Earlier entries win, so the override file can redefine a term
+      [entry.term, ...(entry.aliases || [])].forEach(phrase => {
+        const key = normalizeTerm(phrase);
+        if (key && !index.has(key)) {
+          index.set(key, entry);
+        }
+      });
+    });
+
+    this.index = index;
+    console.log(`[ROUTING] Loaded glossary with ${index.size} terms and aliases`);
+    return index;
+  }
+
+  /**
+   * Find the glossary entry for a term
+   * @param {string} term - Term as written in the question
+   * @returns {Object|null} { id, term, aliases, definition, formula?, example? }
+   */
+  lookupTerm(term) {
+    const index = this.getIndex();
+    const key = normalizeTerm(term);
+    if (!key) {
+      return null;
+    }
+
+    // "P/E ratios" and "what are ETFs" use the plural
+    return index.get(key) || index.get(key.replace(/s$/, '')) || null;
+  }
+
+  /**
+   * Classify a question and pick the pipeline that answers it
+   * @param {string} question - The (standalone) user question
+   * @param {Object} options - `entities` recognized in the question, `availableProviders` names of enabled search providers,
+   *   `history` prior conversation turns
+   * @returns {Object} { intent, route, confidence, reasons, glossaryTerm, term }
+   */
+  classify(question, options = {}) {
+    const config = getRoutingConfig();
+    const { entities = null, availableProviders = null, history = [] } = options;
+    const text = String(question || '').trim();
+    const tickers = entities?.tickers || [];
+    const macroIndicators = entities?.macroIndicators || [];
+
+    // 1. Definitions of terms, not of companies or funds
+    const definition = extractDefinitionTerm(text);
+    const term = definition?.term;
+    if (term && tickers.length === 0 && !DATA_REQUEST_PATTERN.test(term)) {
+      const words = normalizeTerm(term).split(' ').filter(Boolean);
+      const isReference = words.length === 0 || words.every(word => REFERENCE_TERMS.has(word));
+      // In a conversation "what is the P/E?" usually asks about the company discussed so far
+      const isFollowUp = history.length > 0 && definition.article === 'the';
+
+      if (!isReference && !isFollowUp && words.length <= config.maxDefinitionWords) {
+        const entry = this.lookupTerm(term);
+        if (entry) {
+          return createRouting(QuestionIntent.DEFINITION, Route.GLOSSARY, 'high',
+            [`"${term}" is defined in the glossary`], { glossaryTerm: entry, term });
+        }
+        return createRouting(QuestionIntent.DEFINITION, Route.QUICK_ANSWER, 'medium',
+          [`"${term}" is a definition request not covered by the glossary`], { term });
+      }
+    }
+
+    // 2. Personal finance questions depend on the user's situation
+    if (PERSONAL_FINANCE_PATTERN.test(text)) {
+      return createRouting(QuestionIntent.PERSONAL_FINANCE, Route.FULL_RESEARCH, 'medium',
+        ['Question refers to the user\'s own finances']);
+    }
+
+    // 3. Live data for a few named tickers, without analysis
+    if (tickers.length > 0 && tickers.length <= MAX_LIVE_DATA_TICKERS &&
+        LIVE_DATA_PATTERN.test(text) && !ANALYSIS_PATTERN.test(text)) {
+      if (availableProviders && !availableProviders.includes('market')) {
+        console.warn('[ROUTING] ⚠️  Live data question, but the market data provider is not enabled ' +
+          '(add market to SEARCH_PROVIDERS); using full research instead');
+        return createRouting(QuestionIntent.LIVE_DATA, Route.FULL_RESEARCH, 'high',
+          [`Live data requested for ${tickers.join(', ')}`, 'Market data provider is not enabled']);
+      }
+      return createRouting(QuestionIntent.LIVE_DATA, Route.MARKET_DATA, 'high',
+        [`Live data requested for ${tickers.join(', ')}`]);
+    }
+
+    // 4. Comparisons between companies, funds or periods
+    if (COMPARATIVE_PATTERN.test(text) || tickers.length >= 2) {
+      return createRouting(QuestionIntent.COMPARATIVE, Route.FULL_RESEARCH, 'medium',
+        [tickers.length >= 2 ? `Question names ${tickers.length} tickers` : 'Question asks for a comparison']);
+    }
+
+    // 5. Macroeconomic questions
+    if (macroIndicators.length > 0 || MACRO_PATTERN.test(text)) {
+      return createRouting(QuestionIntent.MACRO, Route.FULL_RESEARCH, 'medium',
+        ['Question is about macroeconomic indicators or policy']);
+    }
+
+    return createRouting(QuestionIntent.RESEARCH, Route.FULL_RESEARCH, 'low',
+      ['No specialized pipeline applies']);
+  }
+
+  /**
+   * Drop the cached glossary index (used by tests)
+   */
+  reset() {
+    this.index = null;
+  }
+}
+
+// Create singleton instance
+const questionClassifier = new QuestionClassifier();
+
+module.exports = {
+  QuestionClassifier,
+  questionClassifier,
+  QuestionIntent,
+  Route,
+  normalizeTerm,
+  extractDefinitionTerm,
+  createGlossaryResult
+};
@@ -0,0 +1,62 @@
+/**
+ * Question Routing Configuration Module
+ *
+ * Handles environment variable loading for the question classification and
+ * routing stage.
+ *
+ * Optional Environment Variables:
+ * - QUESTION_ROUTING: Route simple questions away from the full research pipeline (default: true)
+ * - GLOSSARY_FILE: Extra glossary terms (same JSON shape as glossary.json) merged over the built-in glossary
+ * - ROUTING_MAX_DEFINITION_WORDS: Longest term, in words, treated as a definition request (default: 6)
+ */
+
+require('dotenv').config();
+const path = require('path');
+
+// Configuration object with defaults
+const config = {
+  enabled: process.env.QUESTION_ROUTING !== 'false',
+  builtInGlossaryFile: path.join(__dirname, 'glossary.json'),
+  glossaryFile: process.env.GLOSSARY_FILE || null,
+  maxDefinitionWords: parseInt(process.env.ROUTING_MAX_DEFINITION_WORDS) || 6,
+};
+
+/**
+ * Validates the routing configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateRoutingConfig() {
+  const errors = [];
+
+  if (config.maxDefinitionWords < 1 || config.maxDefinitionWords > 12) {
+    errors.push('ROUTING_MAX_DEFINITION_WORDS must be between 1 and 12');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated routing configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getRoutingConfig() {
+  const validation = validateRoutingConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Routing configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateRoutingConfig,
+  getRoutingConfig
+};
@@ -0,0 +1,132 @@
+/**
+ * Test file for question classification and routing
+ *
+ * Runs offline: classification is rule-based and glossary questions are
+ * answered without planning, searching or calling a model; live data
+ * questions are searched with the mock providers (MOCK_PROVIDERS).
+ * Run with: node services/routing/test-routing.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.SEARCH_PROVIDERS = 'perplexity,firecrawl,market';
+
+const { QuestionClassifier, questionClassifier, QuestionIntent, Route, extractDefinitionTerm } = require('./questionClassifier');
+const { entityRecognizer } = require('../entities/entityRecognizer');
+const { financialSearchService } = require('../search/index');
+const { generateFinalAnswer } = require('../gemini/answeringService');
+const { WorkflowEvent } = require('../search/workflowEvents');
+
+async function runRoutingTests() {
+  console.log('🧭 Starting Question Routing Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const classify = (question, options = {}) =>
+    questionClassifier.classify(question, { entities: entityRecognizer.recognize(question), ...options });
+
+  // Test 1: Definitions
+  const glossary = classify('What is a P/E ratio?');
+  check('Glossary terms route to the glossary', glossary.intent === QuestionIntent.DEFINITION &&
+    glossary.route === Route.GLOSSARY && glossary.glossaryTerm?.id === 'pe-ratio', glossary);
+  check('Aliases and plurals are looked up', classify('what are ETFs').glossaryTerm?.id === 'etf' &&
+    classify('What does basis point mean?').glossaryTerm?.id === 'basis-point');
+
+  const unknown = classify('What is a collateralized loan obligation?');
+  check('Unknown terms get a quick answer', unknown.route === Route.QUICK_ANSWER &&
+    unknown.term === 'collateralized loan obligation', unknown);
+
+  check('Definition term and article are extracted',
+    JSON.stringify(extractDefinitionTerm('Define the yield curve')) === JSON.stringify({ term: 'yield curve', article: 'the' }));
+  check('Data requests are not definitions', classify('What is the current inflation rate?').intent === QuestionIntent.MACRO);
+  check('Companies are not definitions', classify('What is Tesla?').route === Route.FULL_RESEARCH);
+  check('References to the conversation are not definitions', classify('What is it?').route === Route.FULL_RESEARCH);
+
+  const history = [{ question: "How did Apple's earnings do?", answer: 'Apple beat estimates.' }];
+  check('"The" term in a conversation is a follow-up', classify('What is the P/E ratio?', { history }).route === Route.FULL_RESEARCH &&
+    classify('What is a P/E ratio?', { history }).route === Route.GLOSSARY);
+
+  // Test 2: Live data
+  const live = classify('AAPL price now');
+  check('Live data for a ticker routes to market data', live.intent === QuestionIntent.LIVE_DATA &&
+    live.route === Route.MARKET_DATA, live);
+  check('Analysis questions about a price are research', classify('Why did the AAPL price fall today?').route === Route.FULL_RESEARCH);
+
+  const noMarket = classify('AAPL price now', { availableProviders: ['perplexity', 'firecrawl'] });
+  check('Live data falls back to full research without the market provider',
+    noMarket.intent === QuestionIntent.LIVE_DATA && noMarket.route === Route.FULL_RESEARCH, noMarket);
+
+  // Test 3: Other intents
+  check('Comparisons are labelled comparative', classify('Compare Apple and Microsoft margins').intent === QuestionIntent.COMPARATIVE);
+  check('Macro questions are labelled macro', classify('How will the Fed rate cut affect bonds?').intent === QuestionIntent.MACRO);
+  check('Personal finance questions are labelled', classify('Should I max out my 401k?').intent === QuestionIntent.PERSONAL_FINANCE);
+  check('Everything else is research', classify('Why did Tesla stock fall?').intent === QuestionIntent.RESEARCH);
+
+  // Test 4: Injected glossary overrides the built-in one
+  const custom = new QuestionClassifier({ glossary: { terms: [{ id: 'moat', term: 'Economic moat', aliases: ['moat'], definition: 'A durable advantage.' }] } });
+  check('Injected glossary is used', custom.lookupTerm('moats')?.id === 'moat' && custom.lookupTerm('EBITDA') === null);
+
+  // Test 5: Glossary questions skip planning and search, and are answered without a model
+  const events = [];
+  const results = await financialSearchService.executeFinancialSearch('What is EBITDA?', {
+    onProgress: (event, data) => events.push({ event, data })
+  });
+  const routed = events.find(entry => entry.event === WorkflowEvent.QUESTION_ROUTED);
+  check('question_routed event is emitted', routed?.data.route === Route.GLOSSARY && routed.data.intent === QuestionIntent.DEFINITION);
+  check('No planning or search events for glossary questions',
+    !events.some(entry => [WorkflowEvent.PLANNING_START, WorkflowEvent.SEARCH_START].includes(entry.event)));
+  check('Glossary entry is the only result', results.results.total === 1 &&
+    results.results.items[0].source === 'glossary', results.results);
+
+  const answer = await generateFinalAnswer('What is EBITDA?', results);
+  check('Glossary answer cites the glossary entry', answer.model === 'glossary' &&
+    answer.answer.includes('earnings before interest') && answer.citations.length === 1, answer);
+
+  const disabled = financialSearchService.routeQuestion('What is EBITDA?', entityRecognizer.recognize('What is EBITDA?'), { enableRouting: false });
+  check('enableRouting: false uses the full pipeline', disabled.route === Route.FULL_RESEARCH && disabled.intent === null);
+
+  // Test 6: Live data questions are searched with market data only
+  const searched = [];
+  const quote = await financialSearchService.executeFinancialSearch('AAPL price now', {
+    onProgress: (event, data) => event === WorkflowEvent.SEARCH_START && searched.push(data.provider)
+  });
+  const sources = [...new Set(quote.results.items.map(item => item.source))];
+  check('Live data questions use only the market data provider', quote.workflow.steps.routing.route === Route.MARKET_DATA &&
+    sources.length === 1 && sources[0] === 'market' && searched.length > 0 && searched.every(name => name === 'market'),
+  { sources, searched });
+
+  // Without the market provider (as with the default SEARCH_PROVIDERS) the question is researched instead
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  const unrouted = [];
+  const researched = await financialSearchService.executeFinancialSearch('AAPL price now', {
+    providers: ['perplexity', 'firecrawl'],
+    onProgress: (event, data) => event === WorkflowEvent.SEARCH_START && unrouted.push(data.provider)
+  }).finally(() => {
+    console.warn = warn;
+  });
+  check('Live data questions fall back to research with a warning without the market provider',
+    researched.workflow.steps.routing.route === Route.FULL_RESEARCH && unrouted.length > 0 && !unrouted.includes('market') &&
+    warnings.some(warning => warning.includes('add market to SEARCH_PROVIDERS')), { route: researched.workflow.steps.routing.route, unrouted });
+
+  console.log(`\n🎉 Routing tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runRoutingTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runRoutingTests };
@@ -0,0 +1,95 @@
+/**
+ * Cancellation Helpers
+ *
+ * Small utilities for threading an AbortSignal through the research workflow
+ * so abandoned questions stop consuming paid API quota.
+ */
+
+/**
+ * Create the error thrown when a run is cancelled
+ * @param {*} reason - Optional abort reason
+ * @returns {Error} Error named 'AbortError'
+ */
+function createAbortError(reason) {
+  const message = typeof reason === 'string' ? reason : (reason?.message || 'Research run cancelled');
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error was caused by cancellation
+ * @param {Error} error - The caught error
+ * @param {AbortSignal} signal - Optional signal that may have been aborted
+ * @returns {boolean}
+ */
+function isAbortError(error, signal) {
+  return !!(signal?.aborted || error?.name === 'AbortError');
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Optional signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal.reason);
+  }
+}
+
+/**
+ * Reject as soon as the signal aborts, for APIs that do not accept a signal themselves
+ * @param {Promise} promise - The pending operation
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise} Settles with the operation or rejects with an AbortError
+ */
+function raceWithAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  throwIfAborted(signal);
+
+  let onAbort;
+  const abortPromise = new Promise((_, reject) => {
+    onAbort = () => reject(createAbortError(signal.reason));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, abortPromise]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Wait for a delay, cut short when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal.reason));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  raceWithAbort,
+  abortableDelay
+};
@@ -0,0 +1,90 @@
+/**
+ * SEC EDGAR Configuration Module
+ * 
+ * Handles environment variable loading for the SEC EDGAR filings provider.
+ * 
+ * Environment Variables:
+ * - EDGAR_MODE: `live` (data.sec.gov) or `fixture` (local EDGAR-format JSON files) (default: live, fixture with MOCK_PROVIDERS=true)
+ * - EDGAR_USER_AGENT: Required in live mode; the SEC asks for "Company Name contact@example.com"
+ * - EDGAR_FIXTURE_DIR: Directory of fixture files (default: services/search/fixtures/edgar)
+ * - EDGAR_TIMEOUT: Request timeout in milliseconds (default: 15000)
+ * - EDGAR_MAX_COMPANIES: Companies looked up per sub-question (default: 3)
+ * - EDGAR_MAX_FILINGS: Recent filings returned per company (default: 5)
+ * - EDGAR_FORMS: Comma-separated filing forms to include (default: 10-K,10-Q,8-K)
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { isMockMode } = require('../mocks/mockConfig');
+
+const SUPPORTED_MODES = ['live', 'fixture'];
+
+// Configuration object with defaults
+const config = {
+  mode: (process.env.EDGAR_MODE || (isMockMode() ? 'fixture' : 'live')).toLowerCase(),
+  userAgent: process.env.EDGAR_USER_AGENT,
+  fixtureDir: process.env.EDGAR_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'edgar'),
+  timeout: parseInt(process.env.EDGAR_TIMEOUT) || 15000,
+  maxCompanies: parseInt(process.env.EDGAR_MAX_COMPANIES) || 3,
+  maxFilings: parseInt(process.env.EDGAR_MAX_FILINGS) || 5,
+  forms: (process.env.EDGAR_FORMS || '10-K,10-Q,8-K').split(',').map(form => form.trim().toUpperCase()).filter(Boolean),
+  tickersUrl: 'https://www.sec.gov/files/company_tickers.json',
+  dataBaseUrl: 'https://data.sec.gov',
+  archivesBaseUrl: 'https://www.sec.gov/Archives/edgar/data',
+};
+
+/**
+ * Validates the EDGAR configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateEdgarConfig() {
+  const errors = [];
+
+  if (!SUPPORTED_MODES.includes(config.mode)) {
+    errors.push(`EDGAR_MODE must be one of: ${SUPPORTED_MODES.join(', ')}`);
+  }
+
+  if (config.mode === 'live' && !config.userAgent) {
+    errors.push('EDGAR_USER_AGENT is required in live mode (e.g. "Acme Research research@acme.com")');
+  }
+
+  if (config.timeout < 1000 || config.timeout > 120000) {
+    errors.push('EDGAR_TIMEOUT must be between 1000ms and 120000ms');
+  }
+
+  if (config.maxCompanies < 1 || config.maxCompanies > 10) {
+    errors.push('EDGAR_MAX_COMPANIES must be between 1 and 10');
+  }
+
+  if (config.maxFilings < 0 || config.maxFilings > 50) {
+    errors.push('EDGAR_MAX_FILINGS must be between 0 and 50');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated EDGAR configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getEdgarConfig() {
+  const validation = validateEdgarConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `EDGAR configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateEdgarConfig,
+  getEdgarConfig
+};
@@ -0,0 +1,90 @@
+/**
+ * SEC EDGAR Search Provider
+ *
+ * Wraps searchEdgar as a SearchProvider: one XBRL fundamentals item and one
+ * item per recent filing for each company in the sub-question. These are
+ * primary-source documents, so items are marked high confidence.
+ */
+
+const { SearchProvider } = require('./searchProvider');
+const { searchEdgar, formatMetricValue, describeMetricPeriod } = require('./edgarService');
+const { validateEdgarConfig, config: edgarConfig } = require('./edgarConfig');
+
+/**
+ * Summarize a company's key metrics as text the answering model can cite
+ */
+function formatFundamentals(company) {
+  const lines = Object.values(company.metrics).map(metric => {
+    const parts = [];
+    if (metric.annual) {
+      parts.push(`${formatMetricValue(metric.annual.value, metric.unit)} (${describeMetricPeriod(metric.annual)})`);
+    }
+    if (metric.latest && metric.latest.accessionNumber !== metric.annual?.accessionNumber) {
+      parts.push(`latest ${formatMetricValue(metric.latest.value, metric.unit)} (${describeMetricPeriod(metric.latest)})`);
+    }
+    return `- ${metric.label}: ${parts.join('; ')} [${metric.concept}]`;
+  });
+
+  return `${company.name} (${company.ticker}, CIK ${company.cik}) fundamentals from SEC XBRL company facts:\n${lines.join('\n')}`;
+}
+
+class EdgarProvider extends SearchProvider {
+  constructor() {
+    super({
+      name: 'edgar',
+      label: 'SEC EDGAR',
+      // Public SEC data; the only limit is 10 requests per second
+      cost: { unit: 'request', unitsPerSearch: 2 * edgarConfig.maxCompanies, usdPerUnit: 0 }
+    });
+  }
+
+  async runSearch(query, context = {}) {
+    const result = await searchEdgar(query, { signal: context.signal, tickers: context.tickers, entities: context.entities });
+
+    if (result.error) {
+      return { items: [], error: result.error, raw: result };
+    }
+
+    const items = [];
+    result.companies.forEach(company => {
+      const companyFactsUrl = `https://data.sec.gov/api/xbrl/companyfacts/CIK${company.cik}.json`;
+
+      if (Object.keys(company.metrics).length > 0) {
+        items.push({
+          source: this.name,
+          title: `${company.name} (${company.ticker}) - SEC XBRL fundamentals`,
+          url: companyFactsUrl,
+          content: formatFundamentals(company),
+          confidence: 'high',
+          relevanceScore: 95,
+          primarySource: true,
+          extractedData: { ticker: company.ticker, cik: company.cik, metrics: company.metrics }
+        });
+      }
+
+      company.filings.forEach(filing => {
+        items.push({
+          source: this.name,
+          title: `${company.name} (${company.ticker}) Form ${filing.form} filed ${filing.filingDate}`,
+          url: filing.url,
+          content: `${company.name} filed Form ${filing.form} (${filing.description}) with the SEC on ${filing.filingDate}` +
+            `${filing.reportDate ? ` for the period ending ${filing.reportDate}` : ''}. Accession number ${filing.accessionNumber}.`,
+          confidence: 'high',
+          relevanceScore: filing.form === '8-K' ? 75 : 85,
+          primarySource: true,
+          extractedData: { ticker: company.ticker, cik: company.cik, filing }
+        });
+      });
+    });
+
+    return { items, raw: result };
+  }
+
+  checkConfig() {
+    return validateEdgarConfig();
+  }
+}
+
+module.exports = {
+  EdgarProvider
+};
@@ -0,0 +1,388 @@
+/**
+ * SEC EDGAR Filings Service
+ *
+ * Pulls recent 10-K/10-Q/8-K filings and XBRL company facts (revenue, EPS,
+ * shares outstanding, debt) for the companies the entity recognizer finds in
+ * a sub-question.
+ * Reads data.sec.gov in live mode, or EDGAR-format JSON fixtures in fixture
+ * mode so the provider can be exercised offline.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { getEdgarConfig } = require('./edgarConfig');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+const { entityRecognizer, EntityType } = require('../entities/entityRecognizer');
+
+/**
+ * XBRL concepts reported for each company, most specific concept first.
+ * When several concepts exist, the one with the most recent data wins.
+ */
+const KEY_METRICS = [
+  {
+    key: 'revenue',
+    label: 'Revenue',
+    taxonomy: 'us-gaap',
+    concepts: ['Revenues', 'RevenueFromContractWithCustomerExcludingAssessedTax', 'SalesRevenueNet'],
+    unit: 'USD',
+    duration: true
+  },
+  {
+    key: 'netIncome',
+    label: 'Net income',
+    taxonomy: 'us-gaap',
+    concepts: ['NetIncomeLoss'],
+    unit: 'USD',
+    duration: true
+  },
+  {
+    key: 'epsDiluted',
+    label: 'Diluted EPS',
+    taxonomy: 'us-gaap',
+    concepts: ['EarningsPerShareDiluted', 'EarningsPerShareBasic'],
+    unit: 'USD/shares',
+    duration: true
+  },
+  {
+    key: 'sharesOutstanding',
+    label: 'Shares outstanding',
+    taxonomy: 'dei',
+    concepts: ['EntityCommonStockSharesOutstanding'],
+    unit: 'shares',
+    duration: false
+  },
+  {
+    key: 'longTermDebt',
+    label: 'Long-term debt',
+    taxonomy: 'us-gaap',
+    concepts: ['LongTermDebt', 'LongTermDebtNoncurrent'],
+    unit: 'USD',
+    duration: false
+  }
+];
+
+// Ticker directory index, cached per process
+let tickerIndex = null;
+
+/**
+ * Format a CIK as the zero-padded 10-digit string used in EDGAR file names
+ */
+function padCik(cik) {
+  return String(cik).padStart(10, '0');
+}
+
+/**
+ * Fetch a JSON document from the SEC
+ * @param {string} url - Document URL
+ * @param {Object} config - EDGAR configuration
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise<Object|null>} Parsed JSON, or null when the SEC has no such document
+ */
+async function fetchEdgarJson(url, config, signal) {
+  const timeoutSignal = AbortSignal.timeout(config.timeout);
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': config.userAgent,
+      'Accept': 'application/json'
+    },
+    signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`EDGAR request failed (${response.status}) for ${url}`);
+  }
+  return response.json();
+}
+
+/**
+ * Read an EDGAR-format fixture file
+ * @returns {Promise<Object|null>} Parsed JSON, or null when the fixture does not exist
+ */
+async function readFixtureJson(config, relativePath) {
+  try {
+    const content = await fs.readFile(path.join(config.fixtureDir, relativePath), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load an EDGAR document for a company from the SEC or from fixtures
+ * @param {string} kind - 'submissions' or 'companyfacts'
+ * @param {number|string} cik - Company CIK
+ * @param {Object} options - { signal }
+ */
+async function loadCompanyDocument(kind, cik, options = {}) {
+  const config = getEdgarConfig();
+  const fileName = `CIK${padCik(cik)}.json`;
+
+  if (config.mode === 'fixture') {
+    return readFixtureJson(config, path.join(kind, fileName));
+  }
+
+  const url = kind === 'companyfacts'
+    ? `${config.dataBaseUrl}/api/xbrl/companyfacts/${fileName}`
+    : `${config.dataBaseUrl}/submissions/${fileName}`;
+  return fetchEdgarJson(url, config, options.signal);
+}
+
+/**
+ * Load and index the SEC ticker directory (company_tickers.json format)
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { byTicker }
+ */
+async function getTickerIndex(options = {}) {
+  if (tickerIndex) {
+    return tickerIndex;
+  }
+
+  const config = getEdgarConfig();
+  const directory = config.mode === 'fixture'
+    ? await readFixtureJson(config, 'company_tickers.json')
+    : await fetchEdgarJson(config.tickersUrl, config, options.signal);
+
+  if (!directory) {
+    throw new Error('EDGAR ticker directory is not available');
+  }
+
+  const index = { byTicker: new Map() };
+  Object.values(directory).forEach(entry => {
+    const company = { cik: entry.cik_str, ticker: entry.ticker.toUpperCase(), name: entry.title };
+    index.byTicker.set(company.ticker, company);
+  });
+
+  tickerIndex = index;
+  console.log(`[EDGAR] Loaded ticker directory with ${index.byTicker.size} companies`);
+  return tickerIndex;
+}
+
+/**
+ * Resolve ticker symbols to companies in the SEC directory
+ * @param {Array<string>} tickers - Ticker symbols
+ * @param {Object} index - Ticker index from getTickerIndex
+ */
+function resolveTickers(tickers, index) {
+  return tickers
+    .map(ticker => index.byTicker.get(String(ticker).toUpperCase()))
+    .filter(Boolean);
+}
+
+/**
+ * Get a company's most recent filings of the configured forms
+ * @param {Object} company - { cik, ticker, name }
+ * @param {Object} options - { signal }
+ * @returns {Promise<Array>} Filings { form, filingDate, reportDate, accessionNumber, description, url }
+ */
+async function getRecentFilings(company, options = {}) {
+  const config = getEdgarConfig();
+  const submissions = await loadCompanyDocument('submissions', company.cik, options);
+  const recent = submissions?.filings?.recent;
+
+  if (!recent || !Array.isArray(recent.form)) {
+    return [];
+  }
+
+  const filings = [];
+  for (let i = 0; i < recent.form.length && filings.length < config.maxFilings; i++) {
+    if (!config.forms.includes(recent.form[i])) {
+      continue;
+    }
+
+    const accessionNumber = recent.accessionNumber[i];
+    filings.push({
+      form: recent.form[i],
+      filingDate: recent.filingDate[i],
+      reportDate: recent.reportDate?.[i] || null,
+      accessionNumber: accessionNumber,
+      description: recent.primaryDocDescription?.[i] || recent.form[i],
+      url: `${config.archivesBaseUrl}/${parseInt(company.cik, 10)}/${accessionNumber.replace(/-/g, '')}/${recent.primaryDocument[i]}`
+    });
+  }
+
+  return filings;
+}
+
+/**
+ * Number of days covered by a duration fact
+ */
+function getDurationDays(fact) {
+  if (!fact.start) {
+    return 0;
+  }
+  return (new Date(fact.end) - new Date(fact.start)) / (1000 * 60 * 60 * 24);
+}
+
+/**
+ * Pick the most recent fact, preferring the latest filing for the same period
+ */
+function pickLatestFact(facts) {
+  return facts.reduce((latest, fact) => {
+    if (!latest || fact.end > latest.end || (fact.end === latest.end && fact.filed > latest.filed)) {
+      return fact;
+    }
+    return latest;
+  }, null);
+}
+
+/**
+ * Convert an XBRL fact into the value reported to the results pipeline
+ */
+function toMetricValue(fact) {
+  if (!fact) {
+    return null;
+  }
+  return {
+    value: fact.val,
+    start: fact.start || null,
+    end: fact.end,
+    fiscalYear: fact.fy,
+    fiscalPeriod: fact.fp,
+    form: fact.form,
+    filed: fact.filed,
+    accessionNumber: fact.accn
+  };
+}
+
+/**
+ * Extract the key metrics (revenue, net income, EPS, shares, debt) from XBRL company facts
+ * @param {Object} companyFacts - companyfacts document
+ * @returns {Object} Metrics keyed by KEY_METRICS key: { label, concept, unit, annual, latest }
+ */
+function extractKeyMetrics(companyFacts) {
+  const metrics = {};
+
+  KEY_METRICS.forEach(definition => {
+    const taxonomy = companyFacts?.facts?.[definition.taxonomy] || {};
+
+    // Use the candidate concept with the most recent data
+    const candidates = definition.concepts
+      .map(concept => ({ concept, facts: taxonomy[concept]?.units?.[definition.unit] || [] }))
+      .filter(candidate => candidate.facts.length > 0)
+      .map(candidate => ({ ...candidate, latest: pickLatestFact(candidate.facts) }));
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const best = candidates.reduce((a, b) => (b.latest.end > a.latest.end ? b : a));
+    const annualFacts = best.facts.filter(fact =>
+      fact.fp === 'FY' && fact.form?.startsWith('10-K') && (!definition.duration || getDurationDays(fact) >= 300)
+    );
+
+    metrics[definition.key] = {
+      label: definition.label,
+      concept: `${definition.taxonomy}:${best.concept}`,
+      unit: definition.unit,
+      annual: toMetricValue(pickLatestFact(annualFacts)),
+      latest: toMetricValue(best.latest)
+    };
+  });
+
+  return metrics;
+}
+
+/**
+ * Format a metric value for display ("$391.04B", "$6.08", "15.12B shares")
+ */
+function formatMetricValue(value, unit) {
+  const abs = Math.abs(value);
+  const scaled = abs >= 1e12 ? `${(value / 1e12).toFixed(2)}T`
+    : abs >= 1e9 ? `${(value / 1e9).toFixed(2)}B`
+      : abs >= 1e6 ? `${(value / 1e6).toFixed(2)}M`
+        : value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+  if (unit === 'USD' || unit === 'USD/shares') {
+    return `$${unit === 'USD/shares' ? value.toFixed(2) : scaled}`;
+  }
+  return unit === 'shares' ? `${scaled} shares` : scaled;
+}
+
+/**
+ * Describe the period a metric value covers
+ */
+function describeMetricPeriod(metricValue) {
+  const period = metricValue.start ? `${metricValue.start} to ${metricValue.end}` : `as of ${metricValue.end}`;
+  return `${metricValue.fiscalPeriod} ${metricValue.fiscalYear}, ${period}, ${metricValue.form} filed ${metricValue.filed}`;
+}
+
+/**
+ * Look up filings and company facts for the companies in a sub-question
+ * @param {string} query - The research sub-question
+ * @param {Object} options - `signal` cancels the lookups; `tickers` overrides ticker detection; `entities` are
+ *   the entities recognized in the user's question, used when the sub-question names no company
+ * @returns {Promise<Object>} { query, source, companies, error }
+ */
+async function searchEdgar(query, options = {}) {
+  const { signal } = options;
+
+  try {
+    console.log('[EDGAR] Starting filings lookup for:', query);
+    throwIfAborted(signal);
+
+    const config = getEdgarConfig();
+    const index = await getTickerIndex({ signal });
+    const tickers = Array.isArray(options.tickers) && options.tickers.length > 0
+      ? options.tickers
+      : entityRecognizer.selectTickers(query, options.entities, { types: [EntityType.COMPANY] });
+    const companies = resolveTickers(tickers, index).slice(0, config.maxCompanies);
+
+    if (companies.length === 0) {
+      console.log('[EDGAR] No listed companies recognized in the question');
+      return { query, source: 'edgar', companies: [], error: null, timestamp: new Date().toISOString() };
+    }
+
+    console.log(`[EDGAR] Looking up ${companies.map(c => c.ticker).join(', ')} (${config.mode} mode)`);
+
+    const results = await Promise.all(companies.map(async company => {
+      const [filings, companyFacts] = await Promise.all([
+        getRecentFilings(company, { signal }),
+        loadCompanyDocument('companyfacts', company.cik, { signal })
+      ]);
+
+      return {
+        ...company,
+        cik: padCik(company.cik),
+        filings: filings,
+        metrics: companyFacts ? extractKeyMetrics(companyFacts) : {},
+        factsAvailable: !!companyFacts
+      };
+    }));
+
+    console.log('[EDGAR] ✅ Filings lookup completed');
+    return { query, source: 'edgar', companies: results, error: null, timestamp: new Date().toISOString() };
+
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log('[EDGAR] ⏹️  Filings lookup cancelled');
+      throw error;
+    }
+
+    console.error('[EDGAR] ❌ Filings lookup failed:', error.message);
+    return { query, source: 'edgar', companies: [], error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * Forget the cached ticker directory (e.g. after switching fixture directories)
+ */
+function resetTickerIndex() {
+  tickerIndex = null;
+}
+
+module.exports = {
+  KEY_METRICS,
+  searchEdgar,
+  getTickerIndex,
+  getRecentFilings,
+  extractKeyMetrics,
+  formatMetricValue,
+  describeMetricPeriod,
+  resetTickerIndex
+};
@@ -0,0 +1,239 @@
+/**
+ * Extraction Schemas
+ *
+ * Schemas Firecrawl uses to read typed financial figures out of scraped pages
+ * (FIRECRAWL_EXTRACTOR_MODE=llm-extraction). The schema is picked from the
+ * question: earnings figures, rate decisions, analyst targets or guidance.
+ * Questions matching none of them are scraped without extraction.
+ *
+ * Every schema returns the same shape, so extracted data can be merged
+ * across pages and cited by the answerer:
+ *
+ *   { entity, asOf, figures: [{ field, value, unit, period, asOf, quote }] }
+ *
+ * After normalization each figure also carries its schema, label and entity,
+ * and `asOf` falls back to the page's publish date.
+ */
+
+/**
+ * Kinds of figures that can be extracted
+ */
+const ExtractionSchemaName = {
+  EARNINGS: 'earnings',
+  RATE_DECISION: 'rate_decision',
+  ANALYST_TARGET: 'analyst_target',
+  GUIDANCE: 'guidance'
+};
+
+// Schemas in the order they are tried; the first whose pattern matches the question is used
+const EXTRACTION_SCHEMAS = [
+  {
+    name: ExtractionSchemaName.RATE_DECISION,
+    description: 'Central bank rate decisions',
+    pattern: /\b(?:rate\s+(?:decisions?|hikes?|cuts?|increases?|decreases?)|fomc|fed(?:eral)?\s+funds|policy\s+rates?|interest\s+rates?|central\s+banks?|federal\s+reserve|fed|ecb|bank\s+of\s+(?:england|japan|canada))\b/i,
+    prompt: 'Extract the policy rate decision: the target range or rate after the decision, the change, and the vote.',
+    fields: {
+      policy_rate: 'Policy rate',
+      policy_rate_lower: 'Policy rate, lower bound',
+      policy_rate_upper: 'Policy rate, upper bound',
+      rate_change: 'Rate change',
+      votes_for: 'Votes for the decision',
+      votes_against: 'Votes against the decision'
+    }
+  },
+  {
+    name: ExtractionSchemaName.ANALYST_TARGET,
+    description: 'Analyst price targets and ratings',
+    pattern: /\b(?:price\s+targets?|analysts?|ratings?|upgrade[sd]?|downgrade[sd]?|consensus|overweight|underweight|outperform)\b/i,
+    prompt: 'Extract analyst price targets and the number of buy, hold and sell ratings, with the firm or consensus they come from in the quote.',
+    fields: {
+      price_target: 'Price target',
+      price_target_average: 'Average price target',
+      price_target_high: 'Highest price target',
+      price_target_low: 'Lowest price target',
+      price_target_previous: 'Previous price target',
+      analyst_count: 'Number of analysts',
+      buy_ratings: 'Buy ratings',
+      hold_ratings: 'Hold ratings',
+      sell_ratings: 'Sell ratings'
+    }
+  },
+  {
+    name: ExtractionSchemaName.GUIDANCE,
+    description: 'Company guidance',
+    pattern: /\b(?:guidance|guided|outlook|forecasts?|projections?|expects?|expected\s+to)\b/i,
+    prompt: 'Extract the guidance the company gave for future periods, as ranges where the company gave a range.',
+    fields: {
+      revenue_guidance_low: 'Revenue guidance, low end',
+      revenue_guidance_high: 'Revenue guidance, high end',
+      eps_guidance_low: 'EPS guidance, low end',
+      eps_guidance_high: 'EPS guidance, high end',
+      gross_margin_guidance: 'Gross margin guidance',
+      operating_margin_guidance: 'Operating margin guidance',
+      capex_guidance: 'Capital expenditure guidance'
+    }
+  },
+  {
+    name: ExtractionSchemaName.EARNINGS,
+    description: 'Reported earnings figures',
+    pattern: /\b(?:earnings|eps|revenues?|sales|net\s+income|profits?|margins?|income|results|quarter(?:ly)?|fiscal|free\s+cash\s+flow)\b/i,
+    prompt: 'Extract the reported results: revenue, net income, earnings per share, margins and free cash flow.',
+    fields: {
+      revenue: 'Revenue',
+      net_income: 'Net income',
+      operating_income: 'Operating income',
+      eps_diluted: 'Diluted EPS',
+      eps_basic: 'Basic EPS',
+      gross_margin: 'Gross margin',
+      operating_margin: 'Operating margin',
+      free_cash_flow: 'Free cash flow'
+    }
+  }
+];
+
+// Number words a value may be given in ("94.9 billion")
+const SCALES = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mm: 1e6, mn: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, tn: 1e12, trillion: 1e12
+};
+
+/**
+ * JSON schema of an extraction schema's response
+ */
+function buildJsonSchema(schema) {
+  const date = { type: 'string', description: 'Date in YYYY-MM-DD format' };
+  return {
+    type: 'object',
+    properties: {
+      entity: { type: 'string', description: 'Company (ticker if known) or central bank the figures are about' },
+      asOf: { ...date, description: 'Date the page was published or the figures were announced, YYYY-MM-DD' },
+      figures: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', enum: Object.keys(schema.fields) },
+            value: { type: 'number', description: 'The figure as a plain number, with millions or billions written out' },
+            unit: { type: 'string', description: 'Currency code, "%", "bps", "shares" or "count"' },
+            period: { type: 'string', description: 'Period the figure covers, e.g. "Q3 FY2024", "FY2025" or "2024-12 meeting"' },
+            asOf: date,
+            quote: { type: 'string', description: 'The sentence the figure was taken from' }
+          },
+          required: ['field', 'value', 'unit']
+        }
+      }
+    },
+    required: ['figures']
+  };
+}
+
+/**
+ * Schema for a question, or null if none applies
+ * @param {string} question - Question or sub-question the pages are scraped for
+ * @returns {Object|null} { name, description, prompt, fields, jsonSchema }
+ */
+function selectExtractionSchema(question) {
+  const schema = EXTRACTION_SCHEMAS.find(candidate => candidate.pattern.test(String(question || '')));
+  return schema ? getExtractionSchema(schema.name) : null;
+}
+
+/**
+ * Schema by name, or null if unknown
+ */
+function getExtractionSchema(name) {
+  const schema = EXTRACTION_SCHEMAS.find(candidate => candidate.name === name);
+  if (!schema) {
+    return null;
+  }
+  return {
+    name: schema.name,
+    description: schema.description,
+    prompt: schema.prompt,
+    fields: schema.fields,
+    jsonSchema: buildJsonSchema(schema)
+  };
+}
+
+/**
+ * Parse an extracted value ("$94.9 billion", "6.08", "4.25%") into a number
+ */
+function parseFigureValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const match = String(value ?? '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([a-z]+)?/i);
+  if (!match) {
+    return null;
+  }
+  const scale = SCALES[(match[2] || '').toLowerCase()] || 1;
+  return Number(match[1]) * scale;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD, or null if it is not a date
+ */
+function normalizeDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check and normalize the figures Firecrawl extracted from a page
+ * @param {Object} extracted - Firecrawl's `json` response
+ * @param {Object} schema - Schema the page was extracted with
+ * @param {Object} page - { publishDate } of the page, for figures without a date
+ * @returns {Object|null} { schema, entity, asOf, figures }, or null when no figure is usable
+ */
+function normalizeExtraction(extracted, schema, page = {}) {
+  if (!extracted || !schema || !Array.isArray(extracted.figures)) {
+    return null;
+  }
+
+  const entity = extracted.entity ? String(extracted.entity).trim() : null;
+  const asOf = normalizeDate(extracted.asOf) || normalizeDate(page.publishDate);
+
+  const figures = extracted.figures
+    .filter(figure => figure && schema.fields[figure.field])
+    .map(figure => ({
+      schema: schema.name,
+      field: figure.field,
+      label: schema.fields[figure.field],
+      value: parseFigureValue(figure.value),
+      unit: figure.unit ? String(figure.unit).trim() : null,
+      period: figure.period ? String(figure.period).trim() : null,
+      asOf: normalizeDate(figure.asOf) || asOf,
+      entity,
+      quote: figure.quote ? String(figure.quote).trim() : null
+    }))
+    .filter(figure => figure.value !== null);
+
+  if (figures.length === 0) {
+    return null;
+  }
+  return { schema: schema.name, entity, asOf, figures };
+}
+
+/**
+ * One-line description of a figure for prompts ("Diluted EPS: 6.08 USD (FY2024, as of 2024-10-31)")
+ */
+function formatFigure(figure) {
+  const details = [figure.period, figure.asOf ? `as of ${figure.asOf}` : null].filter(Boolean);
+  const entity = figure.entity ? `${figure.entity} ` : '';
+  return `${entity}${figure.label}: ${figure.value}${figure.unit ? ` ${figure.unit}` : ''}` +
+    `${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  ExtractionSchemaName,
+  selectExtractionSchema,
+  getExtractionSchema,
+  parseFigureValue,
+  normalizeExtraction,
+  formatFigure
+};
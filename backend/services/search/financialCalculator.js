@@ -0,0 +1,556 @@
+/**
+ * Financial Calculator
+ *
+ * Deterministic calculations over market data (P/E, EV/EBITDA, dividend
+ * yield, price returns) and the general calculations the answering model can
+ * call as tools (CAGR, compound interest, amortization, NPV/IRR, conversions).
+ * Every result is a "figure" that records its formula and inputs, so the
+ * answer step can cite computed numbers instead of estimating them.
+ */
+
+/**
+ * Return periods computed from price history
+ */
+const RETURN_PERIODS = [
+  { key: '1M', label: '1-month return', months: 1 },
+  { key: '3M', label: '3-month return', months: 3 },
+  { key: '6M', label: '6-month return', months: 6 },
+  { key: 'YTD', label: 'Year-to-date return', ytd: true },
+  { key: '1Y', label: '1-year return', months: 12 }
+];
+
+/**
+ * Round to a fixed number of decimals
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Whether a value is a usable number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Build a computed figure
+ * @param {string} label - Human-readable name
+ * @param {number|null} value - Computed value (null when not meaningful)
+ * @param {string} unit - 'x', '%', a currency code or '' for plain numbers
+ * @param {string} formula - How the value was computed
+ * @param {Array} inputs - [{ label, value, unit }]
+ * @param {string} note - Why the value is null (optional)
+ */
+function createFigure(label, value, unit, formula, inputs, note = null) {
+  return {
+    label,
+    value: isNumber(value) ? round(value) : null,
+    unit,
+    formula,
+    inputs,
+    ...(note && { note })
+  };
+}
+
+/**
+ * Format a number in a unit ("$1.23B", "24.50x", "3.21%")
+ */
+function formatValue(value, unit) {
+  if (!isNumber(value)) {
+    return 'n/a';
+  }
+  if (unit === '%') {
+    return `${value.toFixed(2)}%`;
+  }
+  if (unit === 'x') {
+    return `${value.toFixed(2)}x`;
+  }
+
+  const prefix = unit === 'USD' ? '$' : '';
+  const suffix = unit && unit !== 'USD' ? ` ${unit}` : '';
+  const abs = Math.abs(value);
+  if (abs >= 1e12) return `${prefix}${(value / 1e12).toFixed(2)}T${suffix}`;
+  if (abs >= 1e9) return `${prefix}${(value / 1e9).toFixed(2)}B${suffix}`;
+  if (abs >= 1e6) return `${prefix}${(value / 1e6).toFixed(2)}M${suffix}`;
+  return `${prefix}${value.toFixed(2)}${suffix}`;
+}
+
+/**
+ * Describe a figure with its formula and inputs, for prompts and result items
+ * @param {Object} figure - A figure from this module
+ * @returns {string} e.g. "P/E ratio: 41.12x = Price / Diluted EPS (TTM) (Price $250.00, Diluted EPS (TTM) $6.08)"
+ */
+function formatFigure(figure) {
+  const inputs = figure.inputs.map(input => `${input.label} ${formatValue(input.value, input.unit)}`).join(', ');
+
+  if (figure.value === null) {
+    return `${figure.label}: not meaningful${figure.note ? ` (${figure.note})` : ''}`;
+  }
+  return `${figure.label}: ${formatValue(figure.value, figure.unit)} = ${figure.formula} (${inputs})`;
+}
+
+/**
+ * Price-to-earnings ratio
+ * @param {number} price - Share price
+ * @param {number} eps - Diluted earnings per share, trailing twelve months
+ * @param {string} currency - Currency of both inputs (default: USD)
+ */
+function calculatePriceToEarnings(price, eps, currency = 'USD') {
+  const inputs = [
+    { label: 'Price', value: price, unit: currency },
+    { label: 'Diluted EPS (TTM)', value: eps, unit: currency }
+  ];
+
+  if (!isNumber(price) || !isNumber(eps)) {
+    return createFigure('P/E ratio', null, 'x', 'Price / Diluted EPS (TTM)', inputs, 'price or EPS unavailable');
+  }
+  if (eps <= 0) {
+    return createFigure('P/E ratio', null, 'x', 'Price / Diluted EPS (TTM)', inputs, 'earnings are zero or negative');
+  }
+  return createFigure('P/E ratio', price / eps, 'x', 'Price / Diluted EPS (TTM)', inputs);
+}
+
+/**
+ * Enterprise value: market capitalization plus debt minus cash
+ * @param {Object} values - { marketCap, totalDebt, cash, currency }
+ */
+function calculateEnterpriseValue(values = {}) {
+  const { marketCap, totalDebt = 0, cash = 0, currency = 'USD' } = values;
+  const inputs = [
+    { label: 'Market cap', value: marketCap, unit: currency },
+    { label: 'Total debt', value: totalDebt, unit: currency },
+    { label: 'Cash and equivalents', value: cash, unit: currency }
+  ];
+
+  if (!isNumber(marketCap) || !isNumber(totalDebt) || !isNumber(cash)) {
+    return createFigure('Enterprise value', null, currency, 'Market cap + Total debt - Cash', inputs, 'balance sheet data unavailable');
+  }
+  return createFigure('Enterprise value', marketCap + totalDebt - cash, currency, 'Market cap + Total debt - Cash', inputs);
+}
+
+/**
+ * EV/EBITDA multiple
+ * @param {Object} values - { marketCap, totalDebt, cash, ebitda, currency }
+ */
+function calculateEvToEbitda(values = {}) {
+  const { ebitda, currency = 'USD' } = values;
+  const enterpriseValue = calculateEnterpriseValue(values);
+  const inputs = [
+    { label: 'Enterprise value', value: enterpriseValue.value, unit: currency },
+    { label: 'EBITDA (TTM)', value: ebitda, unit: currency }
+  ];
+
+  if (enterpriseValue.value === null || !isNumber(ebitda)) {
+    return createFigure('EV/EBITDA', null, 'x', 'Enterprise value / EBITDA (TTM)', inputs, 'enterprise value or EBITDA unavailable');
+  }
+  if (ebitda <= 0) {
+    return createFigure('EV/EBITDA', null, 'x', 'Enterprise value / EBITDA (TTM)', inputs, 'EBITDA is zero or negative');
+  }
+  return createFigure('EV/EBITDA', enterpriseValue.value / ebitda, 'x', 'Enterprise value / EBITDA (TTM)', inputs);
+}
+
+/**
+ * Dividend yield in percent
+ * @param {number} annualDividend - Dividends per share over the last twelve months
+ * @param {number} price - Share price
+ * @param {string} currency - Currency of both inputs (default: USD)
+ */
+function calculateDividendYield(annualDividend, price, currency = 'USD') {
+  const inputs = [
+    { label: 'Annual dividend per share', value: annualDividend, unit: currency },
+    { label: 'Price', value: price, unit: currency }
+  ];
+
+  if (!isNumber(annualDividend) || !isNumber(price) || price <= 0) {
+    return createFigure('Dividend yield', null, '%', 'Annual dividend per share / Price', inputs, 'dividend or price unavailable');
+  }
+  return createFigure('Dividend yield', (annualDividend / price) * 100, '%', 'Annual dividend per share / Price', inputs);
+}
+
+/**
+ * Simple price return in percent
+ * @param {number} startPrice - Price at the start of the period
+ * @param {number} endPrice - Price at the end of the period
+ * @param {string} label - Figure label (default: "Price return")
+ */
+function calculateReturn(startPrice, endPrice, label = 'Price return', currency = 'USD') {
+  const inputs = [
+    { label: 'Start price', value: startPrice, unit: currency },
+    { label: 'End price', value: endPrice, unit: currency }
+  ];
+
+  if (!isNumber(startPrice) || !isNumber(endPrice) || startPrice <= 0) {
+    return createFigure(label, null, '%', '(End price / Start price) - 1', inputs, 'prices unavailable');
+  }
+  return createFigure(label, (endPrice / startPrice - 1) * 100, '%', '(End price / Start price) - 1', inputs);
+}
+
+/**
+ * Compound annual growth rate of a price in percent
+ * @param {number} startPrice - Price at the start of the period
+ * @param {number} endPrice - Price at the end of the period
+ * @param {number} years - Length of the period in years
+ */
+function calculateAnnualizedReturn(startPrice, endPrice, years, currency = 'USD') {
+  const inputs = [
+    { label: 'Start price', value: startPrice, unit: currency },
+    { label: 'End price', value: endPrice, unit: currency },
+    { label: 'Years', value: years, unit: '' }
+  ];
+
+  if (!isNumber(startPrice) || !isNumber(endPrice) || !isNumber(years) || startPrice <= 0 || years <= 0) {
+    return createFigure('Annualized return', null, '%', '(End price / Start price)^(1 / Years) - 1', inputs, 'prices unavailable');
+  }
+  return createFigure('Annualized return', ((endPrice / startPrice) ** (1 / years) - 1) * 100, '%',
+    '(End price / Start price)^(1 / Years) - 1', inputs);
+}
+
+/**
+ * Compound annual growth rate in percent
+ * @param {number} startValue - Value at the start of the period (positive)
+ * @param {number} endValue - Value at the end of the period (positive)
+ * @param {number} years - Length of the period in years
+ */
+function calculateCagr(startValue, endValue, years) {
+  const inputs = [
+    { label: 'Start value', value: startValue, unit: '' },
+    { label: 'End value', value: endValue, unit: '' },
+    { label: 'Years', value: years, unit: '' }
+  ];
+  const formula = '(End value / Start value)^(1 / Years) - 1';
+
+  if (!isNumber(startValue) || !isNumber(endValue) || !isNumber(years) || years <= 0) {
+    return createFigure('CAGR', null, '%', formula, inputs, 'start value, end value and a positive number of years are required');
+  }
+  if (startValue <= 0 || endValue <= 0) {
+    return createFigure('CAGR', null, '%', formula, inputs, 'CAGR needs positive start and end values');
+  }
+  return createFigure('CAGR', ((endValue / startValue) ** (1 / years) - 1) * 100, '%', formula, inputs);
+}
+
+/**
+ * Percentage change from an old value to a new value
+ */
+function calculatePercentageChange(oldValue, newValue) {
+  const inputs = [
+    { label: 'Old value', value: oldValue, unit: '' },
+    { label: 'New value', value: newValue, unit: '' }
+  ];
+  const formula = '(New value - Old value) / |Old value|';
+
+  if (!isNumber(oldValue) || !isNumber(newValue) || oldValue === 0) {
+    return createFigure('Percentage change', null, '%', formula, inputs, 'old value must be a non-zero number');
+  }
+  return createFigure('Percentage change', ((newValue - oldValue) / Math.abs(oldValue)) * 100, '%', formula, inputs);
+}
+
+/**
+ * Future value with compound interest and optional regular contributions
+ * @param {Object} values - { principal, annualRatePercent, years, compoundsPerYear, contributionPerPeriod, currency }
+ */
+function calculateCompoundInterest(values = {}) {
+  const { principal, annualRatePercent, years, compoundsPerYear = 12, contributionPerPeriod = 0, currency = '' } = values;
+  const inputs = [
+    { label: 'Principal', value: principal, unit: currency },
+    { label: 'Annual rate (%)', value: annualRatePercent, unit: '' },
+    { label: 'Years', value: years, unit: '' },
+    { label: 'Compounds per year', value: compoundsPerYear, unit: '' },
+    { label: 'Contribution per period', value: contributionPerPeriod, unit: currency }
+  ];
+  const formula = 'Principal x (1 + r/n)^(n x Years) + Contribution x ((1 + r/n)^(n x Years) - 1) / (r/n)';
+
+  if (![principal, annualRatePercent, years, compoundsPerYear, contributionPerPeriod].every(isNumber) || years < 0 || compoundsPerYear <= 0) {
+    return createFigure('Future value', null, currency, formula, inputs, 'principal, rate, years and compounding frequency are required');
+  }
+
+  const periodRate = annualRatePercent / 100 / compoundsPerYear;
+  const periods = compoundsPerYear * years;
+  const growth = (1 + periodRate) ** periods;
+  const contributions = periodRate === 0 ? contributionPerPeriod * periods : contributionPerPeriod * (growth - 1) / periodRate;
+  const futureValue = principal * growth + contributions;
+
+  const figure = createFigure('Future value', futureValue, currency, formula, inputs);
+  figure.details = {
+    totalContributed: round(principal + contributionPerPeriod * periods),
+    totalInterest: round(futureValue - principal - contributionPerPeriod * periods)
+  };
+  return figure;
+}
+
+/**
+ * Level payment of an amortizing loan, with a yearly amortization schedule
+ * @param {Object} values - { principal, annualRatePercent, years, paymentsPerYear, currency }
+ */
+function calculateLoanAmortization(values = {}) {
+  const { principal, annualRatePercent, years, paymentsPerYear = 12, currency = '' } = values;
+  const inputs = [
+    { label: 'Principal', value: principal, unit: currency },
+    { label: 'Annual rate (%)', value: annualRatePercent, unit: '' },
+    { label: 'Years', value: years, unit: '' },
+    { label: 'Payments per year', value: paymentsPerYear, unit: '' }
+  ];
+  const formula = 'Principal x r / (1 - (1 + r)^-N), r = rate per period, N = number of payments';
+
+  if (![principal, annualRatePercent, years, paymentsPerYear].every(isNumber) || principal <= 0 || years <= 0 || paymentsPerYear <= 0) {
+    return createFigure('Loan payment', null, currency, formula, inputs, 'a positive principal, term and payment frequency are required');
+  }
+
+  const periodRate = annualRatePercent / 100 / paymentsPerYear;
+  const payments = Math.round(years * paymentsPerYear);
+  const payment = periodRate === 0 ? principal / payments : principal * periodRate / (1 - (1 + periodRate) ** -payments);
+
+  const schedule = [];
+  let balance = principal;
+  for (let period = 1; period <= payments; period++) {
+    const interest = balance * periodRate;
+    const principalPaid = Math.min(payment - interest, balance);
+    balance -= principalPaid;
+
+    const year = Math.ceil(period / paymentsPerYear);
+    if (!schedule[year - 1]) {
+      schedule[year - 1] = { year, principalPaid: 0, interestPaid: 0, endingBalance: 0 };
+    }
+    schedule[year - 1].principalPaid += principalPaid;
+    schedule[year - 1].interestPaid += interest;
+    schedule[year - 1].endingBalance = Math.max(balance, 0);
+  }
+
+  const figure = createFigure('Loan payment', payment, currency, formula, inputs);
+  figure.details = {
+    numberOfPayments: payments,
+    totalPaid: round(payment * payments),
+    totalInterest: round(payment * payments - principal),
+    schedule: schedule.map(year => ({
+      year: year.year,
+      principalPaid: round(year.principalPaid),
+      interestPaid: round(year.interestPaid),
+      endingBalance: round(year.endingBalance)
+    }))
+  };
+  return figure;
+}
+
+/**
+ * Net present value of cash flows; the first flow is at time 0 and is not discounted
+ * @param {number} ratePercent - Discount rate per period in percent
+ * @param {Array<number>} cashFlows - Cash flows per period
+ */
+function calculateNpv(ratePercent, cashFlows, currency = '') {
+  const flows = Array.isArray(cashFlows) ? cashFlows : [];
+  const inputs = [
+    { label: 'Discount rate (%)', value: ratePercent, unit: '' },
+    ...flows.map((flow, period) => ({ label: `Cash flow t${period}`, value: flow, unit: currency }))
+  ];
+  const formula = 'Sum of Cash flow t / (1 + rate)^t';
+
+  if (!isNumber(ratePercent) || ratePercent <= -100 || flows.length === 0 || !flows.every(isNumber)) {
+    return createFigure('NPV', null, currency, formula, inputs, 'a discount rate above -100% and numeric cash flows are required');
+  }
+
+  const rate = ratePercent / 100;
+  const npv = flows.reduce((sum, flow, period) => sum + flow / (1 + rate) ** period, 0);
+  return createFigure('NPV', npv, currency, formula, inputs);
+}
+
+/**
+ * Internal rate of return in percent: the rate at which NPV is zero
+ * @param {Array<number>} cashFlows - Cash flows per period, starting at time 0
+ */
+function calculateIrr(cashFlows, currency = '') {
+  const flows = Array.isArray(cashFlows) ? cashFlows : [];
+  const inputs = flows.map((flow, period) => ({ label: `Cash flow t${period}`, value: flow, unit: currency }));
+  const formula = 'Rate where Sum of Cash flow t / (1 + rate)^t = 0';
+
+  if (flows.length < 2 || !flows.every(isNumber)) {
+    return createFigure('IRR', null, '%', formula, inputs, 'at least two numeric cash flows are required');
+  }
+  if (!flows.some(flow => flow > 0) || !flows.some(flow => flow < 0)) {
+    return createFigure('IRR', null, '%', formula, inputs, 'cash flows must include both inflows and outflows');
+  }
+
+  const npvAt = rate => flows.reduce((sum, flow, period) => sum + flow / (1 + rate) ** period, 0);
+
+  // Bisection over a wide bracket: slower than Newton's method but always converges
+  let low = -0.9999;
+  let high = 10;
+  if (Math.sign(npvAt(low)) === Math.sign(npvAt(high))) {
+    return createFigure('IRR', null, '%', formula, inputs, 'no IRR between -99.99% and 1000%');
+  }
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    if (Math.sign(npvAt(mid)) === Math.sign(npvAt(low))) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return createFigure('IRR', ((low + high) / 2) * 100, '%', formula, inputs);
+}
+
+/**
+ * A ratio of two supplied figures
+ * @param {number} numerator - Numerator value
+ * @param {number} denominator - Denominator value
+ * @param {Object} options - { label, numeratorLabel, denominatorLabel, asPercent }
+ */
+function calculateRatio(numerator, denominator, options = {}) {
+  const { label = 'Ratio', numeratorLabel = 'Numerator', denominatorLabel = 'Denominator', asPercent = false } = options;
+  const inputs = [
+    { label: numeratorLabel, value: numerator, unit: '' },
+    { label: denominatorLabel, value: denominator, unit: '' }
+  ];
+  const formula = `${numeratorLabel} / ${denominatorLabel}`;
+  const unit = asPercent ? '%' : 'x';
+
+  if (!isNumber(numerator) || !isNumber(denominator) || denominator === 0) {
+    return createFigure(label, null, unit, formula, inputs, 'denominator must be a non-zero number');
+  }
+  return createFigure(label, (numerator / denominator) * (asPercent ? 100 : 1), unit, formula, inputs);
+}
+
+/**
+ * Convert an amount with a supplied exchange rate
+ * @param {number} amount - Amount in the source currency
+ * @param {number} rate - Units of the target currency per unit of the source currency
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ */
+function convertCurrency(amount, rate, fromCurrency, toCurrency) {
+  const from = String(fromCurrency || '').toUpperCase();
+  const to = String(toCurrency || '').toUpperCase();
+  const inputs = [
+    { label: 'Amount', value: amount, unit: from },
+    { label: `Rate (${to} per ${from})`, value: rate, unit: '' }
+  ];
+
+  if (!isNumber(amount) || !isNumber(rate) || rate <= 0) {
+    return createFigure('Converted amount', null, to, 'Amount x Rate', inputs, 'an amount and a positive exchange rate are required');
+  }
+  return createFigure('Converted amount', amount * rate, to, 'Amount x Rate', inputs);
+}
+
+/**
+ * Same day `months` earlier, clamped to the end of shorter months (Dec 31 -> Sep 30)
+ */
+function subtractMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() - months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Last history point on or before a date
+ * @param {Array} history - Daily points { date, open, high, low, close, volume }, oldest first
+ * @param {Date} date - Target date
+ */
+function findPointOnOrBefore(history, date) {
+  const target = date.toISOString().slice(0, 10);
+  let found = null;
+  for (const point of history) {
+    if (point.date > target) {
+      break;
+    }
+    found = point;
+  }
+  return found;
+}
+
+/**
+ * Trailing returns (1M, 3M, 6M, YTD, 1Y) from daily closes
+ * @param {Array} history - Daily points, oldest first
+ * @param {Object} options - `currency`
+ * @returns {Object} Figures keyed by period; periods longer than the history are omitted
+ */
+function calculatePeriodReturns(history, options = {}) {
+  const returns = {};
+  if (!Array.isArray(history) || history.length < 2) {
+    return returns;
+  }
+
+  const latest = history[history.length - 1];
+  const asOf = new Date(`${latest.date}T00:00:00Z`);
+
+  RETURN_PERIODS.forEach(period => {
+    // Year-to-date returns are measured from the last close of the previous year
+    const start = period.ytd
+      ? new Date(Date.UTC(asOf.getUTCFullYear() - 1, 11, 31))
+      : subtractMonths(asOf, period.months);
+
+    const startPoint = findPointOnOrBefore(history, start);
+    if (!startPoint || startPoint.date === latest.date) {
+      return;
+    }
+
+    const figure = calculateReturn(startPoint.close, latest.close, period.label, options.currency);
+    figure.period = { start: startPoint.date, end: latest.date };
+    returns[period.key] = figure;
+  });
+
+  return returns;
+}
+
+/**
+ * All ratios for one security
+ * @param {Object} data - { quote, fundamentals, history }
+ * @returns {Object} { marketCap, pe, enterpriseValue, evToEbitda, dividendYield, returns }
+ */
+function calculateMarketRatios(data = {}) {
+  const { quote = null, fundamentals = null, history = [] } = data;
+  const currency = quote?.currency || fundamentals?.currency || 'USD';
+  const price = quote?.price;
+  const ratios = { returns: calculatePeriodReturns(history, { currency }) };
+
+  if (!isNumber(price)) {
+    return ratios;
+  }
+
+  if (fundamentals) {
+    if (isNumber(fundamentals.sharesOutstanding)) {
+      ratios.marketCap = createFigure('Market cap', price * fundamentals.sharesOutstanding, currency,
+        'Price x Shares outstanding', [
+          { label: 'Price', value: price, unit: currency },
+          { label: 'Shares outstanding', value: fundamentals.sharesOutstanding, unit: '' }
+        ]);
+    }
+
+    const valuation = {
+      marketCap: ratios.marketCap?.value,
+      totalDebt: fundamentals.totalDebt,
+      cash: fundamentals.cashAndEquivalents,
+      ebitda: fundamentals.ebitdaTtm,
+      currency
+    };
+
+    ratios.pe = calculatePriceToEarnings(price, fundamentals.epsTtm, currency);
+    ratios.enterpriseValue = calculateEnterpriseValue(valuation);
+    ratios.evToEbitda = calculateEvToEbitda(valuation);
+    ratios.dividendYield = calculateDividendYield(fundamentals.dividendPerShareTtm, price, currency);
+  }
+
+  return ratios;
+}
+
+module.exports = {
+  RETURN_PERIODS,
+  calculatePriceToEarnings,
+  calculateEnterpriseValue,
+  calculateEvToEbitda,
+  calculateDividendYield,
+  calculateReturn,
+  calculateAnnualizedReturn,
+  calculateCagr,
+  calculatePercentageChange,
+  calculateCompoundInterest,
+  calculateLoanAmortization,
+  calculateNpv,
+  calculateIrr,
+  calculateRatio,
+  convertCurrency,
+  calculatePeriodReturns,
+  calculateMarketRatios,
+  formatFigure,
+  formatValue
+};
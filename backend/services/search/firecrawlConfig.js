@@ -4,28 +4,52 @@
  * Handles environment variable loading and Firecrawl API configuration.
  * 
  * Required Environment Variables:
- * - FIRECRAWL_API_KEY: Your Firecrawl API key
- * - FIRECRAWL_MAX_PAGES: Maximum pages to crawl (default: 5)
+ * - FIRECRAWL_API_KEY: Your Firecrawl API key (not needed with MOCK_PROVIDERS=true or CASSETTE_MODE=replay)
+ * - FIRECRAWL_MAX_PAGES: Maximum pages to scrape per query (default: 5)
+ * - FIRECRAWL_DISCOVERY: How the pages are found, `firecrawl` (Firecrawl web search) or `sites`
+ *   (search-result pages of a fixed list of financial sites) (default: firecrawl)
+ * - FIRECRAWL_SEARCH_RESULTS: Search results requested per query, before the allow and deny lists (default: 10)
+ * - FIRECRAWL_INCLUDES: Comma-separated allow list; when set, only matching pages are scraped.
+ *   A bare domain (`reuters.com`) matches the domain and its subdomains, a domain with a path
+ *   (`reuters.com/markets`) the pages under that path, `*` patterns match host and path
+ * - FIRECRAWL_EXCLUDES: Comma-separated deny list in the same format (default: privacy, terms-of-use and cookie pages)
  * - FIRECRAWL_TIMEOUT: Request timeout in milliseconds (default: 60000)
  * - FIRECRAWL_MAX_RETRIES: Maximum retry attempts (default: 3)
+ * - FIRECRAWL_CONCURRENCY: Pages scraped at the same time across all queries (default: 3)
+ * - FIRECRAWL_DOMAIN_CONCURRENCY: Pages scraped at the same time from one domain (default: 1)
+ * - FIRECRAWL_DOMAIN_INTERVAL: Milliseconds between scrapes of the same domain (default: 1000)
+ * - FIRECRAWL_BACKOFF: Milliseconds before the first retry of a rate-limited or failed scrape, doubled per retry (default: 2000)
+ * - FIRECRAWL_EXTRACTOR_MODE: `llm-extraction` also extracts typed figures from pages with the schema
+ *   matching the question (see extractionSchemas.js); `markdown` only scrapes the text (default: llm-extraction)
+ * - FIRECRAWL_EXTRACTOR_PROMPT: Instructions sent with every extraction schema
  */
 
 require('dotenv').config();
+const { isOffline } = require('../mocks/mockConfig');
+
+const DISCOVERY_BACKENDS = ['firecrawl', 'sites'];
+const EXTRACTOR_MODES = ['llm-extraction', 'markdown'];
 
 // Configuration object with defaults
 const config = {
   apiKey: process.env.FIRECRAWL_API_KEY,
   maxPages: parseInt(process.env.FIRECRAWL_MAX_PAGES) || 5,
+  discovery: (process.env.FIRECRAWL_DISCOVERY || 'firecrawl').toLowerCase(),
+  searchResults: parseInt(process.env.FIRECRAWL_SEARCH_RESULTS) || 10,
   timeout: parseInt(process.env.FIRECRAWL_TIMEOUT) || 60000, // 60 seconds
   maxRetries: parseInt(process.env.FIRECRAWL_MAX_RETRIES) || 3,
   waitFor: parseInt(process.env.FIRECRAWL_WAIT_FOR) || 3000, // 3 seconds wait
+  concurrency: parseInt(process.env.FIRECRAWL_CONCURRENCY) || 3,
+  domainConcurrency: parseInt(process.env.FIRECRAWL_DOMAIN_CONCURRENCY) || 1,
+  domainInterval: parseInt(process.env.FIRECRAWL_DOMAIN_INTERVAL) >= 0 ? parseInt(process.env.FIRECRAWL_DOMAIN_INTERVAL) : 1000,
+  backoff: parseInt(process.env.FIRECRAWL_BACKOFF) || 2000,
   extractorOptions: {
     mode: process.env.FIRECRAWL_EXTRACTOR_MODE || 'llm-extraction',
     extractorPrompt: process.env.FIRECRAWL_EXTRACTOR_PROMPT || 'Extract the main content, focusing on financial data, news, and key information relevant to the search query.',
   },
   crawlerOptions: {
-    includes: process.env.FIRECRAWL_INCLUDES?.split(',') || [],
-    excludes: process.env.FIRECRAWL_EXCLUDES?.split(',') || ['*/privacy*', '*/terms*', '*/cookie*'],
+    includes: process.env.FIRECRAWL_INCLUDES?.split(',').map(pattern => pattern.trim()).filter(Boolean) || [],
+    excludes: process.env.FIRECRAWL_EXCLUDES?.split(',').map(pattern => pattern.trim()).filter(Boolean) || ['*/privacy*', '*/terms', '*/terms-of-*', '*/terms-and-*', '*/cookie*'],
     returnOnlyUrls: process.env.FIRECRAWL_RETURN_ONLY_URLS === 'true' || false,
     maxDepth: parseInt(process.env.FIRECRAWL_MAX_DEPTH) || 2,
   }
@@ -38,18 +62,33 @@ const config = {
 function validateFirecrawlConfig() {
   const errors = [];
 
-  if (!config.apiKey) {
-    errors.push('FIRECRAWL_API_KEY is required');
-  }
+  // Mock mode and cassette replay serve recorded pages without a key
+  if (!isOffline()) {
+    if (!config.apiKey) {
+      errors.push('FIRECRAWL_API_KEY is required');
+    }
 
-  if (config.apiKey === 'your_firecrawl_api_key_here') {
-    errors.push('Please set a valid FIRECRAWL_API_KEY (not the placeholder value)');
+    if (config.apiKey === 'your_firecrawl_api_key_here') {
+      errors.push('Please set a valid FIRECRAWL_API_KEY (not the placeholder value)');
+    }
   }
 
   if (config.maxPages < 1 || config.maxPages > 100) {
     errors.push('FIRECRAWL_MAX_PAGES must be between 1 and 100');
   }
 
+  if (!DISCOVERY_BACKENDS.includes(config.discovery)) {
+    errors.push(`FIRECRAWL_DISCOVERY must be one of: ${DISCOVERY_BACKENDS.join(', ')}`);
+  }
+
+  if (config.searchResults < config.maxPages || config.searchResults > 50) {
+    errors.push('FIRECRAWL_SEARCH_RESULTS must be between FIRECRAWL_MAX_PAGES and 50');
+  }
+
+  if (!EXTRACTOR_MODES.includes(config.extractorOptions.mode)) {
+    errors.push(`FIRECRAWL_EXTRACTOR_MODE must be one of: ${EXTRACTOR_MODES.join(', ')}`);
+  }
+
   if (config.timeout < 5000 || config.timeout > 300000) {
     errors.push('FIRECRAWL_TIMEOUT must be between 5000ms and 300000ms');
   }
@@ -58,6 +97,22 @@ function validateFirecrawlConfig() {
     errors.push('FIRECRAWL_MAX_RETRIES must be between 1 and 10');
   }
 
+  if (config.concurrency < 1 || config.concurrency > 20) {
+    errors.push('FIRECRAWL_CONCURRENCY must be between 1 and 20');
+  }
+
+  if (config.domainConcurrency < 1 || config.domainConcurrency > config.concurrency) {
+    errors.push('FIRECRAWL_DOMAIN_CONCURRENCY must be between 1 and FIRECRAWL_CONCURRENCY');
+  }
+
+  if (config.domainInterval > 60000) {
+    errors.push('FIRECRAWL_DOMAIN_INTERVAL must be between 0ms and 60000ms');
+  }
+
+  if (config.backoff < 100 || config.backoff > 60000) {
+    errors.push('FIRECRAWL_BACKOFF must be between 100ms and 60000ms');
+  }
+
   if (config.crawlerOptions.maxDepth < 1 || config.crawlerOptions.maxDepth > 5) {
     errors.push('FIRECRAWL_MAX_DEPTH must be between 1 and 5');
   }
@@ -93,13 +148,19 @@ function logFirecrawlConfigStatus() {
   
   console.log('[FIRECRAWL-CONFIG] Configuration status:');
   console.log(`  Max Pages: ${config.maxPages}`);
+  console.log(`  Discovery: ${config.discovery} (${config.searchResults} results per query)`);
   console.log(`  Timeout: ${config.timeout}ms`);
   console.log(`  Max Retries: ${config.maxRetries}`);
   console.log(`  Wait For: ${config.waitFor}ms`);
+  console.log(`  Concurrency: ${config.concurrency} (${config.domainConcurrency} per domain, ${config.domainInterval}ms apart)`);
   console.log(`  Max Depth: ${config.crawlerOptions.maxDepth}`);
   console.log(`  Extractor Mode: ${config.extractorOptions.mode}`);
   console.log(`  API Key: ${hasApiKey ? '✅ Configured' : '❌ Missing or placeholder'}`);
   
+  if (config.crawlerOptions.includes.length > 0) {
+    console.log(`  Includes: ${config.crawlerOptions.includes.join(', ')}`);
+  }
+  
   if (config.crawlerOptions.excludes.length > 0) {
     console.log(`  Excludes: ${config.crawlerOptions.excludes.join(', ')}`);
   }
@@ -0,0 +1,61 @@
+/**
+ * Firecrawl Search Provider
+ *
+ * Wraps extractDataForQuery as a SearchProvider: one item per financial
+ * page that was scraped successfully.
+ */
+
+const { SearchProvider } = require('./searchProvider');
+const { extractDataForQuery, testFirecrawlConnection } = require('./firecrawlService');
+const { validateFirecrawlConfig, config: firecrawlConfig } = require('./firecrawlConfig');
+
+// Firecrawl credits per scraped page: one for the scrape, four more for JSON
+// extraction with a schema (FIRECRAWL_EXTRACTOR_MODE=llm-extraction)
+const SCRAPE_CREDITS = 1;
+const EXTRACTION_CREDITS = 4;
+const USD_PER_CREDIT = 0.001;
+
+class FirecrawlProvider extends SearchProvider {
+  constructor() {
+    // Most financial questions match an extraction schema, so the estimate assumes one is used
+    const extracting = firecrawlConfig.extractorOptions.mode === 'llm-extraction';
+    const creditsPerPage = SCRAPE_CREDITS + (extracting ? EXTRACTION_CREDITS : 0);
+
+    super({
+      name: 'firecrawl',
+      label: 'Firecrawl',
+      cost: { unit: 'page', unitsPerSearch: firecrawlConfig.maxPages, usdPerUnit: creditsPerPage * USD_PER_CREDIT },
+      // The query becomes part of the search URLs
+      usesPriorFindings: false
+    });
+  }
+
+  async runSearch(query, context = {}) {
+    const result = await extractDataForQuery(query, { signal: context.signal, cacheUsage: context.cacheUsage });
+
+    return {
+      items: result.successful.map(page => ({
+        source: this.name,
+        title: page.data?.title,
+        url: page.data?.url,
+        content: page.data?.content,
+        relevanceScore: page.data?.relevanceScore,
+        extractedData: page.data?.extractedData
+      })),
+      error: result.successful.length === 0 && result.failed.length > 0 ? result.failed[0].error : null,
+      raw: result
+    };
+  }
+
+  checkConfig() {
+    return validateFirecrawlConfig();
+  }
+
+  async testConnection() {
+    return testFirecrawlConnection();
+  }
+}
+
+module.exports = {
+  FirecrawlProvider
+};
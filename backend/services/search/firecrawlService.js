@@ -7,6 +7,14 @@
 
 const FirecrawlApp = require('@mendable/firecrawl-js').default;
 const { getFirecrawlConfig, logFirecrawlConfigStatus } = require('./firecrawlConfig');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+const { isMockMode } = require('../mocks/mockConfig');
+const { MockFirecrawlClient } = require('../mocks/mockClients');
+const { cassette, REPLAY_API_KEY } = require('../mocks/cassette');
+const { resultCache, CacheService, normalizeUrl, classifyUrl } = require('../cache/resultCache');
+const { scrapeScheduler } = require('./scrapeScheduler');
+const { discoverUrls, generateFinancialSearchUrls } = require('./urlDiscovery');
+const { selectExtractionSchema, normalizeExtraction } = require('./extractionSchemas');
 
 let firecrawlClient = null;
 
@@ -17,11 +25,18 @@ async function initializeFirecrawlClient() {
   try {
     console.log('[FIRECRAWL] Initializing Firecrawl client...');
     
+    // Offline mode replays recorded pages instead of calling the API
+    if (isMockMode()) {
+      firecrawlClient = new MockFirecrawlClient();
+      console.log('[FIRECRAWL] ✅ Using the offline mock client (MOCK_PROVIDERS=true)');
+      return firecrawlClient;
+    }
+    
     // Get validated configuration
     const config = getFirecrawlConfig();
     
-    // Initialize the Firecrawl client
-    firecrawlClient = new FirecrawlApp({ apiKey: config.apiKey });
+    // Initialize the Firecrawl client (recorded or replayed when CASSETTE_MODE is set)
+    firecrawlClient = cassette.wrapClient('firecrawl', new FirecrawlApp({ apiKey: config.apiKey || REPLAY_API_KEY }), ['scrapeUrl', 'search']);
     
     return firecrawlClient;
     
@@ -76,38 +91,20 @@ async function getFirecrawlClient() {
   return firecrawlClient;
 }
 
-/**
- * Generate relevant URLs for a financial search query
- */
-function generateFinancialSearchUrls(query) {
-  const encodedQuery = encodeURIComponent(query);
-  
-  // List of financial websites to search
-  const financialSites = [
-    `https://www.investopedia.com/search?q=${encodedQuery}`,
-    `https://finance.yahoo.com/search?p=${encodedQuery}`,
-    `https://www.marketwatch.com/search?q=${encodedQuery}`,
-    `https://www.bloomberg.com/search?query=${encodedQuery}`,
-    `https://www.cnbc.com/search/?query=${encodedQuery}`,
-    `https://www.reuters.com/search/news?blob=${encodedQuery}`,
-    `https://www.wsj.com/search?query=${encodedQuery}`,
-    `https://seekingalpha.com/search?q=${encodedQuery}`
-  ];
-  
-  return financialSites;
-}
-
 /**
  * Extract and structure content from crawl results
+ * @param {Object} crawlResult - Scrape response
+ * @param {string} query - The query used for relevance scoring
+ * @param {Object} schema - Extraction schema the page was scraped with (optional, see extractionSchemas.js)
  */
-function extractStructuredContent(crawlResult, query) {
+function extractStructuredContent(crawlResult, query, schema = null) {
   try {
-    if (!crawlResult || !crawlResult.data) {
+    // The SDK returns the page fields at the top level, the mock client under `data`
+    const content = crawlResult?.data || (crawlResult?.markdown || crawlResult?.json ? crawlResult : null);
+    if (!content) {
       return null;
     }
     
-    const content = crawlResult.data;
-    
     // Extract relevant information
     const structuredContent = {
       title: content.metadata?.title || 'No title',
@@ -117,7 +114,7 @@ function extractStructuredContent(crawlResult, query) {
       keywords: content.metadata?.keywords || [],
       publishDate: content.metadata?.publishDate || null,
       author: content.metadata?.author || null,
-      extractedData: content.llm_extraction || null,
+      extractedData: normalizeExtraction(content.json, schema, { publishDate: content.metadata?.publishDate }),
       relevanceScore: calculateRelevanceScore(content, query)
     };
     
@@ -155,33 +152,71 @@ function calculateRelevanceScore(content, query) {
 
 /**
  * Scrape a single URL with Firecrawl
+ *
+ * The scrape is queued on the scrape scheduler (concurrency, per-domain rate
+ * limits, retries, deduplication; see scrapeScheduler.js) and the result
+ * carries its `timing`. With an extraction schema, Firecrawl also returns the
+ * page's figures in that schema (`data.extractedData`).
+ * @param {string} url - The URL to scrape
+ * @param {string} query - The query used for relevance scoring
+ * @param {Object} options - Scrape options; `signal` is an AbortSignal that cancels the scrape,
+ *   `cacheUsage` counts the run's cache hits (see cache/resultCache.js), `schema` is the
+ *   extraction schema (see extractionSchemas.js)
  */
-async function scrapeUrl(url, query) {
+async function scrapeUrl(url, query, options = {}) {
+  const { signal, schema = null } = options;
+  // Pages extracted with different schemas are different requests
+  const key = schema ? `${normalizeUrl(url)} extract:${schema.name}` : normalizeUrl(url);
+  let timing = null;
+  
   try {
     console.log('[FIRECRAWL] Scraping URL:', url);
-    
-    const client = await getFirecrawlClient();
-    const config = getFirecrawlConfig();
-    
-    // Simplified scrape options to avoid API format conflicts
-    const scrapeOptions = {
-      formats: ['markdown'],
-      onlyMainContent: true,
-      timeout: config.timeout,
-      waitFor: config.waitFor
-    };
-    
-    const result = await client.scrapeUrl(url, scrapeOptions);
+    throwIfAborted(signal);
+    
+    // Pages are cached by URL; failed scrapes are retried next time
+    const { value: result, fromCache, cachedAt } = await resultCache.getOrFetch(
+      CacheService.FIRECRAWL,
+      key,
+      async () => {
+        const client = await getFirecrawlClient();
+        const config = getFirecrawlConfig();
+        
+        // Simplified scrape options to avoid API format conflicts
+        const scrapeOptions = {
+          formats: ['markdown'],
+          onlyMainContent: true,
+          timeout: config.timeout,
+          waitFor: config.waitFor
+        };
+        
+        if (schema) {
+          scrapeOptions.formats.push('json');
+          scrapeOptions.jsonOptions = {
+            prompt: `${config.extractorOptions.extractorPrompt} ${schema.prompt}`,
+            schema: schema.jsonSchema
+          };
+        }
+        
+        // The Firecrawl SDK does not accept a signal; the scheduler stops waiting on abort
+        const scheduled = await scrapeScheduler.schedule(key, url, () => client.scrapeUrl(url, scrapeOptions), { signal });
+        timing = scheduled.timing;
+        return scheduled.value;
+      },
+      { dataType: classifyUrl(url, query), usage: options.cacheUsage, shouldCache: page => !!page?.success }
+    );
     
     if (result.success) {
-      console.log('[FIRECRAWL] ✅ Successfully scraped URL');
-      const structured = extractStructuredContent(result, query);
+      console.log(`[FIRECRAWL] ✅ Successfully scraped URL${fromCache ? ' (cached)' : ''}`);
+      const structured = extractStructuredContent(result, query, schema);
       
       return {
         success: true,
         data: structured,
         url: url,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        timing,
+        fromCache,
+        cachedAt
       };
     } else {
       console.log('[FIRECRAWL] ❌ Failed to scrape URL:', result.error);
@@ -189,47 +224,63 @@ async function scrapeUrl(url, query) {
         success: false,
         error: result.error,
         url: url,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        timing
       };
     }
     
   } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log('[FIRECRAWL] ⏹️  Scrape cancelled:', url);
+      throw error;
+    }
+    
     console.error('[FIRECRAWL] ❌ Error scraping URL:', error.message);
     return {
       success: false,
       error: error.message,
       url: url,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      timing: error.timing || timing
     };
   }
 }
 
 /**
  * Perform web data extraction for a financial query
+ *
+ * Searches for pages about the query (see urlDiscovery.js), then scrapes the
+ * top FIRECRAWL_MAX_PAGES of those the allow and deny lists let through,
+ * extracting figures with the schema matching the query when
+ * FIRECRAWL_EXTRACTOR_MODE is llm-extraction (see extractionSchemas.js).
+ * @param {string} query - The research sub-question
+ * @param {Object} options - Extraction options; `signal` is an AbortSignal that stops further scraping,
+ *   `cacheUsage` counts the run's cache hits
+ * @returns {Promise<Object>} { query, source, discovery, extraction, successful, failed, total, timings, duration, ... }
+ *   where `discovery` reports the search (backend, candidates, excluded URLs), `extraction` the schema and
+ *   number of figures extracted, and `timings` lists each URL's queue wait, scrape duration and attempts
  */
-async function extractDataForQuery(query) {
+async function extractDataForQuery(query, options = {}) {
+  const { signal } = options;
+  
   try {
     console.log('[FIRECRAWL] Starting data extraction for:', query);
     
+    const client = await getFirecrawlClient();
     const config = getFirecrawlConfig();
+    const schema = config.extractorOptions.mode === 'llm-extraction' ? selectExtractionSchema(query) : null;
     
-    // Generate relevant URLs for the query
-    const urls = generateFinancialSearchUrls(query);
+    // Find article URLs for the query, filtered by the allow and deny lists
+    const startTime = Date.now();
+    const discovery = await discoverUrls(query, { client, signal, cacheUsage: options.cacheUsage });
+    const urlsToScrape = discovery.urls;
     
-    // Limit the number of URLs to scrape
-    const urlsToScrape = urls.slice(0, config.maxPages);
+    console.log('[FIRECRAWL] Scraping', urlsToScrape.length, 'URLs', schema ? `with the ${schema.name} extraction schema` : '');
     
-    console.log('[FIRECRAWL] Scraping', urlsToScrape.length, 'URLs');
-    
-    // Scrape URLs with controlled concurrency
-    const results = [];
-    for (const url of urlsToScrape) {
-      const result = await scrapeUrl(url, query);
-      results.push(result);
-      
-      // Add a small delay to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    }
+    // The scheduler limits concurrency and spaces out requests to each domain
+    const results = await Promise.all(
+      urlsToScrape.map(url => scrapeUrl(url, query, { signal, cacheUsage: options.cacheUsage, schema }))
+    );
     
     // Filter successful results
     const successfulResults = results.filter(r => r.success && r.data);
@@ -245,15 +296,33 @@ async function extractDataForQuery(query) {
     return {
       query: query,
       source: 'firecrawl',
+      discovery: {
+        backend: discovery.backend,
+        fallback: discovery.fallback,
+        error: discovery.error,
+        fromCache: discovery.fromCache,
+        candidates: discovery.candidates.length,
+        excluded: discovery.excluded
+      },
+      extraction: {
+        schema: schema?.name || null,
+        figures: successfulResults.reduce((count, page) => count + (page.data.extractedData?.figures.length || 0), 0)
+      },
       successful: successfulResults,
       failed: failedResults,
       total: results.length,
+      timings: results.map(result => ({ url: result.url, success: result.success, fromCache: !!result.fromCache, ...result.timing })),
+      duration: Date.now() - startTime,
       timestamp: new Date().toISOString(),
       extractionId: `fc_${Date.now()}`
     };
     
   } catch (error) {
-    console.error('[FIRECRAWL] ❌ Data extraction failed:', error.message);
+    if (isAbortError(error, signal)) {
+      console.log('[FIRECRAWL] ⏹️  Data extraction cancelled for:', query);
+    } else {
+      console.error('[FIRECRAWL] ❌ Data extraction failed:', error.message);
+    }
     throw error;
   }
 }
@@ -265,16 +334,8 @@ async function extractDataForMultipleQueries(queries) {
   try {
     console.log('[FIRECRAWL] Starting batch data extraction for', queries.length, 'queries');
     
-    const results = [];
-    
-    // Process queries sequentially to avoid overwhelming the service
-    for (const query of queries) {
-      const result = await extractDataForQuery(query);
-      results.push(result);
-      
-      // Add delay between queries
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+    // The scrape scheduler keeps the combined load within the rate limits
+    const results = await Promise.all(queries.map(query => extractDataForQuery(query)));
     
     console.log('[FIRECRAWL] ✅ Batch extraction completed');
     
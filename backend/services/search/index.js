@@ -6,9 +6,17 @@
  * parallel execution orchestration, and results processing.
  */
 
-const { planFinancialResearch } = require('../gemini/planningService');
+const { planFinancialResearch, PlanningFallbackCode } = require('../gemini/planningService');
 const { searchOrchestrator } = require('./searchOrchestrator');
 const { resultsProcessor } = require('./resultsProcessor');
+const { WorkflowEvent, emitProgress } = require('./workflowEvents');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+const { entityRecognizer, mergeEntities } = require('../entities/entityRecognizer');
+const { runResearchLoop } = require('./researchLoop');
+const { getResearchLoopConfig } = require('./researchLoopConfig');
+const { questionClassifier, Route, createGlossaryResult } = require('../routing/questionClassifier');
+const { getRoutingConfig } = require('../routing/routingConfig');
+const { resultCache } = require('../cache/resultCache');
 
 /**
  * Main search service class that orchestrates the complete workflow
@@ -22,7 +30,7 @@ class FinancialSearchService {
       enableResultsProcessing: true,
       maxSubQuestions: 5,
       searchTimeout: 120000, // 2 minutes
-      enableCaching: false // Removed caching
+      enableCaching: resultCache.isEnabled() // CACHE_ENABLED, see cache/cacheConfig.js
     };
   }
 
@@ -47,66 +55,164 @@ class FinancialSearchService {
 
   /**
    * Execute a complete financial search workflow
+   * @param {string} userQuery - The user's question
+   * @param {Object} options - Workflow options; `onProgress(event, data)` receives WorkflowEvent updates,
+   *   `history` holds prior conversation turns used to resolve follow-up questions,
+   *   `signal` is an AbortSignal that cancels the run (an AbortError is thrown),
+   *   `providers` optionally restricts the search providers used (names from providerRegistry),
+   *   `enableResearchLoop: false` skips the follow-up search rounds (see researchLoop.js),
+   *   `enableRouting: false` sends every question through the full pipeline (see routing/questionClassifier.js),
+   *   `enableCaching: false` bypasses the result cache (see cache/resultCache.js)
    */
   async executeFinancialSearch(userQuery, options = {}) {
     const startTime = Date.now();
     const searchId = `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { onProgress, signal } = options;
+    
+    // Cache hits and misses of this run, reported in workflow.steps.caching
+    const cacheUsage = resultCache.createUsage(this.config.enableCaching && options.enableCaching !== false);
+    let runOptions = { ...options, cacheUsage };
     
     console.log(`[SEARCH-SERVICE] Starting financial search ${searchId} for: "${userQuery}"`);
+    emitProgress(onProgress, WorkflowEvent.WORKFLOW_START, { searchId, query: userQuery });
     
     try {
       // Ensure service is initialized
       if (!this.isInitialized) {
         await this.initialize();
       }
+      throwIfAborted(signal);
 
       const workflow = {
         searchId: searchId,
         userQuery: userQuery,
         startTime: startTime,
         steps: {
+          entities: null,
+          routing: null,
           planning: null,
           searching: null,
-          processing: null
+          research: null,
+          processing: null,
+          caching: null
         },
         results: null,
         error: null
       };
 
+      // Step 0: Entity Resolution (companies, tickers, indices, currencies, indicators)
+      let entities = entityRecognizer.recognize(userQuery);
+      workflow.steps.entities = {
+        success: true,
+        count: entities.count,
+        tickers: entities.tickers
+      };
+      console.log(`[SEARCH-SERVICE] Step 0: Entities - Recognized ${entities.count} entities` +
+        `${entities.tickers.length > 0 ? ` (tickers: ${entities.tickers.join(', ')})` : ''}`);
+
+      // Step 0b: Routing (pick the pipeline for the question's intent)
+      const routing = this.routeQuestion(userQuery, entities, options);
+      workflow.steps.routing = routing;
+      console.log(`[SEARCH-SERVICE] Step 0b: Routing - ${routing.intent || 'unclassified'} question → ${routing.route}`);
+      emitProgress(onProgress, WorkflowEvent.QUESTION_ROUTED, {
+        searchId,
+        intent: routing.intent,
+        route: routing.route,
+        confidence: routing.confidence,
+        reasons: routing.reasons,
+        term: routing.term
+      });
+      
+      const answersDirectly = routing.route === Route.GLOSSARY || routing.route === Route.QUICK_ANSWER;
+      if (routing.route === Route.MARKET_DATA) {
+        // Live data needs neither a plan nor follow-up rounds: one market data lookup answers it
+        options = { ...options, enablePlanning: false, providers: ['market'], enableResearchLoop: false };
+        runOptions = { ...options, cacheUsage };
+      }
+
       // Step 1: Planning Phase (Generate sub-questions)
       let subQuestions = [];
       
-      if (this.config.enablePlanning && options.enablePlanning !== false) {
+      if (answersDirectly) {
+        workflow.steps.planning = {
+          success: true,
+          subQuestions: subQuestions,
+          entities: entities,
+          note: `Planning skipped - ${routing.intent} question routed to ${routing.route}`
+        };
+        emitProgress(onProgress, WorkflowEvent.PLANNING_COMPLETE, {
+          searchId,
+          researchPlan: null,
+          subQuestions: subQuestions,
+          entities: entities,
+          fallback: false
+        });
+      } else if (this.config.enablePlanning && options.enablePlanning !== false) {
         try {
           console.log(`[SEARCH-SERVICE] Step 1: Planning - Generating research sub-questions...`);
+          emitProgress(onProgress, WorkflowEvent.PLANNING_START, { searchId, query: userQuery });
           
-          const planningResult = await planFinancialResearch(userQuery);
+          const planningResult = await planFinancialResearch(userQuery, { history: options.history, signal, entities, cacheUsage });
           
           if (planningResult && planningResult.subQuestions && Array.isArray(planningResult.subQuestions)) {
             subQuestions = planningResult.subQuestions.slice(0, this.config.maxSubQuestions);
+            
+            // A rewritten follow-up ("what about Microsoft?") may name entities the original did not
+            if (planningResult.standaloneQuestion && planningResult.standaloneQuestion !== userQuery) {
+              entities = mergeEntities(entities, entityRecognizer.recognize(planningResult.standaloneQuestion));
+              planningResult.entities = entities;
+            }
+            
             workflow.steps.planning = {
               success: true,
               subQuestions: subQuestions,
+              standaloneQuestion: planningResult.standaloneQuestion || userQuery,
+              entities: entities,
+              fallbackReason: planningResult.fallbackReason || null,
               originalPlan: planningResult
             };
             
             console.log(`[SEARCH-SERVICE] ✅ Planning completed - Generated ${subQuestions.length} sub-questions`);
+            emitProgress(onProgress, WorkflowEvent.PLANNING_COMPLETE, {
+              searchId,
+              researchPlan: planningResult,
+              subQuestions: subQuestions,
+              entities: entities,
+              fallback: planningResult.status === 'fallback',
+              fallbackReason: planningResult.fallbackReason || null
+            });
           } else {
             throw new Error('Invalid planning result structure');
           }
           
         } catch (planningError) {
+          if (isAbortError(planningError, signal)) {
+            throw planningError;
+          }
+          
           console.warn(`[SEARCH-SERVICE] ⚠️  Planning failed: ${planningError.message}`);
           console.log(`[SEARCH-SERVICE] Falling back to direct search with original query`);
           
           // Fallback to original query
           subQuestions = [userQuery];
+          const fallbackReason = { code: PlanningFallbackCode.PLANNING_FAILED, message: planningError.message, attempts: [] };
           workflow.steps.planning = {
             success: false,
             error: planningError.message,
             fallback: true,
-            subQuestions: subQuestions
+            fallbackReason: fallbackReason,
+            subQuestions: subQuestions,
+            entities: entities
           };
+          emitProgress(onProgress, WorkflowEvent.PLANNING_COMPLETE, {
+            searchId,
+            researchPlan: null,
+            subQuestions: subQuestions,
+            entities: entities,
+            fallback: true,
+            fallbackReason: fallbackReason,
+            error: planningError.message
+          });
         }
       } else {
         // Use original query directly
@@ -114,61 +220,93 @@ class FinancialSearchService {
         workflow.steps.planning = {
           success: true,
           subQuestions: subQuestions,
-          note: 'Planning disabled - using original query'
+          entities: entities,
+          note: routing.route === Route.MARKET_DATA
+            ? 'Planning skipped - live data question routed to market data'
+            : 'Planning disabled - using original query'
         };
+        emitProgress(onProgress, WorkflowEvent.PLANNING_COMPLETE, {
+          searchId,
+          researchPlan: null,
+          subQuestions: subQuestions,
+          entities: entities,
+          fallback: false
+        });
       }
 
       // Step 2: Search Phase (Execute parallel searches)
       let searchResults = null;
+      throwIfAborted(signal);
       
-      if (this.config.enableSearch && options.enableSearch !== false) {
+      if (answersDirectly) {
+        // Definitions are answered from the glossary entry, or by the answering model alone
+        searchResults = this.createDirectAnswerBatch(routing, userQuery, searchId);
+        workflow.steps.searching = {
+          success: true,
+          batchId: searchResults.batchId,
+          totalQueries: 0,
+          successful: 0,
+          failed: 0,
+          note: `Search skipped - ${routing.intent} question routed to ${routing.route}`
+        };
+      } else if (this.config.enableSearch && options.enableSearch !== false) {
         try {
           console.log(`[SEARCH-SERVICE] Step 2: Searching - Executing parallel searches for ${subQuestions.length} queries...`);
           
-          if (subQuestions.length === 1) {
-            // Single search
-            searchResults = await searchOrchestrator.executeParallelSearch(
-              subQuestions[0], 
-              {
-                timeout: options.searchTimeout || this.config.searchTimeout,
-                enablePerplexity: options.enablePerplexity,
-                enableFirecrawl: options.enableFirecrawl
-              }
-            );
-            
-            // Wrap single result in batch format
-            searchResults = {
-              batchId: `single_${searchResults.searchId}`,
-              results: [searchResults],
-              successful: [searchResults],
-              failed: [],
-              queries: subQuestions
-            };
-            
-          } else {
-            // Batch search
-            searchResults = await searchOrchestrator.executeBatchSearch(
-              subQuestions,
-              {
-                timeout: options.searchTimeout || this.config.searchTimeout,
-                maxConcurrent: options.maxConcurrent || 3,
-                enablePerplexity: options.enablePerplexity,
-                enableFirecrawl: options.enableFirecrawl
-              }
-            );
-          }
+          const searchStartTime = Date.now();
+          const planSteps = workflow.steps.planning.originalPlan?.steps;
+          
+          // Typed plans run step by step in dependency order; otherwise every query is searched at once
+          searchResults = planSteps
+            ? await searchOrchestrator.executePlanSteps(planSteps, this.createSearchOptions(runOptions, entities))
+            : await this.searchQueries(subQuestions, runOptions, entities);
           
           workflow.steps.searching = {
             success: true,
             batchId: searchResults.batchId,
             totalQueries: searchResults.results.length,
             successful: searchResults.successful.length,
-            failed: searchResults.failed.length
+            failed: searchResults.failed.length,
+            planSteps: searchResults.steps || null
           };
           
           console.log(`[SEARCH-SERVICE] ✅ Searching completed - ${searchResults.successful.length} successful, ${searchResults.failed.length} failed`);
           
+          // Step 2b: Evaluate coverage and search again for the gaps
+          const research = await runResearchLoop({
+            question: workflow.steps.planning.standaloneQuestion || userQuery,
+            subQuestions: searchResults.queries,
+            initialBatch: searchResults,
+            initialStartedAt: searchStartTime,
+            search: (queries, round) => this.searchQueries(queries, runOptions, entities,
+              Math.min(round.timeout, options.searchTimeout || this.config.searchTimeout)),
+            startTime,
+            searchId,
+            signal,
+            onProgress,
+            config: options.enableResearchLoop === false ? { ...getResearchLoopConfig(), enabled: false } : undefined
+          });
+          
+          searchResults = research.batch;
+          workflow.steps.research = {
+            rounds: research.rounds,
+            stopReason: research.stopReason,
+            followUpQueriesUsed: research.followUpQueriesUsed
+          };
+          if (research.rounds.length > 1) {
+            workflow.steps.searching = {
+              ...workflow.steps.searching,
+              totalQueries: searchResults.results.length,
+              successful: searchResults.successful.length,
+              failed: searchResults.failed.length
+            };
+          }
+          
         } catch (searchError) {
+          if (isAbortError(searchError, signal)) {
+            throw searchError;
+          }
+          
           console.error(`[SEARCH-SERVICE] ❌ Search failed: ${searchError.message}`);
           workflow.steps.searching = {
             success: false,
@@ -182,13 +320,14 @@ class FinancialSearchService {
 
       // Step 3: Results Processing Phase
       let finalResults = null;
+      throwIfAborted(signal);
       
       if (this.config.enableResultsProcessing && options.enableResultsProcessing !== false) {
         try {
           console.log(`[SEARCH-SERVICE] Step 3: Processing - Structuring and ranking results...`);
           
           // Combine all successful search results
-          const combinedSearchResults = this.combineSearchResults(searchResults, userQuery, searchId);
+          const combinedSearchResults = this.combineSearchResults(searchResults, userQuery, searchId, entities);
           
           // Process with results processor
           finalResults = resultsProcessor.processSearchResults(combinedSearchResults);
@@ -197,7 +336,8 @@ class FinancialSearchService {
             success: true,
             totalResults: finalResults.results.total,
             averageQuality: finalResults.results.averageQuality,
-            categories: Object.keys(finalResults.results.categories).length
+            categories: Object.keys(finalResults.results.categories).length,
+            figures: finalResults.results.figures.length
           };
           
           console.log(`[SEARCH-SERVICE] ✅ Processing completed - ${finalResults.results.total} final results`);
@@ -221,6 +361,19 @@ class FinancialSearchService {
         };
       }
 
+      emitProgress(onProgress, WorkflowEvent.PROCESSING_COMPLETE, {
+        searchId,
+        success: workflow.steps.processing.success,
+        totalResults: finalResults.results.total,
+        averageQuality: finalResults.results.averageQuality ?? null,
+        sourcesUsed: finalResults.metadata?.sourcesUsed || []
+      });
+
+      workflow.steps.caching = cacheUsage.summarize();
+      if (workflow.steps.caching.hits > 0) {
+        console.log(`[SEARCH-SERVICE] Cache: ${workflow.steps.caching.hits} hits, ${workflow.steps.caching.misses} misses`);
+      }
+
       // Complete the workflow
       const endTime = Date.now();
       workflow.duration = endTime - startTime;
@@ -243,8 +396,22 @@ class FinancialSearchService {
       return finalResults;
 
     } catch (error) {
+      // Cancellation is not a failure: let the caller decide how to report it
+      if (isAbortError(error, signal)) {
+        console.log(`[SEARCH-SERVICE] ⏹️  Financial search ${searchId} cancelled`);
+        throw error;
+      }
+      
       const endTime = Date.now();
       console.error(`[SEARCH-SERVICE] ❌ Financial search ${searchId} failed: ${error.message}`);
+      emitProgress(onProgress, WorkflowEvent.PROCESSING_COMPLETE, {
+        searchId,
+        success: false,
+        totalResults: 0,
+        averageQuality: null,
+        sourcesUsed: [],
+        error: error.message
+      });
       
       return {
         search: {
@@ -275,10 +442,106 @@ class FinancialSearchService {
     }
   }
 
+  /**
+   * Classify the question and pick the pipeline that answers it
+   * @param {string} userQuery - The user's question
+   * @param {Object} entities - Entities recognized in the question
+   * @param {Object} options - Workflow options (see executeFinancialSearch)
+   * @returns {Object} Routing decision ({ intent, route, confidence, reasons, glossaryTerm, term })
+   */
+  routeQuestion(userQuery, entities, options) {
+    if (!getRoutingConfig().enabled || options.enableRouting === false) {
+      return {
+        intent: null,
+        route: Route.FULL_RESEARCH,
+        confidence: null,
+        reasons: ['Question routing disabled'],
+        glossaryTerm: null,
+        term: null
+      };
+    }
+
+    return questionClassifier.classify(userQuery, {
+      entities,
+      history: options.history || [],
+      availableProviders: searchOrchestrator.getSearchProviders(options).map(provider => provider.name)
+    });
+  }
+
+  /**
+   * Batch results for a question answered without searching (the glossary entry, if any)
+   */
+  createDirectAnswerBatch(routing, userQuery, searchId) {
+    const items = routing.glossaryTerm ? [createGlossaryResult(routing.glossaryTerm)] : [];
+    const result = {
+      searchId: `${routing.route}_${searchId}`,
+      query: userQuery,
+      status: 'completed',
+      results: { allResults: items },
+      duration: 0
+    };
+
+    return {
+      batchId: `${routing.route}_${searchId}`,
+      queries: [],
+      results: items.length > 0 ? [result] : [],
+      successful: items.length > 0 ? [result] : [],
+      failed: [],
+      duration: 0
+    };
+  }
+
+  /**
+   * Orchestrator options for the searches of a workflow
+   * @param {Object} options - Workflow options (see executeFinancialSearch)
+   * @param {Object} entities - Entities recognized in the question
+   * @param {number} timeout - Optional search timeout overriding the configured one
+   */
+  createSearchOptions(options, entities, timeout = null) {
+    return {
+      timeout: timeout || options.searchTimeout || this.config.searchTimeout,
+      maxConcurrent: options.maxConcurrent || 3,
+      providers: options.providers,
+      enablePerplexity: options.enablePerplexity,
+      enableFirecrawl: options.enableFirecrawl,
+      entities: entities,
+      onProgress: options.onProgress,
+      signal: options.signal,
+      cacheUsage: options.cacheUsage
+    };
+  }
+
+  /**
+   * Search a list of queries across the enabled providers
+   * @param {Array<string>} queries - Sub-questions or follow-up queries
+   * @param {Object} options - Workflow options (see executeFinancialSearch)
+   * @param {Object} entities - Entities recognized in the question
+   * @param {number} timeout - Optional search timeout overriding the configured one
+   * @returns {Promise<Object>} Batch results ({ batchId, results, successful, failed, queries })
+   */
+  async searchQueries(queries, options, entities, timeout = null) {
+    const searchOptions = this.createSearchOptions(options, entities, timeout);
+    
+    if (queries.length > 1) {
+      return searchOrchestrator.executeBatchSearch(queries, searchOptions);
+    }
+    
+    // Single search, wrapped in batch format
+    const result = await searchOrchestrator.executeParallelSearch(queries[0], searchOptions);
+    return {
+      batchId: `single_${result.searchId}`,
+      results: [result],
+      successful: [result],
+      failed: [],
+      queries: queries,
+      duration: result.duration
+    };
+  }
+
   /**
    * Combine search results from batch into a single structure
    */
-  combineSearchResults(batchResults, originalQuery, searchId) {
+  combineSearchResults(batchResults, originalQuery, searchId, entities = null) {
     const allResults = [];
     
     // Extract all results from successful searches
@@ -293,10 +556,10 @@ class FinancialSearchService {
       query: originalQuery,
       duration: batchResults.duration,
       status: 'completed',
-      sources: {
-        perplexity: allResults.some(r => r.source === 'perplexity'),
-        firecrawl: allResults.some(r => r.source === 'firecrawl')
-      },
+      entities: entities,
+      sources: Object.fromEntries(
+        [...new Set(allResults.map(r => r.source))].map(source => [source, true])
+      ),
       results: {
         allResults: allResults
       }
@@ -0,0 +1,292 @@
+/**
+ * Market Data Adapters
+ *
+ * An adapter fetches quotes, daily OHLC history and fundamentals for one
+ * ticker from a data vendor, in the normalized shapes below. The market data
+ * service picks the adapter named by MARKET_DATA_ADAPTER, so vendors can be
+ * swapped without touching the provider or the calculator.
+ *
+ * Quote:        { ticker, price, open, high, low, previousClose, change, changePercent, volume, currency, asOf }
+ * History:      [{ date, open, high, low, close, volume }] oldest first
+ * Fundamentals: { ticker, name, currency, sharesOutstanding, epsTtm, ebitdaTtm, totalDebt,
+ *                 cashAndEquivalents, dividendPerShareTtm, fiscalPeriodEnd, asOf }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Parse a vendor number ("123.45", "None", "-") into a number or null
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(/[%,]/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Keep history points within the last `days` calendar days of the latest point
+ */
+function trimHistory(points, days) {
+  if (points.length === 0 || !days) {
+    return points;
+  }
+  const latest = new Date(`${points[points.length - 1].date}T00:00:00Z`);
+  latest.setUTCDate(latest.getUTCDate() - days);
+  const cutoff = latest.toISOString().slice(0, 10);
+  return points.filter(point => point.date >= cutoff);
+}
+
+/**
+ * Base market data adapter
+ */
+class MarketDataAdapter {
+  /**
+   * @param {string} name - Adapter name used in MARKET_DATA_ADAPTER
+   * @param {Object} config - Market data configuration
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * Latest quote, or null if the ticker is unknown
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} options - { signal }
+   */
+  async getQuote() {
+    throw new Error(`Market data adapter ${this.name} does not implement getQuote`);
+  }
+
+  /**
+   * Daily OHLC history, oldest first (empty if the ticker is unknown)
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} options - { signal, days }
+   */
+  async getHistory() {
+    throw new Error(`Market data adapter ${this.name} does not implement getHistory`);
+  }
+
+  /**
+   * Fundamentals, or null if unavailable (e.g. for ETFs)
+   * @param {string} ticker - Ticker symbol
+   * @param {Object} options - { signal }
+   */
+  async getFundamentals() {
+    throw new Error(`Market data adapter ${this.name} does not implement getFundamentals`);
+  }
+
+  /**
+   * URL cited for a ticker's data
+   */
+  getSourceUrl(ticker) {
+    return `${this.name}://${ticker}`;
+  }
+}
+
+/**
+ * Reads local files, for offline development and tests:
+ *   quotes.json and fundamentals.json, keyed by ticker
+ *   history/<TICKER>.csv with a Date,Open,High,Low,Close,Volume header
+ */
+class FixtureMarketDataAdapter extends MarketDataAdapter {
+  constructor(config) {
+    super('fixture', config);
+    this.files = new Map();
+  }
+
+  async readJson(fileName) {
+    if (!this.files.has(fileName)) {
+      try {
+        const content = await fs.readFile(path.join(this.config.fixtureDir, fileName), 'utf8');
+        this.files.set(fileName, JSON.parse(content));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        this.files.set(fileName, {});
+      }
+    }
+    return this.files.get(fileName);
+  }
+
+  async getQuote(ticker) {
+    const quotes = await this.readJson('quotes.json');
+    return quotes[ticker] ? { ticker, ...quotes[ticker] } : null;
+  }
+
+  async getHistory(ticker, options = {}) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(this.config.fixtureDir, 'history', `${ticker}.csv`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const [header, ...rows] = content.trim().split(/\r?\n/);
+    const columns = header.split(',').map(column => column.trim().toLowerCase());
+    const points = rows
+      .map(row => {
+        const values = row.split(',');
+        const point = {};
+        columns.forEach((column, i) => {
+          point[column] = column === 'date' ? values[i].trim() : parseNumber(values[i]);
+        });
+        return point;
+      })
+      .filter(point => point.date && point.close !== null)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return trimHistory(points, options.days);
+  }
+
+  async getFundamentals(ticker) {
+    const fundamentals = await this.readJson('fundamentals.json');
+    return fundamentals[ticker] ? { ticker, ...fundamentals[ticker] } : null;
+  }
+
+  getSourceUrl(ticker) {
+    return `fixture://market/${ticker}`;
+  }
+}
+
+/**
+ * Alpha Vantage (https://www.alphavantage.co/documentation/)
+ */
+class AlphaVantageAdapter extends MarketDataAdapter {
+  constructor(config) {
+    super('alphavantage', config);
+  }
+
+  async request(params, signal) {
+    const url = new URL(this.config.alphaVantageBaseUrl);
+    Object.entries({ ...params, apikey: this.config.alphaVantageApiKey })
+      .forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const timeoutSignal = AbortSignal.timeout(this.config.timeout);
+    const response = await fetch(url, {
+      headers: { 'Accept': 'application/json' },
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Alpha Vantage request failed (${response.status}) for ${params.function}`);
+    }
+
+    const data = await response.json();
+    // Errors and rate limits come back as 200 responses with a message field
+    const message = data['Error Message'] || data.Note || data.Information;
+    if (message) {
+      throw new Error(`Alpha Vantage ${params.function}: ${message}`);
+    }
+    return data;
+  }
+
+  async getQuote(ticker, options = {}) {
+    const data = await this.request({ function: 'GLOBAL_QUOTE', symbol: ticker }, options.signal);
+    const quote = data['Global Quote'];
+    if (!quote || !quote['05. price']) {
+      return null;
+    }
+
+    return {
+      ticker,
+      price: parseNumber(quote['05. price']),
+      open: parseNumber(quote['02. open']),
+      high: parseNumber(quote['03. high']),
+      low: parseNumber(quote['04. low']),
+      previousClose: parseNumber(quote['08. previous close']),
+      change: parseNumber(quote['09. change']),
+      changePercent: parseNumber(quote['10. change percent']),
+      volume: parseNumber(quote['06. volume']),
+      currency: 'USD',
+      asOf: quote['07. latest trading day']
+    };
+  }
+
+  async getHistory(ticker, options = {}) {
+    const data = await this.request({
+      function: 'TIME_SERIES_DAILY',
+      symbol: ticker,
+      // "compact" only covers the last 100 trading days
+      outputsize: (options.days || 0) > 140 ? 'full' : 'compact'
+    }, options.signal);
+
+    const series = data['Time Series (Daily)'] || {};
+    const points = Object.entries(series)
+      .map(([date, values]) => ({
+        date,
+        open: parseNumber(values['1. open']),
+        high: parseNumber(values['2. high']),
+        low: parseNumber(values['3. low']),
+        close: parseNumber(values['4. close']),
+        volume: parseNumber(values['5. volume'])
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return trimHistory(points, options.days);
+  }
+
+  async getFundamentals(ticker, options = {}) {
+    const overview = await this.request({ function: 'OVERVIEW', symbol: ticker }, options.signal);
+    if (!overview || !overview.Symbol) {
+      return null;
+    }
+
+    // The overview has no balance sheet items, which EV/EBITDA needs
+    const balanceSheet = await this.request({ function: 'BALANCE_SHEET', symbol: ticker }, options.signal);
+    const latest = balanceSheet.quarterlyReports?.[0] || {};
+    const totalDebt = parseNumber(latest.shortLongTermDebtTotal) ??
+      ((parseNumber(latest.shortTermDebt) ?? 0) + (parseNumber(latest.longTermDebt) ?? 0));
+
+    return {
+      ticker,
+      name: overview.Name,
+      currency: overview.Currency || 'USD',
+      sharesOutstanding: parseNumber(overview.SharesOutstanding),
+      epsTtm: parseNumber(overview.DilutedEPSTTM) ?? parseNumber(overview.EPS),
+      ebitdaTtm: parseNumber(overview.EBITDA),
+      totalDebt,
+      cashAndEquivalents: parseNumber(latest.cashAndCashEquivalentsAtCarryingValue),
+      dividendPerShareTtm: parseNumber(overview.DividendPerShare) ?? 0,
+      fiscalPeriodEnd: latest.fiscalDateEnding || overview.LatestQuarter || null,
+      asOf: overview.LatestQuarter || null
+    };
+  }
+
+  getSourceUrl(ticker) {
+    return `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(ticker)}`;
+  }
+}
+
+// Adapters selectable with MARKET_DATA_ADAPTER
+const adapterImplementations = {
+  alphavantage: AlphaVantageAdapter,
+  fixture: FixtureMarketDataAdapter
+};
+
+/**
+ * Create the adapter named in the configuration
+ * @param {Object} config - Market data configuration
+ */
+function createMarketDataAdapter(config) {
+  const Adapter = adapterImplementations[config.adapter];
+  if (!Adapter) {
+    throw new Error(`Unknown market data adapter: ${config.adapter}`);
+  }
+  return new Adapter(config);
+}
+
+module.exports = {
+  MarketDataAdapter,
+  FixtureMarketDataAdapter,
+  AlphaVantageAdapter,
+  adapterImplementations,
+  createMarketDataAdapter
+};
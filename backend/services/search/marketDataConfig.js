@@ -0,0 +1,86 @@
+/**
+ * Market Data Configuration Module
+ * 
+ * Handles environment variable loading for the market data provider.
+ * 
+ * Environment Variables:
+ * - MARKET_DATA_ADAPTER: `alphavantage` or `fixture` (local CSV/JSON files) (default: alphavantage, fixture with MOCK_PROVIDERS=true)
+ * - ALPHA_VANTAGE_API_KEY: Required by the alphavantage adapter
+ * - MARKET_DATA_FIXTURE_DIR: Directory of fixture files (default: services/search/fixtures/market)
+ * - MARKET_DATA_TIMEOUT: Request timeout in milliseconds (default: 15000)
+ * - MARKET_DATA_MAX_TICKERS: Tickers looked up per sub-question (default: 3)
+ * - MARKET_DATA_HISTORY_DAYS: Calendar days of daily price history loaded per ticker (default: 400)
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { isMockMode } = require('../mocks/mockConfig');
+
+const SUPPORTED_ADAPTERS = ['alphavantage', 'fixture'];
+
+// Configuration object with defaults
+const config = {
+  adapter: (process.env.MARKET_DATA_ADAPTER || (isMockMode() ? 'fixture' : 'alphavantage')).toLowerCase(),
+  alphaVantageApiKey: process.env.ALPHA_VANTAGE_API_KEY,
+  alphaVantageBaseUrl: 'https://www.alphavantage.co/query',
+  fixtureDir: process.env.MARKET_DATA_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'market'),
+  timeout: parseInt(process.env.MARKET_DATA_TIMEOUT) || 15000,
+  maxTickers: parseInt(process.env.MARKET_DATA_MAX_TICKERS) || 3,
+  historyDays: parseInt(process.env.MARKET_DATA_HISTORY_DAYS) || 400,
+};
+
+/**
+ * Validates the market data configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateMarketDataConfig() {
+  const errors = [];
+
+  if (!SUPPORTED_ADAPTERS.includes(config.adapter)) {
+    errors.push(`MARKET_DATA_ADAPTER must be one of: ${SUPPORTED_ADAPTERS.join(', ')}`);
+  }
+
+  if (config.adapter === 'alphavantage' && !config.alphaVantageApiKey) {
+    errors.push('ALPHA_VANTAGE_API_KEY is required by the alphavantage adapter');
+  }
+
+  if (config.timeout < 1000 || config.timeout > 120000) {
+    errors.push('MARKET_DATA_TIMEOUT must be between 1000ms and 120000ms');
+  }
+
+  if (config.maxTickers < 1 || config.maxTickers > 10) {
+    errors.push('MARKET_DATA_MAX_TICKERS must be between 1 and 10');
+  }
+
+  if (config.historyDays < 30 || config.historyDays > 3650) {
+    errors.push('MARKET_DATA_HISTORY_DAYS must be between 30 and 3650');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated market data configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getMarketDataConfig() {
+  const validation = validateMarketDataConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Market data configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateMarketDataConfig,
+  getMarketDataConfig
+};
@@ -0,0 +1,110 @@
+/**
+ * Market Data Search Provider
+ *
+ * Wraps getMarketData as a SearchProvider: one item per ticker with the
+ * latest quote, price range and the ratios computed by the financial
+ * calculator, so answers cite computed figures instead of model estimates.
+ */
+
+const { SearchProvider } = require('./searchProvider');
+const { getMarketData } = require('./marketDataService');
+const { formatFigure, formatValue } = require('./financialCalculator');
+const { validateMarketDataConfig, config: marketDataConfig } = require('./marketDataConfig');
+const { entityRecognizer } = require('../entities/entityRecognizer');
+
+// Requests one ticker costs with the Alpha Vantage adapter (quote, history, overview, balance sheet)
+const REQUESTS_PER_TICKER = 4;
+
+/**
+ * Describe one security's data and computed figures as citable text
+ */
+function formatSecurity(security, adapterName) {
+  const { ticker, quote, historySummary, fundamentals, ratios } = security;
+  const currency = quote?.currency || fundamentals?.currency || 'USD';
+  const lines = [];
+
+  if (quote) {
+    const change = quote.change !== null && quote.change !== undefined
+      ? `, change ${quote.change >= 0 ? '+' : ''}${quote.change.toFixed(2)} (${quote.changePercent?.toFixed(2) ?? 'n/a'}%)`
+      : '';
+    lines.push(`${ticker} last price ${formatValue(quote.price, currency)} as of ${quote.asOf}${change}` +
+      `${quote.volume ? `, volume ${quote.volume.toLocaleString('en-US')}` : ''} (${adapterName} data).`);
+  }
+
+  if (historySummary) {
+    lines.push(`Daily price history ${historySummary.start} to ${historySummary.end} (${historySummary.tradingDays} trading days): ` +
+      `low ${formatValue(historySummary.low, currency)}, high ${formatValue(historySummary.high, currency)}.`);
+  }
+
+  if (fundamentals) {
+    lines.push(`Fundamentals as of ${fundamentals.fiscalPeriodEnd || fundamentals.asOf || 'latest report'}: ` +
+      `diluted EPS (TTM) ${formatValue(fundamentals.epsTtm, currency)}, EBITDA (TTM) ${formatValue(fundamentals.ebitdaTtm, currency)}, ` +
+      `dividends per share (TTM) ${formatValue(fundamentals.dividendPerShareTtm, currency)}.`);
+  }
+
+  const figures = [ratios.marketCap, ratios.pe, ratios.evToEbitda, ratios.enterpriseValue, ratios.dividendYield]
+    .filter(Boolean)
+    .map(figure => `- ${formatFigure(figure)}`);
+  Object.values(ratios.returns).forEach(figure => {
+    figures.push(`- ${formatFigure(figure)}, ${figure.period.start} to ${figure.period.end}`);
+  });
+
+  if (figures.length > 0) {
+    lines.push(`Computed figures (calculated deterministically from the data above):\n${figures.join('\n')}`);
+  }
+
+  return lines.join('\n');
+}
+
+class MarketDataProvider extends SearchProvider {
+  constructor() {
+    super({
+      name: 'market',
+      label: 'Market Data',
+      // Alpha Vantage's free tier is rate limited rather than billed
+      cost: { unit: 'request', unitsPerSearch: REQUESTS_PER_TICKER * marketDataConfig.maxTickers, usdPerUnit: 0 }
+    });
+  }
+
+  async runSearch(query, context = {}) {
+    const tickers = Array.isArray(context.tickers) && context.tickers.length > 0
+      ? context.tickers
+      : entityRecognizer.selectTickers(query, context.entities);
+
+    const result = await getMarketData(tickers, { signal: context.signal });
+    if (result.error) {
+      return { items: [], error: result.error, raw: result };
+    }
+
+    const items = result.securities
+      .filter(security => security.found)
+      .map(security => ({
+        source: this.name,
+        title: `${security.fundamentals?.name || security.ticker} (${security.ticker}) - market data and computed ratios`,
+        url: security.sourceUrl,
+        content: formatSecurity(security, result.adapter),
+        confidence: 'high',
+        relevanceScore: 92,
+        primarySource: true,
+        computed: true,
+        category: 'market_data',
+        extractedData: {
+          ticker: security.ticker,
+          quote: security.quote,
+          fundamentals: security.fundamentals,
+          historySummary: security.historySummary,
+          ratios: security.ratios
+        }
+      }));
+
+    return { items, raw: result };
+  }
+
+  checkConfig() {
+    return validateMarketDataConfig();
+  }
+}
+
+module.exports = {
+  MarketDataProvider
+};
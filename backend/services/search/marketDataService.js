@@ -0,0 +1,141 @@
+/**
+ * Market Data Service
+ *
+ * Loads quotes, daily OHLC history and fundamentals for resolved tickers
+ * through the configured adapter (see marketDataAdapters.js), and computes
+ * valuation ratios and returns with the deterministic financial calculator.
+ */
+
+const { getMarketDataConfig } = require('./marketDataConfig');
+const { createMarketDataAdapter } = require('./marketDataAdapters');
+const { calculateMarketRatios } = require('./financialCalculator');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+
+// Adapter instance, cached per process
+let marketDataAdapter = null;
+
+/**
+ * Get the configured adapter
+ */
+function getMarketDataAdapter() {
+  const config = getMarketDataConfig();
+  if (!marketDataAdapter || marketDataAdapter.name !== config.adapter) {
+    marketDataAdapter = createMarketDataAdapter(config);
+  }
+  return marketDataAdapter;
+}
+
+/**
+ * Describe a price history without repeating every point
+ * @param {Array} history - Daily points, oldest first
+ * @returns {Object|null} { start, end, tradingDays, high, low, latestClose }
+ */
+function summarizeHistory(history) {
+  if (!history || history.length === 0) {
+    return null;
+  }
+
+  return {
+    start: history[0].date,
+    end: history[history.length - 1].date,
+    tradingDays: history.length,
+    high: Math.max(...history.map(point => point.high ?? point.close)),
+    low: Math.min(...history.map(point => point.low ?? point.close)),
+    latestClose: history[history.length - 1].close
+  };
+}
+
+/**
+ * Load one ticker; each part fails independently so a missing balance sheet
+ * does not hide the quote
+ */
+async function getSecurityData(adapter, ticker, config, signal) {
+  const [quote, history, fundamentals] = await Promise.allSettled([
+    adapter.getQuote(ticker, { signal }),
+    adapter.getHistory(ticker, { signal, days: config.historyDays }),
+    adapter.getFundamentals(ticker, { signal })
+  ]);
+
+  const parts = { quote, history, fundamentals };
+  const errors = [];
+  Object.entries(parts).forEach(([part, outcome]) => {
+    if (outcome.status === 'rejected') {
+      if (isAbortError(outcome.reason, signal)) {
+        throw outcome.reason;
+      }
+      errors.push(`${part}: ${outcome.reason.message}`);
+    }
+  });
+
+  const data = {
+    ticker,
+    quote: quote.value || null,
+    history: history.value || [],
+    fundamentals: fundamentals.value || null
+  };
+
+  return {
+    ...data,
+    historySummary: summarizeHistory(data.history),
+    ratios: calculateMarketRatios(data),
+    sourceUrl: adapter.getSourceUrl(ticker),
+    found: !!(data.quote || data.history.length > 0 || data.fundamentals),
+    errors
+  };
+}
+
+/**
+ * Load market data and computed ratios for a list of tickers
+ * @param {Array<string>} tickers - Ticker symbols
+ * @param {Object} options - `signal` cancels the lookups
+ * @returns {Promise<Object>} { source, adapter, securities, error, timestamp }
+ */
+async function getMarketData(tickers, options = {}) {
+  const { signal } = options;
+  const requested = [...new Set((tickers || []).map(ticker => String(ticker).toUpperCase()))];
+
+  try {
+    throwIfAborted(signal);
+    const config = getMarketDataConfig();
+    const adapter = getMarketDataAdapter();
+    const selected = requested.slice(0, config.maxTickers);
+
+    if (selected.length === 0) {
+      console.log('[MARKET-DATA] No tickers to look up');
+      return { source: 'market', adapter: adapter.name, securities: [], error: null, timestamp: new Date().toISOString() };
+    }
+
+    console.log(`[MARKET-DATA] Loading ${selected.join(', ')} (${adapter.name} adapter)`);
+    const securities = await Promise.all(selected.map(ticker => getSecurityData(adapter, ticker, config, signal)));
+
+    securities.filter(security => security.errors.length > 0).forEach(security => {
+      console.warn(`[MARKET-DATA] ⚠️  Partial data for ${security.ticker}: ${security.errors.join('; ')}`);
+    });
+
+    console.log('[MARKET-DATA] ✅ Market data loaded');
+    return { source: 'market', adapter: adapter.name, securities, error: null, timestamp: new Date().toISOString() };
+
+  } catch (error) {
+    if (isAbortError(error, signal)) {
+      console.log('[MARKET-DATA] ⏹️  Market data lookup cancelled');
+      throw error;
+    }
+
+    console.error('[MARKET-DATA] ❌ Market data lookup failed:', error.message);
+    return { source: 'market', adapter: null, securities: [], error: error.message, timestamp: new Date().toISOString() };
+  }
+}
+
+/**
+ * Forget the cached adapter (e.g. after switching fixture directories)
+ */
+function resetMarketDataAdapter() {
+  marketDataAdapter = null;
+}
+
+module.exports = {
+  getMarketData,
+  getMarketDataAdapter,
+  summarizeHistory,
+  resetMarketDataAdapter
+};
@@ -4,13 +4,14 @@
  * Handles environment variable loading and Perplexity API configuration.
  * 
  * Required Environment Variables:
- * - PERPLEXITY_API_KEY: Your Perplexity API key
+ * - PERPLEXITY_API_KEY: Your Perplexity API key (not needed with MOCK_PROVIDERS=true or CASSETTE_MODE=replay)
  * - PERPLEXITY_MODEL: Model name (default: sonar)
  * - PERPLEXITY_TEMPERATURE: Temperature for responses (default: 0.3)
  * - PERPLEXITY_MAX_TOKENS: Maximum tokens (default: 1000)
  */
 
 require('dotenv').config();
+const { isOffline } = require('../mocks/mockConfig');
 
 // Configuration object with defaults
 const config = {
@@ -29,12 +30,15 @@ const config = {
 function validatePerplexityConfig() {
   const errors = [];
 
-  if (!config.apiKey) {
-    errors.push('PERPLEXITY_API_KEY is required');
-  }
+  // Not needed offline (MOCK_PROVIDERS=true or CASSETTE_MODE=replay)
+  if (!isOffline()) {
+    if (!config.apiKey) {
+      errors.push('PERPLEXITY_API_KEY is required');
+    }
 
-  if (config.apiKey === 'your_perplexity_api_key_here') {
-    errors.push('Please set a valid PERPLEXITY_API_KEY (not the placeholder value)');
+    if (config.apiKey === 'your_perplexity_api_key_here') {
+      errors.push('Please set a valid PERPLEXITY_API_KEY (not the placeholder value)');
+    }
   }
 
   if (config.temperature < 0 || config.temperature > 2) {
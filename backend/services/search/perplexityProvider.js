@@ -0,0 +1,51 @@
+/**
+ * Perplexity Search Provider
+ *
+ * Wraps searchWithPerplexity as a SearchProvider: one AI-synthesized,
+ * real-time answer per sub-question.
+ */
+
+const { SearchProvider } = require('./searchProvider');
+const { searchWithPerplexity, testPerplexityConnection } = require('./perplexityService');
+const { validatePerplexityConfig } = require('./perplexityConfig');
+
+class PerplexityProvider extends SearchProvider {
+  constructor() {
+    super({
+      name: 'perplexity',
+      label: 'Perplexity AI',
+      // Sonar request fee plus a typical ~1k tokens of usage
+      cost: { unit: 'request', unitsPerSearch: 1, usdPerUnit: 0.006 }
+    });
+  }
+
+  async runSearch(query, context = {}) {
+    const result = await searchWithPerplexity(query, { signal: context.signal, cacheUsage: context.cacheUsage });
+
+    if (result.error) {
+      return { items: [], error: result.error, raw: result };
+    }
+
+    return {
+      items: [{
+        source: this.name,
+        content: result.content,
+        confidence: result.confidence,
+        searchId: result.searchId
+      }],
+      raw: result
+    };
+  }
+
+  checkConfig() {
+    return validatePerplexityConfig();
+  }
+
+  async testConnection() {
+    return testPerplexityConnection();
+  }
+}
+
+module.exports = {
+  PerplexityProvider
+};
@@ -7,6 +7,11 @@
 
 const { ChatPerplexity } = require('@langchain/community/chat_models/perplexity');
 const { getPerplexityConfig, logPerplexityConfigStatus } = require('./perplexityConfig');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+const { isMockMode } = require('../mocks/mockConfig');
+const { MockPerplexityClient } = require('../mocks/mockClients');
+const { cassette, REPLAY_API_KEY } = require('../mocks/cassette');
+const { resultCache, CacheService, normalizeQuery, classifyDataType } = require('../cache/resultCache');
 
 let perplexityClient = null;
 
@@ -17,19 +22,26 @@ async function initializePerplexityClient() {
   try {
     console.log('[PERPLEXITY] Initializing Perplexity client...');
     
+    // Offline mode replays recorded responses instead of calling the API
+    if (isMockMode()) {
+      perplexityClient = new MockPerplexityClient();
+      console.log('[PERPLEXITY] ✅ Using the offline mock client (MOCK_PROVIDERS=true)');
+      return perplexityClient;
+    }
+    
     // Log configuration status
     logPerplexityConfigStatus();
     
     // Get validated configuration
     const config = getPerplexityConfig();
     
-    // Initialize the Perplexity client
-    perplexityClient = new ChatPerplexity({
-      apiKey: config.apiKey,
+    // Initialize the Perplexity client (recorded or replayed when CASSETTE_MODE is set)
+    perplexityClient = cassette.wrapChatModel('perplexity', new ChatPerplexity({
+      apiKey: config.apiKey || REPLAY_API_KEY,
       model: config.model,
       temperature: config.temperature,
       maxTokens: config.maxTokens,
-    });
+    }));
     
     console.log('[PERPLEXITY] ✅ Perplexity client initialized successfully');
     console.log(`[PERPLEXITY] Using model: ${config.model}`);
@@ -102,37 +114,56 @@ Provide specific numbers, percentages, and dates when available. Ensure all info
 
 /**
  * Perform a search using Perplexity AI
+ * @param {string} subQuestion - The research sub-question
+ * @param {Object} options - Search options; `signal` is an AbortSignal that cancels the request,
+ *   `cacheUsage` counts the run's cache hits (see cache/resultCache.js)
  */
-async function searchWithPerplexity(subQuestion) {
+async function searchWithPerplexity(subQuestion, options = {}) {
+  const { signal } = options;
+  
   try {
     console.log('[PERPLEXITY] Starting search for:', subQuestion);
+    throwIfAborted(signal);
+    
+    // Answers are cached by query, for as long as their data type stays current
+    const { value: content, fromCache, cachedAt } = await resultCache.getOrFetch(
+      CacheService.PERPLEXITY,
+      normalizeQuery(subQuestion),
+      async () => {
+        const client = await getPerplexityClient();
+        const prompt = createFinancialSearchPrompt(subQuestion);
+        
+        console.log('[PERPLEXITY] Executing search query...');
+        const response = await client.invoke(prompt, { signal });
+        return response.content;
+      },
+      { dataType: classifyDataType(subQuestion), usage: options.cacheUsage }
+    );
     
-    // Get the client
-    const client = await getPerplexityClient();
-    
-    // Create the search prompt
-    const prompt = createFinancialSearchPrompt(subQuestion);
-    
-    // Execute the search
-    console.log('[PERPLEXITY] Executing search query...');
-    const response = await client.invoke(prompt);
-    
-    console.log('[PERPLEXITY] ✅ Search completed successfully');
-    console.log('[PERPLEXITY] Response length:', response.content.length);
+    console.log(`[PERPLEXITY] ✅ Search completed successfully${fromCache ? ' (cached)' : ''}`);
+    console.log('[PERPLEXITY] Response length:', content.length);
     
     // Structure the response
     const searchResult = {
       query: subQuestion,
       source: 'perplexity',
-      content: response.content,
+      content: content,
       timestamp: new Date().toISOString(),
       confidence: 'high', // Perplexity provides real-time data
-      searchId: `pplx_${Date.now()}`
+      searchId: `pplx_${Date.now()}`,
+      fromCache,
+      cachedAt
     };
     
     return searchResult;
     
   } catch (error) {
+    // Cancellation is not a search failure: let the caller stop the run
+    if (isAbortError(error, signal)) {
+      console.log('[PERPLEXITY] ⏹️  Search cancelled');
+      throw error;
+    }
+    
     console.error('[PERPLEXITY] ❌ Search failed:', error.message);
     
     // Return error result
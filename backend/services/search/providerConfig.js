@@ -0,0 +1,64 @@
+/**
+ * Search Provider Configuration Module
+ *
+ * Handles environment variable loading for the search provider registry.
+ *
+ * Optional Environment Variables:
+ * - SEARCH_PROVIDERS: Comma-separated providers the orchestrator fans out to:
+ *   perplexity, firecrawl, edgar, market (default: perplexity,firecrawl). Without market,
+ *   live data questions are routed to full research (see routing/questionClassifier.js)
+ */
+
+require('dotenv').config();
+
+// Configuration object with defaults
+const config = {
+  enabledProviders: (process.env.SEARCH_PROVIDERS || 'perplexity,firecrawl')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+};
+
+/**
+ * Validates the search provider configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateProviderConfig() {
+  const errors = [];
+
+  if (config.enabledProviders.length === 0) {
+    errors.push('SEARCH_PROVIDERS must list at least one provider');
+  }
+
+  if (new Set(config.enabledProviders).size !== config.enabledProviders.length) {
+    errors.push('SEARCH_PROVIDERS must not list a provider twice');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated search provider configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getProviderConfig() {
+  const validation = validateProviderConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Search provider configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateProviderConfig,
+  getProviderConfig
+};
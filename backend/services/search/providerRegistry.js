@@ -0,0 +1,151 @@
+/**
+ * Search Provider Registry
+ *
+ * Keeps the search providers the orchestrator can fan out to. Built-in
+ * providers are listed in providerImplementations and switched on with
+ * SEARCH_PROVIDERS; other sources can be added at runtime with register().
+ */
+
+const { getProviderConfig } = require('./providerConfig');
+const { PerplexityProvider } = require('./perplexityProvider');
+const { FirecrawlProvider } = require('./firecrawlProvider');
+const { EdgarProvider } = require('./edgarProvider');
+const { MarketDataProvider } = require('./marketDataProvider');
+
+/**
+ * Available provider implementations, keyed by SEARCH_PROVIDERS value
+ */
+const providerImplementations = {
+  perplexity: PerplexityProvider,
+  firecrawl: FirecrawlProvider,
+  edgar: EdgarProvider,
+  market: MarketDataProvider
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.enabled = new Set();
+  }
+
+  /**
+   * Register a provider
+   * @param {SearchProvider} provider - Provider instance
+   * @param {Object} options - `enabled` (default true) includes it in searches
+   */
+  register(provider, options = {}) {
+    if (!provider || !provider.name || typeof provider.search !== 'function') {
+      throw new Error('Search providers need a name and a search(query, context) method');
+    }
+
+    this.providers.set(provider.name, provider);
+    if (options.enabled !== false) {
+      this.enabled.add(provider.name);
+    } else {
+      this.enabled.delete(provider.name);
+    }
+    return provider;
+  }
+
+  /**
+   * Remove a provider
+   */
+  unregister(name) {
+    this.enabled.delete(name);
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Get a registered provider
+   */
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Check whether a provider is registered and enabled
+   */
+  isEnabled(name) {
+    return this.providers.has(name) && this.enabled.has(name);
+  }
+
+  /**
+   * Enable or disable a registered provider
+   */
+  setEnabled(name, enabled) {
+    if (!this.providers.has(name)) {
+      return false;
+    }
+    if (enabled) {
+      this.enabled.add(name);
+    } else {
+      this.enabled.delete(name);
+    }
+    return true;
+  }
+
+  /**
+   * Get the enabled providers, in registration order
+   */
+  getEnabledProviders() {
+    return Array.from(this.providers.values()).filter(provider => this.enabled.has(provider.name));
+  }
+
+  /**
+   * Names of all registered providers
+   */
+  getProviderNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Run the health check of every registered provider
+   * @param {Object} options - Passed to each provider's healthCheck
+   */
+  async healthCheck(options = {}) {
+    return Promise.all(Array.from(this.providers.values()).map(async provider => ({
+      ...(await provider.healthCheck(options)),
+      enabled: this.enabled.has(provider.name)
+    })));
+  }
+
+  /**
+   * Describe registered providers for status endpoints
+   */
+  getMetadata() {
+    return Array.from(this.providers.values()).map(provider => ({
+      ...provider.getMetadata(),
+      enabled: this.enabled.has(provider.name)
+    }));
+  }
+}
+
+/**
+ * Create a registry with the built-in providers selected by configuration
+ * @param {Object} config - Search provider configuration
+ * @returns {ProviderRegistry} Registry instance
+ */
+function createProviderRegistry(config = getProviderConfig()) {
+  const registry = new ProviderRegistry();
+
+  Object.entries(providerImplementations).forEach(([name, ProviderClass]) => {
+    registry.register(new ProviderClass(), { enabled: config.enabledProviders.includes(name) });
+  });
+
+  config.enabledProviders
+    .filter(name => !providerImplementations[name])
+    .forEach(name => console.warn(`[PROVIDERS] ⚠️  Unknown search provider "${name}" in SEARCH_PROVIDERS`));
+
+  console.log(`[PROVIDERS] Enabled search providers: ${registry.getEnabledProviders().map(p => p.name).join(', ') || 'none'}`);
+  return registry;
+}
+
+// Create singleton instance
+const providerRegistry = createProviderRegistry();
+
+module.exports = {
+  providerImplementations,
+  ProviderRegistry,
+  createProviderRegistry,
+  providerRegistry
+};
@@ -0,0 +1,220 @@
+/**
+ * Research Loop
+ *
+ * After the first search round, asks Gemini whether the evidence covers every
+ * research sub-question and runs follow-up search rounds for the gaps, until
+ * the evidence is sufficient or the round, time or query budget is spent
+ * (see researchLoopConfig.js). Every round is recorded for the workflow steps.
+ */
+
+const { evaluateResearchCoverage } = require('../gemini/evaluationService');
+const { getResearchLoopConfig } = require('./researchLoopConfig');
+const { WorkflowEvent, emitProgress } = require('./workflowEvents');
+const { isAbortError, throwIfAborted } = require('./cancellation');
+
+// Shortest search timeout given to a follow-up round near the end of the time budget
+const MIN_ROUND_TIMEOUT = 10000;
+
+/**
+ * Why the loop stopped searching
+ */
+const ResearchStopReason = {
+  DISABLED: 'disabled',
+  SUFFICIENT: 'sufficient',
+  NO_FOLLOW_UPS: 'no_follow_ups',
+  MAX_ROUNDS: 'max_rounds',
+  TIME_BUDGET: 'time_budget',
+  QUERY_BUDGET: 'query_budget',
+  EVALUATION_FAILED: 'evaluation_failed',
+  SEARCH_FAILED: 'search_failed'
+};
+
+/**
+ * Provider items found for each query of a batch
+ * @param {Object} batch - Batch search results ({ results: [{ query, results }] })
+ * @returns {Array} [{ query, items }]
+ */
+function getBatchEvidence(batch) {
+  return (batch.results || []).map(result => ({
+    query: result.query,
+    items: result.results?.allResults || []
+  }));
+}
+
+/**
+ * Merge the batch results of several rounds into one batch
+ */
+function mergeBatchResults(batches) {
+  return {
+    batchId: batches.map(batch => batch.batchId).join('+'),
+    queries: batches.flatMap(batch => batch.queries || []),
+    results: batches.flatMap(batch => batch.results || []),
+    successful: batches.flatMap(batch => batch.successful || []),
+    failed: batches.flatMap(batch => batch.failed || []),
+    duration: batches.reduce((sum, batch) => sum + (batch.duration || 0), 0)
+  };
+}
+
+/**
+ * Describe one search round for the workflow steps
+ */
+function describeRound(round, queries, batch, startedAt) {
+  const evidence = getBatchEvidence(batch);
+  return {
+    round,
+    queries,
+    successful: batch.successful.length,
+    failed: batch.failed.length,
+    resultCount: evidence.reduce((sum, entry) => sum + entry.items.length, 0),
+    emptyQueries: evidence.filter(entry => entry.items.length === 0).map(entry => entry.query),
+    duration: Date.now() - startedAt,
+    evaluation: null
+  };
+}
+
+/**
+ * Keep the evaluation fields worth recording (the coverage is already per sub-question)
+ */
+function describeEvaluation(evaluation) {
+  return {
+    status: evaluation.status,
+    sufficient: evaluation.sufficient,
+    uncovered: evaluation.coverage
+      .filter(entry => !entry.covered)
+      .map(entry => ({ subQuestion: entry.subQuestion, missing: entry.missing })),
+    followUpQueries: evaluation.followUpQueries,
+    reasoning: evaluation.reasoning,
+    error: evaluation.error || null
+  };
+}
+
+/**
+ * Run evaluate-and-refine rounds after the first search round
+ * @param {Object} options - Loop options:
+ *   `question` the (standalone) user question, `subQuestions` from the plan,
+ *   `initialBatch` the first round's batch results, `initialStartedAt` when that round began,
+ *   `search(queries, { timeout })` runs a follow-up round and resolves to batch results,
+ *   `startTime` when the workflow started (for the time budget), `searchId`, `signal`, `onProgress`,
+ *   `evaluate` and `config` override the Gemini evaluation and the environment configuration
+ * @returns {Promise<Object>} { batch, rounds, stopReason, followUpQueriesUsed }
+ */
+async function runResearchLoop(options) {
+  const {
+    question,
+    subQuestions,
+    initialBatch,
+    search,
+    searchId,
+    signal,
+    onProgress,
+    evaluate = evaluateResearchCoverage,
+    startTime = Date.now(),
+    initialStartedAt = startTime,
+    config = getResearchLoopConfig()
+  } = options;
+
+  const batches = [initialBatch];
+  const rounds = [describeRound(1, subQuestions, initialBatch, initialStartedAt)];
+  const searched = new Set(subQuestions.map(query => query.toLowerCase()));
+  let followUpQueriesUsed = 0;
+  let stopReason = null;
+
+  while (!stopReason) {
+    const currentRound = rounds[rounds.length - 1];
+    const remainingQueries = config.maxFollowUpQueries - followUpQueriesUsed;
+
+    // Check the budgets before spending an evaluation on a round that cannot run
+    if (!config.enabled) {
+      stopReason = ResearchStopReason.DISABLED;
+      break;
+    }
+    if (rounds.length > config.maxRounds) {
+      stopReason = ResearchStopReason.MAX_ROUNDS;
+      break;
+    }
+    if (Date.now() - startTime >= config.timeBudget) {
+      stopReason = ResearchStopReason.TIME_BUDGET;
+      break;
+    }
+    if (remainingQueries <= 0) {
+      stopReason = ResearchStopReason.QUERY_BUDGET;
+      break;
+    }
+
+    throwIfAborted(signal);
+    const maxQueries = Math.min(config.queriesPerRound, remainingQueries);
+    const evaluation = await evaluate(question, subQuestions, batches.flatMap(getBatchEvidence), {
+      signal,
+      maxFollowUpQueries: maxQueries
+    });
+    currentRound.evaluation = describeEvaluation(evaluation);
+
+    if (evaluation.status === 'fallback') {
+      stopReason = ResearchStopReason.EVALUATION_FAILED;
+      break;
+    }
+    if (evaluation.sufficient) {
+      stopReason = ResearchStopReason.SUFFICIENT;
+      break;
+    }
+
+    const queries = evaluation.followUpQueries
+      .filter(query => !searched.has(query.toLowerCase()))
+      .slice(0, maxQueries);
+    if (queries.length === 0) {
+      stopReason = ResearchStopReason.NO_FOLLOW_UPS;
+      break;
+    }
+
+    const remainingTime = config.timeBudget - (Date.now() - startTime);
+    if (remainingTime <= 0) {
+      stopReason = ResearchStopReason.TIME_BUDGET;
+      break;
+    }
+
+    const round = rounds.length + 1;
+    console.log(`[RESEARCH-LOOP] Round ${round}: searching ${queries.length} follow-up queries for ` +
+      `${currentRound.evaluation.uncovered.length} uncovered sub-questions`);
+    emitProgress(onProgress, WorkflowEvent.RESEARCH_ROUND, {
+      searchId,
+      round,
+      queries,
+      uncovered: currentRound.evaluation.uncovered,
+      reasoning: evaluation.reasoning
+    });
+
+    queries.forEach(query => searched.add(query.toLowerCase()));
+    followUpQueriesUsed += queries.length;
+
+    const roundStartedAt = Date.now();
+    try {
+      const batch = await search(queries, { timeout: Math.max(remainingTime, MIN_ROUND_TIMEOUT) });
+      batches.push(batch);
+      rounds.push(describeRound(round, queries, batch, roundStartedAt));
+    } catch (error) {
+      if (isAbortError(error, signal)) {
+        throw error;
+      }
+      // Keep the evidence gathered so far rather than failing the whole run
+      console.warn(`[RESEARCH-LOOP] ⚠️  Follow-up round ${round} failed: ${error.message}`);
+      rounds.push({ round, queries, error: error.message, duration: Date.now() - roundStartedAt, evaluation: null });
+      stopReason = ResearchStopReason.SEARCH_FAILED;
+    }
+  }
+
+  console.log(`[RESEARCH-LOOP] ✅ Research finished after ${rounds.length} rounds (${stopReason})`);
+
+  return {
+    batch: mergeBatchResults(batches),
+    rounds,
+    stopReason,
+    followUpQueriesUsed
+  };
+}
+
+module.exports = {
+  ResearchStopReason,
+  runResearchLoop,
+  getBatchEvidence,
+  mergeBatchResults
+};
@@ -0,0 +1,77 @@
+/**
+ * Research Loop Configuration Module
+ * 
+ * Handles environment variable loading for the evaluate-and-refine loop that
+ * runs follow-up search rounds when the first round leaves gaps.
+ * 
+ * Environment Variables:
+ * - RESEARCH_LOOP: Evaluate coverage and run follow-up rounds, `true` or `false` (default: true)
+ * - RESEARCH_MAX_ROUNDS: Follow-up search rounds after the first one (default: 2)
+ * - RESEARCH_TIME_BUDGET: Milliseconds since the run started after which no new round begins (default: 90000)
+ * - RESEARCH_MAX_FOLLOW_UP_QUERIES: Follow-up queries across all rounds; every query fans out to
+ *   each enabled provider, so this caps the extra API cost (default: 6)
+ * - RESEARCH_QUERIES_PER_ROUND: Follow-up queries searched per round (default: 3)
+ */
+
+require('dotenv').config();
+
+// Configuration object with defaults
+const config = {
+  enabled: (process.env.RESEARCH_LOOP || 'true').toLowerCase() !== 'false',
+  maxRounds: parseInt(process.env.RESEARCH_MAX_ROUNDS) >= 0 ? parseInt(process.env.RESEARCH_MAX_ROUNDS) : 2,
+  timeBudget: parseInt(process.env.RESEARCH_TIME_BUDGET) || 90000,
+  maxFollowUpQueries: parseInt(process.env.RESEARCH_MAX_FOLLOW_UP_QUERIES) || 6,
+  queriesPerRound: parseInt(process.env.RESEARCH_QUERIES_PER_ROUND) || 3,
+};
+
+/**
+ * Validates the research loop configuration
+ * @returns {Object} Validation result with isValid boolean and errors
+ */
+function validateResearchLoopConfig() {
+  const errors = [];
+
+  if (config.maxRounds > 5) {
+    errors.push('RESEARCH_MAX_ROUNDS must be between 0 and 5');
+  }
+
+  if (config.timeBudget < 10000 || config.timeBudget > 600000) {
+    errors.push('RESEARCH_TIME_BUDGET must be between 10000ms and 600000ms');
+  }
+
+  if (config.maxFollowUpQueries < 1 || config.maxFollowUpQueries > 20) {
+    errors.push('RESEARCH_MAX_FOLLOW_UP_QUERIES must be between 1 and 20');
+  }
+
+  if (config.queriesPerRound < 1 || config.queriesPerRound > 5) {
+    errors.push('RESEARCH_QUERIES_PER_ROUND must be between 1 and 5');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config
+  };
+}
+
+/**
+ * Gets the validated research loop configuration
+ * @returns {Object} Configuration object
+ * @throws {Error} If configuration is invalid
+ */
+function getResearchLoopConfig() {
+  const validation = validateResearchLoopConfig();
+
+  if (!validation.isValid) {
+    const errorMessage = `Research loop configuration errors:\n${validation.errors.map(e => `  - ${e}`).join('\n')}`;
+    throw new Error(errorMessage);
+  }
+
+  return validation.config;
+}
+
+module.exports = {
+  config,
+  validateResearchLoopConfig,
+  getResearchLoopConfig
+};
@@ -2,9 +2,27 @@
  * Results Processor
  * 
  * This service handles collection, merging, deduplication, and structuring
- * of search results from multiple sources (Perplexity and Firecrawl).
+ * of search results from multiple search providers.
  */
 
+const { entityRecognizer, flattenEntities, EntityType } = require('../entities/entityRecognizer');
+
+// Tag prefix for each recognized entity type
+const ENTITY_TAG_PREFIXES = {
+  [EntityType.COMPANY]: 'ticker',
+  [EntityType.ETF]: 'ticker',
+  [EntityType.INDEX]: 'index',
+  [EntityType.EXCHANGE]: 'exchange',
+  [EntityType.CURRENCY]: 'currency',
+  [EntityType.MACRO_INDICATOR]: 'indicator'
+};
+
+// Characters of each result scanned for entities when tagging
+const ENTITY_SCAN_CHARS = 2000;
+
+// Relative difference below which two extracted values count as the same figure
+const FIGURE_TOLERANCE = 0.005;
+
 /**
  * Results collection and processing class
  */
@@ -38,8 +56,8 @@ class ResultsProcessor {
       // Score and rank results
       const scoredResults = this.scoreResults(deduplicatedResults, searchResults.query);
       
-      // Categorize and tag results
-      const categorizedResults = this.categorizeResults(scoredResults);
+      // Categorize and tag results; entities from the question are tagged first
+      const categorizedResults = this.categorizeResults(scoredResults, searchResults.entities);
       
       // Create structured output
       const structuredOutput = this.createStructuredOutput(
@@ -95,6 +113,8 @@ class ResultsProcessor {
         confidence: this.extractConfidence(result),
         timestamp: new Date().toISOString(),
         sourceData: result,
+        figures: this.extractFigures(result),
+        primarySource: !!result.primarySource,
         category: 'uncategorized',
         tags: [],
         qualityScore: 0,
@@ -152,6 +172,14 @@ class ResultsProcessor {
     return summary;
   }
 
+  /**
+   * Extract the typed figures read from a page (see extractionSchemas.js)
+   */
+  extractFigures(result) {
+    const figures = result.extractedData?.figures || result.data?.extractedData?.figures;
+    return Array.isArray(figures) ? figures : [];
+  }
+
   /**
    * Extract relevance score from result
    */
@@ -188,6 +216,15 @@ class ResultsProcessor {
       let isDuplicate = false;
       
       for (const existing of deduped) {
+        // Filings share boilerplate text, so primary sources are only duplicates of the same document
+        if (result.primarySource || existing.primarySource) {
+          if (result.sourceUrl && result.sourceUrl === existing.sourceUrl) {
+            isDuplicate = true;
+            break;
+          }
+          continue;
+        }
+        
         const existingTitleKey = this.normalizeText(existing.title);
         const existingContentKey = this.normalizeText(existing.content.substring(0, 100));
         
@@ -304,11 +341,13 @@ class ResultsProcessor {
 
   /**
    * Categorize and tag results
+   * @param {Array} results - Scored results
+   * @param {Object} questionEntities - Entities recognized in the user's question (optional)
    */
-  categorizeResults(results) {
+  categorizeResults(results, questionEntities = null) {
     return results.map(result => {
       const category = this.determineCategory(result);
-      const tags = this.generateTags(result);
+      const tags = this.generateTags(result, questionEntities);
       
       return {
         ...result,
@@ -326,6 +365,16 @@ class ResultsProcessor {
     const title = result.title.toLowerCase();
     const text = content + ' ' + title;
     
+    // Providers that know what their data is (e.g. market data) set the category themselves
+    if (result.sourceData?.category) {
+      return result.sourceData.category;
+    }
+    
+    // Regulatory filings and reported fundamentals
+    if (result.primarySource) {
+      return 'company_filings';
+    }
+    
     // Financial categories
     if (text.match(/interest rate|fed rate|federal reserve|monetary policy/)) {
       return 'interest_rates';
@@ -351,8 +400,10 @@ class ResultsProcessor {
 
   /**
    * Generate relevant tags
+   * @param {Object} result - Normalized result
+   * @param {Object} questionEntities - Entities recognized in the user's question (optional)
    */
-  generateTags(result) {
+  generateTags(result, questionEntities = null) {
     const tags = [];
     const content = result.content.toLowerCase();
     const title = result.title.toLowerCase();
@@ -360,6 +411,9 @@ class ResultsProcessor {
     
     // Source tags
     tags.push(`source:${result.source}`);
+    if (result.primarySource) {
+      tags.push('type:primary_source');
+    }
     
     // Content type tags
     if (result.sourceUrl) {
@@ -367,14 +421,28 @@ class ResultsProcessor {
       if (domain) tags.push(`domain:${domain}`);
     }
     
-    // Financial entity tags
-    const entities = [
-      'federal reserve', 'fed', 'treasury', 'sec', 'nasdaq', 'nyse',
-      'dow jones', 's&p 500', 'russell', 'bloomberg', 'reuters'
-    ];
+    // Entity tags (ticker:AAPL, index:SPX, indicator:CPI ...), question entities first
+    const recognized = entityRecognizer.recognize(
+      `${result.title}\n${result.content.slice(0, ENTITY_SCAN_CHARS)}`,
+      { fuzzy: false }
+    );
+    const questionKeys = new Set(flattenEntities(questionEntities).map(entity => `${entity.type}:${entity.symbol}`));
+    const resultEntities = flattenEntities(recognized);
+    [
+      ...resultEntities.filter(entity => questionKeys.has(`${entity.type}:${entity.symbol}`)),
+      ...resultEntities.filter(entity => !questionKeys.has(`${entity.type}:${entity.symbol}`))
+    ].forEach(entity => {
+      const tag = `${ENTITY_TAG_PREFIXES[entity.type]}:${entity.symbol}`;
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+    });
     
-    entities.forEach(entity => {
-      if (text.includes(entity)) {
+    // Institutions that are not in the symbol directory
+    const institutions = ['federal reserve', 'treasury', 'sec', 'bloomberg', 'reuters'];
+    
+    institutions.forEach(entity => {
+      if (new RegExp(`\\b${entity}\\b`).test(text)) {
         tags.push(`entity:${entity.replace(/\s+/g, '_')}`);
       }
     });
@@ -417,6 +485,7 @@ class ResultsProcessor {
         items: processedResults,
         categories: this.groupByCategory(processedResults),
         topResult: processedResults[0] || null,
+        figures: this.mergeFigures(processedResults),
         highConfidenceResults: processedResults.filter(r => r.confidence === 'high'),
         averageQuality: this.calculateAverageQuality(processedResults)
       },
@@ -425,11 +494,82 @@ class ResultsProcessor {
         deduplicationApplied: true,
         qualityScored: true,
         sourcesUsed: [...new Set(processedResults.map(r => r.source))],
+        entities: originalResults.entities || null,
         confidenceDistribution: this.getConfidenceDistribution(processedResults)
       }
     };
   }
 
+  /**
+   * Merge the figures extracted from all results
+   *
+   * Figures about the same entity, field and period are merged into one entry
+   * listing every result that reported it. When results disagree, the value
+   * reported most often (then the most recent) is kept and the entry is marked
+   * as a conflict with all reported values.
+   * @param {Array} results - Processed results, best first
+   * @returns {Array} { schema, field, label, entity, period, value, unit, asOf, resultIds, conflict, values }
+   */
+  mergeFigures(results) {
+    const groups = new Map();
+    
+    results.forEach(result => {
+      (result.figures || []).forEach(figure => {
+        const key = [figure.entity, figure.schema, figure.field, figure.period]
+          .map(part => String(part || '').toLowerCase().replace(/[^a-z0-9]+/g, ''))
+          .join('|');
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push({ ...figure, resultId: result.id });
+      });
+    });
+    
+    return [...groups.values()].map(reports => {
+      // Reports agreeing on the value (within FIGURE_TOLERANCE, in the same unit)
+      const values = [];
+      reports.forEach(report => {
+        const same = values.find(value => this.isSameFigure(value, report));
+        if (same) {
+          same.resultIds.push(report.resultId);
+          same.asOf = [same.asOf, report.asOf].filter(Boolean).sort().pop() || null;
+        } else {
+          values.push({ value: report.value, unit: report.unit, asOf: report.asOf, resultIds: [report.resultId] });
+        }
+      });
+      
+      const chosen = [...values].sort((a, b) =>
+        b.resultIds.length - a.resultIds.length || String(b.asOf || '').localeCompare(String(a.asOf || ''))
+      )[0];
+      const first = reports[0];
+      
+      return {
+        schema: first.schema,
+        field: first.field,
+        label: first.label,
+        entity: first.entity,
+        period: first.period,
+        value: chosen.value,
+        unit: chosen.unit,
+        asOf: chosen.asOf,
+        resultIds: [...new Set(reports.map(report => report.resultId))],
+        conflict: values.length > 1,
+        values
+      };
+    });
+  }
+
+  /**
+   * Whether two reports of a figure have the same value
+   */
+  isSameFigure(a, b) {
+    if (String(a.unit || '').toLowerCase() !== String(b.unit || '').toLowerCase()) {
+      return false;
+    }
+    const scale = Math.max(Math.abs(a.value), Math.abs(b.value));
+    return scale === 0 || Math.abs(a.value - b.value) / scale <= FIGURE_TOLERANCE;
+  }
+
   /**
    * Group results by category
    */
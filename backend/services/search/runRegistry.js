@@ -0,0 +1,131 @@
+/**
+ * Research Run Registry
+ *
+ * Tracks in-flight research runs and owns the AbortController of each one,
+ * so a run can be cancelled when the client disconnects or explicitly asks
+ * to stop it (DELETE /api/chat/runs/:id).
+ */
+
+// Client-supplied run ids must look like the ones we generate
+const RUN_ID_PATTERN = /^run_[a-z0-9_-]{1,64}$/i;
+
+/**
+ * Run status enumeration
+ */
+const RunStatus = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+class RunRegistry {
+  constructor() {
+    this.runs = new Map();
+  }
+
+  /**
+   * Generate a new run id
+   */
+  generateId() {
+    return `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Check whether a client-supplied run id is acceptable
+   */
+  isValidRunId(runId) {
+    return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+  }
+
+  /**
+   * Register a new run
+   * @param {Object} details - { runId, question, conversationId }
+   * @returns {Object} The run, including its AbortSignal
+   * @throws {Error} If a run with the same id is already active
+   */
+  startRun(details = {}) {
+    const runId = details.runId || this.generateId();
+
+    if (this.runs.has(runId)) {
+      throw new Error(`Run ${runId} is already active`);
+    }
+
+    const controller = new AbortController();
+    const run = {
+      runId,
+      question: details.question || null,
+      conversationId: details.conversationId || null,
+      status: RunStatus.RUNNING,
+      startTime: Date.now(),
+      controller,
+      signal: controller.signal
+    };
+
+    this.runs.set(runId, run);
+    console.log(`[RUNS] Started run ${runId}`);
+    return run;
+  }
+
+  /**
+   * Cancel an active run
+   * @param {string} runId - The run id
+   * @param {string} reason - Why the run was cancelled
+   * @returns {boolean} True if an active run was cancelled
+   */
+  cancelRun(runId, reason = 'Research run cancelled') {
+    const run = this.runs.get(runId);
+    if (!run || run.status !== RunStatus.RUNNING) {
+      return false;
+    }
+
+    run.status = RunStatus.CANCELLED;
+    run.cancelReason = reason;
+    run.controller.abort(reason);
+    console.log(`[RUNS] ⏹️  Run ${runId} cancelled: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Mark a run as finished and stop tracking it
+   */
+  finishRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) {
+      return;
+    }
+
+    if (run.status === RunStatus.RUNNING) {
+      run.status = RunStatus.COMPLETED;
+    }
+    this.runs.delete(runId);
+  }
+
+  /**
+   * Get an active run
+   */
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * List active runs
+   */
+  getActiveRuns() {
+    return Array.from(this.runs.values()).map(run => ({
+      runId: run.runId,
+      question: run.question,
+      conversationId: run.conversationId,
+      status: run.status,
+      duration: Date.now() - run.startTime
+    }));
+  }
+}
+
+// Create singleton instance
+const runRegistry = new RunRegistry();
+
+module.exports = {
+  RunRegistry,
+  runRegistry,
+  RunStatus
+};
@@ -0,0 +1,252 @@
+/**
+ * Scrape Scheduler
+ *
+ * Runs the Firecrawl scrapes of every query through one queue, so a question
+ * whose sub-questions are searched in parallel still respects:
+ *   - a global concurrency limit (FIRECRAWL_CONCURRENCY),
+ *   - per-domain politeness: at most FIRECRAWL_DOMAIN_CONCURRENCY scrapes of a
+ *     domain at once, started FIRECRAWL_DOMAIN_INTERVAL apart,
+ *   - backoff: rate-limited and transient failures are retried after
+ *     FIRECRAWL_BACKOFF, doubled per retry, and hold back the whole domain,
+ *   - deduplication: a URL that is already queued or being scraped is not
+ *     requested again; later callers share the pending result.
+ * Each result comes with its timing (queue wait, scrape duration, attempts).
+ */
+
+const { createAbortError, raceWithAbort } = require('./cancellation');
+const { config: firecrawlConfig } = require('./firecrawlConfig');
+const { isOffline } = require('../mocks/mockConfig');
+
+// Longest wait before a retry
+const MAX_BACKOFF = 30000;
+
+// HTTP statuses worth retrying: timeouts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_MESSAGE = /rate limit|too many requests|timed? ?out|ECONNRESET|ETIMEDOUT|socket hang up/i;
+
+/**
+ * Domain a URL is rate limited under ("www." is ignored)
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Whether a failed scrape may succeed when retried
+ */
+function isRetryableError(error) {
+  const status = error?.statusCode ?? error?.status;
+  return RETRYABLE_STATUSES.includes(status) || RETRYABLE_MESSAGE.test(error?.message || '');
+}
+
+class ScrapeScheduler {
+  /**
+   * @param {Object} options - `concurrency`, `domainConcurrency`, `domainInterval` (ms), `backoff` (ms)
+   *   and `maxAttempts`; defaults come from firecrawlConfig.js (no waits offline)
+   */
+  constructor(options = {}) {
+    const offline = isOffline();
+    this.concurrency = options.concurrency || firecrawlConfig.concurrency;
+    this.domainConcurrency = options.domainConcurrency || firecrawlConfig.domainConcurrency;
+    this.domainInterval = options.domainInterval ?? (offline ? 0 : firecrawlConfig.domainInterval);
+    this.backoff = options.backoff ?? (offline ? 0 : firecrawlConfig.backoff);
+    this.maxAttempts = options.maxAttempts || firecrawlConfig.maxRetries;
+
+    this.queue = [];
+    this.pending = new Map();
+    this.domains = new Map();
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Scrape state of a domain
+   */
+  getDomainState(domain) {
+    if (!this.domains.has(domain)) {
+      this.domains.set(domain, { active: 0, nextStartAt: 0 });
+    }
+    return this.domains.get(domain);
+  }
+
+  /**
+   * Queue a scrape, or join the pending scrape of the same URL
+   * @param {string} key - Deduplication key (the normalized URL)
+   * @param {string} url - URL, for its domain
+   * @param {Function} task - Performs the scrape; resolves to the response
+   * @param {Object} options - `signal` stops this caller waiting (the scrape is dropped
+   *   if nobody is waiting for it by the time it would start)
+   * @returns {Promise<Object>} { value, timing } where `timing` is
+   *   { queuedAt, startedAt, waitMs, durationMs, totalMs, attempts, deduplicated }
+   * @throws {Error} The scrape's last error, or an AbortError when cancelled
+   */
+  async schedule(key, url, task, options = {}) {
+    const { signal } = options;
+    let job = this.pending.get(key);
+    const deduplicated = !!job;
+
+    if (job) {
+      console.log(`[FIRECRAWL] Joining pending scrape of ${url}`);
+    } else {
+      job = {
+        key,
+        domain: getDomain(url),
+        task,
+        waiters: 0,
+        attempts: 0,
+        queuedAt: Date.now(),
+        startedAt: null
+      };
+      job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+      });
+      // Each caller handles the outcome; this keeps a dropped job from being an unhandled rejection
+      job.promise.catch(() => {});
+      this.pending.set(key, job);
+      this.queue.push(job);
+    }
+
+    job.waiters++;
+    this.pump();
+
+    try {
+      const { value, timing } = await raceWithAbort(job.promise, signal);
+      return { value, timing: { ...timing, deduplicated } };
+    } finally {
+      job.waiters--;
+      if (job.waiters === 0 && this.queue.includes(job)) {
+        this.pump();
+      }
+    }
+  }
+
+  /**
+   * Start every queued scrape the limits allow, and wake up when the next one may start
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let nextWakeUp = Infinity;
+
+    for (const job of [...this.queue]) {
+      if (this.active >= this.concurrency) {
+        return;
+      }
+
+      // Nobody is waiting for this scrape any more
+      if (job.waiters === 0) {
+        this.finish(job);
+        job.reject(createAbortError('Scrape cancelled'));
+        continue;
+      }
+
+      const domain = this.getDomainState(job.domain);
+      if (domain.active >= this.domainConcurrency) {
+        continue;
+      }
+      if (domain.nextStartAt > now) {
+        nextWakeUp = Math.min(nextWakeUp, domain.nextStartAt);
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.run(job, domain);
+    }
+
+    if (nextWakeUp !== Infinity) {
+      this.timer = setTimeout(() => this.pump(), nextWakeUp - now);
+    }
+  }
+
+  /**
+   * Make one attempt at a scrape; retryable failures go back to the front of the queue
+   */
+  async run(job, domain) {
+    const startedAt = Date.now();
+    job.startedAt = job.startedAt || startedAt;
+    job.attempts++;
+    this.active++;
+    domain.active++;
+    domain.nextStartAt = startedAt + this.domainInterval;
+
+    try {
+      const value = await job.task();
+      this.finish(job);
+      job.resolve({ value, timing: this.createTiming(job, startedAt) });
+    } catch (error) {
+      if (job.attempts < this.maxAttempts && isRetryableError(error)) {
+        // Back off the whole domain, since it is the one refusing requests
+        const delay = Math.min(this.backoff * 2 ** (job.attempts - 1), MAX_BACKOFF);
+        domain.nextStartAt = Math.max(domain.nextStartAt, Date.now() + delay);
+        console.warn(`[FIRECRAWL] ⚠️  Scrape of ${job.domain} failed (${error.message}), retrying in ${delay}ms`);
+        this.queue.unshift(job);
+      } else {
+        this.finish(job);
+        error.timing = this.createTiming(job, startedAt);
+        job.reject(error);
+      }
+    } finally {
+      this.active--;
+      domain.active--;
+      this.pump();
+    }
+  }
+
+  /**
+   * Stop deduplicating a job once it is settled or dropped
+   */
+  finish(job) {
+    if (this.pending.get(job.key) === job) {
+      this.pending.delete(job.key);
+    }
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  /**
+   * Timing of a scrape: time spent queued, duration of the last attempt and in total
+   */
+  createTiming(job, lastStartedAt) {
+    const endedAt = Date.now();
+    return {
+      queuedAt: new Date(job.queuedAt).toISOString(),
+      startedAt: new Date(job.startedAt).toISOString(),
+      waitMs: job.startedAt - job.queuedAt,
+      durationMs: endedAt - lastStartedAt,
+      totalMs: endedAt - job.queuedAt,
+      attempts: job.attempts
+    };
+  }
+
+  /**
+   * Describe the queue for status endpoints and tests
+   */
+  getStatus() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      concurrency: this.concurrency,
+      domainConcurrency: this.domainConcurrency,
+      domainInterval: this.domainInterval
+    };
+  }
+}
+
+// Create singleton instance
+const scrapeScheduler = new ScrapeScheduler();
+
+module.exports = {
+  ScrapeScheduler,
+  scrapeScheduler,
+  getDomain,
+  isRetryableError
+};
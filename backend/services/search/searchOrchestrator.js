@@ -2,25 +2,23 @@
  * Search Orchestrator
  * 
  * This service orchestrates parallel execution of searches across 
- * both Perplexity and Firecrawl to maximize data gathering efficiency.
+ * every enabled search provider (see providerRegistry.js) to maximize
+ * data gathering efficiency.
  */
 
-const { 
-  searchWithPerplexity, 
-  searchMultipleQuestions: perplexityBatchSearch 
-} = require('./perplexityService');
+const { providerRegistry } = require('./providerRegistry');
+const { WorkflowEvent, emitProgress } = require('./workflowEvents');
+const { createAbortError, isAbortError, throwIfAborted, abortableDelay } = require('./cancellation');
+const { orderPlanSteps, isSearchStep, formatDependencyContext } = require('../gemini/planGraph');
 
-const { 
-  extractDataForQuery, 
-  extractDataForMultipleQueries: firecrawlBatchExtraction 
-} = require('./firecrawlService');
+// Result items of a plan step summarized for the steps that depend on it
+const STEP_OUTPUT_ITEMS = 3;
+const STEP_OUTPUT_ITEM_CHARS = 300;
 
 /**
  * Search orchestrator configuration
  */
 const orchestratorConfig = {
-  enablePerplexity: true,
-  enableFirecrawl: true,
   parallelExecution: true,
   timeout: 120000, // 2 minutes total timeout
   maxConcurrentQueries: 3,
@@ -44,68 +42,96 @@ const SearchStatus = {
  * SearchOrchestrator class to manage parallel search operations
  */
 class SearchOrchestrator {
-  constructor(config = orchestratorConfig) {
+  constructor(config = orchestratorConfig, registry = providerRegistry) {
     this.config = { ...orchestratorConfig, ...config };
+    this.registry = registry;
     this.activeSearches = new Map();
     this.searchQueue = [];
     this.isProcessing = false;
   }
 
   /**
-   * Execute a single search across both platforms in parallel
+   * Get the providers a search should fan out to
+   * @param {Object} options - `providers` lists provider names to use; otherwise every enabled
+   *   provider is used unless switched off with an `enable<Name>: false` flag (e.g. enableFirecrawl)
+   * @returns {Array} SearchProvider instances
+   */
+  getSearchProviders(options = {}) {
+    return this.registry.getEnabledProviders().filter(provider => {
+      if (Array.isArray(options.providers)) {
+        return options.providers.includes(provider.name);
+      }
+      const flag = `enable${provider.name.charAt(0).toUpperCase()}${provider.name.slice(1)}`;
+      return (options[flag] ?? this.config[flag]) !== false;
+    });
+  }
+
+  /**
+   * Execute a single search across all enabled providers in parallel
+   * @param {string} query - The research sub-question
+   * @param {Object} options - Search options; `signal` cancels the search, `onProgress` receives WorkflowEvent updates,
+   *   `providers` / `enable<Name>` select providers (see getSearchProviders), `entities` are passed to every provider,
+   *   `priorFindings` summarizes what earlier plan steps found (see executePlanSteps), `cacheUsage` counts the run's cache hits
    */
   async executeParallelSearch(query, options = {}) {
     const searchId = `search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     console.log(`[ORCHESTRATOR] Starting parallel search ${searchId} for: "${query}"`);
+    throwIfAborted(options.signal);
+    
+    // Per-search controller: aborted by the caller's signal, a timeout or cancelSearch()
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort(options.signal.reason);
+    options.signal?.addEventListener('abort', onParentAbort, { once: true });
+    let timeoutId = null;
     
+    const providers = this.getSearchProviders(options);
     const searchOperation = {
       id: searchId,
       query: query,
       status: SearchStatus.IN_PROGRESS,
       startTime: Date.now(),
       timeout: options.timeout || this.config.timeout,
-      enablePerplexity: options.enablePerplexity ?? this.config.enablePerplexity,
-      enableFirecrawl: options.enableFirecrawl ?? this.config.enableFirecrawl,
+      providers: providers.map(provider => provider.name),
       results: {
-        perplexity: null,
-        firecrawl: null,
+        byProvider: {},
         combined: null
       },
-      errors: {}
+      errors: {},
+      controller: controller
     };
 
     this.activeSearches.set(searchId, searchOperation);
 
     try {
-      const searchPromises = [];
-      
-      // Add Perplexity search if enabled
-      if (searchOperation.enablePerplexity) {
-        const perplexityPromise = this.executePerplexitySearch(query, searchId);
-        searchPromises.push(perplexityPromise);
-      }
-      
-      // Add Firecrawl search if enabled
-      if (searchOperation.enableFirecrawl) {
-        const firecrawlPromise = this.executeFirecrawlSearch(query, searchId);
-        searchPromises.push(firecrawlPromise);
-      }
-
-      if (searchPromises.length === 0) {
+      if (providers.length === 0) {
         throw new Error('No search providers enabled');
       }
 
-      // Execute searches in parallel with timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Search timeout')), searchOperation.timeout)
+      // Fan out to every selected provider
+      const searchPromises = providers.map(provider =>
+        this.executeProviderSearch(provider, query, searchId, options.onProgress, controller.signal, options.entities,
+          options.priorFindings, options.cacheUsage)
       );
 
+      // Execute searches in parallel with timeout; timing out also stops the in-flight calls
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+          reject(new Error('Search timeout'));
+          controller.abort('Search timeout');
+        }, searchOperation.timeout);
+      });
+
       await Promise.race([
         Promise.allSettled(searchPromises),
         timeoutPromise
       ]);
 
+      // The run was cancelled while the providers were working
+      if (options.signal?.aborted || searchOperation.status === SearchStatus.CANCELLED) {
+        throw createAbortError(options.signal?.reason || 'Search cancelled');
+      }
+
       // Combine results
       const combinedResults = this.combineSearchResults(searchOperation);
       searchOperation.results.combined = combinedResults;
@@ -121,13 +147,17 @@ class SearchOrchestrator {
         results: combinedResults,
         duration: searchOperation.duration,
         status: SearchStatus.COMPLETED,
-        sources: {
-          perplexity: !!searchOperation.results.perplexity,
-          firecrawl: !!searchOperation.results.firecrawl
-        }
+        sources: this.getSourceAvailability(searchOperation)
       };
 
     } catch (error) {
+      if (isAbortError(error)) {
+        console.log(`[ORCHESTRATOR] ⏹️  Parallel search ${searchId} cancelled`);
+        searchOperation.status = SearchStatus.CANCELLED;
+        searchOperation.endTime = Date.now();
+        throw error;
+      }
+      
       console.error(`[ORCHESTRATOR] ❌ Parallel search ${searchId} failed:`, error.message);
       
       searchOperation.status = error.message.includes('timeout') ? SearchStatus.TIMEOUT : SearchStatus.FAILED;
@@ -145,6 +175,9 @@ class SearchOrchestrator {
 
       throw error;
     } finally {
+      clearTimeout(timeoutId);
+      options.signal?.removeEventListener('abort', onParentAbort);
+      
       // Clean up after a delay
       setTimeout(() => {
         this.activeSearches.delete(searchId);
@@ -153,52 +186,58 @@ class SearchOrchestrator {
   }
 
   /**
-   * Execute Perplexity search with error handling
+   * Execute one provider's search with error handling
+   * @param {Object} entities - Entities recognized in the user's question (optional)
+   * @param {string} priorFindings - What the plan steps this search depends on found (optional)
+   * @param {Object} cacheUsage - Counts the run's cache hits (optional, see cache/resultCache.js)
+   * @returns {Promise<Object|null>} The provider result, or null if the provider threw
    */
-  async executePerplexitySearch(query, searchId) {
-    try {
-      const result = await searchWithPerplexity(query);
-      
-      const operation = this.activeSearches.get(searchId);
-      if (operation) {
-        operation.results.perplexity = result;
-      }
-      
-      return result;
-      
-    } catch (error) {
-      console.error(`[ORCHESTRATOR] ❌ Perplexity search failed for ${searchId}:`, error.message);
-      
-      const operation = this.activeSearches.get(searchId);
-      if (operation) {
-        operation.errors.perplexity = error.message;
-      }
-      
-      return null;
-    }
-  }
+  async executeProviderSearch(provider, query, searchId, onProgress, signal, entities = null, priorFindings = null,
+    cacheUsage = null) {
+    const startTime = Date.now();
+    emitProgress(onProgress, WorkflowEvent.SEARCH_START, { searchId, query, provider: provider.name });
 
-  /**
-   * Execute Firecrawl search with error handling
-   */
-  async executeFirecrawlSearch(query, searchId) {
     try {
-      const result = await extractDataForQuery(query);
+      const result = await provider.search(query, { signal, searchId, entities, priorFindings, cacheUsage });
       
       const operation = this.activeSearches.get(searchId);
       if (operation) {
-        operation.results.firecrawl = result;
+        operation.results.byProvider[provider.name] = result;
       }
+
+      emitProgress(onProgress, WorkflowEvent.SEARCH_COMPLETE, {
+        searchId,
+        query,
+        provider: provider.name,
+        success: !result.error && result.items.length > 0,
+        resultCount: result.items.length,
+        duration: Date.now() - startTime,
+        error: result.error
+      });
       
       return result;
       
     } catch (error) {
-      console.error(`[ORCHESTRATOR] ❌ Firecrawl search failed for ${searchId}:`, error.message);
+      const cancelled = isAbortError(error, signal);
+      if (!cancelled) {
+        console.error(`[ORCHESTRATOR] ❌ ${provider.label} search failed for ${searchId}:`, error.message);
+      }
       
       const operation = this.activeSearches.get(searchId);
       if (operation) {
-        operation.errors.firecrawl = error.message;
+        operation.errors[provider.name] = error.message;
       }
+
+      emitProgress(onProgress, WorkflowEvent.SEARCH_COMPLETE, {
+        searchId,
+        query,
+        provider: provider.name,
+        success: false,
+        cancelled: cancelled,
+        resultCount: 0,
+        duration: Date.now() - startTime,
+        error: error.message
+      });
       
       return null;
     }
@@ -219,13 +258,16 @@ class SearchOrchestrator {
     
     // Process queries in chunks to control concurrency
     for (let i = 0; i < queries.length; i += maxConcurrent) {
+      // Stop scheduling new chunks once the run is cancelled
+      throwIfAborted(options.signal);
+      
       const chunk = queries.slice(i, i + maxConcurrent);
       
       const chunkPromises = chunk.map(query => 
         this.executeParallelSearch(query, options)
           .catch(error => ({
             query: query,
-            status: SearchStatus.FAILED,
+            status: isAbortError(error) ? SearchStatus.CANCELLED : SearchStatus.FAILED,
             error: error.message,
             results: null
           }))
@@ -233,10 +275,11 @@ class SearchOrchestrator {
       
       const chunkResults = await Promise.all(chunkPromises);
       results.push(...chunkResults);
+      throwIfAborted(options.signal);
       
       // Add delay between chunks to respect rate limits
       if (i + maxConcurrent < queries.length) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        await abortableDelay(2000, options.signal);
       }
     }
     
@@ -257,10 +300,127 @@ class SearchOrchestrator {
   }
 
   /**
-   * Combine results from both search sources
+   * Execute the steps of a research plan in dependency order
+   *
+   * Search steps (lookup, compare) whose dependencies are done run in parallel, each on its
+   * preferred providers, and receive a summary of what their dependencies found. Compute and
+   * summarize steps are not searched; they are returned with their dependencies' findings
+   * for the answering model.
+   * @param {Array} steps - Normalized plan steps (see planGraph.js)
+   * @param {Object} options - Search options as for executeParallelSearch, plus `maxConcurrent`
+   * @returns {Promise<Object>} Batch results ({ batchId, queries, results, successful, failed, duration })
+   *   plus `steps`, the execution record of every step
+   */
+  async executePlanSteps(steps, options = {}) {
+    const batchId = `plan_${Date.now()}`;
+    const batchStartTime = Date.now();
+    const maxConcurrent = options.maxConcurrent || this.config.maxConcurrentQueries;
+    const levels = orderPlanSteps(steps);
+    const stepsById = new Map(steps.map(step => [step.id, step]));
+    const outputs = new Map();
+    const executions = new Map();
+    const results = [];
+    
+    console.log(`[ORCHESTRATOR] Starting plan ${batchId}: ${steps.length} steps in ${levels.length} levels`);
+    
+    for (const level of levels) {
+      level.filter(step => !isSearchStep(step)).forEach(step => {
+        executions.set(step.id, {
+          ...step,
+          status: 'deferred',
+          priorFindings: formatDependencyContext(step, outputs, stepsById) || null
+        });
+      });
+      
+      const searchSteps = level.filter(isSearchStep);
+      for (let i = 0; i < searchSteps.length; i += maxConcurrent) {
+        throwIfAborted(options.signal);
+        
+        const chunk = searchSteps.slice(i, i + maxConcurrent);
+        const chunkResults = await Promise.all(chunk.map(step => this.executePlanStep(step, outputs, stepsById, options)));
+        
+        chunkResults.forEach(({ step, result, priorFindings }) => {
+          const output = this.summarizeStepOutput(result);
+          outputs.set(step.id, output);
+          executions.set(step.id, {
+            ...step,
+            status: result.status,
+            providers: result.providersUsed,
+            priorFindings,
+            resultCount: result.results?.allResults?.length || 0,
+            output
+          });
+          results.push({ ...result, stepId: step.id });
+        });
+        throwIfAborted(options.signal);
+        
+        // Add delay between chunks to respect rate limits
+        if (i + maxConcurrent < searchSteps.length) {
+          await abortableDelay(2000, options.signal);
+        }
+      }
+    }
+    
+    const batchDuration = Date.now() - batchStartTime;
+    console.log(`[ORCHESTRATOR] ✅ Plan ${batchId} completed in ${batchDuration}ms`);
+    return {
+      batchId: batchId,
+      queries: results.map(result => result.query),
+      results: results,
+      successful: results.filter(r => r.status === SearchStatus.COMPLETED),
+      failed: results.filter(r => r.status !== SearchStatus.COMPLETED),
+      steps: steps.map(step => executions.get(step.id)),
+      duration: batchDuration,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Search one plan step on its preferred providers with the findings of its dependencies
+   * @returns {Promise<Object>} { step, result, priorFindings }
+   */
+  async executePlanStep(step, outputs, stepsById, options) {
+    const available = this.getSearchProviders(options).map(provider => provider.name);
+    const preferred = step.providers.filter(name => available.includes(name));
+    const providers = preferred.length > 0 ? preferred : available;
+    const priorFindings = formatDependencyContext(step, outputs, stepsById) || null;
+    
+    try {
+      const result = await this.executeParallelSearch(step.query, { ...options, providers, priorFindings });
+      return { step, result: { ...result, providersUsed: providers }, priorFindings };
+    } catch (error) {
+      if (isAbortError(error, options.signal)) {
+        throw error;
+      }
+      return {
+        step,
+        result: { query: step.query, status: SearchStatus.FAILED, error: error.message, results: null, providersUsed: providers },
+        priorFindings
+      };
+    }
+  }
+
+  /**
+   * Summarize what a plan step found, for the steps that depend on it
+   * @returns {string} Short summary of the top result items (empty if nothing was found)
+   */
+  summarizeStepOutput(result) {
+    return (result.results?.allResults || [])
+      .slice(0, STEP_OUTPUT_ITEMS)
+      .map(item => {
+        const content = String(item.content || '').replace(/\s+/g, ' ').trim().slice(0, STEP_OUTPUT_ITEM_CHARS);
+        return item.title ? `${item.title}: ${content}` : content;
+      })
+      .filter(Boolean)
+      .join(' | ');
+  }
+
+  /**
+   * Combine the normalized items of every provider that returned results
    */
   combineSearchResults(searchOperation) {
-    const { perplexity, firecrawl } = searchOperation.results;
+    const providerResults = Object.values(searchOperation.results.byProvider || {})
+      .filter(result => result && result.items && result.items.length > 0);
     
     const combined = {
       query: searchOperation.query,
@@ -269,40 +429,17 @@ class SearchOrchestrator {
       allResults: [],
       summary: {
         totalSources: 0,
-        perplexityAvailable: !!perplexity && !perplexity.error,
-        firecrawlAvailable: !!firecrawl && firecrawl.successful && firecrawl.successful.length > 0,
+        providersAvailable: this.getSourceAvailability(searchOperation),
         combinedConfidence: 0
       },
       timestamp: new Date().toISOString()
     };
 
-    // Add Perplexity results
-    if (perplexity && !perplexity.error) {
-      combined.sources.push('perplexity');
-      combined.allResults.push({
-        source: 'perplexity',
-        content: perplexity.content,
-        confidence: perplexity.confidence,
-        searchId: perplexity.searchId
-      });
-      combined.summary.totalSources++;
-    }
-
-    // Add Firecrawl results
-    if (firecrawl && firecrawl.successful && firecrawl.successful.length > 0) {
-      combined.sources.push('firecrawl');
-      firecrawl.successful.forEach(result => {
-        combined.allResults.push({
-          source: 'firecrawl',
-          title: result.data?.title,
-          url: result.data?.url,
-          content: result.data?.content,
-          relevanceScore: result.data?.relevanceScore,
-          extractedData: result.data?.extractedData
-        });
-      });
+    providerResults.forEach(result => {
+      combined.sources.push(result.provider);
+      combined.allResults.push(...result.items);
       combined.summary.totalSources++;
-    }
+    });
 
     // Calculate combined confidence
     if (combined.allResults.length > 0) {
@@ -315,16 +452,24 @@ class SearchOrchestrator {
     return combined;
   }
 
+  /**
+   * Which providers returned usable results, keyed by provider name
+   */
+  getSourceAvailability(searchOperation) {
+    const availability = {};
+    (searchOperation.providers || Object.keys(searchOperation.results.byProvider || {})).forEach(name => {
+      const result = searchOperation.results.byProvider?.[name];
+      availability[name] = !!result && !result.error && result.items.length > 0;
+    });
+    return availability;
+  }
+
   /**
    * Create fallback results from partial data
    */
   createFallbackResults(searchOperation) {
-    const { perplexity, firecrawl } = searchOperation.results;
-    
-    // If we have at least one successful result, create fallback
-    if ((perplexity && !perplexity.error) || 
-        (firecrawl && firecrawl.successful && firecrawl.successful.length > 0)) {
-      
+    // If at least one provider returned results, create fallback
+    if (Object.values(this.getSourceAvailability(searchOperation)).some(Boolean)) {
       const combinedResults = this.combineSearchResults(searchOperation);
       
       return {
@@ -341,12 +486,13 @@ class SearchOrchestrator {
   }
 
   /**
-   * Cancel an active search
+   * Cancel an active search, aborting its in-flight provider calls
    */
   cancelSearch(searchId) {
     const operation = this.activeSearches.get(searchId);
-    if (operation) {
+    if (operation && operation.status === SearchStatus.IN_PROGRESS) {
       operation.status = SearchStatus.CANCELLED;
+      operation.controller.abort('Search cancelled');
       console.log(`[ORCHESTRATOR] ⏹️  Search ${searchId} cancelled`);
       return true;
     }
@@ -363,10 +509,7 @@ class SearchOrchestrator {
       query: search.query,
       status: search.status,
       duration: search.endTime ? (search.endTime - search.startTime) : (Date.now() - search.startTime),
-      sources: {
-        perplexity: !!search.results.perplexity,
-        firecrawl: !!search.results.firecrawl
-      }
+      sources: this.getSourceAvailability(search)
     }));
   }
 }
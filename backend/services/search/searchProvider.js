@@ -0,0 +1,129 @@
+/**
+ * Search Provider Interface
+ *
+ * Base class for every source the orchestrator can fan out to. A provider
+ * turns a research sub-question into a list of normalized result items that
+ * the results processor understands, so new sources can be added without
+ * touching the orchestrator (see providerRegistry.js).
+ */
+
+// Heading of the findings of earlier plan steps appended to a dependent step's query
+const PRIOR_FINDINGS_HEADING = 'Known from earlier research:';
+
+/**
+ * Base search provider
+ *
+ * Subclasses set `name`, `label` and `cost`, and implement `runSearch` and,
+ * optionally, `checkConfig` / `testConnection`.
+ */
+class SearchProvider {
+  /**
+   * @param {Object} options - { name, label, cost, usesPriorFindings }
+   *   `cost` describes what one search consumes: { unit, unitsPerSearch, usdPerUnit },
+   *   `usesPriorFindings: false` keeps earlier plan steps' findings out of the query
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.usesPriorFindings = options.usesPriorFindings !== false;
+    this.cost = {
+      unit: 'request',
+      unitsPerSearch: 1,
+      usdPerUnit: 0,
+      ...options.cost
+    };
+  }
+
+  /**
+   * Search for a sub-question
+   * @param {string} query - The research sub-question
+   * @param {Object} context - { signal, searchId, entities, priorFindings, cacheUsage } where `entities` are recognized
+   *   in the user's question, `priorFindings` summarizes what the plan steps this one depends on found and
+   *   `cacheUsage` counts the run's cache hits (see cache/resultCache.js)
+   * @returns {Promise<Object>} { provider, items, error, raw }
+   * @throws {Error} AbortError when the search is cancelled
+   */
+  async search(query, context = {}) {
+    const searchQuery = context.priorFindings && this.usesPriorFindings
+      ? `${query}\n\n${PRIOR_FINDINGS_HEADING}\n${context.priorFindings}`
+      : query;
+    const result = await this.runSearch(searchQuery, context);
+
+    return {
+      provider: this.name,
+      items: (result.items || []).map(item => ({ ...item, source: item.source || this.name })),
+      error: result.error || null,
+      raw: result.raw || null
+    };
+  }
+
+  /**
+   * Provider-specific search; must resolve to { items, error, raw }
+   */
+  async runSearch() {
+    throw new Error(`Search provider ${this.name} does not implement runSearch`);
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @param {Object} options - `live: true` also makes a (possibly billed) test request
+   * @returns {Promise<Object>} { provider, healthy, error }
+   */
+  async healthCheck(options = {}) {
+    try {
+      const configCheck = this.checkConfig();
+      if (!configCheck.isValid) {
+        return { provider: this.name, healthy: false, error: configCheck.errors.join('; ') };
+      }
+
+      if (options.live) {
+        const connection = await this.testConnection();
+        return { provider: this.name, healthy: connection.success, error: connection.error || null };
+      }
+
+      return { provider: this.name, healthy: true, error: null };
+
+    } catch (error) {
+      return { provider: this.name, healthy: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate the provider configuration without calling the API
+   * @returns {Object} { isValid, errors }
+   */
+  checkConfig() {
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Make a live test request
+   * @returns {Promise<Object>} { success, error }
+   */
+  async testConnection() {
+    return { success: true };
+  }
+
+  /**
+   * Estimated cost of one search
+   * @returns {number} Estimated USD
+   */
+  estimateCost() {
+    return this.cost.unitsPerSearch * this.cost.usdPerUnit;
+  }
+
+  /**
+   * Describe the provider for status endpoints
+   */
+  getMetadata() {
+    return {
+      name: this.name,
+      label: this.label,
+      cost: { ...this.cost, estimatedUsdPerSearch: this.estimateCost() }
+    };
+  }
+}
+
+module.exports = {
+  SearchProvider
+};
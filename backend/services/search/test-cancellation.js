@@ -0,0 +1,194 @@
+/**
+ * Test file for cancelling research runs
+ *
+ * Checks the cancellation helpers and the run registry, then cancels runs of
+ * the chat API on a local server while they are searching: with
+ * DELETE /api/chat/runs/:id and by disconnecting. The mock providers answer
+ * with a delay (MOCK_PROVIDERS, MOCK_LATENCY), so no API keys are needed.
+ * Run with: node services/search/test-cancellation.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.MOCK_LATENCY = '300';
+process.env.CONVERSATION_STORE = 'memory';
+process.env.CACHE_ENABLED = 'false';
+
+const express = require('express');
+const { createAbortError, isAbortError, throwIfAborted, raceWithAbort, abortableDelay } = require('./cancellation');
+const { RunRegistry, RunStatus, runRegistry } = require('./runRegistry');
+const { conversationStore } = require('../conversation/conversationStore');
+
+/**
+ * Start the chat API on a free local port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', require('../../routes/chat'));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}/api/chat`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+/**
+ * Post a question to the streaming endpoint and read its events
+ * @param {Function} onEvent - Called with (event, data) for every event
+ * @returns {Promise<Array>} All events once the stream ends
+ */
+async function streamQuestion(baseUrl, body, onEvent, signal) {
+  const response = await fetch(`${baseUrl}/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return events;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const message of messages) {
+      const event = message.match(/^event: (.+)$/m)?.[1];
+      const data = message.match(/^data: (.+)$/m)?.[1];
+      if (event && data) {
+        events.push({ event, data: JSON.parse(data) });
+        await onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+}
+
+async function runCancellationTests() {
+  console.log('⏹️  Starting Cancellation Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Test 1: Cancellation helpers
+  const abortError = createAbortError('Stopped by user');
+  check('Abort errors are named AbortError', abortError.name === 'AbortError' && abortError.message === 'Stopped by user');
+  const aborted = new AbortController();
+  aborted.abort('Client disconnected');
+  check('Aborted signals are recognized', isAbortError(new Error('any'), aborted.signal) && isAbortError(abortError) &&
+    !isAbortError(new Error('Network error')));
+
+  let thrown = null;
+  try {
+    throwIfAborted(aborted.signal);
+  } catch (error) {
+    thrown = error;
+  }
+  check('throwIfAborted throws with the abort reason', thrown?.name === 'AbortError' && thrown.message === 'Client disconnected', thrown);
+
+  const racing = new AbortController();
+  const raced = raceWithAbort(new Promise(resolve => setTimeout(() => resolve('late'), 1000)), racing.signal).then(() => null, error => error);
+  racing.abort('Stop');
+  check('raceWithAbort rejects as soon as the signal aborts', (await raced)?.name === 'AbortError');
+  check('raceWithAbort passes results through', await raceWithAbort(Promise.resolve('done'), new AbortController().signal) === 'done');
+
+  const delayed = new AbortController();
+  const delayStart = Date.now();
+  setTimeout(() => delayed.abort(), 20);
+  const delayError = await abortableDelay(1000, delayed.signal).then(() => null, error => error);
+  check('abortableDelay is cut short', delayError?.name === 'AbortError' && Date.now() - delayStart < 500);
+
+  // Test 2: Run registry
+  const registry = new RunRegistry();
+  const run = registry.startRun({ runId: 'run_test_1', question: 'AAPL?' });
+  check('Runs are registered with a signal', registry.getRun('run_test_1') === run && run.status === RunStatus.RUNNING &&
+    registry.getActiveRuns()[0]?.question === 'AAPL?');
+  check('Active run ids cannot be reused', (() => {
+    try {
+      registry.startRun({ runId: 'run_test_1' });
+      return false;
+    } catch (error) {
+      return /already active/.test(error.message);
+    }
+  })());
+  check('Run ids are validated', registry.isValidRunId('run_abc-1') && !registry.isValidRunId('../run') && !registry.isValidRunId(42));
+  check('Cancelling aborts the signal once', registry.cancelRun('run_test_1', 'Stop') && run.signal.aborted &&
+    run.status === RunStatus.CANCELLED && !registry.cancelRun('run_test_1') && !registry.cancelRun('run_unknown'));
+  registry.finishRun('run_test_1');
+  check('Finished runs are no longer tracked', registry.getRun('run_test_1') === null && registry.getActiveRuns().length === 0);
+
+  // Test 3: Cancelling a run of the API while it is searching
+  const server = await startServer();
+  try {
+    const runId = 'run_test_search';
+    let listed = null;
+    let deleted = null;
+    let cancelledAt = null;
+
+    const events = await streamQuestion(server.baseUrl, { message: 'How did Nvidia data center revenue grow?', runId }, async event => {
+      if (event === 'search_start' && !cancelledAt) {
+        listed = await (await fetch(`${server.baseUrl}/runs`)).json();
+        cancelledAt = Date.now();
+        const response = await fetch(`${server.baseUrl}/runs/${runId}`, { method: 'DELETE' });
+        deleted = { status: response.status, body: await response.json() };
+      }
+    });
+    const cancelledEvent = events.find(entry => entry.event === 'workflow_cancelled');
+
+    check('GET /runs lists the run while it searches', listed?.runs.some(entry => entry.runId === runId && entry.status === RunStatus.RUNNING), listed);
+    check('DELETE /runs/:id cancels the run', deleted?.status === 200 && deleted.body.status === 'cancelled', deleted);
+    check('The stream ends with workflow_cancelled and no answer', cancelledEvent?.data.runId === runId &&
+      cancelledEvent.data.reason === 'Cancelled by client request' &&
+      !events.some(entry => ['message_start', 'workflow_complete'].includes(entry.event)), events.map(entry => entry.event));
+    check('The search stops without waiting for the providers', Date.now() - cancelledAt < 300, Date.now() - cancelledAt);
+    check('Cancelled runs are removed from the registry', runRegistry.getRun(runId) === null &&
+      (await (await fetch(`${server.baseUrl}/runs`)).json()).total === 0);
+
+    const unknown = await fetch(`${server.baseUrl}/runs/run_unknown`, { method: 'DELETE' });
+    const again = await fetch(`${server.baseUrl}/runs/${runId}`, { method: 'DELETE' });
+    check('Unknown or finished runs are not found', unknown.status === 404 && again.status === 404 &&
+      (await unknown.json()).error === 'Not Found');
+
+    // Test 4: Disconnecting cancels the run
+    const disconnectId = 'run_test_disconnect';
+    const client = new AbortController();
+    await streamQuestion(server.baseUrl, { message: 'What is driving Tesla margins?', runId: disconnectId }, event => {
+      if (event === 'search_start') {
+        client.abort();
+      }
+    }, client.signal).catch(() => null);
+    await abortableDelay(50);
+    check('A client disconnect cancels and removes the run', runRegistry.getRun(disconnectId) === null &&
+      runRegistry.getActiveRuns().length === 0, runRegistry.getActiveRuns());
+    check('Cancelled runs leave no empty conversations behind', (await conversationStore.listConversations()).length === 0);
+  } finally {
+    await server.close();
+  }
+
+  console.log(`\n🎉 Cancellation tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runCancellationTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runCancellationTests };
@@ -0,0 +1,138 @@
+/**
+ * Test file for the streaming chat endpoint
+ *
+ * Posts questions to POST /api/chat/stream on a local server and checks the
+ * order of the SSE events: progress events, then message_start, the answer
+ * chunks, message_end and workflow_complete; and, when the workflow fails, an
+ * error event followed by the streamed fallback message. The mock providers
+ * answer offline (MOCK_PROVIDERS), so no API keys are needed.
+ * Run with: node services/search/test-chat-stream.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.CONVERSATION_STORE = 'memory';
+process.env.CACHE_ENABLED = 'false';
+
+const express = require('express');
+const { financialSearchService } = require('./index');
+const { WorkflowEvent } = require('./workflowEvents');
+
+/**
+ * Start the chat API on a free local port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', require('../../routes/chat'));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}/api/chat`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+/**
+ * Post a question to the streaming endpoint and read every event until the stream ends
+ * @returns {Promise<Array>} Events { event, data } in the order they arrived
+ */
+async function streamQuestion(baseUrl, body) {
+  const response = await fetch(`${baseUrl}/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+
+  return text.split('\n\n')
+    .map(message => ({
+      event: message.match(/^event: (.+)$/m)?.[1],
+      data: message.match(/^data: (.+)$/m)?.[1]
+    }))
+    .filter(entry => entry.event && entry.data)
+    .map(entry => ({ event: entry.event, data: JSON.parse(entry.data) }));
+}
+
+/**
+ * Collapse runs of the same event ("a, b, b, c" -> "a, b, c")
+ */
+function collapseRepeats(names) {
+  return names.filter((name, index) => name !== names[index - 1]);
+}
+
+async function runChatStreamTests() {
+  console.log('📡 Starting Chat Stream Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const server = await startServer();
+  try {
+    // Test 1: A successful run
+    const events = await streamQuestion(server.baseUrl, { message: 'What is driving Tesla margins?' });
+    const names = events.map(entry => entry.event);
+    const answerEvents = names.slice(names.indexOf(WorkflowEvent.ANSWER_START))
+      .filter(name => name !== WorkflowEvent.TOOL_CALL);
+
+    check('Progress events come before the answer', names.indexOf(WorkflowEvent.PLANNING_COMPLETE) >= 0 &&
+      names.indexOf(WorkflowEvent.PLANNING_COMPLETE) < names.indexOf(WorkflowEvent.SEARCH_START) &&
+      names.lastIndexOf(WorkflowEvent.SEARCH_COMPLETE) < names.indexOf(WorkflowEvent.ANSWER_START), names);
+    check('The answer streams as message_start, message_chunk, message_end, workflow_complete',
+      collapseRepeats(answerEvents).join(',') === [WorkflowEvent.ANSWER_START, WorkflowEvent.ANSWER_CHUNK,
+        WorkflowEvent.ANSWER_END, WorkflowEvent.WORKFLOW_COMPLETE].join(','), collapseRepeats(answerEvents));
+
+    const start = events.find(entry => entry.event === WorkflowEvent.ANSWER_START);
+    const chunks = events.filter(entry => entry.event === WorkflowEvent.ANSWER_CHUNK);
+    const complete = events.find(entry => entry.event === WorkflowEvent.WORKFLOW_COMPLETE);
+    check('Chunks belong to the started message', chunks.length > 0 && chunks.every(entry => entry.data.id === start.data.id));
+    check('The chunks add up to the final answer', chunks.map(entry => entry.data.text).join('') === complete?.data.answer);
+    check('The run completes successfully', complete?.data.status === 'success' && !names.includes(WorkflowEvent.ERROR),
+      complete?.data.status);
+
+    // Test 2: A failing workflow streams the fallback message
+    const executeFinancialSearch = financialSearchService.executeFinancialSearch;
+    financialSearchService.executeFinancialSearch = async () => {
+      throw new Error('Search providers unavailable');
+    };
+    let failedEvents;
+    try {
+      failedEvents = await streamQuestion(server.baseUrl, { message: 'What is driving Tesla margins?' });
+    } finally {
+      financialSearchService.executeFinancialSearch = executeFinancialSearch;
+    }
+    const failedNames = failedEvents.map(entry => entry.event);
+
+    check('Errors stream as error, message_start, message_chunk, message_end',
+      collapseRepeats(failedNames).join(',') === [WorkflowEvent.ERROR, WorkflowEvent.ANSWER_START, WorkflowEvent.ANSWER_CHUNK,
+        WorkflowEvent.ANSWER_END].join(','), collapseRepeats(failedNames));
+    check('The error event carries the workflow error', failedEvents[0]?.data.message === 'Search providers unavailable',
+      failedEvents[0]?.data);
+    const fallback = failedEvents.filter(entry => entry.event === WorkflowEvent.ANSWER_CHUNK).map(entry => entry.data.text).join('');
+    check('The fallback message apologizes and names the question',
+      fallback.startsWith('I apologize') && fallback.includes('What is driving Tesla margins?'), fallback);
+  } finally {
+    await server.close();
+  }
+
+  console.log(`\n🎉 Chat stream tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runChatStreamTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runChatStreamTests };
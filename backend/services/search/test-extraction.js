@@ -0,0 +1,143 @@
+/**
+ * Test file for schema-driven extraction of financial figures
+ *
+ * Checks schema selection, value and date normalization, extraction of a
+ * recorded page with the mock Firecrawl client (MOCK_PROVIDERS, so no API key
+ * is needed), merging of figures across results and their place in the
+ * answering prompt, and the Firecrawl cost estimate with extraction.
+ * Run with: node services/search/test-extraction.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+
+const {
+  ExtractionSchemaName, selectExtractionSchema, getExtractionSchema, parseFigureValue, normalizeExtraction, formatFigure
+} = require('./extractionSchemas');
+const { extractDataForQuery } = require('./firecrawlService');
+const { FirecrawlProvider } = require('./firecrawlProvider');
+const { config: firecrawlConfig } = require('./firecrawlConfig');
+const { ResultsProcessor } = require('./resultsProcessor');
+const { createAnsweringPrompt } = require('../gemini/answeringService');
+
+/**
+ * A Firecrawl result item reporting the given figures
+ */
+function createPageResult(url, title, content, figures) {
+  return {
+    source: 'firecrawl',
+    title,
+    url,
+    content,
+    relevanceScore: 80,
+    extractedData: { schema: ExtractionSchemaName.EARNINGS, entity: 'AAPL', figures }
+  };
+}
+
+async function runExtractionTests() {
+  console.log('🧾 Starting Extraction Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Test 1: Schema selection
+  const selected = {
+    earnings: selectExtractionSchema('Apple Q4 2024 revenue and EPS')?.name,
+    rates: selectExtractionSchema('What did the FOMC decide at its December meeting on interest rates?')?.name,
+    targets: selectExtractionSchema('Nvidia analyst price targets after earnings')?.name,
+    guidance: selectExtractionSchema('Microsoft fiscal 2025 revenue guidance')?.name,
+    none: selectExtractionSchema("What is Apple's current share price?")
+  };
+  check('Schemas are picked from the question', selected.earnings === ExtractionSchemaName.EARNINGS &&
+    selected.rates === ExtractionSchemaName.RATE_DECISION && selected.targets === ExtractionSchemaName.ANALYST_TARGET &&
+    selected.guidance === ExtractionSchemaName.GUIDANCE && selected.none === null, selected);
+
+  const earnings = getExtractionSchema(ExtractionSchemaName.EARNINGS);
+  const figureSchema = earnings.jsonSchema.properties.figures.items;
+  check('Schemas restrict figures to their fields and require units', figureSchema.properties.field.enum.includes('eps_diluted') &&
+    !figureSchema.properties.field.enum.includes('price_target') && figureSchema.required.includes('unit'));
+
+  // Test 2: Normalization
+  check('Values are parsed into plain numbers', parseFigureValue('$94.9 billion') === 94.9e9 &&
+    parseFigureValue('1,234.5') === 1234.5 && parseFigureValue('4.25%') === 4.25 && parseFigureValue('n/a') === null);
+
+  const normalized = normalizeExtraction({
+    entity: ' AAPL ',
+    figures: [
+      { field: 'revenue', value: '94.9 billion', unit: 'USD', period: 'Q4 FY2024' },
+      { field: 'eps_diluted', value: 0.97, unit: 'USD', period: 'Q4 FY2024', asOf: 'October 31, 2024' },
+      { field: 'price_target', value: 250, unit: 'USD' },
+      { field: 'net_income', value: 'not disclosed', unit: 'USD' }
+    ]
+  }, earnings, { publishDate: '2024-11-01T12:00:00Z' });
+  check('Unknown fields and unreadable values are dropped', normalized?.figures.length === 2 &&
+    normalized.figures[0].value === 94.9e9 && normalized.figures[0].label === 'Revenue' && normalized.entity === 'AAPL', normalized);
+  check('Figures are dated by their own date, then the page', normalized?.figures[0].asOf === '2024-11-01' &&
+    normalized.figures[1].asOf === '2024-10-31', normalized?.figures);
+  check('Pages without usable figures have no extracted data', normalizeExtraction({ figures: [] }, earnings) === null &&
+    normalizeExtraction(null, earnings) === null);
+  check('Figures are described with unit, period and date',
+    formatFigure(normalized.figures[1]) === 'AAPL Diluted EPS: 0.97 USD (Q4 FY2024, as of 2024-10-31)', formatFigure(normalized.figures[1]));
+
+  // Test 3: Extraction with the mock client
+  const extraction = await extractDataForQuery("What is Apple's trailing twelve month EPS?");
+  const macrotrends = extraction.successful.find(page => page.url.includes('macrotrends.net'));
+  check('Scraped pages carry the figures extracted with the matching schema', extraction.extraction.schema === ExtractionSchemaName.EARNINGS &&
+    macrotrends?.data.extractedData?.figures.length === 2 && extraction.extraction.figures >= 3, extraction.extraction);
+  const unmatched = await extractDataForQuery("What is Apple's current share price?");
+  check('Questions without a schema are scraped without extraction', unmatched.extraction.schema === null &&
+    unmatched.successful.every(page => page.data.extractedData === null));
+
+  const extractingCost = new FirecrawlProvider().cost;
+  firecrawlConfig.extractorOptions.mode = 'markdown';
+  const scrapingCost = new FirecrawlProvider().cost;
+  firecrawlConfig.extractorOptions.mode = 'llm-extraction';
+  check('The cost estimate includes the extraction credits', extractingCost.usdPerUnit === 0.005 && scrapingCost.usdPerUnit === 0.001,
+    { extractingCost, scrapingCost });
+
+  // Test 4: Merging figures across results
+  const processor = new ResultsProcessor();
+  const ttm = { schema: ExtractionSchemaName.EARNINGS, field: 'eps_diluted', label: 'Diluted EPS', entity: 'AAPL', unit: 'USD', period: 'TTM' };
+  const processed = processor.processSearchResults({
+    searchId: 'search_test',
+    query: "Apple's EPS",
+    results: {
+      allResults: [
+        createPageResult('https://a.example/eps', 'Apple EPS history', 'Apple earnings per share over the last decade.', [{ ...ttm, value: 6.08, asOf: '2024-09-30' }]),
+        createPageResult('https://b.example/earnings', 'Apple fiscal 2024 results', 'Revenue rose on iPhone and services sales.', [{ ...ttm, value: 6.08, asOf: '2024-11-01' }]),
+        createPageResult('https://c.example/stats', 'AAPL key statistics', 'Valuation measures and trading information.', [{ ...ttm, value: 6.57, asOf: '2024-12-31' }, { ...ttm, field: 'revenue', label: 'Revenue', value: 391.04e9 }])
+      ]
+    }
+  });
+  const figures = processed.results.figures;
+  const eps = figures.find(figure => figure.field === 'eps_diluted');
+  check('Figures from several results are merged', figures.length === 2 && eps?.resultIds.length === 3, figures);
+  check('Disagreeing results are reported as a conflict', eps?.conflict === true && eps.value === 6.08 &&
+    eps.asOf === '2024-11-01' && eps.values.length === 2, eps);
+
+  // Test 5: Answering prompt
+  const prompt = createAnsweringPrompt("What is Apple's EPS?", processed);
+  const numbers = processed.results.items.map(item => item.sourceUrl);
+  const conflictLine = prompt.split('\n').find(line => line.includes('Diluted EPS'));
+  check('The prompt lists the figures with the numbers of the results that reported them', prompt.includes('## Extracted Figures:') &&
+    conflictLine?.includes('CONFLICTING') && conflictLine.includes(`[${numbers.indexOf('https://c.example/stats') + 1}]`), conflictLine);
+
+  console.log(`\n🎉 Extraction tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runExtractionTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runExtractionTests };
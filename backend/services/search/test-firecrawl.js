@@ -10,8 +10,9 @@ const {
   testFirecrawlConnection,
   extractDataForQuery,
   extractDataForMultipleQueries,
-  generateFinancialSearchUrls
+  getFirecrawlClient
 } = require('./firecrawlService');
+const { discoverUrls } = require('./urlDiscovery');
 
 // Test data
 const testQueries = [
@@ -46,15 +47,15 @@ async function runTests() {
       return;
     }
     
-    // Test 3: URL generation test
-    console.log('Test 3: URL generation test...');
+    // Test 3: URL discovery test
+    console.log('Test 3: URL discovery test...');
     const testQuery = 'inflation rates';
-    const generatedUrls = generateFinancialSearchUrls(testQuery);
+    const discovery = await discoverUrls(testQuery, { client: await getFirecrawlClient() });
     
-    console.log('✅ URL generation test passed');
-    console.log(`📝 Generated ${generatedUrls.length} URLs for query: "${testQuery}"`);
+    console.log('✅ URL discovery test passed');
+    console.log(`📝 Discovered ${discovery.candidates.length} URLs with ${discovery.backend} for query: "${testQuery}" (${discovery.excluded.length} excluded)`);
     console.log('📝 Sample URLs:');
-    generatedUrls.slice(0, 3).forEach((url, index) => {
+    discovery.urls.slice(0, 3).forEach((url, index) => {
       console.log(`   ${index + 1}. ${url}`);
     });
     console.log();
@@ -129,23 +129,30 @@ async function runTests() {
     const mockSearchOperation = {
       id: 'test_search_123',
       query: 'Test query',
+      providers: ['perplexity', 'firecrawl'],
       results: {
-        perplexity: {
-          content: 'Perplexity test content',
-          confidence: 'high',
-          searchId: 'pplx_123'
-        },
-        firecrawl: {
-          successful: [
-            {
-              data: {
-                title: 'Test Title',
-                url: 'https://example.com',
-                content: 'Firecrawl test content',
-                relevanceScore: 85
-              }
-            }
-          ]
+        byProvider: {
+          perplexity: {
+            provider: 'perplexity',
+            items: [{
+              source: 'perplexity',
+              content: 'Perplexity test content',
+              confidence: 'high',
+              searchId: 'pplx_123'
+            }],
+            error: null
+          },
+          firecrawl: {
+            provider: 'firecrawl',
+            items: [{
+              source: 'firecrawl',
+              title: 'Test Title',
+              url: 'https://example.com',
+              content: 'Firecrawl test content',
+              relevanceScore: 85
+            }],
+            error: null
+          }
         }
       }
     };
@@ -0,0 +1,89 @@
+/**
+ * Test file for the search provider registry
+ *
+ * Registers in-memory providers and checks that the orchestrator fans out to
+ * whichever providers are enabled and combines their items generically.
+ * Run with: node services/search/test-providers.js
+ */
+
+const { SearchProvider } = require('./searchProvider');
+const { ProviderRegistry } = require('./providerRegistry');
+const { SearchOrchestrator, SearchStatus } = require('./searchOrchestrator');
+
+/**
+ * Provider returning fixed items, used instead of paid APIs
+ */
+class StaticProvider extends SearchProvider {
+  constructor(name, items, error = null) {
+    super({ name, cost: { unit: 'request', unitsPerSearch: 1, usdPerUnit: 0.01 } });
+    this.items = items;
+    this.error = error;
+    this.calls = 0;
+  }
+
+  async runSearch() {
+    this.calls++;
+    return { items: this.items, error: this.error };
+  }
+}
+
+async function runProviderTests() {
+  console.log('🎯 Starting Search Provider Registry Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`);
+    }
+  };
+
+  const registry = new ProviderRegistry();
+  const filings = registry.register(new StaticProvider('filings', [
+    { title: 'Apple 10-K', url: 'https://www.sec.gov/aapl-10k', content: 'Revenue $391B', confidence: 'high' }
+  ]));
+  const news = registry.register(new StaticProvider('news', [
+    { title: 'Apple earnings', content: 'Apple beat estimates', relevanceScore: 70 },
+    { title: 'Apple guidance', content: 'Guidance raised', relevanceScore: 60 }
+  ]));
+  const broken = registry.register(new StaticProvider('broken', [], 'API unavailable'));
+  registry.register(new StaticProvider('disabled', [{ content: 'never used' }]), { enabled: false });
+
+  check('Registry lists enabled providers in order',
+    registry.getEnabledProviders().map(p => p.name).join(',') === 'filings,news,broken');
+
+  const orchestrator = new SearchOrchestrator({ timeout: 5000 }, registry);
+  const result = await orchestrator.executeParallelSearch('Apple revenue');
+
+  check('Search completes', result.status === SearchStatus.COMPLETED);
+  check('Disabled provider is not called', registry.getProvider('disabled').calls === 0);
+  check('Items from every successful provider are combined', result.results.allResults.length === 3);
+  check('Items are tagged with their provider', result.results.allResults.every(item => ['filings', 'news'].includes(item.source)));
+  check('Source availability is reported per provider',
+    result.sources.filings === true && result.sources.news === true && result.sources.broken === false);
+
+  const onlyNews = await orchestrator.executeParallelSearch('Apple revenue', { providers: ['news'] });
+  check('options.providers restricts the fan-out', onlyNews.results.sources.join(',') === 'news');
+
+  const withoutFilings = await orchestrator.executeParallelSearch('Apple revenue', { enableFilings: false });
+  check('enable<Name>: false switches a provider off', !withoutFilings.results.sources.includes('filings'));
+
+  const health = await registry.healthCheck();
+  check('Health check covers every registered provider', health.length === 4 && health.every(h => h.healthy));
+  check('Cost metadata is exposed', registry.getMetadata()[0].cost.estimatedUsdPerSearch === 0.01);
+
+  console.log(`\n📝 Calls: filings=${filings.calls}, news=${news.calls}, broken=${broken.calls}`);
+  console.log(`🎉 Provider tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runProviderTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runProviderTests };
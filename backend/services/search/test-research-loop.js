@@ -0,0 +1,179 @@
+/**
+ * Test file for the research loop (evaluate coverage, search again for gaps)
+ *
+ * Uses scripted evaluations and searches, so no API keys are needed.
+ * Run with: node services/search/test-research-loop.js
+ */
+
+const { runResearchLoop, ResearchStopReason } = require('./researchLoop');
+const { parseCoverageEvaluation } = require('../gemini/evaluationService');
+const { WorkflowEvent } = require('./workflowEvents');
+
+const SUB_QUESTIONS = ["What is Apple's revenue?", "What is Apple's EPS?"];
+
+const loopConfig = overrides => ({
+  enabled: true,
+  maxRounds: 2,
+  timeBudget: 90000,
+  maxFollowUpQueries: 6,
+  queriesPerRound: 3,
+  ...overrides
+});
+
+/**
+ * Batch results with `counts[i]` items for `queries[i]`
+ */
+function createBatch(queries, counts) {
+  const results = queries.map((query, i) => ({
+    query,
+    status: 'completed',
+    results: { allResults: Array.from({ length: counts[i] }, (_, n) => ({ source: 'test', title: `${query} ${n}`, content: 'data' })) }
+  }));
+  return { batchId: `batch_${queries.length}`, queries, results, successful: results, failed: [], duration: 5 };
+}
+
+/**
+ * Evaluation stand-in that replays scripted evaluations
+ */
+function createScriptedEvaluator(evaluations) {
+  const calls = [];
+  const evaluate = async (question, subQuestions, evidence, options) => {
+    calls.push({ evidence, options });
+    return evaluations[Math.min(calls.length - 1, evaluations.length - 1)];
+  };
+  return { evaluate, calls };
+}
+
+const gap = followUpQueries => ({
+  status: 'completed',
+  sufficient: false,
+  coverage: [
+    { subQuestion: SUB_QUESTIONS[0], covered: true, missing: '' },
+    { subQuestion: SUB_QUESTIONS[1], covered: false, missing: 'Diluted EPS for FY2024' }
+  ],
+  followUpQueries,
+  reasoning: 'EPS is missing'
+});
+
+const covered = { status: 'completed', sufficient: true, coverage: [], followUpQueries: [], reasoning: 'All covered' };
+
+async function runResearchLoopTests() {
+  console.log('🎯 Starting Research Loop Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  const initialBatch = createBatch(SUB_QUESTIONS, [3, 0]);
+  const searches = [];
+  const search = async (queries, options) => {
+    searches.push({ queries, options });
+    return createBatch(queries, queries.map(() => 2));
+  };
+
+  // Test 1: A gap triggers a follow-up round, then the evidence is sufficient
+  const events = [];
+  const refining = createScriptedEvaluator([gap(['Apple diluted EPS FY2024']), covered]);
+  const refined = await runResearchLoop({
+    question: 'How is Apple doing?',
+    subQuestions: SUB_QUESTIONS,
+    initialBatch,
+    search,
+    evaluate: refining.evaluate,
+    onProgress: (event, data) => events.push({ event, data }),
+    config: loopConfig()
+  });
+
+  check('Gaps trigger a follow-up round', refined.rounds.length === 2 && refined.rounds[1].queries[0] === 'Apple diluted EPS FY2024',
+    refined.rounds);
+  check('The loop stops once the evidence is sufficient', refined.stopReason === ResearchStopReason.SUFFICIENT, refined.stopReason);
+  check('Rounds record the evaluation and empty queries',
+    refined.rounds[0].emptyQueries[0] === SUB_QUESTIONS[1] && refined.rounds[0].evaluation.uncovered[0].missing === 'Diluted EPS for FY2024' &&
+    refined.rounds[1].evaluation.sufficient === true, refined.rounds[0]);
+  check('Follow-up results are merged with the first round',
+    refined.batch.successful.length === 3 && refined.batch.queries.length === 3);
+  check('The evaluator sees the evidence from every round', refining.calls[1].evidence.length === 3);
+  check('Each round is announced as a workflow event',
+    events.length === 1 && events[0].event === WorkflowEvent.RESEARCH_ROUND && events[0].data.round === 2);
+
+  // Test 2: Budgets
+  const looping = createScriptedEvaluator([gap(['q1', 'q2']), gap(['q3', 'q4']), gap(['q5'])]);
+  const capped = await runResearchLoop({
+    question: 'q', subQuestions: SUB_QUESTIONS, initialBatch, search, evaluate: looping.evaluate,
+    config: loopConfig({ maxRounds: 2 })
+  });
+  check('Round budget caps the follow-up rounds', capped.rounds.length === 3 && capped.stopReason === ResearchStopReason.MAX_ROUNDS &&
+    looping.calls.length === 2, capped.stopReason);
+
+  const costly = createScriptedEvaluator([gap(['q1', 'q2', 'q3']), gap(['q4', 'q5'])]);
+  const costCapped = await runResearchLoop({
+    question: 'q', subQuestions: SUB_QUESTIONS, initialBatch, search, evaluate: costly.evaluate,
+    config: loopConfig({ maxRounds: 5, maxFollowUpQueries: 4 })
+  });
+  check('Query budget caps the follow-up queries',
+    costCapped.followUpQueriesUsed === 4 && costCapped.stopReason === ResearchStopReason.QUERY_BUDGET &&
+    costly.calls[1].options.maxFollowUpQueries === 1 && costCapped.rounds[2].queries.length === 1, costCapped);
+
+  const late = createScriptedEvaluator([gap(['q1'])]);
+  const timedOut = await runResearchLoop({
+    question: 'q', subQuestions: SUB_QUESTIONS, initialBatch, search, evaluate: late.evaluate,
+    startTime: Date.now() - 100000, config: loopConfig()
+  });
+  check('Time budget stops the loop before evaluating', timedOut.stopReason === ResearchStopReason.TIME_BUDGET &&
+    late.calls.length === 0 && timedOut.rounds.length === 1);
+
+  // Test 3: Stopping without follow-ups
+  const repeating = createScriptedEvaluator([gap([SUB_QUESTIONS[1].toUpperCase()])]);
+  const repeated = await runResearchLoop({
+    question: 'q', subQuestions: SUB_QUESTIONS, initialBatch, search, evaluate: repeating.evaluate, config: loopConfig()
+  });
+  check('Queries already searched are not repeated', repeated.stopReason === ResearchStopReason.NO_FOLLOW_UPS);
+
+  const failing = createScriptedEvaluator([{ ...covered, status: 'fallback', error: 'quota exceeded' }]);
+  const failed = await runResearchLoop({
+    question: 'q', subQuestions: SUB_QUESTIONS, initialBatch, search, evaluate: failing.evaluate, config: loopConfig()
+  });
+  check('A failed evaluation keeps the first round', failed.stopReason === ResearchStopReason.EVALUATION_FAILED &&
+    failed.batch.successful.length === 2 && failed.rounds[0].evaluation.error === 'quota exceeded');
+
+  const disabled = await runResearchLoop({
+    question: 'q', subQuestions: SUB_QUESTIONS, initialBatch, search, evaluate: failing.evaluate, config: loopConfig({ enabled: false })
+  });
+  check('The loop can be disabled', disabled.stopReason === ResearchStopReason.DISABLED && failing.calls.length === 1);
+
+  // Test 4: Parsing Gemini's evaluation
+  const parsed = parseCoverageEvaluation('```json\n' + JSON.stringify({
+    sufficient: false,
+    coverage: [{ subQuestion: SUB_QUESTIONS[1], covered: false, missing: 'EPS' }, { subQuestion: SUB_QUESTIONS[0], covered: true }],
+    followUpQueries: ['Apple EPS 2024', ''],
+    reasoning: 'EPS missing'
+  }) + '\n```', SUB_QUESTIONS);
+  check('Coverage is matched to the sub-questions', parsed.coverage[0].covered && !parsed.coverage[1].covered &&
+    parsed.coverage[1].missing === 'EPS' && parsed.followUpQueries.length === 1, parsed);
+
+  let invalidError = null;
+  try {
+    parseCoverageEvaluation('{"coverage": []}', SUB_QUESTIONS);
+  } catch (error) {
+    invalidError = error;
+  }
+  check('Evaluations without a verdict are rejected', invalidError && invalidError.message.includes('sufficient'));
+
+  console.log(`\n🎉 Research loop tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runResearchLoopTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runResearchLoopTests };
@@ -0,0 +1,151 @@
+/**
+ * Test file for the Firecrawl scrape scheduler
+ *
+ * Schedules scripted scrapes to check the concurrency limits, per-domain
+ * spacing, retries, deduplication and cancellation, then extracts a query
+ * with the mock Firecrawl client (MOCK_PROVIDERS, so no API key is needed).
+ * Run with: node services/search/test-scrape-scheduler.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+process.env.MOCK_LATENCY = '100';
+
+const { ScrapeScheduler, getDomain, isRetryableError } = require('./scrapeScheduler');
+const { extractDataForQuery } = require('./firecrawlService');
+const { config: firecrawlConfig } = require('./firecrawlConfig');
+const { isAbortError } = require('./cancellation');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A scripted scrape that records when it ran and how many ran at once
+ */
+function createRecorder(duration = 20) {
+  const recorder = { calls: [], active: 0, maxActive: 0 };
+  recorder.task = (url, outcome = async () => ({ success: true, url })) => async () => {
+    recorder.calls.push({ url, at: Date.now() });
+    recorder.active++;
+    recorder.maxActive = Math.max(recorder.maxActive, recorder.active);
+    try {
+      await wait(duration);
+      return await outcome();
+    } finally {
+      recorder.active--;
+    }
+  };
+  return recorder;
+}
+
+async function runScrapeSchedulerTests() {
+  console.log('🕷️  Starting Scrape Scheduler Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Test 1: Helpers
+  check('Domains ignore "www."', getDomain('https://www.Example.com/a') === 'example.com');
+  const rateLimited = Object.assign(new Error('Request failed'), { statusCode: 429 });
+  const notFound = Object.assign(new Error('Not found'), { statusCode: 404 });
+  check('Rate limits and timeouts are retryable, missing pages are not', isRetryableError(rateLimited) &&
+    isRetryableError(new Error('Request timed out')) && !isRetryableError(notFound));
+
+  // Test 2: Global concurrency
+  const global = createRecorder();
+  const wide = new ScrapeScheduler({ concurrency: 2, domainConcurrency: 1, domainInterval: 0, backoff: 10, maxAttempts: 3 });
+  const urls = [1, 2, 3, 4, 5, 6].map(n => `https://site${n}.example/page`);
+  const scraped = await Promise.all(urls.map(url => wide.schedule(url, url, global.task(url))));
+  check('At most `concurrency` scrapes run at once', global.maxActive === 2 && scraped.length === 6, global.maxActive);
+  check('Queued scrapes report their wait', scraped.some(result => result.timing.waitMs > 0) &&
+    scraped.every(result => result.timing.attempts === 1 && result.timing.durationMs >= 15), scraped.map(result => result.timing));
+
+  // Test 3: Per-domain politeness
+  const polite = createRecorder(5);
+  const spaced = new ScrapeScheduler({ concurrency: 5, domainConcurrency: 1, domainInterval: 60, backoff: 10, maxAttempts: 3 });
+  const sameDomain = ['a', 'b', 'c'].map(page => `https://news.example/${page}`);
+  await Promise.all([
+    ...sameDomain.map(url => spaced.schedule(url, url, polite.task(url))),
+    spaced.schedule('https://other.example/x', 'https://other.example/x', polite.task('https://other.example/x'))
+  ]);
+  const starts = polite.calls.filter(call => call.url.startsWith('https://news.example')).map(call => call.at);
+  const gaps = starts.slice(1).map((at, index) => at - starts[index]);
+  check('Scrapes of one domain are spaced out', gaps.length === 2 && gaps.every(gap => gap >= 55), gaps);
+  check('Other domains are not held back', polite.calls[1]?.url === 'https://other.example/x', polite.calls.map(call => call.url));
+
+  // Test 4: Deduplication
+  const shared = createRecorder();
+  const dedup = new ScrapeScheduler({ concurrency: 3, domainConcurrency: 1, domainInterval: 0, backoff: 10, maxAttempts: 3 });
+  const url = 'https://dup.example/page';
+  const [first, second] = await Promise.all([
+    dedup.schedule(url, url, shared.task(url)),
+    dedup.schedule(url, url, shared.task(url))
+  ]);
+  check('Pending scrapes of the same URL are shared', shared.calls.length === 1 && first.value === second.value &&
+    !first.timing.deduplicated && second.timing.deduplicated);
+  await dedup.schedule(url, url, shared.task(url));
+  check('Finished scrapes are not deduplicated', shared.calls.length === 2);
+
+  // Test 5: Backoff
+  const flaky = createRecorder(5);
+  const retrying = new ScrapeScheduler({ concurrency: 3, domainConcurrency: 1, domainInterval: 0, backoff: 50, maxAttempts: 3 });
+  let failures = 1;
+  const retried = await retrying.schedule('https://flaky.example', 'https://flaky.example', flaky.task('https://flaky.example', async () => {
+    if (failures-- > 0) {
+      throw rateLimited;
+    }
+    return { success: true };
+  }));
+  const retryGap = flaky.calls[1].at - flaky.calls[0].at;
+  check('Rate-limited scrapes are retried after a backoff', retried.timing.attempts === 2 && retryGap >= 50, { retryGap });
+
+  const missing = await retrying.schedule('https://gone.example', 'https://gone.example', flaky.task('https://gone.example', async () => {
+    throw notFound;
+  })).catch(error => error);
+  check('Other failures are not retried', missing === notFound && missing.timing.attempts === 1);
+
+  const down = await retrying.schedule('https://down.example', 'https://down.example', flaky.task('https://down.example', async () => {
+    throw Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+  })).catch(error => error);
+  check('Retries stop after maxAttempts', down.timing?.attempts === 3, down.timing);
+
+  // Test 6: Cancellation
+  const slow = createRecorder(50);
+  const single = new ScrapeScheduler({ concurrency: 1, domainConcurrency: 1, domainInterval: 0, backoff: 10, maxAttempts: 3 });
+  const controller = new AbortController();
+  const running = single.schedule('https://one.example', 'https://one.example', slow.task('https://one.example'));
+  const queued = single.schedule('https://two.example', 'https://two.example', slow.task('https://two.example'),
+    { signal: controller.signal }).catch(error => error);
+  controller.abort('Cancelled by test');
+  await running;
+  const cancelled = await queued;
+  await wait(10);
+  check('Cancelled scrapes are dropped before they start', isAbortError(cancelled) &&
+    slow.calls.length === 1 && single.getStatus().queued === 0, { calls: slow.calls.length, status: single.getStatus() });
+
+  // Test 7: Extraction with the mock client
+  const startedAt = Date.now();
+  const extraction = await extractDataForQuery('How did Nvidia revenue change last year?');
+  const elapsed = Date.now() - startedAt;
+  check('Extraction records the timing of every URL', extraction.timings.length === firecrawlConfig.maxPages &&
+    extraction.timings.every(timing => timing.url && timing.attempts === 1 && timing.durationMs >= 90), extraction.timings);
+  check('Pages are scraped in parallel', elapsed < firecrawlConfig.maxPages * 100, { elapsed });
+
+  console.log(`\n🎉 Scrape scheduler tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runScrapeSchedulerTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runScrapeSchedulerTests };
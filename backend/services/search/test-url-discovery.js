@@ -0,0 +1,128 @@
+/**
+ * Test file for Firecrawl URL discovery
+ *
+ * Checks the allow and deny list patterns, discovery with a scripted search
+ * client (filtering, deduplication, fallback to site search pages), then
+ * extracts a query with the mock Firecrawl client (MOCK_PROVIDERS, so no API
+ * key is needed).
+ * Run with: node services/search/test-url-discovery.js
+ */
+
+// Must be set before the services read their configuration
+process.env.MOCK_PROVIDERS = 'true';
+
+const { matchesUrlPattern, getExclusionReason, discoverUrls } = require('./urlDiscovery');
+const { extractDataForQuery } = require('./firecrawlService');
+const { config: firecrawlConfig } = require('./firecrawlConfig');
+const { isAbortError } = require('./cancellation');
+
+/**
+ * A Firecrawl-like client whose search returns the given URLs, or fails
+ */
+function createSearchClient(urls, error = null) {
+  const client = { searches: [] };
+  client.search = async (query, params) => {
+    client.searches.push({ query, params });
+    if (error) {
+      throw error;
+    }
+    return { success: true, data: urls.map(url => ({ url, title: `Title of ${url}`, description: 'Result' })) };
+  };
+  return client;
+}
+
+async function runUrlDiscoveryTests() {
+  console.log('🔎 Starting URL Discovery Tests\n');
+  let passed = 0;
+  let total = 0;
+
+  const check = (name, condition, details) => {
+    total++;
+    if (condition) {
+      passed++;
+      console.log(`✅ ${name}`);
+    } else {
+      console.log(`❌ ${name}`, details !== undefined ? details : '');
+    }
+  };
+
+  // Test 1: Patterns
+  check('Domains match themselves and their subdomains', matchesUrlPattern('https://www.reuters.com/markets/x', 'reuters.com') &&
+    matchesUrlPattern('https://uk.reuters.com/a', 'www.reuters.com') && !matchesUrlPattern('https://notreuters.com/a', 'reuters.com'));
+  check('Wildcards match the host and path', matchesUrlPattern('https://apple.com/legal/privacy/', '*/privacy*') &&
+    matchesUrlPattern('https://www.wsj.com/articles/x', 'wsj.com/articles/*') && !matchesUrlPattern('https://apple.com/newsroom', '*/privacy*'));
+  check('Paths without wildcards match the pages under them', matchesUrlPattern('https://example.com/news', 'example.com/news') &&
+    matchesUrlPattern('https://www.example.com/news/markets/fed?id=1', 'example.com/news') &&
+    matchesUrlPattern('https://example.com/news/today', 'example.com/news/') && matchesUrlPattern('https://example.com/news?page=2', 'example.com/news') &&
+    !matchesUrlPattern('https://example.com/newsletter', 'example.com/news') && !matchesUrlPattern('https://example.com/about/news', 'example.com/news'));
+  const lists = { includes: ['reuters.com', 'cnbc.com'], excludes: ['*/video/*'] };
+  check('Only allowed, non-excluded pages may be scraped', getExclusionReason('https://www.cnbc.com/2024/story', lists) === null &&
+    getExclusionReason('https://www.cnbc.com/video/clip', lists)?.includes('*/video/*') &&
+    getExclusionReason('https://www.wsj.com/story', lists) === 'Not on the allow list' &&
+    getExclusionReason('ftp://reuters.com/file', lists) === 'Not a web page');
+  check('Default deny list keeps articles about terms', getExclusionReason('https://www.investopedia.com/terms/e/eps.asp', firecrawlConfig.crawlerOptions) === null &&
+    getExclusionReason('https://example.com/terms-of-service', firecrawlConfig.crawlerOptions) !== null);
+
+  // Test 2: Discovery with a search backend
+  const config = {
+    ...firecrawlConfig,
+    discovery: 'firecrawl',
+    maxPages: 3,
+    searchResults: 10,
+    crawlerOptions: { ...firecrawlConfig.crawlerOptions, includes: [], excludes: ['*/privacy*', 'spam.example'] }
+  };
+  const client = createSearchClient([
+    'https://www.reuters.com/markets/nvidia-revenue',
+    'https://www.reuters.com/markets/nvidia-revenue#comments',
+    'https://example.com/privacy',
+    'https://spam.example/nvidia',
+    'https://www.cnbc.com/2024/nvidia',
+    'https://finance.yahoo.com/news/nvidia',
+    'https://www.fool.com/investing/nvidia'
+  ]);
+  const found = await discoverUrls('How did Nvidia revenue change?', { client, config });
+  check('Search results are requested with the configured limit', client.searches[0]?.params.limit === 10);
+  check('Denied and duplicate URLs are excluded', found.excluded.length === 3 &&
+    found.excluded.some(entry => entry.reason === 'Duplicate'), found.excluded);
+  check('The top FIRECRAWL_MAX_PAGES allowed URLs are scraped', JSON.stringify(found.urls) === JSON.stringify([
+    'https://www.reuters.com/markets/nvidia-revenue',
+    'https://www.cnbc.com/2024/nvidia',
+    'https://finance.yahoo.com/news/nvidia'
+  ]) && found.backend === 'firecrawl' && !found.fallback, found.urls);
+
+  const allowOnly = await discoverUrls('How did Nvidia revenue change?', {
+    client,
+    config: { ...config, crawlerOptions: { includes: ['cnbc.com', 'fool.com'], excludes: [] } }
+  });
+  check('The allow list is enforced', JSON.stringify(allowOnly.urls) ===
+    JSON.stringify(['https://www.cnbc.com/2024/nvidia', 'https://www.fool.com/investing/nvidia']), allowOnly.urls);
+
+  // Test 3: Fallback and cancellation
+  const broken = createSearchClient([], Object.assign(new Error('Payment required'), { statusCode: 402 }));
+  const fallback = await discoverUrls('Tesla margins', { client: broken, config });
+  check('Failed searches fall back to site search pages', fallback.fallback && fallback.backend === 'sites' &&
+    fallback.error === 'Payment required' && fallback.urls.length === 3 && fallback.urls[0].includes('investopedia.com/search'), fallback);
+
+  const controller = new AbortController();
+  controller.abort('Cancelled by test');
+  const cancelled = await discoverUrls('Tesla margins', { client, config, signal: controller.signal }).catch(error => error);
+  check('Cancelled searches do not fall back', isAbortError(cancelled), cancelled);
+
+  // Test 4: Extraction with the mock client
+  const extraction = await extractDataForQuery("What is Apple's current share price?");
+  check('Extraction scrapes the pages the search found', extraction.discovery.backend === 'firecrawl' &&
+    extraction.successful.length === firecrawlConfig.maxPages &&
+    extraction.successful.every(page => !page.url.includes('/search')), extraction.successful.map(page => page.url));
+  check('Extraction reports excluded URLs', extraction.discovery.excluded.some(entry => entry.url.includes('/privacy/')),
+    extraction.discovery);
+
+  console.log(`\n🎉 URL discovery tests completed: ${passed}/${total} passed`);
+  return passed === total;
+}
+
+// Run the tests
+if (require.main === module) {
+  runUrlDiscoveryTests().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = { runUrlDiscoveryTests };
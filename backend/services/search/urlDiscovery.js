@@ -0,0 +1,261 @@
+/**
+ * URL Discovery
+ *
+ * Finds the pages Firecrawl scrapes for a sub-question. A discovery backend
+ * runs a web search and returns candidate article URLs; the candidates are then
+ * checked against the allow and deny lists (FIRECRAWL_INCLUDES and
+ * FIRECRAWL_EXCLUDES), deduplicated, and cut to FIRECRAWL_MAX_PAGES.
+ * FIRECRAWL_DISCOVERY picks the backend:
+ *   - firecrawl: Firecrawl's search API (the default)
+ *   - sites: search-result pages of a fixed list of financial sites, also used
+ *     when the search fails
+ *
+ * Candidate: { url, title, description }
+ */
+
+const { getFirecrawlConfig } = require('./firecrawlConfig');
+const { isAbortError, raceWithAbort } = require('./cancellation');
+const { resultCache, CacheService, normalizeQuery, normalizeUrl, classifyDataType } = require('../cache/resultCache');
+
+// Backend used when the configured one fails
+const FALLBACK_BACKEND = 'sites';
+
+class DiscoveryBackend {
+  /**
+   * @param {string} name - Backend name used in FIRECRAWL_DISCOVERY
+   * @param {Object} config - Firecrawl configuration
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * Candidate pages for a query, best first
+   * @param {string} query - The research sub-question
+   * @param {Object} options - { client, limit, signal }
+   * @returns {Promise<Array>} Candidates
+   */
+  async discover() {
+    throw new Error(`Discovery backend ${this.name} does not implement discover`);
+  }
+}
+
+/**
+ * Searches the web with Firecrawl's search API
+ */
+class FirecrawlSearchBackend extends DiscoveryBackend {
+  constructor(config) {
+    super('firecrawl', config);
+  }
+
+  async discover(query, options = {}) {
+    const { client, limit, signal } = options;
+
+    // The Firecrawl SDK does not accept a signal; stop waiting on abort instead
+    const response = await raceWithAbort(client.search(query, { limit, timeout: this.config.timeout }), signal);
+    if (!response?.success) {
+      throw new Error(response?.error || 'Firecrawl search failed');
+    }
+
+    return (response.data || [])
+      .filter(result => result?.url)
+      .map(result => ({
+        url: result.url,
+        title: result.title || result.metadata?.title || null,
+        description: result.description || result.metadata?.description || null
+      }));
+  }
+}
+
+/**
+ * Search-result pages of well-known financial sites
+ */
+class SiteSearchBackend extends DiscoveryBackend {
+  constructor(config) {
+    super('sites', config);
+  }
+
+  async discover(query) {
+    return generateFinancialSearchUrls(query).map(url => ({ url, title: null, description: null }));
+  }
+}
+
+// Backends selectable with FIRECRAWL_DISCOVERY
+const backendImplementations = {
+  firecrawl: FirecrawlSearchBackend,
+  sites: SiteSearchBackend
+};
+
+/**
+ * Create the discovery backend with the given name
+ * @param {string} name - Backend name
+ * @param {Object} config - Firecrawl configuration
+ */
+function createDiscoveryBackend(name, config) {
+  const Backend = backendImplementations[name];
+  if (!Backend) {
+    throw new Error(`Unknown discovery backend: ${name}`);
+  }
+  return new Backend(config);
+}
+
+/**
+ * Generate relevant URLs for a financial search query
+ */
+function generateFinancialSearchUrls(query) {
+  const encodedQuery = encodeURIComponent(query);
+
+  // List of financial websites to search
+  const financialSites = [
+    `https://www.investopedia.com/search?q=${encodedQuery}`,
+    `https://finance.yahoo.com/search?p=${encodedQuery}`,
+    `https://www.marketwatch.com/search?q=${encodedQuery}`,
+    `https://www.bloomberg.com/search?query=${encodedQuery}`,
+    `https://www.cnbc.com/search/?query=${encodedQuery}`,
+    `https://www.reuters.com/search/news?blob=${encodedQuery}`,
+    `https://www.wsj.com/search?query=${encodedQuery}`,
+    `https://seekingalpha.com/search?q=${encodedQuery}`
+  ];
+
+  return financialSites;
+}
+
+/**
+ * Whether a URL matches an allow or deny list pattern
+ *
+ * A bare domain ("reuters.com") matches that domain and its subdomains; a
+ * domain with a path ("reuters.com/markets") matches that path and the pages
+ * below it; a pattern with `*` ("*privacy*") is matched against the host,
+ * path and query. "www." and case are ignored.
+ * @param {string} url - Candidate URL
+ * @param {string} pattern - Domain or wildcard pattern
+ */
+function matchesUrlPattern(url, pattern) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const rule = String(pattern).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '');
+  if (!rule) {
+    return false;
+  }
+
+  if (!rule.includes('*') && !rule.includes('/')) {
+    return host === rule || host.endsWith(`.${rule}`);
+  }
+
+  const escaped = rule.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  // A path without `*` is a prefix ending at a path segment ("/news" covers "/news/x" but not "/newsletter")
+  const source = rule.includes('*') ? escaped : `${escaped.replace(/\/$/, '')}(?:[/?].*)?`;
+  return new RegExp(`^${source}$`, 'i').test(`${host}${parsed.pathname}${parsed.search}`);
+}
+
+/**
+ * Why a URL may not be scraped, or null if it may
+ * @param {string} url - Candidate URL
+ * @param {Object} lists - { includes, excludes } (see firecrawlConfig.crawlerOptions)
+ */
+function getExclusionReason(url, lists = {}) {
+  const { includes = [], excludes = [] } = lists;
+
+  if (!/^https?:\/\//i.test(url)) {
+    return 'Not a web page';
+  }
+
+  const denied = excludes.find(pattern => matchesUrlPattern(url, pattern));
+  if (denied) {
+    return `Matches excluded pattern ${denied}`;
+  }
+  if (includes.length > 0 && !includes.some(pattern => matchesUrlPattern(url, pattern))) {
+    return 'Not on the allow list';
+  }
+  return null;
+}
+
+/**
+ * Find the pages to scrape for a query
+ * @param {string} query - The research sub-question
+ * @param {Object} options - `client` is the Firecrawl client, `signal` an AbortSignal,
+ *   `cacheUsage` counts the run's cache hits, `config` overrides the Firecrawl configuration
+ * @returns {Promise<Object>} { backend, fallback, error, fromCache, candidates, excluded, urls } where
+ *   `excluded` lists { url, reason } and `urls` are the pages to scrape
+ */
+async function discoverUrls(query, options = {}) {
+  const { client, signal } = options;
+  const config = options.config || getFirecrawlConfig();
+  const limit = config.searchResults;
+
+  let backend = createDiscoveryBackend(config.discovery, config);
+  let fallback = false;
+  let error = null;
+  let discovered = null;
+
+  try {
+    // Searches are cached like the pages they find
+    discovered = await resultCache.getOrFetch(
+      CacheService.DISCOVERY,
+      `${backend.name}:${normalizeQuery(query)}`,
+      () => backend.discover(query, { client, limit, signal }),
+      { dataType: classifyDataType(query), usage: options.cacheUsage, shouldCache: candidates => candidates.length > 0 }
+    );
+  } catch (searchError) {
+    if (isAbortError(searchError, signal) || backend.name === FALLBACK_BACKEND) {
+      throw searchError;
+    }
+
+    console.warn(`[FIRECRAWL] ⚠️  ${backend.name} discovery failed (${searchError.message}), using ${FALLBACK_BACKEND}`);
+    error = searchError.message;
+    fallback = true;
+    backend = createDiscoveryBackend(FALLBACK_BACKEND, config);
+    discovered = { value: await backend.discover(query, { client, limit, signal }), fromCache: false };
+  }
+
+  const candidates = discovered.value;
+  const excluded = [];
+  const seen = new Set();
+  const urls = [];
+
+  candidates.forEach(candidate => {
+    const reason = getExclusionReason(candidate.url, config.crawlerOptions);
+    const key = normalizeUrl(candidate.url);
+
+    if (reason) {
+      excluded.push({ url: candidate.url, reason });
+    } else if (seen.has(key)) {
+      excluded.push({ url: candidate.url, reason: 'Duplicate' });
+    } else {
+      seen.add(key);
+      urls.push(candidate.url);
+    }
+  });
+
+  console.log(`[FIRECRAWL] Discovered ${candidates.length} URLs with ${backend.name}` +
+    `${discovered.fromCache ? ' (cached)' : ''}, ${excluded.length} excluded`);
+
+  return {
+    backend: backend.name,
+    fallback,
+    error,
+    fromCache: discovered.fromCache,
+    candidates,
+    excluded,
+    urls: urls.slice(0, config.maxPages)
+  };
+}
+
+module.exports = {
+  DiscoveryBackend,
+  FirecrawlSearchBackend,
+  SiteSearchBackend,
+  backendImplementations,
+  createDiscoveryBackend,
+  generateFinancialSearchUrls,
+  matchesUrlPattern,
+  getExclusionReason,
+  discoverUrls
+};
@@ -0,0 +1,55 @@
+/**
+ * Workflow Progress Events
+ *
+ * Defines the typed progress events emitted while the Plan → Search → Answer
+ * workflow runs, so that callers (e.g. the SSE chat endpoint) can report
+ * meaningful progress for long research runs.
+ */
+
+/**
+ * Workflow event type enumeration
+ */
+const WorkflowEvent = {
+  WORKFLOW_START: 'workflow_start',
+  QUESTION_ROUTED: 'question_routed',
+  PLANNING_START: 'planning_start',
+  PLANNING_COMPLETE: 'planning_complete',
+  SEARCH_START: 'search_start',
+  SEARCH_COMPLETE: 'search_complete',
+  RESEARCH_ROUND: 'research_round',
+  PROCESSING_COMPLETE: 'processing_complete',
+  ANSWER_START: 'message_start',
+  ANSWER_CHUNK: 'message_chunk',
+  TOOL_CALL: 'tool_call',
+  ANSWER_END: 'message_end',
+  WORKFLOW_COMPLETE: 'workflow_complete',
+  WORKFLOW_CANCELLED: 'workflow_cancelled',
+  ERROR: 'error'
+};
+
+/**
+ * Safely invoke a progress callback
+ * @param {Function} onProgress - Optional callback receiving (event, data)
+ * @param {string} event - One of the WorkflowEvent values
+ * @param {Object} data - Event payload
+ */
+function emitProgress(onProgress, event, data = {}) {
+  if (!onProgress || typeof onProgress !== 'function') {
+    return;
+  }
+
+  try {
+    onProgress(event, {
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // A failing listener must never break the research workflow
+    console.error(`[WORKFLOW-EVENTS] ❌ Progress listener failed for ${event}:`, error.message);
+  }
+}
+
+module.exports = {
+  WorkflowEvent,
+  emitProgress
+};
@@ -12,6 +12,7 @@ const ChatContainer = () => {
     error,
     isApiAvailable,
     sendMessage,
+    stopMessage,
     clearChat,
     addMessage,
   } = useChat();
@@ -78,6 +79,8 @@ const ChatContainer = () => {
         onSendMessage={sendMessage}
         disabled={isLoading}
         onClearChat={clearChat}
+        isRunning={isLoading}
+        onStop={stopMessage}
       />
     </div>
   );
@@ -1,8 +1,17 @@
+import { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
-import { User, Bot } from 'lucide-react';
+import { User, Bot, CircleStop } from 'lucide-react';
+import SourcesPanel from './SourcesPanel';
+import { CITATION_HREF_PREFIX, linkCitationMarkers } from '../utils/citations';
 import '../styles/Message.css';
 
 const Message = ({ message }) => {
+  const [sourcesOpen, setSourcesOpen] = useState(false);
+  const [activeCitation, setActiveCitation] = useState(null);
+
+  const citations = message.metadata?.citations || [];
+  const isCancelled = message.metadata?.status === 'cancelled';
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
       hour: '2-digit', 
@@ -10,6 +19,37 @@ const Message = ({ message }) => {
     });
   };
 
+  const handleCitationClick = (e, citationId) => {
+    e.preventDefault();
+    setSourcesOpen(true);
+    setActiveCitation(citationId);
+  };
+
+  // Render citation links as superscript footnotes, other links normally
+  const markdownComponents = {
+    a: ({ href, children }) => {
+      if (href?.startsWith(CITATION_HREF_PREFIX)) {
+        const citationId = parseInt(href.slice(CITATION_HREF_PREFIX.length), 10);
+        return (
+          <sup className="citation-marker">
+            <a
+              href={href}
+              onClick={(e) => handleCitationClick(e, citationId)}
+              title={citations.find((c) => c.id === citationId)?.title}
+            >
+              {children}
+            </a>
+          </sup>
+        );
+      }
+      return (
+        <a href={href} target="_blank" rel="noopener noreferrer">
+          {children}
+        </a>
+      );
+    },
+  };
+
   return (
     <div className={`message ${message.sender}`}>
       <div className="message-avatar">
@@ -33,8 +73,8 @@ const Message = ({ message }) => {
         <div className="message-bubble">
           {message.sender === 'bot' ? (
             <div className="message-text">
-              <ReactMarkdown>
-                {message.text}
+              <ReactMarkdown components={markdownComponents}>
+                {linkCitationMarkers(message.text, citations)}
               </ReactMarkdown>
             </div>
           ) : (
@@ -43,6 +83,35 @@ const Message = ({ message }) => {
             </div>
           )}
         </div>
+
+        {isCancelled && (
+          <div className="cancelled-notice">
+            <div className="cancelled-title">
+              <CircleStop size={14} />
+              <span>
+                Research stopped after {message.metadata.searchesCompleted || 0} searches
+                ({message.metadata.searchResultsUsed || 0} results)
+              </span>
+            </div>
+            {message.metadata.plan?.length > 0 && (
+              <ol className="cancelled-plan">
+                {message.metadata.plan.map((subQuestion, index) => (
+                  <li key={index}>{subQuestion}</li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        {message.sender === 'bot' && (
+          <SourcesPanel
+            messageId={message.id}
+            citations={citations}
+            isOpen={sourcesOpen}
+            onToggle={() => setSourcesOpen((open) => !open)}
+            activeCitation={activeCitation}
+          />
+        )}
       </div>
     </div>
   );
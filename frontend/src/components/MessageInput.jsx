@@ -1,8 +1,8 @@
 import { useState, useRef, useEffect } from 'react';
-import { Send, Trash2 } from 'lucide-react';
+import { Send, Square, Trash2 } from 'lucide-react';
 import '../styles/MessageInput.css';
 
-const MessageInput = ({ onSendMessage, disabled, onClearChat }) => {
+const MessageInput = ({ onSendMessage, disabled, onClearChat, isRunning, onStop }) => {
   const [message, setMessage] = useState('');
   const textareaRef = useRef(null);
 
@@ -61,14 +61,25 @@ const MessageInput = ({ onSendMessage, disabled, onClearChat }) => {
               <Trash2 size={16} />
             </button>
             
-            <button 
-              type="submit" 
-              className="send-button"
-              disabled={!message.trim() || disabled}
-              title="Send message"
-            >
-              <Send size={20} />
-            </button>
+            {isRunning ? (
+              <button 
+                type="button"
+                className="stop-button"
+                onClick={onStop}
+                title="Stop research"
+              >
+                <Square size={16} />
+              </button>
+            ) : (
+              <button 
+                type="submit" 
+                className="send-button"
+                disabled={!message.trim() || disabled}
+                title="Send message"
+              >
+                <Send size={20} />
+              </button>
+            )}
           </div>
         </div>
       </form>
@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+import { BookOpen, ChevronDown, ChevronRight, ExternalLink } from 'lucide-react';
+import { getCitationAnchorId } from '../utils/citations';
+import '../styles/SourcesPanel.css';
+
+const PROVIDER_LABELS = {
+  perplexity: 'Perplexity',
+  firecrawl: 'Firecrawl',
+  edgar: 'SEC EDGAR',
+  market: 'Market data',
+  glossary: 'Glossary',
+  unknown: 'Other source',
+};
+
+const getDomain = (url) => {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch {
+    return null;
+  }
+};
+
+const SourcesPanel = ({ messageId, citations, isOpen, onToggle, activeCitation }) => {
+  // Bring the highlighted source into view when a footnote is clicked
+  useEffect(() => {
+    if (!isOpen || activeCitation == null) return;
+    const entry = document.getElementById(getCitationAnchorId(messageId, activeCitation));
+    entry?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [isOpen, activeCitation, messageId]);
+
+  if (!citations || citations.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="sources-panel">
+      <button
+        type="button"
+        className="sources-toggle"
+        onClick={onToggle}
+        aria-expanded={isOpen}
+      >
+        {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        <BookOpen size={14} />
+        <span>Sources ({citations.length})</span>
+      </button>
+
+      {isOpen && (
+        <ol className="sources-list">
+          {citations.map((citation) => {
+            const domain = getDomain(citation.url);
+            const provider = PROVIDER_LABELS[citation.provider] || citation.provider;
+
+            return (
+              <li
+                key={citation.id}
+                id={getCitationAnchorId(messageId, citation.id)}
+                className={`source-item ${activeCitation === citation.id ? 'active' : ''}`}
+              >
+                <span className="source-number">{citation.id}</span>
+                <div className="source-details">
+                  {citation.url ? (
+                    <a
+                      className="source-title"
+                      href={citation.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {citation.title}
+                      <ExternalLink size={12} />
+                    </a>
+                  ) : (
+                    <span className="source-title">{citation.title}</span>
+                  )}
+
+                  <div className="source-meta">
+                    {domain && <span className="source-domain">{domain}</span>}
+                    <span className={`source-provider ${citation.provider}`}>{provider}</span>
+                    {citation.qualityScore != null && (
+                      <span className="source-quality">Quality {citation.qualityScore}</span>
+                    )}
+                    {citation.confidence && (
+                      <span className={`source-confidence ${citation.confidence}`}>
+                        {citation.confidence} confidence
+                      </span>
+                    )}
+                  </div>
+
+                  {citation.snippet && (
+                    <p className="source-snippet">{citation.snippet}</p>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default SourcesPanel;
@@ -0,0 +1,58 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import SourcesPanel from './SourcesPanel';
+
+const citations = [
+  { id: 1, title: 'Apple 10-K', url: 'https://www.sec.gov/aapl-10k', provider: 'edgar', snippet: 'Annual report' },
+  { id: 2, title: 'AAPL quote', url: null, provider: 'market', qualityScore: 90 },
+  { id: 3, title: 'P/E ratio', url: null, provider: 'glossary', confidence: 'high' },
+  { id: 4, title: 'Custom feed', url: 'https://feeds.example.com/a', provider: 'newsfeed' },
+];
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+describe('SourcesPanel', () => {
+  it('renders nothing without citations', () => {
+    const { container } = render(<SourcesPanel messageId={1} citations={[]} isOpen={false} onToggle={() => {}} />);
+
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('shows only the toggle while closed', () => {
+    const onToggle = vi.fn();
+    render(<SourcesPanel messageId={1} citations={citations} isOpen={false} onToggle={onToggle} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Sources \(4\)/ }));
+
+    expect(onToggle).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('list')).toBeNull();
+  });
+
+  it('lists every source with its provider label', () => {
+    render(<SourcesPanel messageId={1} citations={citations} isOpen onToggle={() => {}} />);
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(4);
+    expect(screen.getByText('SEC EDGAR')).toBeTruthy();
+    expect(screen.getByText('Market data')).toBeTruthy();
+    expect(screen.getByText('Glossary')).toBeTruthy();
+    expect(screen.getByText('newsfeed')).toBeTruthy();
+    expect(screen.getByText('sec.gov')).toBeTruthy();
+    expect(screen.getByText('Quality 90')).toBeTruthy();
+    expect(screen.getByText('high confidence')).toBeTruthy();
+    expect(screen.getByRole('link', { name: /Apple 10-K/ }).getAttribute('href')).toBe('https://www.sec.gov/aapl-10k');
+  });
+
+  it('highlights the active source and scrolls it into view', () => {
+    const scrollIntoView = vi.fn();
+    Element.prototype.scrollIntoView = scrollIntoView;
+    render(<SourcesPanel messageId={7} citations={citations} isOpen onToggle={() => {}} activeCitation={2} />);
+
+    const entry = document.getElementById('citation-7-2');
+    expect(entry.className).toContain('active');
+    expect(scrollIntoView).toHaveBeenCalledTimes(1);
+    delete Element.prototype.scrollIntoView;
+  });
+});
@@ -1,11 +1,49 @@
-import { useState, useCallback, useEffect } from 'react';
-import { checkApiHealth } from '../services/apiService';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  checkApiHealth,
+  sendChatMessageStream,
+  createRunId,
+  cancelChatRun,
+} from '../services/apiService';
+
+/**
+ * Build the bot message shown when a run is stopped, keeping the progress made so far
+ * @param {number} id - Id of the bot message
+ * @param {Object} progress - { subQuestions, searchesCompleted, resultCount, answer }
+ * @returns {Object} - Bot message with status 'cancelled'
+ */
+const createCancelledMessage = (id, progress) => ({
+  id,
+  text: progress.answer || '_Research stopped before an answer was written._',
+  sender: 'bot',
+  timestamp: new Date(),
+  metadata: {
+    citations: [],
+    status: 'cancelled',
+    plan: progress.subQuestions,
+    searchesCompleted: progress.searchesCompleted,
+    searchResultsUsed: progress.resultCount
+  }
+});
+
+/**
+ * Replace the message with the same id, or append it
+ */
+const upsertMessage = (messages, message) => (
+  messages.some(existing => existing.id === message.id)
+    ? messages.map(existing => (existing.id === message.id ? message : existing))
+    : [...messages, message]
+);
 
 export const useChat = () => {
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isApiAvailable, setIsApiAvailable] = useState(null);
+  // Server-side conversation id so follow-up questions keep their context
+  const conversationIdRef = useRef(null);
+  // The in-flight run ({ runId, controller }) so Stop can cancel it
+  const activeRunRef = useRef(null);
 
   console.log('useChat - messages count:', messages.length);
 
@@ -24,7 +62,7 @@ export const useChat = () => {
     setMessages(prev => [...prev, message]);
   }, []);
 
-  // SUPER SIMPLE sendMessage - no streaming, just basic API call
+  // Send a message over the streaming endpoint so partial progress survives a Stop
   const sendMessage = useCallback(async (text) => {
     if (!text.trim()) return;
     
@@ -45,63 +83,112 @@ export const useChat = () => {
       return newMessages;
     });
     
-    // Step 2: Set loading state  
+    // Step 2: Set loading state and register the run so it can be stopped
     setIsLoading(true);
     setError(null);
     
+    const controller = new AbortController();
+    const runId = createRunId();
+    activeRunRef.current = { runId, controller };
+    const botMessageId = userMessage.id + 1;
+    
+    // Progress collected from workflow events, kept if the run is stopped
+    const progress = { subQuestions: [], searchesCompleted: 0, resultCount: 0, answer: '' };
+    const handleEvent = (event, data) => {
+      if (data.conversationId) {
+        conversationIdRef.current = data.conversationId;
+      }
+      if (event === 'planning_complete') {
+        progress.subQuestions = data.subQuestions || [];
+      } else if (event === 'search_complete' && data.success) {
+        progress.searchesCompleted += 1;
+        progress.resultCount += data.resultCount || 0;
+      }
+    };
+    
+    // Show the answer as it streams in
+    const handleToken = (answerSoFar) => {
+      progress.answer = answerSoFar;
+      setMessages(prev => (answerSoFar
+        ? upsertMessage(prev, {
+          id: botMessageId,
+          text: answerSoFar,
+          sender: 'bot',
+          timestamp: new Date(),
+          metadata: { citations: [], status: 'streaming' }
+        })
+        : prev.filter(existing => existing.id !== botMessageId)));
+    };
+    
     try {
-      // Step 3: Call API (simple fetch, no streaming)
+      // Step 3: Call the streaming API
       console.log('🌐 Calling API...');
-      const response = await fetch('http://localhost:3001/api/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ message: text }),
-      });
+      const data = await sendChatMessageStream(
+        text,
+        handleToken,
+        handleEvent,
+        { signal: controller.signal, runId, conversationId: conversationIdRef.current }
+      );
+      console.log('🌐 API response:', data);
       
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+      if (data.conversationId) {
+        conversationIdRef.current = data.conversationId;
       }
       
-      const data = await response.json();
-      console.log('🌐 API response:', data);
-      
       // Step 4: Add bot response - handle new format with 'answer' field
-      const botMessage = {
-        id: Date.now() + 1,
-        text: data.answer || data.message || 'No response received',
-        sender: 'bot',
-        timestamp: new Date(),
-        // Add metadata if available
-        metadata: {
-          searchResultsUsed: data.searchResultsUsed,
-          workflow: data.workflow,
-          status: data.status
-        }
-      };
+      const botMessage = data.status === 'cancelled'
+        ? createCancelledMessage(botMessageId, progress)
+        : {
+          id: botMessageId,
+          text: data.answer || data.message || 'No response received',
+          sender: 'bot',
+          timestamp: new Date(),
+          // Add metadata if available
+          metadata: {
+            searchResultsUsed: data.searchResultsUsed,
+            citations: data.citations || [],
+            workflow: data.workflow,
+            status: data.status
+          }
+        };
       
       console.log('🤖 Adding bot message');
       setMessages(prev => {
-        const newMessages = [...prev, botMessage];
+        const newMessages = upsertMessage(prev, botMessage);
         console.log('🤖 New messages count:', newMessages.length);
         return newMessages;
       });
       
     } catch (err) {
-      console.error('❌ Error:', err);
-      setError(err.message);
+      if (controller.signal.aborted) {
+        setMessages(prev => upsertMessage(prev, createCancelledMessage(botMessageId, progress)));
+      } else {
+        console.error('❌ Error:', err);
+        setError(err.message);
+        setMessages(prev => prev.filter(existing => existing.id !== botMessageId));
+      }
     } finally {
+      activeRunRef.current = null;
       setIsLoading(false);
     }
     
     console.log('✅ sendMessage completed');
   }, []);
 
+  // Stop the in-flight research run: cancel it on the server and stop reading the stream
+  const stopMessage = useCallback(() => {
+    const activeRun = activeRunRef.current;
+    if (!activeRun) return;
+    
+    cancelChatRun(activeRun.runId);
+    activeRun.controller.abort();
+  }, []);
+
   // Clear chat
   const clearChat = useCallback(() => {
     setMessages([]);
     setError(null);
+    conversationIdRef.current = null;
   }, []);
 
   return {
@@ -111,6 +198,7 @@ export const useChat = () => {
     error,
     isApiAvailable,
     sendMessage,
+    stopMessage,
     clearChat,
     addMessage,
     retryLastMessage: () => {},
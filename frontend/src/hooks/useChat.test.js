@@ -0,0 +1,149 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useChat } from './useChat';
+import { cancelChatRun, sendChatMessageStream } from '../services/apiService';
+
+vi.mock('../services/apiService', () => ({
+  checkApiHealth: vi.fn(async () => true),
+  createRunId: vi.fn(() => 'run_test'),
+  cancelChatRun: vi.fn(async () => true),
+  sendChatMessageStream: vi.fn(),
+}));
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.clearAllMocks();
+});
+
+/**
+ * Render the hook and wait for the health check on mount
+ */
+const renderChat = async () => {
+  const hook = renderHook(() => useChat());
+  await waitFor(() => expect(hook.result.current.isApiAvailable).toBe(true));
+  return hook;
+};
+
+describe('useChat', () => {
+  it('adds the streamed answer as a bot message', async () => {
+    sendChatMessageStream.mockResolvedValue({ answer: 'Apple closed at $250.', citations: [], status: 'completed', conversationId: 'conv_1' });
+    const { result } = await renderChat();
+
+    await act(() => result.current.sendMessage('AAPL?'));
+
+    expect(result.current.messages.map(message => message.text)).toEqual(['AAPL?', 'Apple closed at $250.']);
+    expect(result.current.isLoading).toBe(false);
+    expect(sendChatMessageStream.mock.calls[0][3]).toMatchObject({ runId: 'run_test', conversationId: null });
+  });
+
+  it('shows the answer while it streams and replaces it with the final message', async () => {
+    let finish;
+    sendChatMessageStream.mockImplementation((message, onToken) => new Promise((resolve) => {
+      onToken('Apple closed');
+      finish = () => resolve({ answer: 'Apple closed at $250.', citations: [{ id: 1 }], status: 'completed' });
+    }));
+    const { result } = await renderChat();
+
+    let sending;
+    act(() => {
+      sending = result.current.sendMessage('AAPL?');
+    });
+    await waitFor(() => expect(result.current.messages).toHaveLength(2));
+    expect(result.current.messages[1]).toMatchObject({ text: 'Apple closed', sender: 'bot', metadata: { status: 'streaming' } });
+    expect(result.current.isLoading).toBe(true);
+
+    await act(async () => {
+      finish();
+      await sending;
+    });
+
+    expect(result.current.messages).toHaveLength(2);
+    expect(result.current.messages[1].text).toBe('Apple closed at $250.');
+    expect(result.current.messages[1].metadata.citations).toEqual([{ id: 1 }]);
+  });
+
+  it('removes the streamed text when the stream fails', async () => {
+    sendChatMessageStream.mockImplementation(async (message, onToken) => {
+      onToken('Apple closed');
+      throw new Error('Network error');
+    });
+    const { result } = await renderChat();
+
+    await act(() => result.current.sendMessage('AAPL?'));
+
+    expect(result.current.error).toBe('Network error');
+    expect(result.current.messages).toHaveLength(1);
+  });
+
+  it('sends the conversation id with follow-up questions', async () => {
+    sendChatMessageStream.mockResolvedValue({ answer: 'Answer', conversationId: 'conv_1' });
+    const { result } = await renderChat();
+
+    await act(() => result.current.sendMessage('AAPL?'));
+    await act(() => result.current.sendMessage('And MSFT?'));
+
+    expect(sendChatMessageStream.mock.calls[1][3].conversationId).toBe('conv_1');
+  });
+
+  it('shows the fallback answer the server streamed after an error', async () => {
+    sendChatMessageStream.mockResolvedValue({ answer: 'I apologize, please try again.', status: 'error', error: 'Planning timed out' });
+    const { result } = await renderChat();
+
+    await act(() => result.current.sendMessage('AAPL?'));
+
+    const reply = result.current.messages[1];
+    expect(reply.text).toBe('I apologize, please try again.');
+    expect(reply.metadata.status).toBe('error');
+    expect(result.current.error).toBeNull();
+  });
+
+  it('reports an error when no answer arrives', async () => {
+    sendChatMessageStream.mockRejectedValue(new Error('An error occurred during streaming'));
+    const { result } = await renderChat();
+
+    await act(() => result.current.sendMessage('AAPL?'));
+
+    expect(result.current.error).toBe('An error occurred during streaming');
+    expect(result.current.messages).toHaveLength(1);
+  });
+
+  it('stops the run on the server and keeps the progress made so far', async () => {
+    sendChatMessageStream.mockImplementation((message, onToken, onEvent, options) => new Promise((resolve, reject) => {
+      onEvent('planning_complete', { subQuestions: ['Price?', 'EPS?'], conversationId: 'conv_1' });
+      onEvent('search_complete', { success: true, resultCount: 3 });
+      onToken('Apple closed');
+      options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const { result } = await renderChat();
+
+    let sending;
+    act(() => {
+      sending = result.current.sendMessage('AAPL?');
+    });
+    await waitFor(() => expect(result.current.isLoading).toBe(true));
+    await act(async () => {
+      result.current.stopMessage();
+      await sending;
+    });
+
+    expect(cancelChatRun).toHaveBeenCalledWith('run_test');
+    const stopped = result.current.messages[1];
+    expect(stopped.text).toBe('Apple closed');
+    expect(stopped.metadata).toMatchObject({ status: 'cancelled', plan: ['Price?', 'EPS?'], searchesCompleted: 1, searchResultsUsed: 3 });
+    expect(result.current.isLoading).toBe(false);
+    expect(result.current.error).toBeNull();
+  });
+
+  it('does nothing when stopping without a run in flight', async () => {
+    const { result } = await renderChat();
+
+    act(() => result.current.stopMessage());
+
+    expect(cancelChatRun).not.toHaveBeenCalled();
+  });
+});
@@ -69,15 +69,28 @@ export const sendChatMessage = async (message) => {
   }
 };
 
+/**
+ * Generate a client-side research run id, so the run can be cancelled before the server responds
+ * @returns {string} - Run id accepted by the backend (run_...)
+ */
+export const createRunId = () => `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
 /**
  * Send a chat message with streaming response using SSE
  * @param {string} message - The user's message
- * @param {Function} onToken - Callback for each token received
- * @returns {Promise<string>} - The complete response
+ * @param {Function} onToken - Callback receiving the message streamed so far after each chunk; a new
+ *   message (such as the fallback answer streamed after an error) replaces the previous one
+ * @param {Function} onEvent - Optional callback receiving every workflow event (type, data)
+ * @param {Object} options - Optional { signal, runId, conversationId }; aborting `signal` stops reading the stream
+ * @returns {Promise<Object>} - The workflow_complete payload, the workflow_cancelled payload
+ *   (with status 'cancelled' and the partial answer), { answer, status: 'error', error } if the
+ *   server reported an error and streamed a fallback answer, or { answer } if the stream ended early
  */
-export const sendChatMessageStream = async (message, onToken) => {
+export const sendChatMessageStream = async (message, onToken, onEvent, options = {}) => {
   return new Promise((resolve, reject) => {
     let fullResponse = '';
+    // Error reported by the server; it may still stream a fallback answer after it
+    let streamError = null;
 
     try {
       // Create EventSource for SSE
@@ -91,8 +104,11 @@ export const sendChatMessageStream = async (message, onToken) => {
         },
         body: JSON.stringify({
           message: message,
+          runId: options.runId,
+          conversationId: options.conversationId,
           timestamp: new Date().toISOString(),
         }),
+        signal: options.signal,
       })
       .then(response => {
         if (!response.ok) {
@@ -112,6 +128,8 @@ export const sendChatMessageStream = async (message, onToken) => {
         const readStream = async () => {
           try {
             let buffer = '';
+            let currentEvent = null;
+            let currentData = null;
             
             while (true) {
               const { done, value } = await reader.read();
@@ -123,9 +141,6 @@ export const sendChatMessageStream = async (message, onToken) => {
               // Keep the last incomplete line in the buffer
               buffer = lines.pop() || '';
 
-              let currentEvent = null;
-              let currentData = null;
-
               for (const line of lines) {
                 if (line.startsWith('event: ')) {
                   currentEvent = line.slice(7).trim();
@@ -138,17 +153,28 @@ export const sendChatMessageStream = async (message, onToken) => {
                   }
                 } else if (line === '' && currentEvent && currentData) {
                   // End of an SSE message, process it
-                  if (currentEvent === 'chunk' && currentData.text) {
+                  if (onEvent) {
+                    onEvent(currentEvent, currentData);
+                  }
+
+                  if (currentEvent === 'message_start') {
+                    fullResponse = '';
+                    if (onToken) {
+                      onToken(fullResponse);
+                    }
+                  } else if (currentEvent === 'message_chunk' && currentData.text) {
                     fullResponse += currentData.text;
                     if (onToken) {
                       onToken(fullResponse);
                     }
-                  } else if (currentEvent === 'end') {
-                    resolve(fullResponse);
+                  } else if (currentEvent === 'workflow_complete') {
+                    resolve(currentData);
                     return;
-                  } else if (currentEvent === 'error') {
-                    reject(new Error(currentData.message || 'Streaming error'));
+                  } else if (currentEvent === 'workflow_cancelled') {
+                    resolve({ ...currentData, answer: fullResponse, status: 'cancelled' });
                     return;
+                  } else if (currentEvent === 'error') {
+                    streamError = currentData.message || 'Streaming error';
                   }
                   
                   // Reset for next message
@@ -158,8 +184,16 @@ export const sendChatMessageStream = async (message, onToken) => {
               }
             }
             
-            // If we get here, stream ended without explicit 'end' event
-            resolve(fullResponse);
+            // If we get here, stream ended without an explicit 'workflow_complete' event
+            if (streamError) {
+              if (!fullResponse) {
+                reject(new Error(streamError));
+              } else {
+                resolve({ answer: fullResponse, status: 'error', error: streamError });
+              }
+              return;
+            }
+            resolve({ answer: fullResponse });
           } catch (error) {
             reject(error);
           }
@@ -176,6 +210,22 @@ export const sendChatMessageStream = async (message, onToken) => {
   });
 };
 
+/**
+ * Ask the backend to cancel an in-flight research run
+ * @param {string} runId - The run id sent with the chat request
+ * @returns {Promise<boolean>} - True if the run was still active and has been cancelled
+ */
+export const cancelChatRun = async (runId) => {
+  try {
+    await apiClient.delete(`/api/chat/runs/${encodeURIComponent(runId)}`);
+    return true;
+  } catch (error) {
+    // The run may already have finished, or the disconnect cancelled it first
+    console.warn('Cancel run failed:', error.message);
+    return false;
+  }
+};
+
 /**
  * Check if the backend API is available
  * @returns {Promise<boolean>} - True if API is available
@@ -193,5 +243,7 @@ export const checkApiHealth = async () => {
 export default {
   sendChatMessage,
   sendChatMessageStream,
+  createRunId,
+  cancelChatRun,
   checkApiHealth,
 }; 
\ No newline at end of file
@@ -0,0 +1,122 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { sendChatMessageStream } from './apiService';
+
+/**
+ * Format one SSE message the way the backend writes it
+ */
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Stub fetch with an event stream response delivering the given text in parts
+ */
+const mockStream = (...parts) => {
+  const encoder = new TextEncoder();
+  const queue = [...parts];
+  const fetchMock = vi.fn(async () => ({
+    ok: true,
+    headers: { get: () => 'text/event-stream' },
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length > 0
+          ? { done: false, value: encoder.encode(queue.shift()) }
+          : { done: true, value: undefined }),
+      }),
+    },
+  }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('sendChatMessageStream', () => {
+  it('resolves with the workflow_complete payload and reports the answer as it streams', async () => {
+    mockStream(
+      sse('message_chunk', { text: 'Apple ' }),
+      sse('message_chunk', { text: 'closed at $250.' }),
+      sse('workflow_complete', { answer: 'Apple closed at $250.', conversationId: 'conv_1' }),
+    );
+    const tokens = [];
+    const events = [];
+
+    const data = await sendChatMessageStream('AAPL?', text => tokens.push(text), event => events.push(event));
+
+    expect(data).toEqual({ answer: 'Apple closed at $250.', conversationId: 'conv_1' });
+    expect(tokens).toEqual(['Apple ', 'Apple closed at $250.']);
+    expect(events).toEqual(['message_chunk', 'message_chunk', 'workflow_complete']);
+  });
+
+  it('keeps reading after an error event and resolves with the fallback answer', async () => {
+    mockStream(
+      sse('error', { error: 'Workflow Error', message: 'Planning timed out' }),
+      sse('message_start', { id: 'chunk_1' }),
+      sse('message_chunk', { text: 'I apologize, but ' }),
+      sse('message_chunk', { text: 'please try again.' }),
+      sse('message_end', { id: 'chunk_1', complete: true }),
+    );
+
+    const data = await sendChatMessageStream('AAPL?');
+
+    expect(data).toEqual({ answer: 'I apologize, but please try again.', status: 'error', error: 'Planning timed out' });
+  });
+
+  it('replaces a partial answer with the fallback message streamed after an error', async () => {
+    mockStream(
+      sse('message_start', { id: 'msg_1' }),
+      sse('message_chunk', { id: 'msg_1', text: 'Apple closed ' }),
+      sse('error', { error: 'Workflow Error', message: 'Model stream failed' }),
+      sse('message_start', { id: 'chunk_1' }),
+      sse('message_chunk', { id: 'chunk_1', text: 'I apologize, please try again.' }),
+      sse('message_end', { id: 'chunk_1', complete: true }),
+    );
+    const tokens = [];
+
+    const data = await sendChatMessageStream('AAPL?', text => tokens.push(text));
+
+    expect(data).toEqual({ answer: 'I apologize, please try again.', status: 'error', error: 'Model stream failed' });
+    expect(tokens).toEqual(['', 'Apple closed ', '', 'I apologize, please try again.']);
+  });
+
+  it('rejects when the stream ends after an error without a message', async () => {
+    mockStream(sse('error', { error: 'Internal Server Error', message: 'An error occurred during streaming' }));
+
+    await expect(sendChatMessageStream('AAPL?')).rejects.toThrow('An error occurred during streaming');
+  });
+
+  it('resolves a cancelled run with the partial answer', async () => {
+    mockStream(
+      sse('message_chunk', { text: 'Partial' }),
+      sse('workflow_cancelled', { runId: 'run_1', reason: 'Cancelled by client request' }),
+    );
+
+    const data = await sendChatMessageStream('AAPL?');
+
+    expect(data).toEqual({ runId: 'run_1', reason: 'Cancelled by client request', answer: 'Partial', status: 'cancelled' });
+  });
+
+  it('sends the run and conversation ids and passes the abort signal to fetch', async () => {
+    const fetchMock = mockStream(sse('workflow_complete', { answer: 'Done' }));
+    const controller = new AbortController();
+
+    await sendChatMessageStream('AAPL?', null, null, { signal: controller.signal, runId: 'run_1', conversationId: 'conv_1' });
+
+    const [, request] = fetchMock.mock.calls[0];
+    expect(JSON.parse(request.body)).toMatchObject({ message: 'AAPL?', runId: 'run_1', conversationId: 'conv_1' });
+    expect(request.signal).toBe(controller.signal);
+  });
+
+  it('rejects when the request is aborted', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url, request) => {
+      if (request.signal.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+    }));
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(sendChatMessageStream('AAPL?', null, null, { signal: controller.signal }))
+      .rejects.toThrow('The operation was aborted.');
+  });
+});
@@ -0,0 +1,67 @@
+// Matches numbered citation markers such as [1], [1, 3] or [2-4] that are not already links
+const CITATION_MARKER_REGEX = /\[(\d+(?:\s*[-–]\s*\d+)?(?:\s*,\s*\d+(?:\s*[-–]\s*\d+)?)*)\](?!\()/g;
+
+// Fenced code blocks and inline code spans, where brackets are code rather than citations
+const CODE_REGEX = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/g;
+
+export const CITATION_HREF_PREFIX = '#cite-';
+
+/**
+ * Build the DOM id of a source entry in a message's sources panel
+ * @param {string|number} messageId - The message the source belongs to
+ * @param {number} citationId - The citation number
+ * @returns {string}
+ */
+export const getCitationAnchorId = (messageId, citationId) => `citation-${messageId}-${citationId}`;
+
+/**
+ * Expand a marker body such as "1, 3-4" into its numeric ids
+ * @param {string} markerBody
+ * @returns {number[]}
+ */
+const parseMarkerIds = (markerBody) => {
+  const ids = [];
+  markerBody.split(',').forEach((part) => {
+    const [start, end] = part.split(/[-–]/).map((n) => parseInt(n.trim(), 10));
+    if (Number.isNaN(start)) return;
+    if (end === undefined || Number.isNaN(end) || end < start) {
+      ids.push(start);
+      return;
+    }
+    for (let id = start; id <= end && id < start + 20; id++) {
+      ids.push(id);
+    }
+  });
+  return ids;
+};
+
+/**
+ * Rewrite citation markers in markdown into footnote links the renderer can style.
+ * Markers that reference unknown sources, and markers inside code, are left as plain text.
+ * @param {string} text - The bot answer markdown
+ * @param {Array} citations - Structured citations returned by the backend
+ * @returns {string} Markdown with `[n](#cite-n)` links
+ */
+export const linkCitationMarkers = (text, citations) => {
+  if (!text || !citations || citations.length === 0) {
+    return text;
+  }
+
+  const knownIds = new Set(citations.map((citation) => citation.id));
+
+  const linkMarkers = (prose) => prose.replace(CITATION_MARKER_REGEX, (marker, body) => {
+    const ids = parseMarkerIds(body);
+    if (!ids.some((id) => knownIds.has(id))) {
+      return marker;
+    }
+    return ids
+      .map((id) => (knownIds.has(id) ? `[${id}](${CITATION_HREF_PREFIX}${id})` : `[${id}]`))
+      .join('');
+  });
+
+  // split() keeps the code segments at odd indexes
+  return text
+    .split(CODE_REGEX)
+    .map((segment, index) => (index % 2 === 1 ? segment : linkMarkers(segment)))
+    .join('');
+};
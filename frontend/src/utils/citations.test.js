@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { getCitationAnchorId, linkCitationMarkers } from './citations';
+
+const citations = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+describe('linkCitationMarkers', () => {
+  it('links single and comma separated markers', () => {
+    expect(linkCitationMarkers('Revenue grew [1] while margins fell [2, 3].', citations))
+      .toBe('Revenue grew [1](#cite-1) while margins fell [2](#cite-2)[3](#cite-3).');
+  });
+
+  it('expands range markers', () => {
+    expect(linkCitationMarkers('See [1-3].', citations)).toBe('See [1](#cite-1)[2](#cite-2)[3](#cite-3).');
+    expect(linkCitationMarkers('See [1–2].', citations)).toBe('See [1](#cite-1)[2](#cite-2).');
+  });
+
+  it('leaves markers for unknown sources as plain text', () => {
+    expect(linkCitationMarkers('Unsourced claim [9].', citations)).toBe('Unsourced claim [9].');
+    expect(linkCitationMarkers('Mixed [1, 9].', citations)).toBe('Mixed [1](#cite-1)[9].');
+  });
+
+  it('leaves markers inside inline code and code blocks alone', () => {
+    const text = 'Use `prices[1]` for the close [1].\n\n```js\nconst eps = values[2];\n```\n\nDone [2].';
+
+    expect(linkCitationMarkers(text, citations))
+      .toBe('Use `prices[1]` for the close [1](#cite-1).\n\n```js\nconst eps = values[2];\n```\n\nDone [2](#cite-2).');
+  });
+
+  it('leaves existing links and text without citations unchanged', () => {
+    expect(linkCitationMarkers('[1](https://example.com)', citations)).toBe('[1](https://example.com)');
+    expect(linkCitationMarkers('No sources [1].', [])).toBe('No sources [1].');
+    expect(linkCitationMarkers('', citations)).toBe('');
+  });
+});
+
+describe('getCitationAnchorId', () => {
+  it('combines the message and citation ids', () => {
+    expect(getCitationAnchorId(42, 3)).toBe('citation-42-3');
+  });
+});